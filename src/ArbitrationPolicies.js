@@ -0,0 +1,146 @@
+// src/ArbitrationPolicies.js
+
+/**
+ * @file ArbitrationPolicies.js
+ * @description Policies deciding which controller wins when several write the same parameter.
+ * The ParameterManager runs every controller update through the policy of its parameter; the
+ * policy accepts or rejects it and gives the reason, which is reported to arbitration listeners.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** Updates at this priority or above (numerically lower) always pass, e.g. undo/redo. */
+export const OVERRIDE_PRIORITY = 0;
+
+/**
+ * Default options of each policy.
+ * - `holdMs`: how long the last writer keeps a parameter against lower-priority controllers.
+ * - `releaseMs`: how long a latched controller keeps a parameter after its last update when it
+ *   never calls ParameterManager.releaseControl (e.g. MIDI).
+ * - `windowMs`: how long a controller's last value takes part in the blend.
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  priority: { holdMs: 50 },
+  'last-touch': {},
+  latch: { releaseMs: 1000 },
+  blend: { windowMs: 150 },
+};
+
+/** Names of the available policies. */
+export const ARBITRATION_POLICIES = Object.keys(DEFAULT_OPTIONS);
+
+/** Policy of parameters that have none set. */
+export const DEFAULT_ARBITRATION_POLICY = 'priority';
+
+/**
+ * @typedef {Object} ArbitrationUpdate
+ * @property {object|null} sourceController - The controller making the update.
+ * @property {number} priority - Its priority (1 is highest).
+ * @property {number} normalizedValue - The requested normalized value.
+ * @property {number} now - Time of the update (ms since epoch).
+ */
+
+/**
+ * @typedef {Object} ArbitrationDecision
+ * @property {boolean} accepted - Whether the update is applied.
+ * @property {string} reason - Why, e.g. "higher-priority" or "latched-by-other".
+ * @property {number} [normalizedValue] - Value to apply instead of the requested one (blend).
+ */
+
+/**
+ * Decides an update.
+ * @callback ArbitrationFunction
+ * @param {Parameter} param - The parameter, with its last accepted update (`lastController`,
+ *   `lastPriority`, `lastUpdateTimestamp`).
+ * @param {Object} state - Policy state of the parameter; reset when the policy changes.
+ * @param {ArbitrationUpdate} update - The update.
+ * @param {Object} options - Policy options, see DEFAULT_OPTIONS.
+ * @returns {ArbitrationDecision}
+ */
+
+/**
+ * Policy implementations keyed by name.
+ * @private
+ * @type {Object<string, ArbitrationFunction>}
+ */
+const POLICIES = {
+  // Highest priority wins while the last writer holds the parameter; anyone wins after the hold time.
+  priority(param, state, { sourceController, priority, now }, { holdMs }) {
+    if (now - (param.lastUpdateTimestamp || 0) >= holdMs) return { accepted: true, reason: 'hold-expired' };
+    if (sourceController === param.lastController) return { accepted: true, reason: 'same-controller' };
+    if (priority < param.lastPriority) return { accepted: true, reason: 'higher-priority' };
+    return { accepted: false, reason: 'held-by-higher-priority' };
+  },
+
+  // Every update wins.
+  'last-touch'() {
+    return { accepted: true, reason: 'last-touch' };
+  },
+
+  // The first controller to touch the parameter owns it until it releases it or goes idle.
+  latch(param, state, { sourceController, now }, { releaseMs }) {
+    const isOwned = state.owner && now - state.touchedAt < releaseMs;
+    if (isOwned && state.owner !== sourceController) return { accepted: false, reason: 'latched-by-other' };
+    // Updates without a controller (programmatic) never take ownership.
+    if (sourceController) {
+      state.owner = sourceController;
+      state.touchedAt = now;
+    }
+    return { accepted: true, reason: isOwned ? 'latch-owner' : 'latch-free' };
+  },
+
+  // The parameter takes the average of the latest value of every recently active controller.
+  blend(param, state, { sourceController, normalizedValue, now }, { windowMs }) {
+    if (!state.contributions) state.contributions = new Map();
+    state.contributions.set(sourceController, { value: normalizedValue, time: now });
+
+    let sum = 0;
+    state.contributions.forEach((contribution, controller) => {
+      if (now - contribution.time > windowMs) state.contributions.delete(controller);
+      else sum += contribution.value;
+    });
+    const count = state.contributions.size;
+    return {
+      accepted: true,
+      reason: count > 1 ? 'blended' : 'sole-contributor',
+      normalizedValue: sum / count,
+    };
+  },
+};
+
+/**
+ * Completes the options of a policy with its defaults.
+ * @param {string} policy - One of {@link ARBITRATION_POLICIES}.
+ * @param {Object} [options={}] - Options to override.
+ * @returns {Object}
+ */
+export function resolveArbitrationOptions(policy, options = {}) {
+  const defaults = DEFAULT_OPTIONS[policy] || {};
+  const resolved = { ...defaults };
+  Object.keys(defaults).forEach(key => {
+    if (Number.isFinite(options[key]) && options[key] >= 0) resolved[key] = options[key];
+  });
+  return resolved;
+}
+
+/**
+ * Runs an update through a policy.
+ * @param {string} policy - One of {@link ARBITRATION_POLICIES}.
+ * @param {Parameter} param - The parameter.
+ * @param {Object} state - Policy state of the parameter.
+ * @param {ArbitrationUpdate} update - The update.
+ * @param {Object} options - Resolved policy options.
+ * @returns {ArbitrationDecision}
+ *
+ * @example
+ * const { accepted, reason } = arbitrate('latch', param, state, update, { releaseMs: 1000 });
+ */
+export function arbitrate(policy, param, state, update, options) {
+  if (update.priority <= OVERRIDE_PRIORITY) {
+    // Overrides reset the blend so the override is not averaged away by older contributions.
+    state.contributions?.clear();
+    return { accepted: true, reason: 'override' };
+  }
+  return POLICIES[policy](param, state, update, options);
+}
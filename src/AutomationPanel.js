@@ -0,0 +1,175 @@
+// src/AutomationPanel.js
+
+/**
+ * @file AutomationPanel.js
+ * @description Modal panel to edit the recorded automation of the current track as breakpoints.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import notifications from './AppNotifications.js';
+import { escapeHTML } from './DOMUtils.js';
+
+/** Breakpoints listed at most; longer lanes should be simplified first. */
+const MAX_ROWS = 300;
+
+/**
+ * Breakpoint editor shown in the universal modal.
+ * @class
+ * @memberof CoreModule
+ */
+export class AutomationPanel {
+  /**
+   * @param {AutomationRecorder} recorder - The recorder whose lanes are edited.
+   */
+  constructor(recorder) {
+    this.recorder = recorder;
+    /** @type {HTMLElement|null} Root element while the panel is open. */
+    this.element = null;
+    /** @type {string|null} The lane being edited. */
+    this.laneName = null;
+  }
+
+  /**
+   * Shows the panel.
+   * @returns {Promise<void>} Resolves when the panel is closed.
+   *
+   * @example
+   * new AutomationPanel(AutomationRecorderInstance).open();
+   */
+  async open() {
+    this.element = document.createElement('div');
+    this.element.className = 'automation-panel';
+    this.element.innerHTML = `
+      <div class="automation-panel-controls">
+        <label class="form-check">
+          <input name="playback" type="checkbox" class="form-check-input" ${this.recorder.playbackEnabled ? 'checked' : ''}>
+          Play automation
+        </label>
+        <select name="lane" class="form-select form-select-sm" aria-label="Automated parameter"></select>
+      </div>
+      <div class="automation-panel-actions">
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="add">Add at playhead</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="simplify">Simplify</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="clear-lane">Clear lane</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="clear-all">Clear all</button>
+      </div>
+      <table class="automation-panel-table">
+        <thead><tr><th>Time (s)</th><th>Value</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+      <p class="automation-panel-note"></p>
+    `;
+
+    this.element.querySelector('[name="playback"]').addEventListener('change', (event) => {
+      this.recorder.setPlaybackEnabled(event.target.checked);
+    });
+    this.element.querySelector('[name="lane"]').addEventListener('change', (event) => {
+      this.laneName = event.target.value;
+      this.renderLane();
+    });
+    this.element.addEventListener('click', (event) => this.handleClick(event));
+    this.element.addEventListener('change', (event) => this.handleEdit(event));
+
+    const unsubscribe = this.recorder.subscribe(() => this.render());
+    this.render();
+
+    await notifications.showUniversalModal('Automation', this.element, 'Close');
+    unsubscribe();
+    this.element = null;
+  }
+
+  /**
+   * Renders the lane selector and the selected lane.
+   * @private
+   * @returns {void}
+   */
+  render() {
+    if (!this.element) return;
+    const names = this.recorder.getLaneNames();
+    if (!names.includes(this.laneName)) this.laneName = names[0] || null;
+
+    this.element.querySelector('[name="lane"]').innerHTML = names
+      .map(name => `<option value="${escapeHTML(name)}" ${name === this.laneName ? 'selected' : ''}>
+        ${escapeHTML(name)} (${this.recorder.getLane(name).length})</option>`)
+      .join('');
+    this.renderLane();
+  }
+
+  /**
+   * Renders the breakpoints of the selected lane.
+   * @private
+   * @returns {void}
+   */
+  renderLane() {
+    const body = this.element.querySelector('.automation-panel-table tbody');
+    const note = this.element.querySelector('.automation-panel-note');
+    if (!this.laneName) {
+      body.innerHTML = '';
+      note.textContent = 'No automation yet. Use Rec in the transport menu to record parameter changes.';
+      return;
+    }
+
+    const lane = this.recorder.getLane(this.laneName);
+    body.innerHTML = lane.slice(0, MAX_ROWS).map((point, index) => `
+      <tr data-index="${index}">
+        <td><input name="time" type="number" min="0" step="0.01" value="${(point.time / 1000).toFixed(3)}" class="form-control form-control-sm"></td>
+        <td><input name="value" type="number" step="any" value="${Number(point.value.toFixed(6))}" class="form-control form-control-sm"></td>
+        <td><button type="button" class="btn btn-sm btn-outline-secondary" data-action="remove" aria-label="Remove breakpoint">×</button></td>
+      </tr>`).join('');
+    note.textContent = lane.length > MAX_ROWS
+      ? `Showing the first ${MAX_ROWS} of ${lane.length} breakpoints. Simplify the lane to edit all of them.`
+      : '';
+  }
+
+  /**
+   * Handles the panel buttons.
+   * @private
+   * @param {Event} event - The click event.
+   * @returns {void}
+   */
+  handleClick(event) {
+    const action = event.target.dataset.action;
+    if (!action) return;
+
+    if (action === 'clear-all') {
+      this.recorder.clear();
+      return;
+    }
+    if (!this.laneName) return;
+
+    if (action === 'add') {
+      const time = this.recorder.orbiter?.getPlayheadMs() ?? 0;
+      const param = this.recorder.parameterManager?.getParameter(this.laneName);
+      if (!param) return;
+      this.recorder.addBreakpoint(this.laneName, Math.round(time), param.outputTransform(param.rawValue));
+    } else if (action === 'simplify') {
+      const removed = this.recorder.simplify(this.laneName);
+      notifications.showToast(`Removed ${removed} breakpoint(s).`, 'info');
+    } else if (action === 'clear-lane') {
+      this.recorder.clear(this.laneName);
+    } else if (action === 'remove') {
+      const index = Number(event.target.closest('tr')?.dataset.index);
+      if (Number.isInteger(index)) this.recorder.removeBreakpoint(this.laneName, index);
+    }
+  }
+
+  /**
+   * Applies an edited breakpoint time or value.
+   * @private
+   * @param {Event} event - The change event.
+   * @returns {void}
+   */
+  handleEdit(event) {
+    const { name, value } = event.target;
+    if (name !== 'time' && name !== 'value') return;
+    const index = Number(event.target.closest('tr')?.dataset.index);
+    const number = Number(value);
+    if (!Number.isInteger(index) || value === '' || !Number.isFinite(number)) {
+      this.renderLane();
+      return;
+    }
+    this.recorder.updateBreakpoint(this.laneName, index,
+      name === 'time' ? { time: Math.max(0, number * 1000) } : { value: number });
+  }
+}
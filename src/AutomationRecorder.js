@@ -0,0 +1,562 @@
+// src/AutomationRecorder.js
+
+/**
+ * @file AutomationRecorder.js
+ * @description Records parameter automation against the Orbiter playhead and plays it back in sync.
+ * Every change of a parameter's base value is captured while recording; Cosmic LFO and sensor
+ * modulation is not recorded and keeps acting on top of the replayed values. Recordings are stored
+ * per track as breakpoint lanes that can be edited.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import lscache from 'lscache';
+import { Constants, getPriority } from './Constants.js';
+import { HistoryManagerInstance } from './HistoryManager.js';
+import notifications from './AppNotifications.js';
+import { Observable } from './Observable.js';
+
+/** Points of a lane closer together than this (ms) are merged while recording. */
+const MIN_POINT_INTERVAL_MS = 20;
+
+/** Maximum number of breakpoints per lane. */
+const MAX_POINTS_PER_LANE = 10000;
+
+/** A backward playhead jump larger than this (ms) is a loop or a seek, not jitter. */
+const PLAYHEAD_JUMP_MS = 100;
+
+/** Default tolerance of {@link simplifyLane}, as a fraction of the lane's value range. */
+const SIMPLIFY_TOLERANCE = 0.01;
+
+/**
+ * @typedef {Object} Breakpoint
+ * @property {number} time - Playhead position (ms).
+ * @property {number} value - Parameter base value in the space controllers pass to ParameterManager.setRawValue.
+ */
+
+/**
+ * Reads a parameter's base value (before modulation) from its {@link ParameterManager#listParameters} entry.
+ * @private
+ * @param {{ baseNormalizedValue: number, min: number, max: number, outputTransform: function(number): number }} param
+ * @returns {number} The base value (controller space).
+ */
+function baseValueOf({ baseNormalizedValue, min, max, outputTransform }) {
+  return outputTransform(min + baseNormalizedValue * (max - min));
+}
+
+/**
+ * Reads a lane at a playhead position.
+ * Values are interpolated linearly between breakpoints, or held for stepped parameters,
+ * and held before the first and after the last breakpoint.
+ * @param {Breakpoint[]} points - The lane, sorted by time.
+ * @param {number} time - Playhead position (ms).
+ * @param {boolean} [stepped=false] - Hold each value until the next breakpoint.
+ * @returns {number|null} The value, or null for an empty lane.
+ */
+export function interpolateLane(points, time, stepped = false) {
+  if (!points.length) return null;
+  if (time <= points[0].time) return points[0].value;
+  const last = points[points.length - 1];
+  if (time >= last.time) return last.value;
+
+  // Binary search for the last breakpoint at or before `time`.
+  let low = 0;
+  let high = points.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time <= time) low = mid;
+    else high = mid;
+  }
+  const a = points[low];
+  const b = points[high];
+  if (stepped || b.time === a.time) return a.value;
+  return a.value + (b.value - a.value) * (time - a.time) / (b.time - a.time);
+}
+
+/**
+ * Removes breakpoints that linear interpolation of their neighbours reproduces within a tolerance
+ * (Ramer–Douglas–Peucker on the value axis).
+ * @param {Breakpoint[]} points - The lane, sorted by time.
+ * @param {number} tolerance - Largest accepted value error.
+ * @returns {Breakpoint[]} The simplified lane; first and last breakpoints are always kept.
+ */
+export function simplifyLane(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [start, end] = stack.pop();
+    const a = points[start];
+    const b = points[end];
+    let worst = -1;
+    let worstError = tolerance;
+    for (let i = start + 1; i < end; i++) {
+      const expected = b.time === a.time
+        ? a.value
+        : a.value + (b.value - a.value) * (points[i].time - a.time) / (b.time - a.time);
+      const error = Math.abs(points[i].value - expected);
+      if (error > worstError) {
+        worst = i;
+        worstError = error;
+      }
+    }
+    if (worst !== -1) {
+      keep[worst] = 1;
+      stack.push([start, worst], [worst, end]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Checks and sorts breakpoints coming from storage or the editor.
+ * @private
+ * @param {Array} points - Candidate breakpoints.
+ * @returns {Breakpoint[]}
+ */
+function sanitizeLane(points) {
+  if (!Array.isArray(points)) return [];
+  return points
+    .filter(point => point && Number.isFinite(point.time) && Number.isFinite(point.value) && point.time >= 0)
+    .map(({ time, value }) => ({ time, value }))
+    .sort((a, b) => a.time - b.time)
+    .slice(0, MAX_POINTS_PER_LANE);
+}
+
+/**
+ * Records, stores, edits and plays back automation lanes for the current track.
+ * The recorder listens to base value changes, so modulation is neither recorded nor applied twice
+ * on playback; playback writes the values back at the "automation" priority, below every live controller.
+ * Recording is latched per parameter: from its first change in a take to the end of the take,
+ * the new points replace the stored ones and the lane is not played back.
+ * Subscribers are called when recording starts or ends, or the lanes change.
+ * @class
+ * @memberof CoreModule
+ */
+export class AutomationRecorder extends Observable {
+  constructor() {
+    super();
+    /** @type {ParameterManager|null} */
+    this.parameterManager = null;
+    /** @type {Orbiter|null} */
+    this.orbiter = null;
+    /** @type {Object<string, Breakpoint[]>} Stored lanes of the current track, keyed by parameter. */
+    this.lanes = {};
+    /** @type {boolean} */
+    this.isRecording = false;
+    /** @type {{ lanes: Object<string, Breakpoint[]>, end: number, lastTime: number, fullLanes: Set<string> }|null} The take being recorded. */
+    this.take = null;
+    /** @type {boolean} Whether stored lanes are played back while the Orbiter plays. */
+    this.playbackEnabled = true;
+    /** @type {boolean} Whether the last playback write changed its parameter. */
+    this.writeAccepted = false;
+    /** @type {Map<string, number>} Latest base value of every parameter (controller space). */
+    this.currentValues = new Map();
+    /** @type {number|null} Animation frame of the playback loop. */
+    this.frame = null;
+    /** @type {Map<string, number>} Last value written per lane, to skip unchanged frames. */
+    this.lastWritten = new Map();
+    /** @type {Function|null} Removes the Orbiter transport listener. */
+    this.removeTransportListener = null;
+    /** @type {Function|null} Removes the ParameterManager change listener. */
+    this.removeChangeListener = null;
+
+    this.priority = getPriority('automation');
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Connects the recorder to the player and loads the current track's automation.
+   * @param {{ parameterManager: ParameterManager, orbiter: Orbiter }} deps
+   * @returns {void}
+   */
+  attach({ parameterManager, orbiter }) {
+    this.detach();
+    this.parameterManager = parameterManager;
+    this.orbiter = orbiter;
+    // Playback writes are part of the recording, not user edits.
+    HistoryManagerInstance.ignoreSource(this);
+
+    parameterManager.listParameters().forEach(param => {
+      this.currentValues.set(param.name, baseValueOf(param));
+    });
+    this.removeChangeListener = parameterManager.addChangeListener(change => this.onParameterChange(change));
+    this.removeTransportListener = orbiter.addTransportListener(state => this.onTransport(state));
+    this.load();
+    if (orbiter.isPlaying()) this.startLoop();
+  }
+
+  /**
+   * Disconnects the recorder, ending any recording.
+   * @returns {void}
+   */
+  detach() {
+    if (this.isRecording) this.stopRecording();
+    this.stopLoop();
+    this.removeTransportListener?.();
+    this.removeTransportListener = null;
+    this.removeChangeListener?.();
+    this.removeChangeListener = null;
+    this.parameterManager = null;
+    this.orbiter = null;
+    this.currentValues.clear();
+  }
+
+  /**
+   * Builds the lscache key of the current track's automation.
+   * @private
+   * @returns {string}
+   */
+  getStorageKey() {
+    return `automation:${Constants.TRACK_ID || 'default'}`;
+  }
+
+  /**
+   * Loads the stored lanes of the current track.
+   * @returns {void}
+   */
+  load() {
+    const stored = lscache.get(this.getStorageKey());
+    this.lanes = {};
+    Object.entries(stored?.lanes || {}).forEach(([name, points]) => {
+      const lane = sanitizeLane(points);
+      if (lane.length) this.lanes[name] = lane;
+    });
+    this.lastWritten.clear();
+    this.notify();
+  }
+
+  /**
+   * Persists the lanes of the current track.
+   * @private
+   * @returns {void}
+   */
+  save() {
+    if (!Object.keys(this.lanes).length) {
+      lscache.remove(this.getStorageKey());
+      return;
+    }
+    if (!lscache.set(this.getStorageKey(), { version: 1, lanes: this.lanes })) {
+      notifications.showToast('Automation could not be saved: browser storage is full.', 'warning');
+    }
+  }
+
+  /**
+   * Starts or ends a recording.
+   * @returns {Promise<void>}
+   */
+  async toggleRecording() {
+    if (this.isRecording) {
+      this.stopRecording();
+    } else {
+      await this.startRecording();
+    }
+  }
+
+  /**
+   * Starts recording, starting playback if the Orbiter is not playing.
+   * @returns {Promise<void>}
+   */
+  async startRecording() {
+    if (!this.parameterManager || !this.orbiter) {
+      console.warn('[AutomationRecorder] Not attached; cannot record.');
+      return;
+    }
+    if (this.isRecording) return;
+
+    const time = this.orbiter.getPlayheadMs();
+    this.take = { lanes: {}, end: time, lastTime: time, fullLanes: new Set() };
+    this.isRecording = true;
+    this.notify();
+
+    if (!this.orbiter.isPlaying()) {
+      await this.orbiter.play();
+    }
+    this.startLoop();
+    notifications.showToast('Recording automation. Pause or stop playback to finish.', 'info');
+  }
+
+  /**
+   * Ends the recording and stores the recorded lanes.
+   * @returns {string[]} The parameters that were recorded.
+   */
+  stopRecording() {
+    if (!this.isRecording) return [];
+    const { lanes, end } = this.take;
+    this.isRecording = false;
+    this.take = null;
+
+    const names = Object.keys(lanes).filter(name => lanes[name].length);
+    names.forEach(name => {
+      const recorded = lanes[name];
+      const from = recorded[0].time;
+      const kept = (this.lanes[name] || []).filter(point => point.time < from || point.time > end);
+      this.lanes[name] = sanitizeLane(kept.concat(recorded));
+    });
+    this.lastWritten.clear();
+    if (names.length) this.save();
+    this.notify();
+
+    if (names.length) {
+      notifications.showToast(`Automation recorded for ${names.length} parameter(s).`, 'success');
+    } else {
+      notifications.showToast('No parameter changes were recorded.', 'warning');
+    }
+    return names;
+  }
+
+  /**
+   * Enables or disables playback of the stored lanes.
+   * @param {boolean} enabled - Whether to play back.
+   * @returns {void}
+   */
+  setPlaybackEnabled(enabled) {
+    this.playbackEnabled = Boolean(enabled);
+    this.lastWritten.clear();
+    this.notify();
+  }
+
+  /**
+   * Called by the ParameterManager for every base value change; records it during a take.
+   * @private
+   * @param {ParameterChange} change - The change.
+   * @returns {void}
+   */
+  onParameterChange({ name, value, sourceController }) {
+    this.currentValues.set(name, value);
+    if (sourceController === this) {
+      this.writeAccepted = true;
+      return;
+    }
+    if (!this.isRecording || !Number.isFinite(value)) return;
+    const time = this.advanceTake();
+    const lane = this.take.lanes[name] || (this.take.lanes[name] = []);
+    const last = lane[lane.length - 1];
+
+    if (last && time - last.time < MIN_POINT_INTERVAL_MS && time >= last.time) {
+      last.value = value;
+      return;
+    }
+    if (lane.length >= MAX_POINTS_PER_LANE) {
+      if (!this.take.fullLanes.has(name)) {
+        console.warn(`[AutomationRecorder] Lane '${name}' is full (${MAX_POINTS_PER_LANE} points); further changes are dropped.`);
+        this.take.fullLanes.add(name);
+      }
+      return;
+    }
+    lane.push({ time, value });
+  }
+
+  /**
+   * Follows the playhead during a take. After a loop or a backward seek, the points of this take
+   * from the new position on are dropped, so the latest pass wins.
+   * @private
+   * @returns {number} The playhead position (ms).
+   */
+  advanceTake() {
+    const time = this.orbiter.getPlayheadMs();
+    const take = this.take;
+    if (time < take.lastTime - PLAYHEAD_JUMP_MS) {
+      Object.values(take.lanes).forEach(lane => {
+        while (lane.length && lane[lane.length - 1].time >= time) lane.pop();
+      });
+    }
+    take.lastTime = time;
+    take.end = Math.max(take.end, time);
+    return time;
+  }
+
+  /**
+   * Reacts to the Orbiter transport: playback follows it and pausing or stopping ends a recording.
+   * @private
+   * @param {string} state - "playing", "paused" or "stopped".
+   * @returns {void}
+   */
+  onTransport(state) {
+    if (state === 'playing') {
+      this.startLoop();
+      return;
+    }
+    if (this.isRecording) this.stopRecording();
+    this.stopLoop();
+  }
+
+  /**
+   * Starts the playback loop if it is not running.
+   * @private
+   * @returns {void}
+   */
+  startLoop() {
+    if (this.frame !== null) return;
+    this.lastWritten.clear();
+    this.frame = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  stopLoop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Writes every lane's value at the current playhead position. Runs once per frame while playing.
+   * @private
+   * @returns {void}
+   */
+  tick() {
+    if (!this.orbiter?.isPlaying()) {
+      this.frame = null;
+      return;
+    }
+    const time = this.isRecording ? this.advanceTake() : this.orbiter.getPlayheadMs();
+
+    if (this.playbackEnabled) {
+      Object.entries(this.lanes).forEach(([name, points]) => {
+        // Latched: a parameter recorded in this take is not played back until the take ends.
+        if (this.isRecording && this.take.lanes[name]?.length) return;
+        const steps = this.parameterManager.getParameter(name)?.meta?.steps || 0;
+        const value = interpolateLane(points, time, steps > 1);
+        if (value === null || this.lastWritten.get(name) === value) return;
+        this.writeValue(name, value);
+      });
+    }
+    this.frame = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Writes a lane value to its parameter.
+   * @private
+   * @param {string} name - The parameter.
+   * @param {number} value - The value (controller space).
+   * @returns {void}
+   */
+  writeValue(name, value) {
+    this.writeAccepted = false;
+    this.parameterManager.setRawValue(name, value, this, this.priority);
+    // A write refused by the priority arbitration (a live gesture in the last 50 ms) is retried next frame.
+    if (this.writeAccepted || this.currentValues.get(name) === value) {
+      this.lastWritten.set(name, value);
+    }
+  }
+
+  /**
+   * Lists the parameters that have automation.
+   * @returns {string[]}
+   */
+  getLaneNames() {
+    return Object.keys(this.lanes);
+  }
+
+  /**
+   * Returns a copy of a lane.
+   * @param {string} name - The parameter.
+   * @returns {Breakpoint[]}
+   */
+  getLane(name) {
+    return (this.lanes[name] || []).map(point => ({ ...point }));
+  }
+
+  /**
+   * Replaces a lane. Breakpoints are sorted by time; invalid ones are dropped.
+   * @param {string} name - The parameter.
+   * @param {Breakpoint[]} points - The new breakpoints. An empty list removes the lane.
+   * @returns {void}
+   *
+   * @example
+   * AutomationRecorderInstance.setLane('x', [{ time: 0, value: 0.2 }, { time: 4000, value: 0.8 }]);
+   */
+  setLane(name, points) {
+    const lane = sanitizeLane(points);
+    if (lane.length) this.lanes[name] = lane;
+    else delete this.lanes[name];
+    this.lastWritten.delete(name);
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Adds a breakpoint, replacing one at the same time.
+   * @param {string} name - The parameter.
+   * @param {number} time - Playhead position (ms).
+   * @param {number} value - The value (controller space).
+   * @returns {void}
+   */
+  addBreakpoint(name, time, value) {
+    const lane = this.getLane(name).filter(point => point.time !== time);
+    lane.push({ time, value });
+    this.setLane(name, lane);
+  }
+
+  /**
+   * Moves or changes a breakpoint.
+   * @param {string} name - The parameter.
+   * @param {number} index - Index of the breakpoint in the lane.
+   * @param {Partial<Breakpoint>} changes - New time and/or value.
+   * @returns {void}
+   */
+  updateBreakpoint(name, index, changes) {
+    const lane = this.getLane(name);
+    if (!lane[index]) return;
+    lane[index] = { ...lane[index], ...changes };
+    this.setLane(name, lane);
+  }
+
+  /**
+   * Removes a breakpoint.
+   * @param {string} name - The parameter.
+   * @param {number} index - Index of the breakpoint in the lane.
+   * @returns {void}
+   */
+  removeBreakpoint(name, index) {
+    const lane = this.getLane(name);
+    lane.splice(index, 1);
+    this.setLane(name, lane);
+  }
+
+  /**
+   * Thins out a lane, e.g. after recording, so it is easier to edit.
+   * @param {string} name - The parameter.
+   * @param {number} [tolerance=0.01] - Largest accepted error, as a fraction of the lane's value range.
+   * @returns {number} Number of breakpoints removed.
+   */
+  simplify(name, tolerance = SIMPLIFY_TOLERANCE) {
+    const lane = this.lanes[name];
+    if (!lane) return 0;
+    const values = lane.map(point => point.value);
+    const range = Math.max(...values) - Math.min(...values);
+    const simplified = simplifyLane(lane, range * tolerance);
+    this.setLane(name, simplified);
+    return lane.length - simplified.length;
+  }
+
+  /**
+   * Removes the automation of one parameter, or of every parameter if no name is given.
+   * @param {string} [name] - The parameter.
+   * @returns {void}
+   */
+  clear(name) {
+    if (name) {
+      this.setLane(name, []);
+      return;
+    }
+    this.lanes = {};
+    this.lastWritten.clear();
+    this.save();
+    this.notify();
+  }
+}
+
+/**
+ * Shared recorder, attached to the player in setupInteractions.
+ * @memberof CoreModule
+ * @type {AutomationRecorder}
+ */
+export const AutomationRecorderInstance = new AutomationRecorder();
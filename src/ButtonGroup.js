@@ -2,6 +2,15 @@
 
 import { ModeManagerInstance } from './ModeManager.js';
 import { MIDIControllerInstance } from './MIDIController.js';
+import { PresetManagerInstance } from './PresetManager.js';
+import { PresetPanel } from './PresetPanel.js';
+import { AutomationRecorderInstance } from './AutomationRecorder.js';
+import { AutomationPanel } from './AutomationPanel.js';
+import { OutputRecorderInstance } from './OutputRecorder.js';
+import { RecordingPanel } from './RecordingPanel.js';
+import { OrbiterMixerInstance } from './OrbiterMixer.js';
+import { MixerPanel } from './MixerPanel.js';
+import { togglePatchParameterControls } from './Interaction.js';
 import {
   MIDI_SUPPORTED,
   SENSORS_SUPPORTED,
@@ -13,6 +22,47 @@ import notifications from './AppNotifications.js';
 import { SensorController } from './SensorsController.js';
 import { cosmicLFOManager } from './Main.js'; // <--- Import LFO manager
 
+/**
+ * Tempo-synced rates offered in the Cosmic LFO frequency menus, as [division, label].
+ * Divisions are keys of TEMPO_DIVISIONS in CosmicLFO.js.
+ */
+const TEMPO_SYNC_MENU_ITEMS = [
+  ['1/1', '1 bar'],
+  ['1/2', '1/2'],
+  ['1/4', '1/4'],
+  ['1/8', '1/8'],
+  ['1/16', '1/16'],
+];
+
+/**
+ * Builds the tempo-sync section of an axis' Cosmic LFO frequency menu.
+ * The section is the same on every axis, so it is generated instead of repeated in index.html.
+ * @param {string} axis - 'x', 'y' or 'z'; prefixes the item IDs.
+ * @returns {string} HTML of the divider and the menu items.
+ */
+function tempoSyncMenuHTML(axis) {
+  const items = TEMPO_SYNC_MENU_ITEMS.map(([division, label]) => `
+    <li>
+      <a
+        class="dropdown-item"
+        href="#"
+        data-midi-controllable="false"
+        id="${axis}-sync-${division.replace('/', '-')}"
+        data-value="sync-${division}"
+        data-icon="/assets/icons/time.svg"
+      >
+        <img
+          src="/assets/icons/time.svg"
+          alt="sync ${label}"
+          class="menu-item-icon"
+          style="width: 16px; height: 16px; margin-right: 8px;"
+        >
+        Sync ${label}
+      </a>
+    </li>`);
+  return `<li><hr class="dropdown-divider"></li>${items.join('')}`;
+}
+
 export class ButtonGroup {
   /**
    * Creates an instance of ButtonGroup.
@@ -47,6 +97,13 @@ export class ButtonGroup {
     }
     this.dropdown = this.container.querySelector(dropdownSelector);
     this.button = this.container.querySelector(buttonSelector);
+
+    // Cosmic LFO frequency menus end with the tempo-synced rates
+    const groupType = this.container.getAttribute('data-group');
+    if (this.dropdown && groupType && groupType.endsWith('-exo-lfo-dropdown')) {
+      this.dropdown.insertAdjacentHTML('beforeend', tempoSyncMenuHTML(groupType.charAt(0)));
+    }
+
     this.menuItems = this.dropdown.querySelectorAll(menuItemsSelector);
     this.icon = this.button.querySelector(iconSelector);
     this.gridWrapper = document.querySelector('.grid-wrapper');
@@ -312,6 +369,11 @@ export class ButtonGroup {
         //console.log(`Axis=${lfo.axis}, freq halved => ${halved}`);
         break;
       default:
+        // Tempo-synced divisions are prefixed with 'sync-'
+        if (selectedValue.startsWith('sync-')) {
+          lfo.setTempoSync(true, selectedValue.slice('sync-'.length));
+          break;
+        }
         // It's presumably an exoplanet name
         lfo.setCurrentExoplanet(selectedValue);
         // Optionally call lfo.initialize(...) or lfo.computeFrequenciesFromExoData(...)
@@ -335,6 +397,30 @@ export class ButtonGroup {
           notifications.showToast('Entered fullscreen mode.');
         }
         break;
+      case 'Export MIDI':
+        MIDIControllerInstance?.downloadMappings();
+        break;
+      case 'Import MIDI':
+        MIDIControllerInstance?.promptImportMappings();
+        break;
+      case 'Presets':
+        new PresetPanel(PresetManagerInstance).open();
+        break;
+      case 'Automation':
+        new AutomationPanel(AutomationRecorderInstance).open();
+        break;
+      case 'Recording':
+        new RecordingPanel(OutputRecorderInstance).open();
+        break;
+      case 'Mixer':
+        new MixerPanel(OrbiterMixerInstance).open();
+        break;
+      case 'Patch Parameters':
+        togglePatchParameterControls();
+        break;
+      case 'MIDI Settings':
+        MIDIControllerInstance?.openSettingsPanel();
+        break;
       default:
         console.warn(`[More Dropdown] Unknown action: ${selectedValue}`);
     }
@@ -396,6 +482,9 @@ export class ButtonGroup {
       case 'stop':
         this.orbiter.stop();
         break;
+      case 'rec':
+        OutputRecorderInstance.toggle();
+        break;
       default:
         console.warn(`[Transport Dropdown] Unknown action: ${selectedValue}`);
     }
@@ -430,7 +519,7 @@ export class ButtonGroup {
 
     this.menuItems.forEach(item => {
       const value = item.getAttribute('data-value');
-      if (value === 'MIDI') {
+      if (['MIDI', 'MIDI Settings', 'Export MIDI', 'Import MIDI'].includes(value)) {
         item.style.display = MIDI_SUPPORTED ? 'block' : 'none';
       } else if (value === 'Sensors') {
         item.style.display = sensorsAvailable ? 'block' : 'none';
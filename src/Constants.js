@@ -130,13 +130,18 @@ export const Constants = {
      * Sets and caches track data for the specified trackId.
      * @param {string} trackId - The unique identifier for the track.
      * @param {object} trackData - The data object containing track information.
+     * @param {object} [options={}]
+     * @param {boolean} [options.makeCurrent=true] - Whether the data becomes `TRACK_DATA`. Tracks loaded
+     *   in the background (layers, the next track of a playlist) are only cached.
      * @throws Will throw an error if `trackId` is not a valid string.
      */
-    setTrackData(trackId, trackData) {
+    setTrackData(trackId, trackData, { makeCurrent = true } = {}) {
         if (!trackId || typeof trackId !== 'string') {
             throw new Error('Invalid trackId. Must be a string.');
         }
-        this.TRACK_DATA = trackData;
+        if (makeCurrent) {
+            this.TRACK_DATA = trackData;
+        }
         lscache.set(trackId, trackData, this.CACHE_EXPIRY_MINUTES);
         //console.log(`[CACHE] Cached track data for trackId: ${trackId}`, trackData);
     },
@@ -144,17 +149,21 @@ export const Constants = {
     /**
      * Retrieves cached track data for the specified trackId.
      * @param {string} trackId - The unique identifier for the track.
+     * @param {object} [options={}]
+     * @param {boolean} [options.makeCurrent=true] - Whether the data found becomes `TRACK_DATA`.
      * @returns {object|null} - Returns the cached track data or null if not found.
      * @throws Will throw an error if `trackId` is not a valid string.
      */
-    getTrackData(trackId) {
+    getTrackData(trackId, { makeCurrent = true } = {}) {
         if (!trackId || typeof trackId !== 'string') {
             throw new Error('Invalid trackId. Must be a string.');
         }
         const cachedData = lscache.get(trackId);
         if (cachedData) {
             //console.log(`[CACHE] Found track data for trackId: ${trackId}`, cachedData);
-            this.TRACK_DATA = cachedData;
+            if (makeCurrent) {
+                this.TRACK_DATA = cachedData;
+            }
             return cachedData;
         }
         console.warn(`[CACHE] No track data found for trackId: ${trackId}`);
@@ -221,6 +230,12 @@ export const PRIORITY_MAP = {
     "cosmic-lfo-A": 11,
     "cosmic-lfo-B": 12,
     "cosmic-lfo-C": 13,
+
+    // Preset recall and morphing (yield to anything played live)
+    "preset": 14,
+
+    // Automation playback (a live gesture on a recorded parameter takes over)
+    "automation": 15,
 };
 /**
  * @constant
@@ -3,7 +3,24 @@
 import { MathUtils } from 'three';
 import { ModeManagerInstance } from './ModeManager.js';
 import notifications from './AppNotifications.js';
-import { ParameterManager } from './ParameterManager.js';
+
+/**
+ * Tempo-synced cycle lengths, in quarter-note beats.
+ * "T" marks triplets and "D" dotted values.
+ */
+export const TEMPO_DIVISIONS = {
+  '4/1': 16,
+  '2/1': 8,
+  '1/1': 4,
+  '1/2': 2,
+  '1/2D': 3,
+  '1/4': 1,
+  '1/4D': 1.5,
+  '1/4T': 2 / 3,
+  '1/8': 0.5,
+  '1/8T': 1 / 3,
+  '1/16': 0.25,
+};
 
 /**
  * @class CosmicLFO
@@ -15,9 +32,11 @@ export class CosmicLFO {
   /**
    * Constructor for a new CosmicLFO instance.
    * @param {string} axis - The axis this LFO controls ('x', 'y', or 'z').
+   * @param {ParameterManager} parameterManager - The manager of the parameters the LFO modulates.
    */
-  constructor(axis) {
+  constructor(axis, parameterManager) {
     this.axis = axis;
+    this.parameterManager = parameterManager;
     this.isActive = false;
     this.waveform = 'sine';
     this.baseFrequency = 0.01;
@@ -28,6 +47,10 @@ export class CosmicLFO {
     this.debug = false; // Set to true to enable debug logging
     this.currentExoplanet = null; // Initialize current exoplanet
     this.currentMultiplier = 1;   // New: cumulative multiplier for base frequency
+    this.tempoSync = false;       // When true, the rate follows the tempo instead of the exoplanet
+    this.division = '1/4';        // Cycle length when tempo-synced (see TEMPO_DIVISIONS)
+    this.tempo = 120;             // BPM used in tempo-synced mode
+    this.modulationSourceId = `cosmic-lfo-${axis}`; // Route ID in the ParameterManager modulation matrix
     //console.log(`CosmicLFO (${this.axis}): Initialized.`);
   }
 /**
@@ -93,6 +116,13 @@ attachTriggerSwitch(switchId) {
     this.isActive = true;
     this.phase = 0; // reset phase if desired
 
+    // Modulate around the axis' base value: a full swing (amplitude 1) spans the whole range.
+    this.parameterManager.addModulationRoute(this.axis, this.modulationSourceId, {
+      depth: 0.5,
+      polarity: 'bipolar',
+      mode: 'sum',
+    });
+
     // Update approximately 30 times per second
     this.updateIntervalId = setInterval(() => {
       this.update();
@@ -112,6 +142,7 @@ attachTriggerSwitch(switchId) {
       clearInterval(this.updateIntervalId);
       this.updateIntervalId = null;
     }
+    this.parameterManager.removeModulationRoute(this.axis, this.modulationSourceId);
   }
 
   /**
@@ -119,7 +150,10 @@ attachTriggerSwitch(switchId) {
    */
   update() {
     const deltaTime = 1 / 30; // Update at 30 Hz
-    const twoPiFreq = 2.0 * Math.PI * this.baseFrequency;
+    const parameterManager = this.parameterManager;
+    // The shared 'cosmic-lfo-rate' parameter scales every LFO, in octaves (e.g. from the gravity macro).
+    const rateOctaves = parameterManager.getRawValue('cosmic-lfo-rate') ?? 0;
+    const twoPiFreq = 2.0 * Math.PI * this.baseFrequency * Math.pow(2, rateOctaves);
     this.phase += twoPiFreq * deltaTime;
     if (this.phase > 10000) this.phase = 0;
 
@@ -128,8 +162,7 @@ attachTriggerSwitch(switchId) {
     
     // Remove DOM updates and instead update the ParameterManager:
     const normalizedModulatedValue = (modulatedValue + 1) / 2;
-    const parameterManager = ParameterManager.getInstance();
-    parameterManager.setNormalizedValue(this.axis, normalizedModulatedValue);
+    parameterManager.setModulationValue(this.axis, this.modulationSourceId, normalizedModulatedValue);
     
     // Existing debug code (if enabled) remains unchanged:
 // In the update() method, update the debug block as follows:
@@ -260,8 +293,10 @@ if (this.debug) {
   }
   
 // In setCurrentExoplanet(), update the base frequency using the stored currentMultiplier.
+// Picking an exoplanet leaves tempo-synced mode.
 setCurrentExoplanet(exoplanetValue) {
   this.currentExoplanet = exoplanetValue;
+  this.tempoSync = false;
   this.baseFrequency = this.exoFrequencies[this.currentExoplanet] * this.currentMultiplier;
   this.updateFrequencyMonitor();
   //console.log(`CosmicLFO (${this.axis}): Current exoplanet set to ${exoplanetValue}. Base frequency set to ${this.baseFrequency} Hz.`);
@@ -293,9 +328,11 @@ setExoFrequencies(exoData) {
     //console.log(`CosmicLFO (${this.axis}): Default current exoplanet set to ${this.currentExoplanet}.`);
   }
   
-  // Update the base frequency using the currentMultiplier.
-  this.baseFrequency = this.exoFrequencies[this.currentExoplanet] * this.currentMultiplier;
-  this.updateFrequencyMonitor();
+  // Update the base frequency using the currentMultiplier (unless the rate follows the tempo).
+  if (!this.tempoSync) {
+    this.baseFrequency = this.exoFrequencies[this.currentExoplanet] * this.currentMultiplier;
+    this.updateFrequencyMonitor();
+  }
   
   // Store the initial base frequency if not already set.
   if (!this.initialBaseFrequency) {
@@ -314,7 +351,8 @@ setExoFrequencies(exoData) {
 applyTriggerMultiplier(multiplier) {
   // Calculate the prospective new multiplier and new base frequency.
   const newMultiplier = this.currentMultiplier * multiplier;
-  const newBaseFrequency = this.exoFrequencies[this.currentExoplanet] * newMultiplier;
+  const referenceFrequency = this.tempoSync ? this.getTempoFrequency() : this.exoFrequencies[this.currentExoplanet];
+  const newBaseFrequency = referenceFrequency * newMultiplier;
   
   // If the new frequency is above 100 Hz, do not update.
   if (newBaseFrequency > 100) {
@@ -336,6 +374,93 @@ applyTriggerMultiplier(multiplier) {
   //console.log(`CosmicLFO (${this.axis}): Base frequency updated to ${this.baseFrequency} Hz using multiplier ${multiplier}.`);
 }
 
+  /**
+   * Switches between tempo-synced and exoplanet-derived rates.
+   * In tempo-synced mode one LFO cycle lasts the given beat division.
+   * @param {boolean} enabled - Whether the rate follows the tempo.
+   * @param {string} [division=this.division] - One of the keys of TEMPO_DIVISIONS.
+   */
+  setTempoSync(enabled, division = this.division) {
+    if (!(division in TEMPO_DIVISIONS)) {
+      console.warn(`CosmicLFO (${this.axis}): Unknown tempo division '${division}'.`);
+      return;
+    }
+    this.tempoSync = Boolean(enabled);
+    this.division = division;
+    this.currentMultiplier = 1;
+    this.baseFrequency = this.tempoSync
+      ? this.getTempoFrequency()
+      : (this.getExoBaseFrequency() ?? this.baseFrequency);
+    this.updateFrequencyMonitor();
+  }
+
+  /**
+   * Sets the tempo used in tempo-synced mode, e.g. from an external MIDI clock.
+   * @param {number} bpm - Beats per minute.
+   */
+  setTempo(bpm) {
+    if (!(bpm > 0)) return;
+    this.tempo = bpm;
+    if (this.tempoSync) {
+      this.baseFrequency = this.getTempoFrequency() * this.currentMultiplier;
+      this.updateFrequencyMonitor();
+    }
+  }
+
+  /**
+   * Frequency in Hz of one cycle per beat division at the current tempo.
+   * @returns {number}
+   */
+  getTempoFrequency() {
+    return (this.tempo / 60) / TEMPO_DIVISIONS[this.division];
+  }
+
+  /**
+   * Aligns the phase with a song position, so synced LFOs restart on the beat.
+   * Ignored when the rate is not tempo-synced.
+   * @param {number} beats - Song position in quarter notes.
+   */
+  syncToBeat(beats) {
+    if (!this.tempoSync) return;
+    const cycleBeats = TEMPO_DIVISIONS[this.division] / this.currentMultiplier;
+    this.phase = 2 * Math.PI * ((beats % cycleBeats) / cycleBeats);
+  }
+
+  /**
+   * Returns the settings stored in presets: waveform, exoplanet, multiplier and tempo sync.
+   * @returns {{ waveform: string, exoplanet: string|null, multiplier: number, tempoSync: boolean, division: string }}
+   */
+  getState() {
+    return {
+      waveform: this.waveform,
+      exoplanet: this.currentExoplanet,
+      multiplier: this.currentMultiplier,
+      tempoSync: this.tempoSync,
+      division: this.division,
+    };
+  }
+
+  /**
+   * Restores settings captured with getState(). Missing fields keep their current value.
+   * @param {Object} state - A state returned by getState().
+   */
+  setState(state) {
+    if (!state) return;
+    if (state.waveform) this.setWaveform(state.waveform);
+    if (state.exoplanet && this.exoFrequencies && state.exoplanet in this.exoFrequencies) {
+      this.currentExoplanet = state.exoplanet;
+    }
+    if (state.division in TEMPO_DIVISIONS) this.division = state.division;
+    if (typeof state.tempoSync === 'boolean') this.tempoSync = state.tempoSync;
+    if (state.multiplier > 0) this.currentMultiplier = state.multiplier;
+
+    const referenceFrequency = this.tempoSync ? this.getTempoFrequency() : this.getExoBaseFrequency();
+    if (referenceFrequency !== undefined) {
+      this.baseFrequency = referenceFrequency * this.currentMultiplier;
+      this.updateFrequencyMonitor();
+    }
+  }
+
   triggerKick(triggerLabel) {
     let multiplier;
     if (triggerLabel.endsWith('1')) {
@@ -0,0 +1,20 @@
+// src/DOMUtils.js
+
+/**
+ * @file DOMUtils.js
+ * @description Helpers shared by the panels that render their content as HTML strings.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/**
+ * Escapes text for use inside HTML, including attribute values.
+ * @param {*} text - The text to escape; other values are converted to strings.
+ * @returns {string}
+ *
+ * @example
+ * escapeHTML('<b>Pad & Lead</b>'); // '&#60;b&#62;Pad &#38; Lead&#60;/b&#62;'
+ */
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
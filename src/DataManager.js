@@ -384,15 +384,18 @@ export class DataManager {
      * @async
      * @public
      * @param {string} trackId - The ID of the track to fetch data for.
+     * @param {Object} [options={}]
+     * @param {boolean} [options.makeCurrent=true] - Whether the data becomes `Constants.TRACK_DATA`.
+     *   Pass false for tracks loaded next to or ahead of the current one.
      * @returns {Promise<Object>} The track data.
      * @throws Will throw an error if the fetch fails or the data is invalid.
      */
-    async fetchTrackData(trackId) {
+    async fetchTrackData(trackId, { makeCurrent = true } = {}) {
         const fetchStartTime = new Date();
         //console.log(`[DataManager] [Timing] fetchTrackData started at: ${fetchStartTime.toISOString()} for trackId: ${trackId}`);
        
         // Attempt to retrieve cached data
-        const cachedData = Constants.getTrackData(trackId);
+        const cachedData = Constants.getTrackData(trackId, { makeCurrent });
         if (cachedData) {
             //console.log('[DataManager] Track data found in cache:', cachedData);
             return cachedData;
@@ -444,7 +447,7 @@ export class DataManager {
             }
 
             // Cache the retrieved data for future use
-            Constants.setTrackData(trackId, result.data);
+            Constants.setTrackData(trackId, result.data, { makeCurrent });
             const fetchEndTime = new Date();
             //console.log(`[DataManager] [Timing] fetchTrackData finished at: ${fetchEndTime.toISOString()}`);
             return result.data;
@@ -0,0 +1,56 @@
+// src/HeadlessRenderer.js
+
+/**
+ * @file HeadlessRenderer.js
+ * @description Standalone entry of the offline renderer, e.g. for build machines driving a headless
+ * browser. Loads the RNBO library and the patcher, builds the parameter schema and renders the track
+ * with its automation, without the player, its interface or an audio device. render.html loads it
+ * and exposes it as `window.InterplanetaryRenderer`.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import { loadRNBOLibrary } from './RNBOLoader.js';
+import { buildParameterSchema } from './ParameterSchema.js';
+import { renderOffline, renderToWav } from './OfflineRenderer.js';
+
+/**
+ * @typedef {Object} HeadlessRenderOptions
+ * @property {string} patchExportURL - URL of the RNBO patcher export (the track's `orbiterJSONURL`).
+ * @property {string} [audioURL] - The track audio; or pass `audioBuffer`.
+ * @property {Object} [orbiterParams] - The track's orbiter parameters, completing the schema.
+ * All other options are passed to renderOffline, see {@link RenderOptions}.
+ */
+
+/**
+ * Renders a track offline from its patcher and audio URLs.
+ * @param {HeadlessRenderOptions} options - What to render.
+ * @returns {Promise<AudioBuffer>} The rendered audio.
+ * @throws {Error} If the patcher or audio cannot be loaded.
+ *
+ * @example
+ * // In render.html, e.g. driven by a headless browser:
+ * const rendered = await InterplanetaryRenderer.renderTrack({ patchExportURL, audioURL, automation: lanes });
+ */
+export async function renderTrack({ patchExportURL, orbiterParams = {}, ...options }) {
+  if (!patchExportURL) {
+    throw new Error('[HeadlessRenderer] patchExportURL is required.');
+  }
+  const { rnbo, patcher } = await loadRNBOLibrary(patchExportURL);
+  const schema = buildParameterSchema(patcher, orbiterParams);
+  return renderOffline({ ...options, rnbo, patcher, schema });
+}
+
+/**
+ * Renders a track offline and encodes it as a WAV file.
+ * @param {HeadlessRenderOptions & { bitDepth?: number }} options - What to render; `bitDepth` is 16 or 24.
+ * @returns {Promise<Blob>} The WAV file.
+ *
+ * @example
+ * const wav = await InterplanetaryRenderer.renderTrackToWav({ patchExportURL, audioURL, region: { start: 0, end: 30 } });
+ */
+export async function renderTrackToWav({ bitDepth = 24, ...options }) {
+  return renderToWav(await renderTrack(options), bitDepth);
+}
+
+export { renderOffline, renderToWav };
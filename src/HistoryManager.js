@@ -0,0 +1,298 @@
+// src/HistoryManager.js
+
+/**
+ * @file HistoryManager.js
+ * @description Bounded undo/redo history of user-originated changes: parameter gestures,
+ * MIDI mapping edits, mode switches and loop region edits.
+ * Modulation updates (Cosmic LFOs, sensors) never pass through the parameter setters and are not recorded.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import { Observable } from './Observable.js';
+
+/** Maximum number of undo steps kept. */
+const HISTORY_LIMIT = 100;
+
+/** Changes with the same key closer together than this (ms) form one step, e.g. a knob drag. */
+const COALESCE_MS = 600;
+
+/** Priority of undo/redo writes; above every controller so they are never ignored. */
+const HISTORY_PRIORITY = 0;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Short description, e.g. "x" or "Mode: COSMIC_LFO".
+ * @property {function(): void} undo - Reverts the change.
+ * @property {function(): void} redo - Re-applies the change.
+ * @property {string} [coalesceKey] - Consecutive entries with the same key are merged.
+ * @property {Object<string, number>[]} [snapshots] - Parameter values written on undo and redo, see forgetParameters().
+ * @property {number} [time] - Time of the last merged change (ms).
+ */
+
+/**
+ * Undo/redo stack. Subscribers are called whenever the stacks change.
+ * @class
+ * @memberof CoreModule
+ */
+export class HistoryManager extends Observable {
+  constructor() {
+    super();
+    /** @type {HistoryEntry[]} */
+    this.undoStack = [];
+    /** @type {HistoryEntry[]} */
+    this.redoStack = [];
+    /** @type {boolean} True while an entry is being undone or redone; nothing is recorded meanwhile. */
+    this.isApplying = false;
+    /** @type {WeakSet<object>} Parameter sources that record their own entries or are not user input. */
+    this.ignoredSources = new WeakSet();
+    /** @type {ParameterManager|null} */
+    this.parameterManager = null;
+    /** @type {{ before: Object<string, number>, after: Object<string, number> }|null} Changes collected by transaction(). */
+    this.transactionState = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Records an entry. Ignored while undoing or redoing.
+   * Clears the redo stack.
+   * @param {HistoryEntry} entry - The change.
+   * @returns {void}
+   *
+   * @example
+   * HistoryManagerInstance.record({ label: 'Rename', undo: () => rename(old), redo: () => rename(next) });
+   */
+  record(entry) {
+    if (this.isApplying) return;
+    const now = performance.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (entry.coalesceKey && last && last.coalesceKey === entry.coalesceKey && now - last.time < COALESCE_MS) {
+      // Keep the original undo; the step now ends at the latest value.
+      last.redo = entry.redo;
+      if (last.snapshots && entry.snapshots) last.snapshots = [last.snapshots[0], entry.snapshots[1]];
+      last.time = now;
+    } else {
+      this.undoStack.push({ ...entry, time: now });
+      if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Reverts the latest step.
+   * @returns {boolean} False if there was nothing to undo.
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+    this.apply(entry, 'undo');
+    this.redoStack.push(entry);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Re-applies the latest undone step.
+   * @returns {boolean} False if there was nothing to redo.
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+    this.apply(entry, 'redo');
+    // A redone step never merges with a following gesture.
+    entry.time = -Infinity;
+    this.undoStack.push(entry);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Runs an entry's undo or redo callback without recording the changes it causes.
+   * @private
+   * @param {HistoryEntry} entry - The entry.
+   * @param {'undo'|'redo'} direction - Which callback to run.
+   * @returns {void}
+   */
+  apply(entry, direction) {
+    this.isApplying = true;
+    try {
+      entry[direction]();
+    } catch (error) {
+      console.error(`[HistoryManager] Failed to ${direction} '${entry.label}':`, error);
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /** @returns {boolean} */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /** @returns {boolean} */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Empties both stacks, e.g. when another track is loaded.
+   * @returns {void}
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Drops removed parameters from the recorded steps, e.g. those of a patcher that is no longer
+   * loaded. Steps left without any parameter are removed.
+   * @param {string[]} names - The removed parameters.
+   * @returns {void}
+   */
+  forgetParameters(names) {
+    const removed = new Set(names);
+    const keep = entry => {
+      if (!entry.snapshots) return true;
+      entry.snapshots.forEach(values => {
+        Object.keys(values).filter(name => removed.has(name)).forEach(name => delete values[name]);
+      });
+      return entry.snapshots.some(values => Object.keys(values).length > 0);
+    };
+    this.undoStack = this.undoStack.filter(keep);
+    this.redoStack = this.redoStack.filter(keep);
+    this.notify();
+  }
+
+  /**
+   * Starts recording parameter changes made by user controllers.
+   * @param {ParameterManager} parameterManager - The manager to follow.
+   * @returns {void}
+   */
+  trackParameters(parameterManager) {
+    if (this.parameterManager) return;
+    this.parameterManager = parameterManager;
+    this.ignoredSources.add(this);
+    parameterManager.addChangeListener(({ name, previousValue, value, sourceController }) => {
+      this.recordParameterChange(name, previousValue, value, sourceController);
+    });
+  }
+
+  /**
+   * Excludes a parameter source from automatic recording, e.g. one that records its own entries.
+   * @param {object} source - The source controller.
+   * @returns {void}
+   */
+  ignoreSource(source) {
+    this.ignoredSources.add(source);
+  }
+
+  /**
+   * Records a parameter change, coalescing a continuous gesture into one step.
+   * Changes without a source controller are not user input and are skipped, as are macro target updates.
+   * @private
+   * @param {string} name - The parameter.
+   * @param {number} previousValue - Value before the change (controller space).
+   * @param {number} value - Value after the change (controller space).
+   * @param {object|null} sourceController - The controller that made the change.
+   * @returns {void}
+   */
+  recordParameterChange(name, previousValue, value, sourceController) {
+    if (this.isApplying || !sourceController || this.ignoredSources.has(sourceController)) return;
+
+    if (this.transactionState) {
+      if (!(name in this.transactionState.before)) this.transactionState.before[name] = previousValue;
+      this.transactionState.after[name] = value;
+      return;
+    }
+    this.recordSnapshotChange(name, { [name]: previousValue }, { [name]: value }, `param:${name}`);
+  }
+
+  /**
+   * Records a change between two parameter snapshots.
+   * @param {string} label - Description of the step.
+   * @param {Object<string, number>} before - Values before the change.
+   * @param {Object<string, number>} after - Values after the change.
+   * @param {string} [coalesceKey] - Merge key for continuous gestures.
+   * @returns {void}
+   *
+   * @example
+   * HistoryManagerInstance.recordSnapshotChange('Preset: Drift', before, preset.parameters);
+   */
+  recordSnapshotChange(label, before, after, coalesceKey) {
+    const manager = this.parameterManager;
+    if (!manager) return;
+    this.record({
+      label,
+      coalesceKey,
+      snapshots: [before, after],
+      undo: () => manager.applySnapshot(before, this, HISTORY_PRIORITY),
+      redo: () => manager.applySnapshot(after, this, HISTORY_PRIORITY),
+    });
+  }
+
+  /**
+   * Runs a function and records all parameter changes it makes as a single step.
+   * @param {string} label - Description of the step.
+   * @param {function(): void} fn - The changes.
+   * @returns {void}
+   *
+   * @example
+   * HistoryManagerInstance.transaction('Snapshot 2', () => user1Manager.applySnapshot(values, controller, 1));
+   */
+  transaction(label, fn) {
+    if (this.transactionState) {
+      fn();
+      return;
+    }
+    this.transactionState = { before: {}, after: {} };
+    try {
+      fn();
+    } finally {
+      const { before, after } = this.transactionState;
+      this.transactionState = null;
+      if (Object.keys(after).length) this.recordSnapshotChange(label, before, after);
+    }
+  }
+
+  /**
+   * Enables Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) and Ctrl+Y.
+   * @returns {void}
+   */
+  bindKeyboard() {
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * Handles the undo/redo shortcuts, leaving text fields their native undo.
+   * @private
+   * @param {KeyboardEvent} event - The keydown event.
+   * @returns {void}
+   */
+  handleKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) this.redo();
+      else this.undo();
+    } else if (key === 'y') {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+}
+
+/**
+ * Shared history, connected to the ParameterManager in setupInteractions.
+ * @memberof CoreModule
+ * @type {HistoryManager}
+ */
+export const HistoryManagerInstance = new HistoryManager();
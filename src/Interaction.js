@@ -16,6 +16,11 @@ import { MIDI_SUPPORTED, SENSORS_SUPPORTED, INTERNAL_SENSORS_USABLE, EXTERNAL_SE
 import notifications from './AppNotifications.js';
 import { SensorController } from './SensorsController.js'; // Import the class instead of instance
 import { PlaybackController } from "./PlaybackController.js";
+import { PresetManagerInstance } from './PresetManager.js';
+import { HistoryManagerInstance } from './HistoryManager.js';
+import { AutomationRecorderInstance } from './AutomationRecorder.js';
+import { OutputRecorderInstance } from './OutputRecorder.js';
+import { cosmicLFOManager } from './Main.js';
 import { updateOrbitColor } from './Scene.js';
 /**
  * Sets up interactions for dynamic placeholder updates.
@@ -55,6 +60,29 @@ export function setupInteractions(dataManager, orbiter, user1Manager) {
     // 2) Initialize PlaybackController here
     const playbackController = new PlaybackController(orbiter);
 
+    // 3) Presets capture parameters, Cosmic LFO settings and the loop region of this track
+    PresetManagerInstance.attach({ parameterManager: user1Manager, cosmicLFOManager, orbiter, playbackController });
+
+    // 4) Undo/redo of user changes (Ctrl+Z / Ctrl+Shift+Z)
+    HistoryManagerInstance.trackParameters(user1Manager);
+    HistoryManagerInstance.bindKeyboard();
+
+    // 5) Transport Rec records the Orbiter output as a take, with automation replayed while playing
+    AutomationRecorderInstance.attach({ parameterManager: user1Manager, orbiter });
+    OutputRecorderInstance.attach({ orbiter, playbackController, getTempo: () => cosmicLFOManager.x.tempo });
+    const updateRecItem = () => {
+      const isRecording = OutputRecorderInstance.isRecording || AutomationRecorderInstance.isRecording;
+      document.getElementById('rec-item')?.classList.toggle('active', isRecording);
+    };
+    AutomationRecorderInstance.subscribe(updateRecItem);
+    OutputRecorderInstance.subscribe(updateRecItem);
+
+    // 6) Restore MIDI mappings saved for this orbiter and follow external MIDI transport
+    if (MIDI_SUPPORTED && MIDIControllerInstance) {
+      MIDIControllerInstance.setOrbiter(orbiter);
+      MIDIControllerInstance.setParameterManager(user1Manager);
+      MIDIControllerInstance.restorePersistedMappings();
+    }
   }
 /**
  * Registers all dropdown items in the initialized ButtonGroups with MIDIController.
@@ -125,6 +153,96 @@ export function applyColorsFromTrackData(trackData) {
     //console.log('[COLORS] Applied colors from track data to UI components.');
 }
 
+/**
+ * Creates a knob for every patcher parameter of the schema in the patch parameters panel.
+ * Knobs are bound through `root-param`, so they follow the ParameterManager and can be MIDI-learned and automated.
+ * @memberof CoreModule 
+ * @function createPatchParameterControls
+ * @param {ParameterDefinition[]} schema - The registered parameter schema.
+ * @returns {void}
+ */
+export function createPatchParameterControls(schema) {
+    const panel = document.getElementById('patchParamsPanel');
+    if (!panel) {
+        console.warn('Container for patch parameters not found.');
+        return;
+    }
+    panel.innerHTML = '';
+
+    schema.filter(definition => definition.generated).forEach(definition => {
+        const { name, min, max, initValue, steps, enumValues, unit, displayName } = definition;
+        const control = document.createElement('div');
+        control.className = 'patch-param';
+
+        const knob = document.createElement('webaudio-knob');
+        knob.id = `patch-${name.replace(/[^\w-]/g, '_')}Knob`;
+        knob.setAttribute('root-param', name);
+        knob.setAttribute('min', min);
+        knob.setAttribute('max', max);
+        knob.setAttribute('value', initValue);
+        // Stepped parameters snap to their steps; continuous ones use 1/100 of the range.
+        knob.setAttribute('step', steps > 1 ? (max - min) / (steps - 1) : (max - min) / 100);
+        knob.setAttribute('colors', 'var(--color1);var(--color2);var(--color3)');
+        knob.setAttribute('midilearn', '1');
+        knob.setAttribute('is-bidirectional', true);
+        knob.setAttribute('sensitivity', 0.3);
+        knob.setAttribute('data-automatable', 'true');
+        knob.setAttribute('tooltip', enumValues ? `${displayName}: ${enumValues.join(' / ')}` : `${displayName} %s${unit ? ` ${unit}` : ''}`);
+
+        const label = document.createElement('span');
+        label.className = 'patch-param-label';
+        label.textContent = unit ? `${displayName} (${unit})` : displayName;
+
+        control.append(knob, label);
+        if (definition.macroTargets) {
+            control.appendChild(createSensorAssignSelect(name));
+        }
+        panel.appendChild(control);
+    });
+}
+
+/**
+ * Creates the select that assigns a sensor axis to a macro.
+ * @memberof CoreModule 
+ * @private
+ * @param {string} macroName - The macro parameter.
+ * @returns {HTMLSelectElement}
+ */
+function createSensorAssignSelect(macroName) {
+    const axes = ['x', 'y', 'z', 'distance'];
+    const assigned = SensorController.getStoredAxisTargets();
+    const select = document.createElement('select');
+    select.className = 'form-select form-select-sm patch-param-sensor';
+    select.setAttribute('aria-label', `Sensor axis for ${macroName}`);
+    select.innerHTML = `<option value="">No sensor</option>${axes.map(axis => `<option value="${axis}">Sensor ${axis}</option>`).join('')}`;
+    select.value = axes.find(axis => assigned[axis] === macroName) || '';
+
+    select.addEventListener('change', () => {
+        // Release the axes driving this macro, then assign the chosen one.
+        const current = SensorController.getStoredAxisTargets();
+        axes.filter(axis => current[axis] === macroName).forEach(axis => SensorController.assignAxis(axis));
+        if (select.value) {
+            SensorController.assignAxis(select.value, macroName);
+        }
+    });
+    return select;
+}
+
+/**
+ * Shows or hides the patch parameters panel.
+ * @memberof CoreModule 
+ * @function togglePatchParameterControls
+ * @returns {void}
+ */
+export function togglePatchParameterControls() {
+    const panel = document.getElementById('patchParamsPanel');
+    if (!panel || panel.childElementCount === 0) {
+        notifications.showToast('This orbiter exposes no further parameters.', 'info');
+        return;
+    }
+    panel.hidden = !panel.hidden;
+}
+
 /**
  * Dynamically creates and updates knobs based on track data.
  * Configures UI components for orbiter parameters.
@@ -57,6 +57,34 @@ async function loadGLBModelWithRetry(url, retries = MAX_RETRIES) {
     }
 }
 
+/**
+ * Loads the GLB model of a track without adding it to a scene.
+ * @memberof 3DGUI 
+ * @async
+ * @public
+ * @param {object} trackData - The track data containing information about the interplanetary player.
+ * @param {string} trackData.interplanetaryPlayer.modelURL - The URL of the GLB model to load.
+ * @returns {Promise<THREE.Group>} - A promise that resolves to the model, placed at the origin.
+ * @throws {Error} - Throws an error if the modelURL is missing or if loading fails.
+ *
+ * @example
+ * const model = await loadModel(trackData);
+ * scene.add(model);
+ */
+export async function loadModel(trackData) {
+    const modelURL = trackData?.interplanetaryPlayer?.modelURL;
+    if (!modelURL) {
+        throw new Error('Missing modelURL in interplanetaryPlayer data.');
+    }
+
+    //console.log('[ModelLoader] Initiating GLB model loading...');
+    const model = await loadGLBModelWithRetry(modelURL);
+
+    // Set the model's position or any other transformations if needed
+    model.position.set(0, 0, 0);
+    return model;
+}
+
 /**
  * Loads and displays a GLB model within a Three.js scene using provided track data.
  * @memberof 3DGUI 
@@ -66,7 +94,7 @@ async function loadGLBModelWithRetry(url, retries = MAX_RETRIES) {
  * @param {object} trackData - The track data containing information about the interplanetary player.
  * @param {object} trackData.interplanetaryPlayer - The interplanetary player data.
  * @param {string} trackData.interplanetaryPlayer.modelURL - The URL of the GLB model to load.
- * @returns {Promise<void>} - A promise that resolves once the model is loaded and added to the scene.
+ * @returns {Promise<THREE.Group>} - A promise that resolves to the model once it is loaded and added to the scene.
  * @throws {Error} - Throws an error if the modelURL is missing or if loading fails.
  *
  * @example
@@ -87,25 +115,15 @@ async function loadGLBModelWithRetry(url, retries = MAX_RETRIES) {
  */
 export async function loadAndDisplayModel(scene, trackData) {
     try {
-        const { interplanetaryPlayer } = trackData;
-        const { modelURL } = interplanetaryPlayer;
         Constants.setLoadingState("modelLoaded", false); // ⏳ Start loading
-
-        if (!modelURL) {
-            throw new Error('Missing modelURL in interplanetaryPlayer data.');
-        }
-
-        //console.log('[ModelLoader] Initiating GLB model loading...');
-        const model = await loadGLBModelWithRetry(modelURL);
-
-        // Set the model's position or any other transformations if needed
-        model.position.set(0, 0, 0);
+        const model = await loadModel(trackData);
 
         // Add the loaded model to the scene
         scene.add(model);
         Constants.setLoadingState("modelLoaded", true);
 
         //console.log('[ModelLoader] GLB model loaded and added to the scene successfully.');
+        return model;
     } catch (error) {
         console.error('[ModelLoader] Error loading GLB model:', error);
         throw error;
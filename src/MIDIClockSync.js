@@ -0,0 +1,178 @@
+// src/MIDIClockSync.js
+
+/**
+ * @file MIDIClockSync.js
+ * @description Follows MIDI clock (24 pulses per quarter note), start/continue/stop and
+ * song position pointer messages, and derives tempo and song position from them.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** MIDI system real-time and common status bytes. */
+export const MIDI_CLOCK = 0xF8;
+export const MIDI_START = 0xFA;
+export const MIDI_CONTINUE = 0xFB;
+export const MIDI_STOP = 0xFC;
+export const MIDI_SONG_POSITION = 0xF2;
+
+/** Clock pulses per quarter note. */
+const PPQN = 24;
+
+/** Number of pulse intervals averaged for the tempo estimate (one beat). */
+const TEMPO_WINDOW = PPQN;
+
+/** Tempo changes smaller than this (BPM) are not reported, to avoid jitter. */
+const TEMPO_TOLERANCE = 0.5;
+
+/** Without a pulse for this long (ms) the clock is considered lost. */
+const CLOCK_TIMEOUT_MS = 1000;
+
+/**
+ * @typedef {Object} MIDIClockListener
+ * @property {function(number): void} [onTempo] - Called with the new BPM when the tempo changes.
+ * @property {function(number): void} [onBeat] - Called on every quarter note with the song position in beats.
+ * @property {function(): void} [onStart] - Called on MIDI Start (play from the beginning).
+ * @property {function(number): void} [onContinue] - Called on MIDI Continue with the song position in beats.
+ * @property {function(): void} [onStop] - Called on MIDI Stop.
+ * @property {function(number): void} [onPosition] - Called on Song Position Pointer with the position in beats.
+ */
+
+/**
+ * Tracks an external MIDI clock.
+ * @class
+ * @memberof InputInterface
+ */
+export class MIDIClockSync {
+  constructor() {
+    /** @type {number|null} Current tempo in BPM, or null before enough pulses arrived. */
+    this.bpm = null;
+    /** @type {boolean} Whether the external transport is running. */
+    this.isRunning = false;
+    /** @type {number} Clock pulses since song position 0. */
+    this.pulseCount = 0;
+    /** @type {number[]} Recent pulse intervals (ms). */
+    this.intervals = [];
+    /** @type {number|null} Timestamp of the previous pulse (ms). */
+    this.lastPulseTime = null;
+    /** @type {Set<MIDIClockListener>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * Registers a listener for clock events.
+   * @param {MIDIClockListener} listener - The listener.
+   * @returns {function(): void} Call to remove the listener.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notifies listeners.
+   * @private
+   * @param {string} name - Callback name.
+   * @param {...*} args - Callback arguments.
+   * @returns {void}
+   */
+  emit(name, ...args) {
+    this.listeners.forEach(listener => {
+      if (typeof listener[name] === 'function') {
+        try {
+          listener[name](...args);
+        } catch (error) {
+          console.error(`MIDIClockSync: '${name}' listener failed:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Current song position in beats (quarter notes).
+   * @returns {number}
+   */
+  get positionBeats() {
+    return this.pulseCount / PPQN;
+  }
+
+  /**
+   * Handles a system message. Returns false for messages that are not clock related.
+   * @param {Uint8Array|number[]} data - The raw MIDI bytes.
+   * @param {number} [timeStamp=performance.now()] - The message time stamp (ms).
+   * @returns {boolean} True if the message was consumed.
+   */
+  handleMessage(data, timeStamp = performance.now()) {
+    switch (data[0]) {
+      case MIDI_CLOCK:
+        this.handlePulse(timeStamp);
+        return true;
+      case MIDI_START:
+        this.pulseCount = 0;
+        this.isRunning = true;
+        this.emit('onStart');
+        return true;
+      case MIDI_CONTINUE:
+        this.isRunning = true;
+        this.emit('onContinue', this.positionBeats);
+        return true;
+      case MIDI_STOP:
+        this.isRunning = false;
+        this.emit('onStop');
+        return true;
+      case MIDI_SONG_POSITION: {
+        // Position is counted in sixteenth notes (6 pulses each).
+        const sixteenths = ((data[2] || 0) << 7) | (data[1] || 0);
+        this.pulseCount = sixteenths * 6;
+        this.emit('onPosition', this.positionBeats);
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Updates tempo and position from a clock pulse.
+   * @private
+   * @param {number} timeStamp - Pulse time (ms).
+   * @returns {void}
+   */
+  handlePulse(timeStamp) {
+    if (this.lastPulseTime !== null) {
+      const interval = timeStamp - this.lastPulseTime;
+      if (interval > CLOCK_TIMEOUT_MS) {
+        // The clock was interrupted; start a fresh estimate.
+        this.intervals = [];
+      } else if (interval > 0) {
+        this.intervals.push(interval);
+        if (this.intervals.length > TEMPO_WINDOW) this.intervals.shift();
+      }
+    }
+    this.lastPulseTime = timeStamp;
+
+    if (this.intervals.length >= PPQN / 2) {
+      const average = this.intervals.reduce((sum, v) => sum + v, 0) / this.intervals.length;
+      const bpm = 60000 / (average * PPQN);
+      if (this.bpm === null || Math.abs(bpm - this.bpm) >= TEMPO_TOLERANCE) {
+        this.bpm = Math.round(bpm * 10) / 10;
+        this.emit('onTempo', this.bpm);
+      }
+    }
+
+    if (this.isRunning) {
+      this.pulseCount++;
+      if (this.pulseCount % PPQN === 0) {
+        this.emit('onBeat', this.positionBeats);
+      }
+    }
+  }
+
+  /**
+   * Converts a song position in beats to milliseconds at the current tempo.
+   * @param {number} beats - Position in quarter notes.
+   * @returns {number|null} Milliseconds, or null while the tempo is unknown.
+   */
+  beatsToMs(beats) {
+    return this.bpm ? (beats * 60000) / this.bpm : null;
+  }
+}
@@ -14,6 +14,36 @@ import lscache from 'lscache';
 import { ButtonGroup } from './ButtonGroup.js';
 import { notifications } from './Main.js';
 import { ModeManagerInstance } from './ModeManager.js';
+import { findMIDIProfile } from './MIDIProfiles.js';
+import {
+  normalizeMappingOptions,
+  hasCustomOptions,
+  shapeValue,
+  createTakeoverState,
+  acceptTakeover,
+  decodeRelative,
+  relativeDelta,
+  detectEncoding,
+  MAPPING_CURVES,
+  TAKEOVER_MODES,
+  ENCODINGS,
+} from './MIDIMapping.js';
+import { MIDIMessageParser, SOURCE_LEARN_PRIORITY, formatMIDISource } from './MIDIMessageParser.js';
+import { MIDIFeedback } from './MIDIFeedback.js';
+import { MIDIClockSync } from './MIDIClockSync.js';
+import { MIDISettingsPanel } from './MIDISettingsPanel.js';
+import { MIDITriggerTable } from './MIDITriggers.js';
+import { PresetManagerInstance } from './PresetManager.js';
+import { HistoryManagerInstance } from './HistoryManager.js';
+
+/** Identifies exported MIDI mapping files. */
+const MIDI_MAPPINGS_FORMAT = 'interplanetary-midi-mappings';
+/** Current version of the exported MIDI mapping format. */
+const MIDI_MAPPINGS_VERSION = 1;
+/** Device name used for mappings learned before the sending input could be identified. */
+const MIDI_UNKNOWN_DEVICE = 'unknown';
+/** How long MIDI Learn gathers messages from one gesture before picking a source (ms). */
+const MIDI_LEARN_WINDOW_MS = 200;
 
 /**
  * MIDIController Singleton Class
@@ -39,14 +69,16 @@ class MIDIController {
     this.midiAccess = null;
 
     /**
-     * @type {Map<string, { channel: number, cc: number }>}
-     * @description Maps parameter names to their MIDI channel and Control Change (CC) numbers.
+     * @type {Map<string, { channel: number, cc: number, type: string, device: string|null }>}
+     * @description Maps parameter names to their MIDI channel and Control Change (CC) numbers,
+     * along with the input device they belong to. Persisted like the widget mappings.
      */
     this.midiParamMappings = new Map();
 
     /**
-     * @type {Map<string, { channel: number, cc: number }>}
-     * @description Maps widget IDs to their MIDI channel and Control Change (CC) numbers.
+     * @type {Map<string, { channel: number, cc: number, type: string, device: string|null, source: string }>}
+     * @description Maps widget IDs to their MIDI channel and Control Change (CC) numbers,
+     * along with the input device they belong to and whether they were learned or loaded from a profile.
      */
     this.midiWidgetMappings = new Map();
 
@@ -80,6 +112,127 @@ class MIDIController {
      */
     this.currentLearnWidget = null;
 
+    /**
+     * @type {string|null}
+     * @description Name of the MIDI input that sent the most recent message.
+     * Used to file newly learned mappings under the right device.
+     */
+    this.activeDeviceName = null;
+
+    /**
+     * @type {Set<string>}
+     * @description Device names whose persisted mappings were already restored in this session.
+     */
+    this.restoredDevices = new Set();
+
+    /**
+     * @type {Map<string, string>}
+     * @description Maps device names to the ID of the controller profile loaded for them.
+     */
+    this.activeProfiles = new Map();
+
+    /**
+     * @type {Map<string, { lastTarget: number|null, lastSent: number|null, pickedUp: boolean }>}
+     * @description Soft takeover state per mapped widget or parameter. Runtime only, never persisted.
+     */
+    this.takeoverStates = new Map();
+
+    /**
+     * @type {Map<string, number>}
+     * @description Time of the last relative encoder tick per mapping, used for acceleration.
+     */
+    this.relativeTickTimes = new Map();
+
+    /**
+     * @type {Map<string, MIDIMessageParser>}
+     * @description One message parser per input, since 14-bit and NRPN state is per device.
+     */
+    this.messageParsers = new Map();
+
+    /**
+     * @type {MIDIFeedback|null}
+     * @description Sends mapped values back to controllers. Created once MIDI access is granted.
+     */
+    this.feedback = null;
+
+    /**
+     * @type {MIDIClockSync}
+     * @description Follows an external MIDI clock and transport.
+     */
+    this.clock = new MIDIClockSync();
+
+    /**
+     * @type {Orbiter|null}
+     * @description The Orbiter driven by external transport messages.
+     */
+    this.orbiter = null;
+
+    /**
+     * @type {{ x: CosmicLFO, y: CosmicLFO, z: CosmicLFO }|null}
+     * @description The Cosmic LFOs that follow the external clock. Set with setCosmicLFOs.
+     */
+    this.cosmicLFOs = null;
+
+    /**
+     * @type {boolean}
+     * @description Whether MIDI Start/Stop/Continue and Song Position drive the Orbiter. Persisted.
+     */
+    this.transportSyncEnabled = lscache.get('midi-transport-sync') !== false;
+
+    /**
+     * @type {{ enabled: boolean, inputName: string|null }}
+     * @description Routing of incoming channel messages into the Orbiter's RNBO device.
+     * `inputName` limits routing to one MIDI input; null routes every input. Persisted.
+     */
+    this.deviceRouting = { enabled: false, inputName: null, ...lscache.get('midi-device-routing') };
+
+    /**
+     * @type {{ disabledInputs: string[], disabledOutputs: string[], inputChannels: Object<string, number> }}
+     * @description Ports switched off in the MIDI settings and per-input channel filters. Persisted.
+     */
+    this.portSettings = {
+      disabledInputs: [],
+      disabledOutputs: [],
+      inputChannels: {},
+      ...lscache.get('midi-port-settings'),
+    };
+
+    /**
+     * @type {Set<function(MIDIMonitorEntry): void>}
+     * @description Listeners of the MIDI message monitor.
+     */
+    this.monitorListeners = new Set();
+
+    /**
+     * @type {MIDITriggerTable}
+     * @description Program change and note triggers for modes, presets and transport.
+     */
+    this.triggers = new MIDITriggerTable();
+
+    /**
+     * @type {MIDISettingsPanel|null}
+     * @description The settings panel, created when first opened.
+     */
+    this.settingsPanel = null;
+
+    /**
+     * @type {MIDIControlEvent[]}
+     * @description Events received during the current MIDI Learn gesture.
+     */
+    this.learnCandidates = [];
+
+    /**
+     * @type {number|null}
+     * @description Timer that completes the current MIDI Learn gesture.
+     */
+    this.learnTimer = null;
+
+    /**
+     * @type {ParameterManager|null}
+     * @description The parameters MIDI input and feedback work on. Set with setParameterManager.
+     */
+    this.parameterManager = null;
+
     // Bind methods to maintain 'this' context
     this.handleMidiMessage = this.handleMidiMessage.bind(this);
     this.handleStateChange = this.handleStateChange.bind(this);
@@ -87,6 +240,7 @@ class MIDIController {
     this.handleEscKey = this.handleEscKey.bind(this);
     this.handleContextMenuLearn = this.handleContextMenuLearn.bind(this);
     this.handleContextMenuDelete = this.handleContextMenuDelete.bind(this);
+    this.handleContextMenuOptions = this.handleContextMenuOptions.bind(this);
     this.handleContextMenuClose = this.handleContextMenuClose.bind(this);
     this.highlightParameter = this.highlightParameter.bind(this);
     this.unhighlightParameter = this.unhighlightParameter.bind(this);
@@ -96,6 +250,7 @@ class MIDIController {
     this.closeContextMenu = this.closeContextMenu.bind(this); // Existing method
 
     this.init();
+    this.setupClockSync();
 
     ModeManagerInstance.subscribe((newMode) => {
       // Only react if we care about MIDI-related modes.
@@ -130,8 +285,8 @@ class MIDIController {
     }
 
     //notifications.showToast("MIDIController: Web MIDI API supported.");
-    // Restore persisted mappings if you have this method
-    // await this.restoreMidiLearn();
+    // Persisted mappings are restored per device once track data is available
+    // (see restorePersistedMappings) and whenever a device connects.
 
     // Set up the exit button for MIDI Learn mode
     const exitButton = document.getElementById('exit-midi-learn');
@@ -143,6 +298,125 @@ class MIDIController {
     this.setupDropdownEventListeners();
   }
 
+  /**
+   * Connects the external clock to the Cosmic LFOs and, when transport sync is enabled, the Orbiter.
+   * @private
+   * @returns {void}
+   */
+  setupClockSync() {
+    const lfos = () => (this.cosmicLFOs ? [this.cosmicLFOs.x, this.cosmicLFOs.y, this.cosmicLFOs.z] : []);
+
+    this.clock.subscribe({
+      onTempo: (bpm) => {
+        lfos().forEach(lfo => lfo.setTempo(bpm));
+      },
+      onBeat: (beats) => {
+        lfos().forEach(lfo => lfo.syncToBeat(beats));
+      },
+      onStart: () => {
+        lfos().forEach(lfo => lfo.syncToBeat(0));
+        if (!this.canFollowTransport()) return;
+        this.orbiter.setCursorPosition(0);
+        this.orbiter.play();
+      },
+      onContinue: () => {
+        if (this.canFollowTransport()) this.orbiter.play();
+      },
+      onStop: () => {
+        // MIDI Stop keeps the song position, so it maps to pause rather than stop.
+        if (this.canFollowTransport()) this.orbiter.pause();
+      },
+      onPosition: (beats) => {
+        lfos().forEach(lfo => lfo.syncToBeat(beats));
+        if (!this.canFollowTransport()) return;
+        const ms = this.clock.beatsToMs(beats);
+        if (ms !== null && this.orbiter.totalDuration) {
+          this.orbiter.setCursorPosition(Math.min(ms, this.orbiter.totalDuration * 1000));
+        }
+      },
+    });
+  }
+
+  /**
+   * Sets the Orbiter that follows external MIDI transport messages.
+   * @public
+   * @param {Orbiter} orbiter - The Orbiter instance.
+   * @returns {void}
+   *
+   * @example
+   * MIDIControllerInstance.setOrbiter(orbiter);
+   */
+  setOrbiter(orbiter) {
+    this.orbiter = orbiter;
+  }
+
+  /**
+   * Sets the Cosmic LFOs whose tempo-synced rates follow the external MIDI clock.
+   * @public
+   * @param {{ x: CosmicLFO, y: CosmicLFO, z: CosmicLFO }} cosmicLFOs - The LFO of each axis.
+   * @returns {void}
+   *
+   * @example
+   * MIDIControllerInstance.setCosmicLFOs(cosmicLFOManager);
+   */
+  setCosmicLFOs(cosmicLFOs) {
+    this.cosmicLFOs = cosmicLFOs;
+  }
+
+  /**
+   * Sets the ParameterManager that MIDI input and feedback work on.
+   * @public
+   * @param {ParameterManager} parameterManager - The manager of the local user.
+   * @returns {void}
+   *
+   * @example
+   * MIDIControllerInstance.setParameterManager(user1Manager);
+   */
+  setParameterManager(parameterManager) {
+    if (this.parameterManager === parameterManager) return;
+    this.parameterManager = parameterManager;
+    if (this.feedback) {
+      Array.from(this.feedback.watchers.keys()).forEach(widgetId => this.feedback.unwatch(widgetId));
+      this.feedback = null;
+    }
+    this.createFeedback();
+  }
+
+  /**
+   * Creates the MIDI feedback once both MIDI access and the ParameterManager are available.
+   * @private
+   * @returns {void}
+   */
+  createFeedback() {
+    if (this.feedback || !this.midiAccess || !this.parameterManager) return;
+    this.feedback = new MIDIFeedback(this, this.parameterManager);
+    this.midiWidgetMappings.forEach((_, widgetId) => {
+      this.feedback.watch(widgetId, this.resolveWidget(widgetId));
+    });
+    this.midiAccess.outputs.forEach(output => this.feedback.attachOutput(output));
+  }
+
+  /**
+   * Enables or disables following MIDI Start/Stop/Continue and Song Position. The choice is persisted.
+   * Tempo is always followed by tempo-synced Cosmic LFOs.
+   * @public
+   * @param {boolean} enabled - Whether external transport drives the Orbiter.
+   * @returns {void}
+   */
+  setTransportSyncEnabled(enabled) {
+    this.transportSyncEnabled = Boolean(enabled);
+    lscache.set('midi-transport-sync', this.transportSyncEnabled);
+  }
+
+  /**
+   * Whether transport messages should drive the Orbiter right now.
+   * @private
+   * @returns {boolean}
+   */
+  canFollowTransport() {
+    return this.transportSyncEnabled && Boolean(this.orbiter);
+  }
+
   /**
    * Activates MIDI mode by requesting MIDI access.
    * Shows a toast notification upon successful activation.
@@ -198,6 +472,9 @@ class MIDIController {
       // Listen for state changes (e.g., devices being connected or disconnected)
       this.midiAccess.onstatechange = this.handleStateChange.bind(this);
 
+      // Mirror mapped values back to the controllers' outputs
+      this.createFeedback();
+
       // Enable inputs dynamically
       this.enableInputs();
     } catch (error) {
@@ -230,6 +507,8 @@ class MIDIController {
       input.value.onmidimessage = this.handleMidiMessage.bind(this);
       //notifications.showToast(`Enabled MIDI input: ${input.value.name}`, 'info');
       console.log(`Connected MIDI input: ${input.value.name}`);
+      this.loadProfileForInput(input.value);
+      this.restoreMappingsForDevice(input.value.name);
     }
 
     if (!hasInputs) {
@@ -257,10 +536,20 @@ class MIDIController {
         port.onmidimessage = this.handleMidiMessage.bind(this);
        // notifications.showToast(`Connected to MIDI input: ${port.name}`, 'success');
         console.log(`Connected to MIDI input: ${port.name}`);
+        this.loadProfileForInput(port);
+        this.restoreMappingsForDevice(port.name);
       } else if (port.state === 'disconnected') {
         port.onmidimessage = null;
        // notifications.showToast(`Disconnected from MIDI input: ${port.name}`, 'warning');
         console.log(`Disconnected from MIDI input: ${port.name}`);
+        // Allow the device's mappings to be restored again when it comes back.
+        this.restoredDevices.delete(port.name);
+      }
+    } else if (port.type === 'output' && this.feedback) {
+      if (port.state === 'connected') {
+        this.feedback.attachOutput(port);
+      } else if (port.state === 'disconnected') {
+        this.feedback.detachOutput(port);
       }
     }
   }
@@ -276,148 +565,519 @@ class MIDIController {
    * midiController.handleMidiMessage(event);
    */
   handleMidiMessage(event) {
-    const [status, data1, data2] = event.data;
-    const channel = status & 0x0F;
-    const messageType = status & 0xF0;
-  
-    // Original code only handled CC (0xB0).
-    // We add logic to treat notes like CC:
-    let ccNumber = null;
-    let finalValue = data2;
-  
-    if (messageType === 0xB0) {
-      // CC message - no change
-      ccNumber = data1;
-    } else if (messageType === 0x90) {
-      // Note On
-      ccNumber = data1; // Treat note number as cc number
-      if (data2 > 0) {
-        // Note On with velocity > 0 = On
-        finalValue = 127;
-      } else {
-        // Note On with velocity 0 = Note Off
-        finalValue = 0;
-      }
-    } else if (messageType === 0x80) {
-      // Note Off
-      ccNumber = data1;
-      finalValue = 0; // Off
-    } else {
-      // Not CC or note
+    const deviceName = event.target && event.target.name ? event.target.name : null;
+    const status = event.data[0];
+
+    // Disabled inputs and channels outside an input's filter are ignored entirely.
+    if (!this.isInputEnabled(deviceName) || !this.passesChannelFilter(deviceName, status)) {
+      this.emitMonitor({ device: deviceName, data: event.data, filtered: true });
       return;
     }
-  
-    let isNote = false;
-    
-    if (messageType === 0xB0) {
-      // CC message
-      ccNumber = data1;
-    } else if (messageType === 0x90 || messageType === 0x80) {
-      // Note On (0x90) or Note Off (0x80)
-      isNote = true;
-      ccNumber = data1;
+
+    // Clock and transport messages are handled before any mapping logic.
+    if (status >= 0xF0) {
+      this.clock.handleMessage(event.data, event.timeStamp);
+      this.emitMonitor({ device: deviceName, data: event.data });
+      return;
+    }
+
+    if (deviceName) {
+      this.activeDeviceName = deviceName;
+    }
+
+    const key = deviceName || MIDI_UNKNOWN_DEVICE;
+    if (!this.messageParsers.has(key)) {
+      this.messageParsers.set(key, new MIDIMessageParser());
+    }
+    const controlEvents = this.messageParsers.get(key).parse(event.data);
+    // Evaluate every event; a message is consumed if any of its events drove a mapping.
+    const hits = controlEvents.flatMap(controlEvent => this.handleControlEvent(controlEvent));
+
+    // Mapped controls keep their role; everything else from the routed input plays the Orbiter.
+    const routed = hits.length === 0 && !this.isMidiLearnModeActive && this.shouldRouteToDevice(deviceName);
+    if (routed) {
+      this.orbiter.sendMidi(event.data);
+    }
+
+    this.emitMonitor({ device: deviceName, data: event.data, events: controlEvents, hits, routed });
+  }
+
+  /**
+   * Whether an input is enabled in the MIDI settings.
+   * @public
+   * @param {string|null} inputName - The MIDI input name.
+   * @returns {boolean}
+   */
+  isInputEnabled(inputName) {
+    return !inputName || !this.portSettings.disabledInputs.includes(inputName);
+  }
+
+  /**
+   * Whether an output is enabled in the MIDI settings.
+   * @public
+   * @param {string|null} outputName - The MIDI output name.
+   * @returns {boolean}
+   */
+  isOutputEnabled(outputName) {
+    return !outputName || !this.portSettings.disabledOutputs.includes(outputName);
+  }
+
+  /**
+   * Whether a message passes the channel filter of its input. System messages always pass.
+   * @private
+   * @param {string|null} inputName - The MIDI input name.
+   * @param {number} status - The status byte.
+   * @returns {boolean}
+   */
+  passesChannelFilter(inputName, status) {
+    const channel = inputName ? this.portSettings.inputChannels[inputName] : undefined;
+    return status >= 0xF0 || channel === undefined || channel === null || (status & 0x0F) === channel;
+  }
+
+  /**
+   * Enables or disables a MIDI input or output. The choice is persisted.
+   * @public
+   * @param {'input'|'output'} type - The port type.
+   * @param {string} name - The port name.
+   * @param {boolean} enabled - Whether the port is used.
+   * @returns {void}
+   *
+   * @example
+   * midiController.setPortEnabled('input', 'IAC Driver Bus 1', false);
+   */
+  setPortEnabled(type, name, enabled) {
+    const key = type === 'output' ? 'disabledOutputs' : 'disabledInputs';
+    const disabled = new Set(this.portSettings[key]);
+    if (enabled) {
+      disabled.delete(name);
     } else {
-      return; // Not CC or note
+      disabled.add(name);
     }
-    
+    this.portSettings[key] = [...disabled];
+    lscache.set('midi-port-settings', this.portSettings);
+    if (type === 'output' && enabled) {
+      this.feedback?.syncAll();
+    }
+  }
+
+  /**
+   * Restricts an input to one MIDI channel, or removes the restriction. The choice is persisted.
+   * @public
+   * @param {string} inputName - The MIDI input name.
+   * @param {number|null} channel - Channel (0-15), or null to accept all channels.
+   * @returns {void}
+   *
+   * @example
+   * midiController.setInputChannel('nanoKONTROL2', 0);
+   */
+  setInputChannel(inputName, channel) {
+    if (channel === null || channel === undefined) {
+      delete this.portSettings.inputChannels[inputName];
+    } else {
+      this.portSettings.inputChannels[inputName] = channel;
+    }
+    lscache.set('midi-port-settings', this.portSettings);
+  }
+
+  /**
+   * Opens the MIDI settings panel (ports, channel filters and message monitor).
+   * @public
+   * @returns {Promise<void>} Resolves when the panel is closed.
+   *
+   * @example
+   * MIDIControllerInstance.openSettingsPanel();
+   */
+  openSettingsPanel() {
+    if (!this.settingsPanel) {
+      this.settingsPanel = new MIDISettingsPanel(this);
+    }
+    return this.settingsPanel.open();
+  }
+
+  /**
+   * Registers a listener that receives every incoming message with what it triggered.
+   * Used by the MIDI settings monitor.
+   * @public
+   * @param {function(MIDIMonitorEntry): void} listener - The listener.
+   * @returns {function(): void} Call to remove the listener.
+   */
+  addMonitorListener(listener) {
+    this.monitorListeners.add(listener);
+    return () => this.monitorListeners.delete(listener);
+  }
+
+  /**
+   * Sends a message description to the monitor listeners, if any.
+   * @private
+   * @param {Object} entry - Partial monitor entry.
+   * @returns {void}
+   */
+  emitMonitor(entry) {
+    if (this.monitorListeners.size === 0) return;
+    const full = { time: performance.now(), events: [], hits: [], routed: false, filtered: false, ...entry };
+    this.monitorListeners.forEach(listener => listener(full));
+  }
+
+  /**
+   * Whether messages from an input should be forwarded to the Orbiter's RNBO device.
+   * @private
+   * @param {string|null} deviceName - The input that sent the message.
+   * @returns {boolean}
+   */
+  shouldRouteToDevice(deviceName) {
+    const { enabled, inputName } = this.deviceRouting;
+    return enabled
+      && Boolean(this.orbiter && this.orbiter.acceptsMidi)
+      && (!inputName || inputName === deviceName);
+  }
+
+  /**
+   * Configures routing of note, CC, pitch bend and aftertouch messages into the Orbiter's
+   * RNBO device. Only patchers exported with MIDI inputs (`numMidiInputPorts > 0`) receive them.
+   * The setting is persisted.
+   * @public
+   * @param {{ enabled?: boolean, inputName?: string|null }} routing - Changes to apply.
+   * @returns {void}
+   *
+   * @example
+   * MIDIControllerInstance.setDeviceRouting({ enabled: true, inputName: 'MPK mini 3' });
+   */
+  setDeviceRouting(routing) {
+    this.deviceRouting = { ...this.deviceRouting, ...routing };
+    lscache.set('midi-device-routing', this.deviceRouting);
+    if (this.deviceRouting.enabled && this.orbiter && !this.orbiter.acceptsMidi) {
+      notifications.showToast('This orbiter has no MIDI input; notes are not routed to it.', 'warning');
+    }
+  }
+
+  /**
+   * Dispatches a parsed control event to MIDI Learn or to the mapped widgets and parameters.
+   * @private
+   * @param {MIDIControlEvent} controlEvent - The parsed event.
+   * @returns {string[]} IDs of the widgets and parameters the event drove ('MIDI Learn' while learning).
+   */
+  handleControlEvent(controlEvent) {
     if (this.isMidiLearnModeActive && this.currentLearnWidget) {
-      const widgetId = this.currentLearnWidget.id || this.currentLearnWidget.getAttribute('data-value');
-      console.log(`Mapping widget '${widgetId}' to MIDI Channel ${channel+1}, ${isNote ? 'NOTE' : 'CC'} ${ccNumber}`);
-    
-      // Use the existing setMidiWidgetMapping for CC mappings
-      // If it's a note, we just store it the same way, but remember to pass 'note' to markAsMapped
-      this.setMidiWidgetMapping(widgetId, channel, ccNumber);
-    
-      this.unhighlightWidget(widgetId);
-      // Pass 'note' if isNote = true, otherwise 'cc'
-      this.markAsMapped(widgetId, ccNumber, channel, isNote ? 'note' : 'cc');
-      this.currentLearnWidget = null;
-      return;
+      this.collectLearnCandidate(controlEvent);
+      return ['MIDI Learn'];
     }
-    
-  
-    // Process mapped widgets (same CC logic)
+
+    const triggers = this.triggers.match(controlEvent);
+    if (triggers.length) {
+      triggers.forEach(trigger => this.runTrigger(trigger));
+      return triggers.map(trigger => MIDITriggerTable.describe(trigger));
+    }
+    if (this.triggers.isTriggerSource(controlEvent)) {
+      // Release of a trigger note.
+      return ['Trigger'];
+    }
+
+    const { type, value } = controlEvent;
+    const hits = [];
+
+    // Process mapped widgets
     this.midiWidgetMappings.forEach((mapping, widgetId) => {
-      if (mapping.channel === channel && mapping.cc === ccNumber) {
-        const widget = this.widgetRegistry.get(widgetId);
-        if (!widget) return;
-        // finalValue is either data2 from CC or converted note value (0 or 127)
-        if (widget.classList.contains('dropdown-item')) {
-          widget.click();
-        } else if (widget instanceof HTMLElement && widget.tagName === 'WEBAUDIO-SWITCH') {
-          this.triggerWebAudioSwitch(widget, finalValue);
-        } else {
-          this.updateWebAudioWidget(widget, finalValue);
-        }
+      if (!this.mappingMatches(mapping, controlEvent)) return;
+      const widget = this.resolveWidget(widgetId);
+      if (!widget) return;
+      hits.push(widgetId);
+      this.feedback?.noteInput(widgetId);
+      if (widget.classList.contains('dropdown-item')) {
+        // Menu actions fire on press only, not again on release.
+        if (value > 0) widget.click();
+      } else if (widget instanceof HTMLElement && widget.tagName === 'WEBAUDIO-SWITCH') {
+        this.triggerWebAudioSwitch(widget, value);
+      } else if (type === 'cc' && mapping.options && mapping.options.encoding !== 'absolute') {
+        this.applyRelativeChange(widget, widgetId, mapping, value);
+      } else {
+        this.updateWebAudioWidget(widget, value, type, mapping, widgetId);
       }
     });
-  
-    // Update parameters (same CC logic)
+
+    // Update parameters
     this.midiParamMappings.forEach((mapping, param) => {
-      if (mapping.channel === channel && mapping.cc === ccNumber) {
-        this.updateParameter(param, finalValue);
+      if (this.mappingMatches(mapping, controlEvent)) {
+        hits.push(param);
+        this.updateParameter(param, value);
+      }
+    });
+
+    // Both halves of a mapped 14-bit pair belong to it, although only the LSB completes a value.
+    if (hits.length === 0 && this.isPairedControllerMapped(controlEvent)) {
+      hits.push(formatMIDISource('cc14', controlEvent.number % 32));
+    }
+    return hits;
+  }
+
+  /**
+   * Runs the action of a MIDI trigger.
+   * @private
+   * @param {MIDITrigger} trigger - The fired trigger.
+   * @returns {void}
+   */
+  runTrigger(trigger) {
+    console.log(`MIDIController: Trigger ${formatMIDISource(trigger.type, trigger.number)} → ${MIDITriggerTable.describe(trigger)}`);
+    switch (trigger.action) {
+      case 'mode':
+        ModeManagerInstance.activateMode(trigger.target);
+        break;
+      case 'preset':
+        this.recallPreset(trigger.target);
+        break;
+      case 'transport':
+        if (!this.orbiter) {
+          console.warn('MIDIController: No orbiter loaded; transport trigger ignored.');
+          return;
+        }
+        this.orbiter[trigger.target]();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Recalls a preset of the current track (see PresetManager).
+   * @public
+   * @param {string} name - The preset name.
+   * @returns {void}
+   *
+   * @example
+   * MIDIControllerInstance.recallPreset('Drift');
+   */
+  recallPreset(name) {
+    if (!PresetManagerInstance.getPreset(name)) {
+      notifications.showToast(`Preset '${name}' does not exist.`, 'warning');
+      return;
+    }
+    PresetManagerInstance.recall(name);
+  }
+
+  /**
+   * Increments or decrements a widget's parameter from a relative encoder message.
+   * Widgets bound to a `root-param` are changed through the ParameterManager so every
+   * subscriber follows; other widgets are updated directly.
+   * @private
+   * @param {HTMLElement} widget - The mapped widget.
+   * @param {string} widgetId - The mapped widget ID.
+   * @param {Object} mapping - The mapping with a relative encoding.
+   * @param {number} value - The normalized control value (0-1).
+   * @returns {void}
+   */
+  applyRelativeChange(widget, widgetId, mapping, value) {
+    const options = normalizeMappingOptions(mapping.options);
+    const ticks = decodeRelative(Math.round(value * 127), options.encoding);
+    if (ticks === 0) return;
+
+    const now = performance.now();
+    const elapsed = now - (this.relativeTickTimes.get(widgetId) ?? -Infinity);
+    this.relativeTickTimes.set(widgetId, now);
+    const delta = relativeDelta(ticks, options, elapsed);
+
+    const rootParam = widget.rootParam || widget.getAttribute('root-param');
+    const manager = widget.parameterManager || this.parameterManager;
+    const param = rootParam && manager ? manager.getParameter(rootParam) : null;
+    if (param) {
+      // Work in the widget's value space, which is what controllers pass to setRawValue.
+      const span = param.max - param.min;
+      const current = param.outputTransform(param.rawValue);
+      const next = Math.min(param.min + options.max * span,
+        Math.max(param.min + options.min * span, current + delta * span));
+      manager.setRawValue(rootParam, next, this, getPriority('MIDI'));
+      return;
+    }
+
+    const min = widget._min !== undefined ? widget._min : widget.min;
+    const max = widget._max !== undefined ? widget._max : widget.max;
+    if (min === undefined || max === undefined) {
+      console.warn(`Widget '${widget.id}' is missing min/max values.`);
+      return;
+    }
+    const span = max - min;
+    const next = Math.min(min + options.max * span, Math.max(min + options.min * span, widget.value + delta * span));
+    if (typeof widget.setValue === 'function') {
+      widget.setValue(next, true);
+    } else {
+      widget.value = next;
+    }
+    if (typeof widget.redraw === 'function') {
+      widget.redraw();
+    }
+  }
+
+  /**
+   * Finds a mapped element: registered widgets first, then elements by ID or `data-value`.
+   * @private
+   * @param {string} widgetId - The widget ID.
+   * @returns {HTMLElement|null}
+   */
+  resolveWidget(widgetId) {
+    return this.widgetRegistry.get(widgetId)
+      || document.getElementById(widgetId)
+      || document.querySelector(`[data-value="${widgetId}"]`);
+  }
+
+  /**
+   * Whether a mapping is driven by the given control event.
+   * Mappings stored before source types existed are treated as 7-bit CC.
+   * @private
+   * @param {{ channel: number, cc: number, type?: string }} mapping - The mapping.
+   * @param {MIDIControlEvent} controlEvent - The parsed event.
+   * @returns {boolean}
+   */
+  mappingMatches(mapping, { type, channel, number }) {
+    return (mapping.type || 'cc') === type && mapping.channel === channel && mapping.cc === number;
+  }
+
+  /**
+   * Whether a 7-bit CC is the MSB or LSB half of a mapped 14-bit pair.
+   * @private
+   * @param {MIDIControlEvent} controlEvent - The parsed event.
+   * @returns {boolean}
+   */
+  isPairedControllerMapped({ type, channel, number }) {
+    if (type !== 'cc' || number >= 64) return false;
+    const pair = { type: 'cc14', channel, number: number % 32 };
+    return [...this.midiWidgetMappings.values(), ...this.midiParamMappings.values()]
+      .some(mapping => this.mappingMatches(mapping, pair));
+  }
+
+  /**
+   * Collects events produced by one gesture while learning, since a single control can emit
+   * several messages (an NRPN knob sends CC 99/98/6/38, a 14-bit knob both CC halves).
+   * The most specific source is chosen once the gesture settles.
+   * @private
+   * @param {MIDIControlEvent} controlEvent - The parsed event.
+   * @returns {void}
+   */
+  collectLearnCandidate(controlEvent) {
+    // Program changes are handled by the trigger table, not by widget mappings.
+    if (!SOURCE_LEARN_PRIORITY.includes(controlEvent.type)) return;
+    this.learnCandidates.push(controlEvent);
+    if (!this.learnTimer) {
+      this.learnTimer = setTimeout(() => this.completeLearn(), MIDI_LEARN_WINDOW_MS);
+    }
+  }
+
+  /**
+   * Maps the widget being learned to the most specific source seen during the learn window.
+   * @private
+   * @returns {void}
+   */
+  completeLearn() {
+    const candidates = this.learnCandidates;
+    this.learnCandidates = [];
+    this.learnTimer = null;
+    if (!this.currentLearnWidget || candidates.length === 0) return;
+
+    const rank = (candidate) => SOURCE_LEARN_PRIORITY.indexOf(candidate.type);
+    const { type, channel, number } = candidates.reduce((best, candidate) =>
+      rank(candidate) < rank(best) ? candidate : best
+    );
+
+    const widgetId = this.currentLearnWidget.id || this.currentLearnWidget.getAttribute('data-value');
+    console.log(`Mapping widget '${widgetId}' to MIDI Channel ${channel + 1}, ${formatMIDISource(type, number)}`);
+
+    // Keep the shaping options when re-learning a widget, but re-detect the encoding.
+    const options = { ...this.midiWidgetMappings.get(widgetId)?.options };
+    if (type === 'cc') {
+      const rawValues = candidates
+        .filter(c => c.type === 'cc' && c.channel === channel && c.number === number)
+        .map(c => Math.round(c.value * 127));
+      options.encoding = detectEncoding(rawValues);
+      if (options.encoding !== 'absolute') {
+        notifications.showToast(`Relative encoder detected (${options.encoding}).`, 'info');
       }
+    }
+
+    const previousMapping = this.midiWidgetMappings.get(widgetId);
+    this.setMidiWidgetMapping(widgetId, channel, number, {
+      type,
+      device: this.activeDeviceName,
+      options,
     });
-  }  /**
+    this.saveMappings();
+    this.recordMappingChange(`MIDI Learn: ${widgetId}`, widgetId, previousMapping);
+
+    this.unhighlightWidget(widgetId);
+    this.markAsMapped(widgetId, number, channel, type);
+    this.currentLearnWidget = null;
+  }
+
+  /**
    * Updates standard widgets like sliders based on MIDI values.
+   * The mapping's range, inversion, curve and takeover mode shape the value.
    * @private
    * @param {HTMLElement} widget - The widget element to update.
-   * @param {number} value - The MIDI CC value (0-127).
+   * @param {number} value - The normalized control value (0-1), at the source's full resolution.
+   * @param {MIDISourceType} [type='cc'] - The source type that produced the value.
+   * @param {Object} [mapping] - The mapping that matched the message.
+   * @param {string} [mappingId] - The widget ID or parameter name the mapping is stored under.
    * @returns {void}
    *
    * @example
-   * midiController.updateWebAudioWidget(sliderElement, 64);
+   * midiController.updateWebAudioWidget(sliderElement, 0.5);
    */
-  updateWebAudioWidget(widget, value, type = 'cc') {
-    if (type === 'cc') {
-      // Original CC logic as is
-      const normalizedValue = value / 127;
+  updateWebAudioWidget(widget, value, type = 'cc', mapping = null, mappingId = widget.id) {
+    const options = normalizeMappingOptions(mapping?.options);
+
+    if (type === 'note' && (widget.type === 'toggle' || widget.hasAttribute('data-toggle'))) {
+      // Toggle logic: note on (>0) => 1, note off (=0) => 0
+      const on = value > 0;
+      widget.value = (options.invert ? !on : on) ? 1 : 0;
+    } else {
+      // Continuous sources, or a note driving a continuous widget.
       const min = widget._min !== undefined ? widget._min : widget.min;
       const max = widget._max !== undefined ? widget._max : widget.max;
       if (min === undefined || max === undefined) {
         console.warn(`Widget '${widget.id}' is missing min/max values.`);
         return;
       }
-      widget.value = min + normalizedValue * (max - min);
-    } else if (type === 'note') {
-      // For note messages:
-      // If it's a toggle switch (check widget.type or widget's attributes),
-      // we interpret data2 as on/off:
-      // If widget is a webaudio-switch with type='toggle', on if value>0 else off.
-      // Otherwise, if it's a continuous widget, just treat it like CC:
-      if (widget.type === 'toggle' || widget.hasAttribute('data-toggle')) {
-        // Toggle logic: note on (>0) => 1, note off (=0) => 0
-        widget.value = value > 0 ? 1 : 0;
-      } else {
-        // If it's not a toggle, just normalize like CC:
-        const normalizedValue = value / 127;
-        const min = widget._min !== undefined ? widget._min : widget.min;
-        const max = widget._max !== undefined ? widget._max : widget.max;
-        if (min === undefined || max === undefined) {
-          console.warn(`Widget '${widget.id}' is missing min/max values.`);
-          return;
-        }
-        widget.value = min + normalizedValue * (max - min);
+      const target = shapeValue(value, options);
+      if (options.takeover === 'pickup' && max !== min) {
+        const current = (widget.value - min) / (max - min);
+        if (!this.acceptMappedValue(mappingId, target, current)) return;
       }
+      widget.value = min + target * (max - min);
     }
   
     if (typeof widget.setValue === 'function') {
+      // Bypass the widget's step so 14-bit, NRPN and pitch bend values keep their resolution.
+      const step = widget._step;
+      widget._step = 0;
       widget.setValue(widget.value, true);
+      widget._step = step;
     }
     if (typeof widget.redraw === 'function') {
       widget.redraw();
     }
     console.log(`MIDIController: Updated widget '${widget.id}' to value ${widget.value}`);
   }
+
+  /**
+   * Applies soft takeover for a mapping in pickup mode.
+   * @private
+   * @param {string} mappingId - The widget ID or parameter name.
+   * @param {number} target - Normalized value requested by the control.
+   * @param {number} current - Normalized value currently shown.
+   * @returns {boolean} True if the control has taken over and the value should be applied.
+   */
+  acceptMappedValue(mappingId, target, current) {
+    if (!this.takeoverStates.has(mappingId)) {
+      this.takeoverStates.set(mappingId, createTakeoverState());
+    }
+    return acceptTakeover(this.takeoverStates.get(mappingId), target, current);
+  }
+
   /**
    * Triggers actions for WebAudioSwitch widgets or invokes dropdown item actions.
    * @private
    * @param {HTMLElement} widget - The widget element to trigger.
-   * @param {number} value - The MIDI CC value (0-127).
+   * @param {number} value - The normalized control value (0-1).
    * @returns {void}
    *
    * @example
-   * midiController.triggerWebAudioSwitch(switchElement, 127);
+   * midiController.triggerWebAudioSwitch(switchElement, 1);
    */
   triggerWebAudioSwitch(widget, value) {
     if (widget.tagName.toLowerCase() === 'a' && widget.classList.contains('dropdown-item')) {
@@ -432,12 +1092,12 @@ class MIDIController {
     } else if (widget.type === 'kick') {
       widget.triggerKick(); // Simulate kick
     } else if (widget.type === 'sequential') {
-      const delta = value > 64 ? 1 : -1;
+      const delta = value > 0.5 ? 1 : -1;
       widget.cycleState(delta); // Cycle state
     } else if (widget.type === 'radio') {
       widget.activateRadio(); // Activate radio
     } else {
-      widget.setValue(value / 127, true); // Update knobs or sliders
+      widget.setValue(value, true); // Update knobs or sliders
     }
 
     // Redraw the widget if a redraw method is available
@@ -448,8 +1108,9 @@ class MIDIController {
    * Marks a widget or parameter as mapped and adds visual indicators.
    * @private
    * @param {string} elementId - The ID of the widget or parameter.
-   * @param {number} midiCC - The MIDI Control Change number.
+   * @param {number} midiCC - The controller, note or parameter number.
    * @param {number} midiChannel - The MIDI channel number (0-15).
+   * @param {MIDISourceType} [type='cc'] - The source type.
    * @returns {void}
    *
    * @example
@@ -464,56 +1125,19 @@ class MIDIController {
       let indicator = document.querySelector(`.midi-indicator[data-element-id="${elementId}"]`);
       if (indicator) {
         indicator.remove();
-      }
-  
-      indicator = document.createElement('div');
-      indicator.className = 'midi-indicator';
-      indicator.dataset.elementId = elementId;
-      // If type is 'note', show NOTE, else show CC
-      indicator.textContent = `CH ${midiChannel + 1} / ${type.toUpperCase()} ${midiCC}`;
-      document.body.appendChild(indicator);
-  
-      const rect = element.getBoundingClientRect();
-      indicator.style.position = 'fixed';
-      indicator.style.left = `${rect.right - 30}px`;
-      indicator.style.top = `${rect.bottom - 20}px`;
-      indicator.style.zIndex = '1002';
-    }
-  }
-
-  /**
-   * Updates a parameter based on incoming MIDI data.
-   * @private
-   * @param {string} identifier - The parameter name or widget ID.
-   * @param {number} midiValue - The MIDI CC value (0-127).
-   * @returns {void}
-   *
-   * @example
-   * midiController.updateParameter('volume', 100);
-   */
-  updateParameter(identifier, midiValue) {
-    const element = this.widgetRegistry.get(identifier);
-    if (element) {
-      if (element.tagName.toLowerCase() === 'a' && element.classList.contains('dropdown-item')) {
-        // Directly invoke the associated action without simulating a click
-        console.log(`MIDIController: Invoking action for dropdown item '${identifier}'`);
-        if (typeof element.onclick === 'function') {
-          element.onclick(); // Invoke the existing click handler directly
-        } else {
-          console.warn(`MIDIController: No onclick handler defined for dropdown item '${identifier}'.`);
-        }
-      } else {
-        // Handle widgets
-        const widget = element;
-        const normalizedValue = midiValue / 127; // Normalize to [0, 1]
-        widget.value = widget.min + normalizedValue * (widget.max - widget.min);
-        if (typeof widget.redraw === 'function') {
-          widget.redraw(); // Ensure the widget updates its display
-        }
-        console.log(`MIDIController: Updated widget '${identifier}' to value ${widget.value}`);
-      }
-    } else {
-      console.warn(`MIDIController: Element '${identifier}' not found.`);
+      }
+  
+      indicator = document.createElement('div');
+      indicator.className = 'midi-indicator';
+      indicator.dataset.elementId = elementId;
+      indicator.textContent = `CH ${midiChannel + 1} / ${formatMIDISource(type, midiCC)}`;
+      document.body.appendChild(indicator);
+  
+      const rect = element.getBoundingClientRect();
+      indicator.style.position = 'fixed';
+      indicator.style.left = `${rect.right - 30}px`;
+      indicator.style.top = `${rect.bottom - 20}px`;
+      indicator.style.zIndex = '1002';
     }
   }
 
@@ -540,20 +1164,43 @@ class MIDIController {
    * @public
    * @param {string} widgetId - The widget's unique ID.
    * @param {number} channel - MIDI channel (0-15).
-   * @param {number} cc - MIDI Control Change number (0-127).
+   * @param {number} cc - Controller, note or parameter number, depending on the source type.
+   * @param {Object} [details] - Additional mapping details.
+   * @param {MIDISourceType} [details.type='cc'] - The source that drives the mapping.
+   * @param {string|null} [details.device=null] - Name of the MIDI input the mapping was learned from.
+   * @param {'user'|'profile'} [details.source='user'] - Whether the mapping was learned or comes from a controller profile.
+   *   A user mapping replaces any profile mapping driven by the same control.
+   * @param {Partial<MIDIMappingOptions>} [details.options] - Range, inversion, curve and takeover options.
    * @returns {void}
    *
    * @example
-   * midiController.setMidiWidgetMapping('volumeSlider', 0, 7);
+   * midiController.setMidiWidgetMapping('volumeSlider', 0, 7, { options: { min: 0.2, max: 0.8 } });
    */
-  setMidiWidgetMapping(widgetId, channel, cc) {
+  setMidiWidgetMapping(widgetId, channel, cc, { type = 'cc', device = null, source = 'user', options } = {}) {
     if (!widgetId) {
       console.warn("MIDIController: Widget ID is required for mapping.");
       return;
     }
 
-    this.midiWidgetMappings.set(widgetId, { channel, cc });
-    console.log(`MIDIController: Mapped widget '${widgetId}' to MIDI Channel ${channel + 1}, CC ${cc}.`);
+    if (source === 'user') {
+      this.midiWidgetMappings.forEach((mapping, id) => {
+        if (id !== widgetId && mapping.source === 'profile' && mapping.device === device
+          && mapping.channel === channel && mapping.cc === cc && mapping.type === type) {
+          this.midiWidgetMappings.delete(id);
+          this.feedback?.unwatch(id);
+          document.querySelector(`.midi-indicator[data-element-id="${id}"]`)?.remove();
+          console.log(`MIDIController: Learned mapping overrides profile mapping for '${id}'.`);
+        }
+      });
+    }
+
+    this.midiWidgetMappings.set(widgetId, {
+      channel, cc, type, device, source,
+      options: normalizeMappingOptions(options),
+    });
+    this.takeoverStates.delete(widgetId);
+    this.feedback?.watch(widgetId, this.resolveWidget(widgetId));
+    console.log(`MIDIController: Mapped widget '${widgetId}' to MIDI Channel ${channel + 1}, ${formatMIDISource(type, cc)}.`);
 
     // Add 'midi-mapped' class to the widget element for visual indication
     const widgetElement = document.getElementById(widgetId);
@@ -562,6 +1209,100 @@ class MIDIController {
     }
   }
 
+  /**
+   * Sets a MIDI mapping for a parameter and persists it.
+   * @public
+   * @param {string} identifier - The parameter name.
+   * @param {number} channel - MIDI channel (0-15).
+   * @param {number} cc - Controller, note or parameter number, depending on the source type.
+   * @param {MIDISourceType} [type='cc'] - The source type that drives the mapping.
+   * @param {string|null} [device=null] - Name of the MIDI input the mapping was learned from.
+   * @returns {void}
+   *
+   * @example
+   * midiController.setMidiParamMapping('dropdownItem1', 0, 20);
+   */
+  setMidiParamMapping(identifier, channel, cc, type = 'cc', device = null) {
+    if (!identifier) {
+      console.warn("MIDIController: Parameter name is required for mapping.");
+      return;
+    }
+    this.midiParamMappings.set(identifier, { channel, cc, type, device });
+    document.querySelector(`[data-group="${identifier}"]`)?.classList.add('midi-mapped');
+    this.saveMappings();
+  }
+
+  /**
+   * Updates the range, inversion, curve, takeover and encoder options of an existing mapping.
+   * Profile mappings become user mappings once edited, so the change is persisted.
+   * @public
+   * @param {string} identifier - The widget ID.
+   * @param {Partial<MIDIMappingOptions>} options - Options to change; omitted keys keep their value.
+   * @returns {boolean} True if a mapping was updated.
+   *
+   * @example
+   * midiController.setMappingOptions('xKnob', { min: 0.25, max: 0.75, curve: 's', takeover: 'pickup' });
+   */
+  setMappingOptions(identifier, options) {
+    const mapping = this.midiWidgetMappings.get(identifier);
+    if (!mapping) {
+      console.warn(`MIDIController: No MIDI mapping found for '${identifier}'.`);
+      return false;
+    }
+
+    const previousMapping = { ...mapping };
+    mapping.options = normalizeMappingOptions({ ...mapping.options, ...options });
+    mapping.source = 'user';
+    this.takeoverStates.delete(identifier);
+    // Resend feedback, since the range and curve changed the controller position.
+    this.feedback?.watch(identifier, this.resolveWidget(identifier));
+    this.saveMappings();
+    this.recordMappingChange(`MIDI options: ${identifier}`, identifier, previousMapping);
+    return true;
+  }
+
+  /**
+   * Records a widget mapping edit in the undo history.
+   * @private
+   * @param {string} label - Description of the edit.
+   * @param {string} widgetId - The widget ID.
+   * @param {Object|undefined} previousMapping - The mapping before the edit, undefined if there was none.
+   * @returns {void}
+   */
+  recordMappingChange(label, widgetId, previousMapping) {
+    const before = previousMapping ? { ...previousMapping } : undefined;
+    const current = this.midiWidgetMappings.get(widgetId);
+    const after = current ? { ...current } : undefined;
+    HistoryManagerInstance.record({
+      label,
+      undo: () => this.restoreWidgetMapping(widgetId, before),
+      redo: () => this.restoreWidgetMapping(widgetId, after),
+    });
+  }
+
+  /**
+   * Puts a widget mapping back to a recorded state and persists it.
+   * @private
+   * @param {string} widgetId - The widget ID.
+   * @param {Object|undefined} mapping - The mapping to restore, undefined to remove it.
+   * @returns {void}
+   */
+  restoreWidgetMapping(widgetId, mapping) {
+    this.takeoverStates.delete(widgetId);
+    if (mapping) {
+      this.midiWidgetMappings.set(widgetId, { ...mapping });
+      this.feedback?.watch(widgetId, this.resolveWidget(widgetId));
+      this.markAsMapped(widgetId, mapping.cc, mapping.channel, mapping.type || 'cc');
+    } else {
+      this.midiWidgetMappings.delete(widgetId);
+      this.feedback?.unwatch(widgetId);
+      const widgetElement = document.getElementById(widgetId) || document.querySelector(`[data-value="${widgetId}"]`);
+      widgetElement?.classList.remove('midi-mapped');
+      document.querySelector(`.midi-indicator[data-element-id="${widgetId}"]`)?.remove();
+    }
+    this.saveMappings();
+  }
+
   /**
    * Clears the MIDI mapping for a specific parameter or widget.
    * Removes visual indicators and updates internal mappings.
@@ -597,7 +1338,10 @@ class MIDIController {
 
     // Check if identifier is a widget
     if (this.midiWidgetMappings.has(identifier)) {
+      const previousMapping = this.midiWidgetMappings.get(identifier);
       this.midiWidgetMappings.delete(identifier);
+      this.takeoverStates.delete(identifier);
+      this.feedback?.unwatch(identifier);
       cleared = true;
 
       // Remove 'midi-mapped' class from the widget element
@@ -613,9 +1357,11 @@ class MIDIController {
       }
 
       console.log(`MIDIController: Cleared MIDI mapping for widget '${identifier}'.`);
+      this.recordMappingChange(`Clear MIDI: ${identifier}`, identifier, previousMapping);
     }
 
     if (cleared) {
+      this.saveMappings();
       // Notify the user
       notifications.showToast(`Cleared MIDI mapping for '${identifier}'.`, 'success');
     } else {
@@ -624,6 +1370,432 @@ class MIDIController {
     }
   }
 
+  /**
+   * Drops the learned mappings of the current orbiter from memory, keeping the stored ones, before
+   * another orbiter's mappings are restored. Profile mappings apply to every orbiter and are kept.
+   * @public
+   * @returns {void}
+   *
+   * @example
+   * midiController.unloadMappings();
+   * await midiController.restorePersistedMappings();
+   */
+  unloadMappings() {
+    const removeIndicator = (element, identifier) => {
+      element?.classList.remove('midi-mapped');
+      document.querySelector(`.midi-indicator[data-element-id="${identifier}"]`)?.remove();
+    };
+    this.midiParamMappings.forEach((mapping, identifier) => {
+      removeIndicator(document.querySelector(`[data-group="${identifier}"]`), identifier);
+    });
+    this.midiParamMappings.clear();
+
+    this.midiWidgetMappings.forEach((mapping, widgetId) => {
+      if (mapping.source === 'profile') return;
+      this.midiWidgetMappings.delete(widgetId);
+      this.takeoverStates.delete(widgetId);
+      this.feedback?.unwatch(widgetId);
+      removeIndicator(document.getElementById(widgetId) || document.querySelector(`[data-value="${widgetId}"]`), widgetId);
+    });
+  }
+
+  /**
+   * Returns the key that scopes persisted mappings to the current orbiter.
+   * @private
+   * @returns {string} The orbiter identifier, or 'default' if no track data is loaded yet.
+   */
+  getMappingScope() {
+    const orbiter = Constants.TRACK_DATA?.orbiter;
+    return orbiter?._id || orbiter?.orbiterName || orbiter?.orbiterJSONURL || 'default';
+  }
+
+  /**
+   * Builds the lscache key under which a device's mappings are stored.
+   * @private
+   * @param {string|null} deviceName - The MIDI input name.
+   * @returns {string}
+   */
+  getMappingStorageKey(deviceName) {
+    return `midi-mappings:${this.getMappingScope()}:${deviceName || MIDI_UNKNOWN_DEVICE}`;
+  }
+
+  /**
+   * Builds the lscache key under which a device's parameter mappings are stored.
+   * @private
+   * @param {string|null} deviceName - The MIDI input name.
+   * @returns {string}
+   */
+  getParamMappingStorageKey(deviceName) {
+    return `midi-param-mappings:${this.getMappingScope()}:${deviceName || MIDI_UNKNOWN_DEVICE}`;
+  }
+
+  /**
+   * Builds the lscache key listing every device with stored mappings for the current orbiter.
+   * @private
+   * @returns {string}
+   */
+  getDeviceIndexKey() {
+    return `midi-mapping-devices:${this.getMappingScope()}`;
+  }
+
+  /**
+   * Serializes mappings grouped by device name.
+   * @private
+   * @param {Map<string, Object>} [mappings=this.midiWidgetMappings] - The widget or parameter mappings.
+   * @returns {Object<string, Object<string, { channel: number, cc: number, type: string, options?: MIDIMappingOptions }>>}
+   */
+  collectMappingsByDevice(mappings = this.midiWidgetMappings) {
+    const byDevice = {};
+    mappings.forEach((mapping, widgetId) => {
+      // Profile mappings are re-created from the bundled profile on connection.
+      if (mapping.source === 'profile') return;
+      const device = mapping.device || MIDI_UNKNOWN_DEVICE;
+      if (!byDevice[device]) byDevice[device] = {};
+      byDevice[device][widgetId] = {
+        channel: mapping.channel,
+        cc: mapping.cc,
+        type: mapping.type || 'cc',
+      };
+      if (mapping.options && hasCustomOptions(mapping.options)) {
+        byDevice[device][widgetId].options = { ...mapping.options };
+      }
+    });
+    return byDevice;
+  }
+
+  /**
+   * Persists all widget and parameter mappings to localStorage, one entry per device name
+   * and kind, scoped to the current orbiter. Devices whose mappings were all cleared are removed.
+   * @public
+   * @returns {void}
+   *
+   * @example
+   * midiController.saveMappings();
+   */
+  saveMappings() {
+    const byDevice = this.collectMappingsByDevice();
+    const paramsByDevice = this.collectMappingsByDevice(this.midiParamMappings);
+    const indexKey = this.getDeviceIndexKey();
+    const previousDevices = lscache.get(indexKey) || [];
+    const store = (key, mappings) => (mappings ? lscache.set(key, mappings) : lscache.remove(key));
+
+    const devices = [...new Set([...Object.keys(byDevice), ...Object.keys(paramsByDevice)])];
+    [...new Set([...previousDevices, ...devices])].forEach(device => {
+      store(this.getMappingStorageKey(device), byDevice[device]);
+      store(this.getParamMappingStorageKey(device), paramsByDevice[device]);
+    });
+
+    if (devices.length > 0) {
+      lscache.set(indexKey, devices);
+    } else {
+      lscache.remove(indexKey);
+    }
+    console.log(`MIDIController: Saved MIDI mappings for ${devices.length} device(s).`);
+  }
+
+  /**
+   * Applies a set of serialized mappings for one device.
+   * Existing mappings for the same widgets are replaced.
+   * @private
+   * @param {string} deviceName - The MIDI input name the mappings belong to.
+   * @param {Object<string, { channel: number, cc: number, type?: string }>} mappings - Mappings keyed by widget ID.
+   * @returns {number} The number of mappings applied.
+   */
+  applyDeviceMappings(deviceName, mappings) {
+    let applied = 0;
+    Object.entries(mappings || {}).forEach(([widgetId, mapping]) => {
+      if (!mapping || !Number.isInteger(mapping.channel) || !Number.isInteger(mapping.cc)) {
+        console.warn(`MIDIController: Skipping invalid mapping for '${widgetId}'.`, mapping);
+        return;
+      }
+      const device = deviceName === MIDI_UNKNOWN_DEVICE ? null : deviceName;
+      const type = SOURCE_LEARN_PRIORITY.includes(mapping.type) ? mapping.type : 'cc';
+      this.setMidiWidgetMapping(widgetId, mapping.channel, mapping.cc, { type, device, options: mapping.options });
+      this.markAsMapped(widgetId, mapping.cc, mapping.channel, type);
+      applied++;
+    });
+    return applied;
+  }
+
+  /**
+   * Applies a set of serialized parameter mappings for one device.
+   * @private
+   * @param {string} deviceName - The MIDI input name the mappings belong to.
+   * @param {Object<string, { channel: number, cc: number, type?: string }>} mappings - Mappings keyed by parameter name.
+   * @returns {number} The number of mappings applied.
+   */
+  applyDeviceParamMappings(deviceName, mappings) {
+    let applied = 0;
+    Object.entries(mappings || {}).forEach(([identifier, mapping]) => {
+      if (!mapping || !Number.isInteger(mapping.channel) || !Number.isInteger(mapping.cc)) {
+        console.warn(`MIDIController: Skipping invalid mapping for '${identifier}'.`, mapping);
+        return;
+      }
+      const device = deviceName === MIDI_UNKNOWN_DEVICE ? null : deviceName;
+      const type = SOURCE_LEARN_PRIORITY.includes(mapping.type) ? mapping.type : 'cc';
+      this.midiParamMappings.set(identifier, { channel: mapping.channel, cc: mapping.cc, type, device });
+      document.querySelector(`[data-group="${identifier}"]`)?.classList.add('midi-mapped');
+      applied++;
+    });
+    return applied;
+  }
+
+  /**
+   * Loads the bundled controller profile matching a MIDI input, once per session.
+   * Persisted user mappings are restored afterwards and take precedence.
+   * @private
+   * @param {MIDIInput} input - The connected MIDI input.
+   * @returns {void}
+   */
+  loadProfileForInput(input) {
+    if (!input || !input.name || this.restoredDevices.has(input.name)) return;
+    if (!this.isProfileEnabled(input.name)) return;
+
+    const profile = findMIDIProfile(input);
+    if (!profile) return;
+
+    let count = 0;
+    Object.entries(profile.mappings).forEach(([widgetId, mapping]) => {
+      // Never replace a mapping the user learned for this widget.
+      if (this.midiWidgetMappings.get(widgetId)?.source === 'user') return;
+      this.setMidiWidgetMapping(widgetId, mapping.channel, mapping.cc, {
+        type: mapping.type,
+        device: input.name,
+        source: 'profile',
+        options: mapping.options,
+      });
+      this.markAsMapped(widgetId, mapping.cc, mapping.channel, mapping.type);
+      count++;
+    });
+
+    this.activeProfiles.set(input.name, profile.id);
+    console.log(`MIDIController: Loaded profile '${profile.id}' for ${input.name} (${count} mappings).`);
+    notifications.showToast(`${profile.name} detected. Controls mapped automatically.`, 'success');
+  }
+
+  /**
+   * Whether the bundled profile may be loaded for a device.
+   * @public
+   * @param {string} deviceName - The MIDI input name.
+   * @returns {boolean}
+   */
+  isProfileEnabled(deviceName) {
+    return !lscache.get(`midi-profile-disabled:${deviceName}`);
+  }
+
+  /**
+   * Enables or disables automatic profile loading for a device. The choice is persisted.
+   * Disabling removes the profile mappings immediately; learned mappings are kept.
+   * @public
+   * @param {string} deviceName - The MIDI input name.
+   * @param {boolean} enabled - Whether the profile should be used.
+   * @returns {void}
+   *
+   * @example
+   * midiController.setProfileEnabled('nanoKONTROL2', false);
+   */
+  setProfileEnabled(deviceName, enabled) {
+    if (enabled) {
+      lscache.remove(`midi-profile-disabled:${deviceName}`);
+      const input = this.midiAccess && Array.from(this.midiAccess.inputs.values()).find(i => i.name === deviceName);
+      if (input) {
+        // Allow the profile to be applied again for the connected device.
+        this.restoredDevices.delete(deviceName);
+        this.loadProfileForInput(input);
+        this.restoredDevices.add(deviceName);
+      }
+      return;
+    }
+
+    lscache.set(`midi-profile-disabled:${deviceName}`, true);
+    this.midiWidgetMappings.forEach((mapping, widgetId) => {
+      if (mapping.source === 'profile' && mapping.device === deviceName) {
+        this.midiWidgetMappings.delete(widgetId);
+        this.feedback?.unwatch(widgetId);
+        document.getElementById(widgetId)?.classList.remove('midi-mapped');
+        document.querySelector(`.midi-indicator[data-element-id="${widgetId}"]`)?.remove();
+      }
+    });
+    this.activeProfiles.delete(deviceName);
+  }
+
+  /**
+   * Restores the persisted mappings for a device, once per session.
+   * Called whenever an input is enabled or (re)connected.
+   * @private
+   * @param {string} deviceName - The MIDI input name.
+   * @returns {void}
+   */
+  restoreMappingsForDevice(deviceName) {
+    if (!deviceName || this.restoredDevices.has(deviceName)) return;
+
+    this.restoredDevices.add(deviceName);
+    const count = this.applyDeviceMappings(deviceName, lscache.get(this.getMappingStorageKey(deviceName)))
+      + this.applyDeviceParamMappings(deviceName, lscache.get(this.getParamMappingStorageKey(deviceName)));
+    if (count > 0) {
+      notifications.showToast(`Restored ${count} MIDI mapping(s) for ${deviceName}.`, 'info');
+    }
+  }
+
+  /**
+   * Restores persisted mappings for the current orbiter.
+   * Mappings learned without a known device are applied immediately. Device mappings are
+   * restored when their input connects, once MIDI is enabled; MIDI is only activated here if
+   * the page already has MIDI permission, so loading the player never prompts for it.
+   * Should be called once track data is available.
+   * @public
+   * @async
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await MIDIControllerInstance.restorePersistedMappings();
+   */
+  async restorePersistedMappings() {
+    const devices = lscache.get(this.getDeviceIndexKey()) || [];
+    if (devices.length === 0) return;
+
+    if (devices.includes(MIDI_UNKNOWN_DEVICE)) {
+      this.applyDeviceMappings(MIDI_UNKNOWN_DEVICE, lscache.get(this.getMappingStorageKey(MIDI_UNKNOWN_DEVICE)));
+      this.applyDeviceParamMappings(MIDI_UNKNOWN_DEVICE, lscache.get(this.getParamMappingStorageKey(MIDI_UNKNOWN_DEVICE)));
+    }
+
+    // Activating MIDI enables the inputs, which restores each connected device's mappings.
+    if (await this.hasMIDIPermission()) {
+      await this.activateMIDI();
+    }
+  }
+
+  /**
+   * Whether MIDI access was already granted to the page, so requesting it shows no prompt.
+   * @private
+   * @async
+   * @returns {Promise<boolean>} False if the permission is not granted or cannot be queried.
+   */
+  async hasMIDIPermission() {
+    try {
+      const status = await navigator.permissions?.query({ name: 'midi', sysex: false });
+      return status?.state === 'granted';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Builds a versioned, shareable description of all mappings.
+   * Widget mappings are listed under `devices`, parameter mappings under `parameters`.
+   * @public
+   * @returns {{ format: string, version: number, orbiter: string, exportedAt: string, devices: Object, parameters: Object }}
+   *
+   * @example
+   * const json = midiController.exportMappings();
+   */
+  exportMappings() {
+    return {
+      format: MIDI_MAPPINGS_FORMAT,
+      version: MIDI_MAPPINGS_VERSION,
+      orbiter: this.getMappingScope(),
+      exportedAt: new Date().toISOString(),
+      devices: this.collectMappingsByDevice(),
+      parameters: this.collectMappingsByDevice(this.midiParamMappings),
+    };
+  }
+
+  /**
+   * Downloads the current mappings as a JSON file.
+   * @public
+   * @returns {void}
+   *
+   * @example
+   * midiController.downloadMappings();
+   */
+  downloadMappings() {
+    if (this.midiWidgetMappings.size === 0 && this.midiParamMappings.size === 0) {
+      notifications.showToast('There are no MIDI mappings to export.', 'warning');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(this.exportMappings(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `midi-mappings-${this.getMappingScope()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Imports mappings from a JSON description produced by {@link MIDIController#exportMappings}.
+   * Mappings are applied to the current orbiter and persisted.
+   * @public
+   * @param {string|Object} data - The JSON string or parsed object.
+   * @returns {number} The number of mappings imported.
+   * @throws {Error} If the data is not a supported mapping file.
+   *
+   * @example
+   * midiController.importMappings(await file.text());
+   */
+  importMappings(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!parsed || parsed.format !== MIDI_MAPPINGS_FORMAT || typeof parsed.devices !== 'object') {
+      throw new Error('Not a MIDI mappings file.');
+    }
+    if (parsed.version > MIDI_MAPPINGS_VERSION) {
+      throw new Error(`Unsupported MIDI mappings version ${parsed.version}.`);
+    }
+
+    let count = 0;
+    Object.entries(parsed.devices).forEach(([device, mappings]) => {
+      count += this.applyDeviceMappings(device, mappings);
+      this.restoredDevices.add(device);
+    });
+    Object.entries(parsed.parameters || {}).forEach(([device, mappings]) => {
+      count += this.applyDeviceParamMappings(device, mappings);
+      this.restoredDevices.add(device);
+    });
+    this.saveMappings();
+    return count;
+  }
+
+  /**
+   * Opens a file picker and imports the selected MIDI mappings file.
+   * @public
+   * @returns {void}
+   *
+   * @example
+   * midiController.promptImportMappings();
+   */
+  promptImportMappings() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      try {
+        const count = this.importMappings(await file.text());
+        notifications.showToast(`Imported ${count} MIDI mapping(s).`, 'success');
+        await this.activateMIDI();
+      } catch (error) {
+        console.error('MIDIController: Failed to import mappings:', error);
+        notifications.showToast(`MIDI import failed: ${error.message}`, 'error');
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Re-creates the MIDI indicators of all mapped widgets so they follow the current layout.
+   * @private
+   * @returns {void}
+   */
+  refreshMappedIndicators() {
+    this.midiWidgetMappings.forEach((mapping, widgetId) => {
+      this.markAsMapped(widgetId, mapping.cc, mapping.channel, mapping.type || 'cc');
+    });
+  }
+
   /**
    * Enables MIDI Learn mode by creating overlays over automatable elements.
    * @public
@@ -645,6 +1817,7 @@ class MIDIController {
 
     // Create overlays for automatable widgets and dropdown items
     this.createOverlays();
+    this.refreshMappedIndicators();
     this.toggleMoreMenuButton(true); // Update button
 
     // Add class to body for CSS control
@@ -1003,6 +2176,9 @@ class MIDIController {
     this.isMidiLearnModeActive = false;
     this.currentLearnParam = null;
     this.currentLearnWidget = null;
+    clearTimeout(this.learnTimer);
+    this.learnTimer = null;
+    this.learnCandidates = [];
   
     // Clean up UI
     document.body.classList.remove('midi-learn-mode');
@@ -1139,6 +2315,73 @@ class MIDIController {
     }
   }
 
+  /**
+   * Handles the "Options" action from the context menu.
+   * Opens a form to edit the range, inversion, curve, takeover and encoder options of the selected mapping.
+   * @private
+   * @param {Event} event - The click or touch event.
+   * @returns {void}
+   *
+   * @example
+   * contextMenuOptionsButton.addEventListener('click', midiController.handleContextMenuOptions);
+   */
+  handleContextMenuOptions(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const widgetId = this.currentlyLearningWidget?.id || this.currentLearnParam;
+    this.closeContextMenu();
+    if (!widgetId || !this.midiWidgetMappings.has(widgetId)) {
+      notifications.showToast('Map this control before editing its MIDI options.', 'warning');
+      return;
+    }
+
+    notifications.showUniversalModal(`MIDI options: ${widgetId}`, this.createMappingOptionsForm(widgetId), 'Done');
+  }
+
+  /**
+   * Builds the form used to edit a mapping's options. Changes are applied as they are made.
+   * @private
+   * @param {string} widgetId - The mapped widget ID.
+   * @returns {HTMLFormElement}
+   */
+  createMappingOptionsForm(widgetId) {
+    const options = normalizeMappingOptions(this.midiWidgetMappings.get(widgetId).options);
+    const form = document.createElement('form');
+    form.className = 'midi-options-form';
+
+    const select = (name, values, selected) =>
+      `<select name="${name}" class="form-select form-select-sm">${values
+        .map(v => `<option value="${v}"${v === selected ? ' selected' : ''}>${v}</option>`)
+        .join('')}</select>`;
+
+    form.innerHTML = `
+      <label>Range min (%) <input name="min" type="number" min="0" max="100" step="1" value="${Math.round(options.min * 100)}" class="form-control form-control-sm"></label>
+      <label>Range max (%) <input name="max" type="number" min="0" max="100" step="1" value="${Math.round(options.max * 100)}" class="form-control form-control-sm"></label>
+      <label>Curve ${select('curve', MAPPING_CURVES, options.curve)}</label>
+      <label>Takeover ${select('takeover', TAKEOVER_MODES, options.takeover)}</label>
+      <label>Encoding ${select('encoding', ENCODINGS, options.encoding)}</label>
+      <label>Step per tick (%) <input name="step" type="number" min="0.01" max="10" step="0.01" value="${+(options.step * 100).toFixed(2)}" class="form-control form-control-sm"></label>
+      <label>Acceleration (%) <input name="acceleration" type="number" min="0" max="100" step="5" value="${Math.round(options.acceleration * 100)}" class="form-control form-control-sm"></label>
+      <label class="form-check"><input name="invert" type="checkbox" class="form-check-input"${options.invert ? ' checked' : ''}> Invert</label>
+    `;
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', () => {
+      this.setMappingOptions(widgetId, {
+        min: Number(form.elements.min.value) / 100,
+        max: Number(form.elements.max.value) / 100,
+        curve: form.elements.curve.value,
+        takeover: form.elements.takeover.value,
+        encoding: form.elements.encoding.value,
+        step: Number(form.elements.step.value) / 100,
+        acceleration: Number(form.elements.acceleration.value) / 100,
+        invert: form.elements.invert.checked,
+      });
+    });
+    return form;
+  }
+
   /**
    * Handles the "Close" action from the context menu.
    * Closes the context menu without making any changes.
@@ -1290,7 +2533,7 @@ class MIDIController {
   }
 
   /**
-   * Sets up event listeners for the context menu options ("Learn", "Delete", "Close").
+   * Sets up event listeners for the context menu options ("Learn", "Delete", "Options", "Close").
    * @private
    * @returns {void}
    *
@@ -1300,6 +2543,7 @@ class MIDIController {
   setupDropdownEventListeners() {
     const contextMenuLearn = document.getElementById("midi-context-learn");
     const contextMenuDelete = document.getElementById("midi-context-delete");
+    const contextMenuOptions = document.getElementById("midi-context-options");
     const contextMenuClose = document.getElementById("midi-context-close");
 
     // Options for passive event listeners
@@ -1315,6 +2559,10 @@ class MIDIController {
       contextMenuDelete.addEventListener("touchstart", this.handleContextMenuDelete, passiveOptions);
     }
 
+    if (contextMenuOptions) {
+      contextMenuOptions.addEventListener("click", this.handleContextMenuOptions);
+    }
+
     if (contextMenuClose) {
       contextMenuClose.addEventListener("click", this.handleContextMenuClose);
       contextMenuClose.addEventListener("touchstart", this.handleContextMenuClose, passiveOptions);
@@ -1342,14 +2590,14 @@ class MIDIController {
    * Updates a parameter based on incoming MIDI data.
    * Specifically tailored for widgets that are dropdown items.
    * @private
-   * @param {string} widgetId - The widget's unique ID.
-   * @param {number} midiValue - The MIDI CC value (0-127).
+   * @param {string} identifier - The widget's unique ID.
+   * @param {number} value - The normalized control value (0-1).
    * @returns {void}
    *
    * @example
-   * midiController.updateParameter('dropdownItem1', 100);
+   * midiController.updateParameter('dropdownItem1', 0.8);
    */
-  updateParameter(identifier, midiValue) {
+  updateParameter(identifier, value) {
     const element = this.widgetRegistry.get(identifier);
     if (element) {
       if (element.tagName.toLowerCase() === 'a' && element.classList.contains('dropdown-item')) {
@@ -1363,7 +2611,13 @@ class MIDIController {
       } else {
         // Handle widgets
         const widget = element;
-        const normalizedValue = midiValue / 127; // Normalize to [0, 1]
+        const mapping = this.midiParamMappings.get(identifier) || this.midiWidgetMappings.get(identifier);
+        const options = normalizeMappingOptions(mapping?.options);
+        const normalizedValue = shapeValue(value, options);
+        if (options.takeover === 'pickup' && widget.max !== widget.min) {
+          const current = (widget.value - widget.min) / (widget.max - widget.min);
+          if (!this.acceptMappedValue(identifier, normalizedValue, current)) return;
+        }
         widget.value = widget.min + normalizedValue * (widget.max - widget.min);
         if (typeof widget.redraw === 'function') {
           widget.redraw(); // Ensure the widget updates its display
@@ -1376,4 +2630,15 @@ class MIDIController {
   }
 }
 
-export const MIDIControllerInstance = MIDI_SUPPORTED ? new MIDIController() : null;
\ No newline at end of file
+export const MIDIControllerInstance = MIDI_SUPPORTED ? new MIDIController() : null;
+
+/**
+ * @typedef {Object} MIDIMonitorEntry
+ * @property {number} time - Arrival time (ms, performance clock).
+ * @property {string|null} device - Name of the input that sent the message.
+ * @property {Uint8Array} data - The raw message bytes.
+ * @property {MIDIControlEvent[]} events - Control events parsed from the message.
+ * @property {string[]} hits - Widgets and parameters the message drove.
+ * @property {boolean} routed - Whether the message was forwarded to the Orbiter.
+ * @property {boolean} filtered - Whether the message was dropped by the port or channel settings.
+ */
@@ -0,0 +1,239 @@
+// src/MIDIFeedback.js
+
+/**
+ * @file MIDIFeedback.js
+ * @description Sends the current value of mapped widgets back to MIDI controllers so LED rings,
+ * button lights and motorized faders follow changes made by sensors, Cosmic LFOs or the screen.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import { normalizeMappingOptions, unshapeValue } from './MIDIMapping.js';
+import { encodeMIDISource } from './MIDIMessageParser.js';
+
+/** Minimum time between two feedback messages for the same mapping (ms). */
+const FEEDBACK_INTERVAL_MS = 40;
+
+/** Feedback is held back for this long after a control moved, so motor faders do not fight the hand (ms). */
+const FEEDBACK_HOLD_MS = 150;
+
+/**
+ * Normalizes a port name so inputs and outputs of the same device match,
+ * e.g. "MIDIIN2 (nanoKONTROL2)" and "MIDIOUT2 (nanoKONTROL2)".
+ * @private
+ * @param {string} name - The port name.
+ * @returns {string}
+ */
+function devicePortKey(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/midi\s*(in|out)\s*\d*/g, '')
+    .replace(/\b(in|out|input|output)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Mirrors mapped widget values to MIDI outputs.
+ * @class
+ * @memberof InputInterface
+ */
+export class MIDIFeedback {
+  /**
+   * @param {Object} midiController - The MIDIController owning the mappings.
+   * @param {ParameterManager} parameterManager - Manager whose parameter changes trigger feedback.
+   */
+  constructor(midiController, parameterManager) {
+    this.midiController = midiController;
+    this.parameterManager = parameterManager;
+
+    /** @type {Map<string, MIDIOutput>} Connected outputs by port name. */
+    this.outputs = new Map();
+
+    /** @type {Map<string, Function>} Cleanup callbacks for watched widgets. */
+    this.watchers = new Map();
+
+    /** @type {Set<string>} Widget IDs waiting for a feedback flush. */
+    this.pending = new Set();
+
+    /** @type {Map<string, string>} Last message sent per widget, to skip duplicates. */
+    this.lastSent = new Map();
+
+    /** @type {Map<string, number>} Time of the last incoming message per widget. */
+    this.lastInput = new Map();
+
+    /** @type {number|null} */
+    this.flushTimer = null;
+
+    /** @type {boolean} Whether feedback is sent at all. */
+    this.enabled = true;
+
+    this.flush = this.flush.bind(this);
+  }
+
+  /**
+   * Registers a connected MIDI output and syncs every mapping of its device.
+   * @param {MIDIOutput} output - The output port.
+   * @returns {void}
+   */
+  attachOutput(output) {
+    if (!output || !output.name) return;
+    this.outputs.set(output.name, output);
+    console.log(`MIDIFeedback: Connected MIDI output: ${output.name}`);
+    this.syncAll();
+  }
+
+  /**
+   * Forgets a disconnected MIDI output.
+   * @param {MIDIOutput} output - The output port.
+   * @returns {void}
+   */
+  detachOutput(output) {
+    if (!output) return;
+    this.outputs.delete(output.name);
+    console.log(`MIDIFeedback: Disconnected MIDI output: ${output.name}`);
+  }
+
+  /**
+   * Finds the output belonging to the input a mapping was learned from.
+   * @private
+   * @param {string|null} deviceName - The input name stored on the mapping.
+   * @returns {MIDIOutput|null}
+   */
+  findOutput(deviceName) {
+    if (!deviceName) return null;
+    if (this.outputs.has(deviceName)) return this.outputs.get(deviceName);
+
+    const key = devicePortKey(deviceName);
+    for (const output of this.outputs.values()) {
+      if (devicePortKey(output.name) === key) return output;
+    }
+    return null;
+  }
+
+  /**
+   * Starts mirroring a mapped widget. Widgets bound to a `root-param` follow the
+   * ParameterManager; other widgets follow their own change events.
+   * @param {string} widgetId - The mapped widget ID.
+   * @param {HTMLElement|null} widget - The widget element, if it exists.
+   * @returns {void}
+   */
+  watch(widgetId, widget) {
+    this.unwatch(widgetId);
+    if (!widget || widget.classList.contains('dropdown-item')) return;
+
+    const rootParam = widget.rootParam || widget.getAttribute('root-param');
+    if (rootParam && this.parameterManager.getParameter(rootParam)) {
+      const listener = { onParameterChanged: () => this.queue(widgetId) };
+      this.parameterManager.subscribe(listener, rootParam);
+      this.watchers.set(widgetId, () => this.parameterManager.unsubscribe(listener, rootParam));
+      return;
+    }
+
+    const onChange = () => this.queue(widgetId);
+    widget.addEventListener('input', onChange);
+    widget.addEventListener('change', onChange);
+    this.watchers.set(widgetId, () => {
+      widget.removeEventListener('input', onChange);
+      widget.removeEventListener('change', onChange);
+    });
+    this.queue(widgetId);
+  }
+
+  /**
+   * Stops mirroring a widget.
+   * @param {string} widgetId - The widget ID.
+   * @returns {void}
+   */
+  unwatch(widgetId) {
+    const cleanup = this.watchers.get(widgetId);
+    if (cleanup) cleanup();
+    this.watchers.delete(widgetId);
+    this.pending.delete(widgetId);
+    this.lastSent.delete(widgetId);
+  }
+
+  /**
+   * Records that a mapped control just moved, holding back feedback for it.
+   * @param {string} widgetId - The widget ID.
+   * @returns {void}
+   */
+  noteInput(widgetId) {
+    this.lastInput.set(widgetId, performance.now());
+  }
+
+  /**
+   * Queues a widget for feedback. Messages are rate-limited and sent on the next flush.
+   * @param {string} widgetId - The widget ID.
+   * @returns {void}
+   */
+  queue(widgetId) {
+    if (!this.enabled) return;
+    this.pending.add(widgetId);
+    if (this.flushTimer === null) {
+      this.flushTimer = setTimeout(this.flush, FEEDBACK_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Queues every mapped widget, e.g. after an output connects.
+   * @returns {void}
+   */
+  syncAll() {
+    this.lastSent.clear();
+    this.watchers.forEach((_, widgetId) => this.queue(widgetId));
+  }
+
+  /**
+   * Sends feedback for all queued widgets.
+   * @private
+   * @returns {void}
+   */
+  flush() {
+    this.flushTimer = null;
+    const now = performance.now();
+    const deferred = [];
+
+    this.pending.forEach(widgetId => {
+      if (now - (this.lastInput.get(widgetId) ?? -Infinity) < FEEDBACK_HOLD_MS) {
+        deferred.push(widgetId);
+        return;
+      }
+      this.send(widgetId);
+    });
+
+    this.pending.clear();
+    deferred.forEach(widgetId => this.queue(widgetId));
+  }
+
+  /**
+   * Sends the current value of one widget to its device.
+   * @private
+   * @param {string} widgetId - The widget ID.
+   * @returns {void}
+   */
+  send(widgetId) {
+    const mapping = this.midiController.midiWidgetMappings.get(widgetId);
+    const widget = this.midiController.widgetRegistry.get(widgetId) || document.getElementById(widgetId);
+    const output = mapping && this.findOutput(mapping.device);
+    if (!mapping || !widget || !output || !this.midiController.isOutputEnabled(output.name)) return;
+
+    const min = widget._min !== undefined ? widget._min : widget.min;
+    const max = widget._max !== undefined ? widget._max : widget.max;
+    if (min === undefined || max === undefined || max === min) return;
+
+    const options = normalizeMappingOptions(mapping.options);
+    const normalized = (widget.value - min) / (max - min);
+    // Relative encoders usually accept their LED ring position as an absolute CC.
+    const messages = encodeMIDISource(mapping.type || 'cc', mapping.channel, mapping.cc, unshapeValue(normalized, options));
+
+    const signature = JSON.stringify(messages);
+    if (this.lastSent.get(widgetId) === signature) return;
+    this.lastSent.set(widgetId, signature);
+
+    try {
+      messages.forEach(message => output.send(message));
+    } catch (error) {
+      console.warn(`MIDIFeedback: Failed to send feedback to ${output.name}:`, error);
+    }
+  }
+}
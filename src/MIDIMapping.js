@@ -0,0 +1,262 @@
+// src/MIDIMapping.js
+
+/**
+ * @file MIDIMapping.js
+ * @description Value shaping for MIDI mappings: sub-ranges, inversion, response curves, soft takeover
+ * and relative encoder decoding.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} MIDIMappingOptions
+ * @property {number} min - Lower end of the target range, normalized to the widget range (0-1).
+ * @property {number} max - Upper end of the target range, normalized to the widget range (0-1).
+ * @property {boolean} invert - Whether the control direction is reversed.
+ * @property {'linear'|'log'|'exp'|'s'} curve - Response curve applied to the control.
+ * @property {'jump'|'pickup'} takeover - 'jump' applies every value; 'pickup' ignores the control
+ *   until it reaches the current on-screen value.
+ * @property {'absolute'|'twos'|'binoffset'|'signmag'} encoding - 'absolute' for regular knobs, otherwise
+ *   the relative encoding sent by an endless encoder.
+ * @property {number} step - Normalized change per encoder tick (relative encodings only).
+ * @property {number} acceleration - How much fast turns are amplified, 0 (none) to 1 (strong).
+ */
+
+/**
+ * Defaults applied to mappings without options.
+ * @type {MIDIMappingOptions}
+ */
+export const DEFAULT_MAPPING_OPTIONS = Object.freeze({
+  min: 0,
+  max: 1,
+  invert: false,
+  curve: 'linear',
+  takeover: 'jump',
+  encoding: 'absolute',
+  step: 1 / 256,
+  acceleration: 0.5,
+});
+
+/** Supported response curves. */
+export const MAPPING_CURVES = ['linear', 'log', 'exp', 's'];
+
+/** Supported takeover modes. */
+export const TAKEOVER_MODES = ['jump', 'pickup'];
+
+/**
+ * Supported value encodings: absolute, two's complement (1 = +1, 127 = -1),
+ * binary offset (65 = +1, 63 = -1) and sign-magnitude (1 = +1, 65 = -1).
+ */
+export const ENCODINGS = ['absolute', 'twos', 'binoffset', 'signmag'];
+
+/**
+ * Encoder ticks closer together than this (ms) are accelerated.
+ * @private
+ */
+const ACCELERATION_WINDOW_MS = 60;
+
+/**
+ * Largest multiplier applied to a single tick at full acceleration.
+ * @private
+ */
+const MAX_ACCELERATION = 8;
+
+/**
+ * Distance (normalized) within which a control in pickup mode takes over the widget.
+ * @private
+ */
+const PICKUP_THRESHOLD = 0.02;
+
+/**
+ * Number of identical consecutive values required before a control is treated as an encoder.
+ * A fader resting near its end can send a few low values too, but never the same one repeatedly.
+ * @private
+ */
+const MIN_RELATIVE_RUN = 4;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+/**
+ * Validates options, filling gaps with defaults.
+ * @param {Partial<MIDIMappingOptions>} [options] - Options to validate.
+ * @returns {MIDIMappingOptions}
+ */
+export function normalizeMappingOptions(options = {}) {
+  const min = Number.isFinite(Number(options.min)) ? clamp01(Number(options.min)) : DEFAULT_MAPPING_OPTIONS.min;
+  const max = Number.isFinite(Number(options.max)) ? clamp01(Number(options.max)) : DEFAULT_MAPPING_OPTIONS.max;
+  return {
+    min,
+    max,
+    invert: Boolean(options.invert),
+    curve: MAPPING_CURVES.includes(options.curve) ? options.curve : DEFAULT_MAPPING_OPTIONS.curve,
+    takeover: TAKEOVER_MODES.includes(options.takeover) ? options.takeover : DEFAULT_MAPPING_OPTIONS.takeover,
+    encoding: ENCODINGS.includes(options.encoding) ? options.encoding : DEFAULT_MAPPING_OPTIONS.encoding,
+    step: Number(options.step) > 0 ? Math.min(1, Number(options.step)) : DEFAULT_MAPPING_OPTIONS.step,
+    acceleration: Number.isFinite(Number(options.acceleration))
+      ? clamp01(Number(options.acceleration))
+      : DEFAULT_MAPPING_OPTIONS.acceleration,
+  };
+}
+
+/**
+ * Whether options differ from the defaults (used to keep stored mappings compact).
+ * @param {MIDIMappingOptions} options - Normalized options.
+ * @returns {boolean}
+ */
+export function hasCustomOptions(options) {
+  return Object.keys(DEFAULT_MAPPING_OPTIONS).some(key => options[key] !== DEFAULT_MAPPING_OPTIONS[key]);
+}
+
+/**
+ * Applies a response curve to a normalized value.
+ * @param {number} t - Value between 0 and 1.
+ * @param {string} curve - One of {@link MAPPING_CURVES}.
+ * @returns {number} Shaped value between 0 and 1.
+ */
+export function applyCurve(t, curve) {
+  switch (curve) {
+    case 'log':
+      return Math.log10(1 + 9 * t);
+    case 'exp':
+      return (Math.pow(10, t) - 1) / 9;
+    case 's':
+      return t * t * (3 - 2 * t);
+    default:
+      return t;
+  }
+}
+
+/**
+ * Converts a normalized control value into a normalized widget value.
+ * @param {number} t - Control value between 0 and 1.
+ * @param {MIDIMappingOptions} options - Mapping options.
+ * @returns {number} Widget value between 0 and 1.
+ */
+export function shapeValue(t, options) {
+  let v = clamp01(t);
+  if (options.invert) v = 1 - v;
+  v = applyCurve(v, options.curve);
+  return clamp01(options.min + v * (options.max - options.min));
+}
+
+/**
+ * Converts a normalized widget value back into a control value, the inverse of {@link shapeValue}.
+ * Used to send feedback so LED rings and motor faders match the widget.
+ * @param {number} v - Widget value between 0 and 1.
+ * @param {MIDIMappingOptions} options - Mapping options.
+ * @returns {number} Control value between 0 and 1.
+ */
+export function unshapeValue(v, options) {
+  const span = options.max - options.min;
+  let t = span === 0 ? 0 : clamp01((v - options.min) / span);
+  switch (options.curve) {
+    case 'log':
+      t = (Math.pow(10, t) - 1) / 9;
+      break;
+    case 'exp':
+      t = Math.log10(1 + 9 * t);
+      break;
+    case 's':
+      t = 0.5 - Math.sin(Math.asin(1 - 2 * t) / 3);
+      break;
+    default:
+      break;
+  }
+  t = clamp01(t);
+  return options.invert ? 1 - t : t;
+}
+
+/**
+ * Creates the runtime state used by {@link acceptTakeover}.
+ * @returns {{ lastTarget: number|null, lastSent: number|null, pickedUp: boolean }}
+ */
+export function createTakeoverState() {
+  return { lastTarget: null, lastSent: null, pickedUp: false };
+}
+
+/**
+ * Decides whether a control in pickup mode may drive the widget.
+ * The control takes over once it is close to the current value or crosses it,
+ * and loses it again whenever another source moves the widget.
+ * @param {{ lastTarget: number|null, lastSent: number|null, pickedUp: boolean }} state - Mutable takeover state.
+ * @param {number} target - Value the control wants to set (0-1).
+ * @param {number} current - Current widget value (0-1).
+ * @returns {boolean} True if the value should be applied.
+ */
+export function acceptTakeover(state, target, current) {
+  if (state.pickedUp && state.lastSent !== null && Math.abs(current - state.lastSent) > PICKUP_THRESHOLD) {
+    state.pickedUp = false;
+  }
+
+  if (!state.pickedUp) {
+    const close = Math.abs(target - current) <= PICKUP_THRESHOLD;
+    const crossed = state.lastTarget !== null && (state.lastTarget - current) * (target - current) <= 0;
+    state.pickedUp = close || crossed;
+  }
+
+  state.lastTarget = target;
+  if (state.pickedUp) {
+    state.lastSent = target;
+  }
+  return state.pickedUp;
+}
+
+/**
+ * Decodes a relative encoder value into signed ticks.
+ * @param {number} raw - The 7-bit controller value.
+ * @param {string} encoding - One of the relative {@link ENCODINGS}.
+ * @returns {number} Signed tick count (0 if nothing moved).
+ */
+export function decodeRelative(raw, encoding) {
+  switch (encoding) {
+    case 'twos':
+      return raw < 64 ? raw : raw - 128;
+    case 'binoffset':
+      return raw - 64;
+    case 'signmag':
+      return raw & 0x40 ? -(raw & 0x3F) : raw & 0x3F;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Computes the normalized change for a relative encoder message, amplified when ticks
+ * arrive in quick succession.
+ * @param {number} ticks - Signed tick count from {@link decodeRelative}.
+ * @param {MIDIMappingOptions} options - Mapping options.
+ * @param {number} elapsedMs - Time since the previous tick of the same mapping.
+ * @returns {number} Normalized delta.
+ */
+export function relativeDelta(ticks, options, elapsedMs) {
+  const speed = clamp01((ACCELERATION_WINDOW_MS - elapsedMs) / ACCELERATION_WINDOW_MS);
+  const factor = 1 + options.acceleration * speed * (MAX_ACCELERATION - 1);
+  const direction = options.invert ? -1 : 1;
+  return direction * ticks * options.step * factor;
+}
+
+/**
+ * Guesses whether values captured during MIDI Learn come from a relative encoder.
+ * Absolute controls never repeat a value while moving; encoders repeat the same
+ * few values around their zero point. A relative encoding is only reported after a
+ * run of identical ticks, so jitter near a fader's end stays absolute.
+ * @param {number[]} rawValues - 7-bit values received from one controller.
+ * @returns {'absolute'|'twos'|'binoffset'|'signmag'} The detected encoding.
+ */
+export function detectEncoding(rawValues) {
+  if (new Set(rawValues).size > 2) return 'absolute';
+
+  let run = 0;
+  let longestRun = 0;
+  rawValues.forEach((v, i) => {
+    run = v === rawValues[i - 1] ? run + 1 : 1;
+    longestRun = Math.max(longestRun, run);
+  });
+  if (longestRun < MIN_RELATIVE_RUN) return 'absolute';
+
+  // Values near 0/128 are two's complement; values around 64 are binary offset.
+  // Either way one turning direction is ambiguous with sign-magnitude, which is less common.
+  if (rawValues.every(v => v !== 0 && (v <= 15 || v >= 113))) return 'twos';
+  if (rawValues.every(v => v !== 64 && Math.abs(v - 64) <= 15)) return 'binoffset';
+  return 'absolute';
+}
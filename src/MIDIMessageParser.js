@@ -0,0 +1,228 @@
+// src/MIDIMessageParser.js
+
+/**
+ * @file MIDIMessageParser.js
+ * @description Turns raw MIDI bytes into control events: 7-bit and 14-bit CC, NRPN/RPN,
+ * pitch bend, channel and polyphonic aftertouch, notes and program changes.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {'cc'|'cc14'|'nrpn'|'rpn'|'pitchbend'|'chanpressure'|'polypressure'|'note'|'program'} MIDISourceType
+ */
+
+/**
+ * @typedef {Object} MIDIControlEvent
+ * @property {MIDISourceType} type - Kind of control that produced the event.
+ * @property {number} channel - MIDI channel (0-15).
+ * @property {number} number - Controller, note, program or parameter number (0 for pitch bend and channel pressure).
+ * @property {number} value - Normalized value (0-1) at the control's full resolution.
+ */
+
+/** Controllers reserved for parameter number selection and data entry. */
+const CC_DATA_ENTRY_MSB = 6;
+const CC_DATA_ENTRY_LSB = 38;
+const CC_NRPN_LSB = 98;
+const CC_NRPN_MSB = 99;
+const CC_RPN_LSB = 100;
+const CC_RPN_MSB = 101;
+const NULL_PARAMETER = 0x3FFF;
+
+const MAX_7BIT = 127;
+const MAX_14BIT = 16383;
+
+/**
+ * Order in which MIDI Learn prefers sources when one gesture produces several events,
+ * e.g. an NRPN knob also sends plain CCs and a 14-bit knob sends both CC halves.
+ * @type {MIDISourceType[]}
+ */
+export const SOURCE_LEARN_PRIORITY = ['nrpn', 'rpn', 'cc14', 'pitchbend', 'polypressure', 'chanpressure', 'cc', 'note'];
+
+/**
+ * Short labels used by the MIDI indicators.
+ * @private
+ */
+const SOURCE_LABELS = {
+  cc: 'CC',
+  cc14: 'CC14',
+  nrpn: 'NRPN',
+  rpn: 'RPN',
+  pitchbend: 'PB',
+  chanpressure: 'AT',
+  polypressure: 'PAT',
+  note: 'NOTE',
+  program: 'PC',
+};
+
+/**
+ * Formats a MIDI source for display, e.g. "CC14 1" or "PB".
+ * @param {MIDISourceType} type - The source type.
+ * @param {number} number - The controller, note or parameter number.
+ * @returns {string}
+ */
+export function formatMIDISource(type, number) {
+  const label = SOURCE_LABELS[type] || String(type).toUpperCase();
+  return type === 'pitchbend' || type === 'chanpressure' ? label : `${label} ${number}`;
+}
+
+/**
+ * Stateful parser for one MIDI input.
+ * Keeps per-channel state for 14-bit CC pairs and NRPN/RPN selection.
+ * @class
+ * @memberof InputInterface
+ */
+export class MIDIMessageParser {
+  constructor() {
+    /**
+     * @type {Array<{ msb: Map<number, number>, pairs: Set<number>, lastController: number|null, paramType: 'nrpn'|'rpn'|null, paramMsb: number, paramLsb: number, dataMsb: number }>}
+     * @private
+     */
+    this.channels = Array.from({ length: 16 }, () => ({
+      msb: new Map(),
+      pairs: new Set(),
+      lastController: null,
+      paramType: null,
+      paramMsb: 127,
+      paramLsb: 127,
+      dataMsb: 0,
+    }));
+  }
+
+  /**
+   * Parses one MIDI message.
+   * @param {Uint8Array|number[]} data - The raw MIDI bytes.
+   * @returns {MIDIControlEvent[]} Zero or more control events.
+   *
+   * @example
+   * parser.parse([0xE0, 0x00, 0x40]); // [{ type: 'pitchbend', channel: 0, number: 0, value: 0.5 }]
+   */
+  parse(data) {
+    const [status, data1 = 0, data2 = 0] = data;
+    if (status === undefined || status >= 0xF0) return [];
+
+    const channel = status & 0x0F;
+    switch (status & 0xF0) {
+      case 0x90:
+        // Note On with velocity 0 = Note Off
+        return [{ type: 'note', channel, number: data1, value: data2 > 0 ? 1 : 0 }];
+      case 0x80:
+        return [{ type: 'note', channel, number: data1, value: 0 }];
+      case 0xA0:
+        return [{ type: 'polypressure', channel, number: data1, value: data2 / MAX_7BIT }];
+      case 0xC0:
+        return [{ type: 'program', channel, number: data1, value: 1 }];
+      case 0xD0:
+        return [{ type: 'chanpressure', channel, number: 0, value: data1 / MAX_7BIT }];
+      case 0xE0:
+        return [{ type: 'pitchbend', channel, number: 0, value: ((data2 << 7) | data1) / MAX_14BIT }];
+      case 0xB0:
+        return this.parseControlChange(channel, data1, data2);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Parses a Control Change, tracking 14-bit pairs and NRPN/RPN sequences.
+   * @private
+   * @param {number} channel - MIDI channel (0-15).
+   * @param {number} controller - Controller number.
+   * @param {number} value - 7-bit value.
+   * @returns {MIDIControlEvent[]}
+   */
+  parseControlChange(channel, controller, value) {
+    const state = this.channels[channel];
+
+    switch (controller) {
+      case CC_NRPN_MSB:
+      case CC_RPN_MSB:
+        state.paramType = controller === CC_NRPN_MSB ? 'nrpn' : 'rpn';
+        state.paramMsb = value;
+        return [];
+      case CC_NRPN_LSB:
+      case CC_RPN_LSB:
+        state.paramType = controller === CC_NRPN_LSB ? 'nrpn' : 'rpn';
+        state.paramLsb = value;
+        return [];
+      default:
+        break;
+    }
+
+    const parameter = (state.paramMsb << 7) | state.paramLsb;
+    const parameterSelected = state.paramType && parameter !== NULL_PARAMETER;
+
+    if (parameterSelected && controller === CC_DATA_ENTRY_MSB) {
+      state.dataMsb = value;
+      return [{ type: state.paramType, channel, number: parameter, value: (value << 7) / MAX_14BIT }];
+    }
+    if (parameterSelected && controller === CC_DATA_ENTRY_LSB) {
+      return [{ type: state.paramType, channel, number: parameter, value: ((state.dataMsb << 7) | value) / MAX_14BIT }];
+    }
+
+    const events = [{ type: 'cc', channel, number: controller, value: value / MAX_7BIT }];
+    const previousController = state.lastController;
+    state.lastController = controller;
+
+    if (controller < 32) {
+      state.msb.set(controller, value);
+    } else if (controller < 64 && state.msb.has(controller - 32)) {
+      // An LSB directly following its MSB marks a 14-bit pair. Once confirmed, LSB-only
+      // updates are combined too, so independent CCs 32-63 are not mistaken for pairs.
+      const msbController = controller - 32;
+      if (previousController === msbController) {
+        state.pairs.add(msbController);
+      }
+      if (state.pairs.has(msbController)) {
+        const combined = (state.msb.get(msbController) << 7) | value;
+        events.push({ type: 'cc14', channel, number: msbController, value: combined / MAX_14BIT });
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * Encodes a normalized value as the MIDI messages of a source, the inverse of {@link MIDIMessageParser#parse}.
+ * Used to send feedback to controllers.
+ * @param {MIDISourceType} type - The source type.
+ * @param {number} channel - MIDI channel (0-15).
+ * @param {number} number - Controller, note or parameter number.
+ * @param {number} value - Normalized value (0-1).
+ * @returns {number[][]} The messages to send, in order.
+ *
+ * @example
+ * encodeMIDISource('cc14', 0, 1, 0.5); // [[0xB0, 1, 64], [0xB0, 33, 0]]
+ */
+export function encodeMIDISource(type, channel, number, value) {
+  const v = Math.min(1, Math.max(0, value));
+  const v7 = Math.round(v * MAX_7BIT);
+  const v14 = Math.round(v * MAX_14BIT);
+  const msb = v14 >> 7;
+  const lsb = v14 & 0x7F;
+
+  switch (type) {
+    case 'note':
+      return v >= 0.5 ? [[0x90 | channel, number, MAX_7BIT]] : [[0x80 | channel, number, 0]];
+    case 'polypressure':
+      return [[0xA0 | channel, number, v7]];
+    case 'chanpressure':
+      return [[0xD0 | channel, v7]];
+    case 'pitchbend':
+      return [[0xE0 | channel, lsb, msb]];
+    case 'cc14':
+      return [[0xB0 | channel, number, msb], [0xB0 | channel, number + 32, lsb]];
+    case 'nrpn':
+    case 'rpn': {
+      const [selectMsb, selectLsb] = type === 'nrpn' ? [CC_NRPN_MSB, CC_NRPN_LSB] : [CC_RPN_MSB, CC_RPN_LSB];
+      return [
+        [0xB0 | channel, selectMsb, number >> 7],
+        [0xB0 | channel, selectLsb, number & 0x7F],
+        [0xB0 | channel, CC_DATA_ENTRY_MSB, msb],
+        [0xB0 | channel, CC_DATA_ENTRY_LSB, lsb],
+      ];
+    }
+    default:
+      return [[0xB0 | channel, number, v7]];
+  }
+}
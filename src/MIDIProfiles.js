@@ -0,0 +1,190 @@
+// src/MIDIProfiles.js
+
+/**
+ * @file MIDIProfiles.js
+ * @description Bundled MIDI controller profiles. A profile maps the factory layout of a known
+ * controller onto the player's widgets so it works without MIDI Learn.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} MIDIProfileMapping
+ * @property {number} channel - MIDI channel (0-15).
+ * @property {number} cc - Control Change or note number (0-127).
+ * @property {'cc'|'note'} type - The message type that drives the widget.
+ */
+
+/**
+ * @typedef {Object} MIDIProfile
+ * @property {string} id - Unique profile identifier.
+ * @property {string} name - Human readable controller name.
+ * @property {RegExp} [namePattern] - Matched against `MIDIInput.name`.
+ * @property {RegExp} [manufacturerPattern] - Matched against `MIDIInput.manufacturer`.
+ * @property {Object<string, MIDIProfileMapping>} mappings - Mappings keyed by widget ID.
+ */
+
+/**
+ * Widget IDs targeted by the bundled profiles.
+ * @private
+ */
+const WIDGETS = {
+  x: 'xKnob',
+  y: 'yKnob',
+  z: 'zKnob',
+  bodyLevel: 'gSlider',
+  play: 'play-item',
+  pause: 'pause-item',
+  stop: 'stop-item',
+  xLFO: 'xCosmicLFO',
+  yLFO: 'yCosmicLFO',
+  zLFO: 'zCosmicLFO',
+};
+
+const cc = (channel, number) => ({ channel, cc: number, type: 'cc' });
+const note = (channel, number) => ({ channel, cc: number, type: 'note' });
+
+/**
+ * Profiles shipped with the player, using each controller's factory settings.
+ * @type {MIDIProfile[]}
+ */
+const BUNDLED_PROFILES = [
+  {
+    // Faders CC 0-7, knobs CC 16-23, solo buttons CC 32-39, transport CC 41-46.
+    id: 'korg-nanokontrol2',
+    name: 'KORG nanoKONTROL2',
+    namePattern: /nanoKONTROL2/i,
+    mappings: {
+      [WIDGETS.x]: cc(0, 16),
+      [WIDGETS.y]: cc(0, 17),
+      [WIDGETS.z]: cc(0, 18),
+      [WIDGETS.bodyLevel]: cc(0, 0),
+      [WIDGETS.play]: cc(0, 41),
+      [WIDGETS.stop]: cc(0, 42),
+      [WIDGETS.pause]: cc(0, 46),
+      [WIDGETS.xLFO]: cc(0, 32),
+      [WIDGETS.yLFO]: cc(0, 33),
+      [WIDGETS.zLFO]: cc(0, 34),
+    },
+  },
+  {
+    // Knobs CC 70-77 on channel 1, pads bank A notes 36-43 on channel 10.
+    id: 'akai-mpk-mini',
+    name: 'Akai MPK Mini',
+    namePattern: /MPK\s*mini/i,
+    mappings: {
+      [WIDGETS.x]: cc(0, 70),
+      [WIDGETS.y]: cc(0, 71),
+      [WIDGETS.z]: cc(0, 72),
+      [WIDGETS.bodyLevel]: cc(0, 73),
+      [WIDGETS.play]: note(9, 36),
+      [WIDGETS.pause]: note(9, 37),
+      [WIDGETS.stop]: note(9, 38),
+      [WIDGETS.xLFO]: note(9, 40),
+      [WIDGETS.yLFO]: note(9, 41),
+      [WIDGETS.zLFO]: note(9, 42),
+    },
+  },
+  {
+    // Factory template 1 (channel 9): send A knobs CC 13-20, faders CC 77-84,
+    // track focus buttons notes 41-44, track control buttons notes 73-76.
+    id: 'novation-launch-control-xl',
+    name: 'Novation Launch Control XL',
+    namePattern: /Launch\s*Control\s*XL/i,
+    mappings: {
+      [WIDGETS.x]: cc(8, 13),
+      [WIDGETS.y]: cc(8, 14),
+      [WIDGETS.z]: cc(8, 15),
+      [WIDGETS.bodyLevel]: cc(8, 77),
+      [WIDGETS.play]: note(8, 41),
+      [WIDGETS.pause]: note(8, 42),
+      [WIDGETS.stop]: note(8, 43),
+      [WIDGETS.xLFO]: note(8, 73),
+      [WIDGETS.yLFO]: note(8, 74),
+      [WIDGETS.zLFO]: note(8, 75),
+    },
+  },
+  {
+    // Encoders 1-4 send CC 10, 74, 71, 76; pads 1-8 notes 44-51, pads 9-16 notes 36-43.
+    id: 'arturia-beatstep',
+    name: 'Arturia BeatStep',
+    namePattern: /BeatStep(?!\s*Pro)/i,
+    manufacturerPattern: /Arturia/i,
+    mappings: {
+      [WIDGETS.x]: cc(0, 10),
+      [WIDGETS.y]: cc(0, 74),
+      [WIDGETS.z]: cc(0, 71),
+      [WIDGETS.bodyLevel]: cc(0, 76),
+      [WIDGETS.play]: note(0, 44),
+      [WIDGETS.pause]: note(0, 45),
+      [WIDGETS.stop]: note(0, 46),
+      [WIDGETS.xLFO]: note(0, 36),
+      [WIDGETS.yLFO]: note(0, 37),
+      [WIDGETS.zLFO]: note(0, 38),
+    },
+  },
+];
+
+/**
+ * Profiles registered at runtime take precedence over the bundled ones.
+ * @private
+ * @type {MIDIProfile[]}
+ */
+const customProfiles = [];
+
+/**
+ * Registers an additional controller profile.
+ * A registered profile is matched before the bundled profiles.
+ * @memberof InputInterface
+ * @param {MIDIProfile} profile - The profile to register.
+ * @returns {void}
+ *
+ * @example
+ * registerMIDIProfile({ id: 'my-box', name: 'My Box', namePattern: /My Box/, mappings: {...} });
+ */
+export function registerMIDIProfile(profile) {
+  if (!profile || !profile.id || !profile.mappings) {
+    console.warn('MIDIProfiles: A profile needs an id and mappings.', profile);
+    return;
+  }
+  if (!profile.namePattern && !profile.manufacturerPattern) {
+    console.warn(`MIDIProfiles: Profile '${profile.id}' has no name or manufacturer pattern.`);
+    return;
+  }
+  const existing = customProfiles.findIndex(p => p.id === profile.id);
+  if (existing !== -1) {
+    customProfiles.splice(existing, 1);
+  }
+  customProfiles.unshift(profile);
+}
+
+/**
+ * Finds the profile for a MIDI input.
+ * When a profile has both patterns, both must match.
+ * @memberof InputInterface
+ * @param {{ name?: string, manufacturer?: string }} input - The MIDI input port.
+ * @returns {MIDIProfile|null} The matching profile, or null if the device is unknown.
+ */
+export function findMIDIProfile(input) {
+  if (!input) return null;
+  const name = input.name || '';
+  const manufacturer = input.manufacturer || '';
+
+  return [...customProfiles, ...BUNDLED_PROFILES].find(profile => {
+    if (profile.namePattern && !profile.namePattern.test(name)) return false;
+    if (profile.manufacturerPattern && !profile.manufacturerPattern.test(manufacturer)) {
+      // Some platforms leave the manufacturer empty; fall back to the name match.
+      return !manufacturer && Boolean(profile.namePattern);
+    }
+    return true;
+  }) || null;
+}
+
+/**
+ * Lists every known profile, runtime-registered first.
+ * @memberof InputInterface
+ * @returns {MIDIProfile[]}
+ */
+export function listMIDIProfiles() {
+  return [...customProfiles, ...BUNDLED_PROFILES];
+}
@@ -0,0 +1,354 @@
+// src/MIDISettingsPanel.js
+
+/**
+ * @file MIDISettingsPanel.js
+ * @description Settings panel listing the MIDI inputs and outputs, with per-port enable switches,
+ * per-input channel filters and built-in profile switches, routing to the RNBO device, the program
+ * change / note trigger table and a live monitor of incoming messages and the mappings they hit.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import { notifications } from './Main.js';
+import { escapeHTML } from './DOMUtils.js';
+import { findMIDIProfile } from './MIDIProfiles.js';
+import { MIDITriggerTable, TRIGGER_MODES, TRIGGER_TRANSPORT } from './MIDITriggers.js';
+import { PresetManagerInstance } from './PresetManager.js';
+
+/** Maximum number of lines kept in the monitor. */
+const MONITOR_MAX_LINES = 200;
+
+/** Clock pulses and active sensing arrive constantly and would flood the monitor. */
+const MONITOR_IGNORED_STATUS = [0xF8, 0xFE];
+
+/**
+ * Formats raw MIDI bytes as hex, e.g. "B0 10 7F".
+ * @private
+ * @param {Uint8Array|number[]} data - The raw MIDI bytes.
+ * @returns {string}
+ */
+function formatBytes(data) {
+  return Array.from(data, byte => byte.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
+
+/**
+ * MIDI device and channel selection panel with a live message monitor.
+ * @class
+ * @memberof InputInterface
+ */
+export class MIDISettingsPanel {
+  /**
+   * @param {Object} midiController - The MIDIController whose ports are configured.
+   */
+  constructor(midiController) {
+    this.midiController = midiController;
+
+    /** @type {HTMLElement|null} Root element while the panel is open. */
+    this.element = null;
+
+    /** @type {boolean} Whether the monitor is paused. */
+    this.paused = false;
+
+    /** @type {Function[]} Cleanup callbacks run when the panel closes. */
+    this.cleanups = [];
+
+    this.handleStateChange = this.handleStateChange.bind(this);
+  }
+
+  /**
+   * Requests MIDI access if needed and shows the panel in the universal modal.
+   * @public
+   * @returns {Promise<void>} Resolves when the panel is closed.
+   *
+   * @example
+   * new MIDISettingsPanel(MIDIControllerInstance).open();
+   */
+  async open() {
+    await this.midiController.activateMIDI();
+    const access = this.midiController.midiAccess;
+    if (!access) {
+      notifications.showToast('MIDI is not available.', 'error');
+      return;
+    }
+
+    this.close();
+    this.element = document.createElement('div');
+    this.element.className = 'midi-settings';
+    this.element.innerHTML = `
+      <h6>Inputs</h6>
+      <div class="midi-settings-ports" data-section="inputs"></div>
+      <h6>Outputs</h6>
+      <div class="midi-settings-ports" data-section="outputs"></div>
+      <h6>Device</h6>
+      <div class="midi-settings-ports" data-section="routing"></div>
+      <h6>Triggers</h6>
+      <label class="form-check">
+        <input type="checkbox" class="form-check-input" data-triggers-enabled${this.midiController.triggers.enabled ? ' checked' : ''}>
+        Enable triggers (program changes and notes below)
+      </label>
+      <div class="midi-settings-triggers" data-section="triggers"></div>
+      <div class="midi-settings-actions">
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="add-trigger">Add trigger</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="reset-triggers">Reset</button>
+      </div>
+      <div class="midi-settings-monitor-header">
+        <h6>Monitor</h6>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="pause">Pause</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="clear">Clear</button>
+      </div>
+      <ol class="midi-settings-monitor" aria-live="off"></ol>
+    `;
+    this.element.addEventListener('change', (event) => this.handleChange(event));
+    this.element.addEventListener('click', (event) => this.handleClick(event));
+    this.renderPorts();
+    this.renderTriggers();
+
+    access.addEventListener('statechange', this.handleStateChange);
+    this.cleanups.push(
+      () => access.removeEventListener('statechange', this.handleStateChange),
+      this.midiController.addMonitorListener(entry => this.appendMonitorEntry(entry)),
+    );
+
+    await notifications.showUniversalModal('MIDI settings', this.element, 'Close');
+    this.close();
+  }
+
+  /**
+   * Stops listening to MIDI and forgets the panel element.
+   * @public
+   * @returns {void}
+   */
+  close() {
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this.element = null;
+  }
+
+  /**
+   * Re-renders the port lists when devices are connected or disconnected.
+   * @private
+   * @returns {void}
+   */
+  handleStateChange() {
+    if (this.element) this.renderPorts();
+  }
+
+  /**
+   * Renders the input and output lists.
+   * @private
+   * @returns {void}
+   */
+  renderPorts() {
+    const { midiAccess, portSettings } = this.midiController;
+    const inputs = Array.from(midiAccess.inputs.values()).filter(port => port.state === 'connected');
+    const outputs = Array.from(midiAccess.outputs.values()).filter(port => port.state === 'connected');
+
+    const channelOptions = (name) => {
+      const selected = portSettings.inputChannels[name];
+      const all = `<option value=""${selected === undefined ? ' selected' : ''}>All channels</option>`;
+      return all + Array.from({ length: 16 }, (_, channel) =>
+        `<option value="${channel}"${selected === channel ? ' selected' : ''}>Channel ${channel + 1}</option>`
+      ).join('');
+    };
+
+    this.element.querySelector('[data-section="inputs"]').innerHTML = inputs.length
+      ? inputs.map(port => `
+        <div class="midi-settings-port">
+          <label class="form-check">
+            <input type="checkbox" class="form-check-input" data-port="input" data-name="${escapeHTML(port.name)}"${this.midiController.isInputEnabled(port.name) ? ' checked' : ''}>
+            ${escapeHTML(port.name)}
+          </label>
+          <select class="form-select form-select-sm" data-channel data-name="${escapeHTML(port.name)}">${channelOptions(port.name)}</select>
+          ${findMIDIProfile(port) ? `
+          <label class="form-check">
+            <input type="checkbox" class="form-check-input" data-profile data-name="${escapeHTML(port.name)}"${this.midiController.isProfileEnabled(port.name) ? ' checked' : ''}>
+            Use built-in profile
+          </label>` : ''}
+        </div>`).join('')
+      : '<p class="midi-settings-empty">No MIDI inputs connected.</p>';
+
+    this.element.querySelector('[data-section="outputs"]').innerHTML = outputs.length
+      ? outputs.map(port => `
+        <div class="midi-settings-port">
+          <label class="form-check">
+            <input type="checkbox" class="form-check-input" data-port="output" data-name="${escapeHTML(port.name)}"${this.midiController.isOutputEnabled(port.name) ? ' checked' : ''}>
+            ${escapeHTML(port.name)}
+          </label>
+        </div>`).join('')
+      : '<p class="midi-settings-empty">No MIDI outputs connected.</p>';
+
+    this.renderRouting(inputs);
+  }
+
+  /**
+   * Renders the routing of notes and controllers into the Orbiter's RNBO device.
+   * Disabled when the patcher has no MIDI input.
+   * @private
+   * @param {MIDIInput[]} inputs - The connected inputs.
+   * @returns {void}
+   */
+  renderRouting(inputs) {
+    const { deviceRouting, orbiter } = this.midiController;
+    const acceptsMidi = Boolean(orbiter?.acceptsMidi);
+    const disabled = acceptsMidi ? '' : ' disabled';
+    // Keep a stored input that is not connected, so the choice stays visible.
+    const names = inputs.map(port => port.name);
+    if (deviceRouting.inputName && !names.includes(deviceRouting.inputName)) names.push(deviceRouting.inputName);
+    const inputOptions = [
+      `<option value=""${deviceRouting.inputName ? '' : ' selected'}>All inputs</option>`,
+      ...names.map(name =>
+        `<option value="${escapeHTML(name)}"${name === deviceRouting.inputName ? ' selected' : ''}>${escapeHTML(name)}</option>`),
+    ].join('');
+
+    this.element.querySelector('[data-section="routing"]').innerHTML = `
+      <div class="midi-settings-port">
+        <label class="form-check">
+          <input type="checkbox" class="form-check-input" data-routing="enabled"${deviceRouting.enabled ? ' checked' : ''}${disabled}>
+          Route to device
+        </label>
+        <select class="form-select form-select-sm" data-routing="input"${disabled}>${inputOptions}</select>
+      </div>
+      ${acceptsMidi ? '' : '<p class="midi-settings-empty">This orbiter has no MIDI input.</p>'}`;
+  }
+
+  /**
+   * Renders the editable trigger table.
+   * @private
+   * @returns {void}
+   */
+  renderTriggers() {
+    const option = (value, label, selected) =>
+      `<option value="${value}"${String(value) === String(selected) ? ' selected' : ''}>${label}</option>`;
+    const { triggers } = this.midiController.triggers;
+    // Presets of the current track, and those of triggers set up on other tracks.
+    const presetNames = new Set(PresetManagerInstance.getPresets().map(preset => preset.name));
+    triggers.filter(trigger => trigger.action === 'preset').forEach(trigger => presetNames.add(trigger.target));
+    const actions = [
+      ...TRIGGER_MODES.map(mode => ['mode', mode]),
+      ...Array.from(presetNames, name => ['preset', name]),
+      ...TRIGGER_TRANSPORT.map(action => ['transport', action]),
+    ];
+
+    this.element.querySelector('[data-section="triggers"]').innerHTML = triggers.length
+      ? triggers.map((trigger, index) => `
+        <div class="midi-settings-trigger" data-index="${index}">
+          <select class="form-select form-select-sm" data-field="type">
+            ${option('program', 'Program', trigger.type)}${option('note', 'Note', trigger.type)}
+          </select>
+          <select class="form-select form-select-sm" data-field="channel">
+            ${option('', 'Any ch.', trigger.channel ?? '')}
+            ${Array.from({ length: 16 }, (_, channel) => option(channel, `Ch. ${channel + 1}`, trigger.channel ?? '')).join('')}
+          </select>
+          <input type="number" min="0" max="127" class="form-control form-control-sm" data-field="number" value="${trigger.number}">
+          <select class="form-select form-select-sm" data-field="action">
+            ${actions.map(([action, target]) =>
+              option(escapeHTML(`${action}:${target}`), escapeHTML(MIDITriggerTable.describe({ action, target })), escapeHTML(`${trigger.action}:${trigger.target}`))
+            ).join('')}
+          </select>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="remove-trigger" aria-label="Remove trigger">×</button>
+        </div>`).join('')
+      : '<p class="midi-settings-empty">No triggers.</p>';
+  }
+
+  /**
+   * Reads the trigger table back from the form.
+   * @private
+   * @returns {Partial<MIDITrigger>[]}
+   */
+  readTriggers() {
+    return Array.from(this.element.querySelectorAll('.midi-settings-trigger'), row => {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+      // Preset names may contain colons; only the first one separates the action.
+      const [action, ...rest] = field('action').split(':');
+      const target = rest.join(':');
+      return { type: field('type'), channel: field('channel'), number: field('number'), action, target };
+    });
+  }
+
+  /**
+   * Applies port, channel, profile, routing and trigger changes.
+   * @private
+   * @param {Event} event - The change event.
+   * @returns {void}
+   */
+  handleChange(event) {
+    const target = event.target;
+    const name = target.dataset.name;
+    if (target.hasAttribute('data-triggers-enabled')) {
+      this.midiController.triggers.setEnabled(target.checked);
+    } else if (target.closest('.midi-settings-trigger')) {
+      this.midiController.triggers.setTriggers(this.readTriggers());
+      // Invalid rows are dropped; re-render so the form matches the stored table.
+      this.renderTriggers();
+    } else if (target.dataset.routing === 'enabled') {
+      this.midiController.setDeviceRouting({ enabled: target.checked });
+    } else if (target.dataset.routing === 'input') {
+      this.midiController.setDeviceRouting({ inputName: target.value || null });
+    } else if (target.dataset.port) {
+      this.midiController.setPortEnabled(target.dataset.port, name, target.checked);
+    } else if (target.hasAttribute('data-profile')) {
+      this.midiController.setProfileEnabled(name, target.checked);
+    } else if (target.hasAttribute('data-channel')) {
+      this.midiController.setInputChannel(name, target.value === '' ? null : Number(target.value));
+    }
+  }
+
+  /**
+   * Handles the trigger and monitor buttons.
+   * @private
+   * @param {Event} event - The click event.
+   * @returns {void}
+   */
+  handleClick(event) {
+    const action = event.target.dataset.action;
+    const { triggers } = this.midiController;
+    if (action === 'add-trigger') {
+      triggers.setTriggers([...triggers.triggers, { type: 'program', channel: null, number: 0, action: 'transport', target: 'play' }]);
+      this.renderTriggers();
+    } else if (action === 'remove-trigger') {
+      const index = Number(event.target.closest('.midi-settings-trigger').dataset.index);
+      triggers.setTriggers(triggers.triggers.filter((_, i) => i !== index));
+      this.renderTriggers();
+    } else if (action === 'reset-triggers') {
+      triggers.reset();
+      this.renderTriggers();
+    } else if (action === 'pause') {
+      this.paused = !this.paused;
+      event.target.textContent = this.paused ? 'Resume' : 'Pause';
+    } else if (action === 'clear') {
+      this.element.querySelector('.midi-settings-monitor').innerHTML = '';
+    }
+  }
+
+  /**
+   * Adds one message to the monitor, dropping the oldest lines beyond {@link MONITOR_MAX_LINES}.
+   * @private
+   * @param {MIDIMonitorEntry} entry - The monitored message.
+   * @returns {void}
+   */
+  appendMonitorEntry(entry) {
+    if (this.paused || !this.element || MONITOR_IGNORED_STATUS.includes(entry.data[0])) return;
+
+    let result;
+    if (entry.filtered) {
+      result = 'filtered';
+    } else if (entry.hits.length) {
+      result = `→ ${entry.hits.join(', ')}`;
+    } else if (entry.routed) {
+      result = '→ Orbiter';
+    } else {
+      result = 'unmapped';
+    }
+
+    const line = document.createElement('li');
+    line.className = entry.filtered ? 'is-filtered' : entry.hits.length ? 'is-mapped' : '';
+    line.textContent = `${(entry.time / 1000).toFixed(3)}  ${entry.device || '?'}  ${formatBytes(entry.data)}  ${result}`;
+
+    const monitor = this.element.querySelector('.midi-settings-monitor');
+    monitor.appendChild(line);
+    while (monitor.children.length > MONITOR_MAX_LINES) {
+      monitor.firstChild.remove();
+    }
+    monitor.scrollTop = monitor.scrollHeight;
+  }
+}
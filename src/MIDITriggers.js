@@ -0,0 +1,162 @@
+// src/MIDITriggers.js
+
+/**
+ * @file MIDITriggers.js
+ * @description Table of MIDI triggers: program changes and notes that switch modes, recall
+ * presets (see PresetManager) or drive the transport directly, without going through the menus.
+ * Triggers are off until enabled in the MIDI settings, so program changes sent to other gear on a
+ * shared channel do not switch modes.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import lscache from 'lscache';
+
+/** Modes a trigger can activate. */
+export const TRIGGER_MODES = ['JAMMING', 'SENSORS', 'COSMIC_LFO', 'PLAYBACK', 'MIDI_LEARN'];
+
+/** Transport actions a trigger can run. */
+export const TRIGGER_TRANSPORT = ['play', 'pause', 'stop'];
+
+/** Storage key of the trigger table. Triggers are shared by every orbiter. */
+const TRIGGERS_STORAGE_KEY = 'midi-triggers';
+
+/** Storage key of the switch enabling the triggers. */
+const TRIGGERS_ENABLED_STORAGE_KEY = 'midi-triggers-enabled';
+
+/**
+ * @typedef {Object} MIDITrigger
+ * @property {'program'|'note'} type - The message that fires the trigger.
+ * @property {number|null} channel - MIDI channel (0-15), or null for any channel.
+ * @property {number} number - Program or note number (0-127).
+ * @property {'mode'|'preset'|'transport'} action - What the trigger does.
+ * @property {string} target - Mode name, preset name or transport action.
+ */
+
+/**
+ * Default table, used once triggers are enabled: programs 1-5 select the modes.
+ * @private
+ * @type {MIDITrigger[]}
+ */
+const DEFAULT_TRIGGERS = TRIGGER_MODES.map((mode, i) => ({ type: 'program', channel: null, number: i, action: 'mode', target: mode }));
+
+/**
+ * Validates a trigger, returning null if it cannot be used.
+ * @param {Partial<MIDITrigger>} trigger - The trigger to validate.
+ * @returns {MIDITrigger|null}
+ */
+export function normalizeTrigger(trigger) {
+  if (!trigger || !['program', 'note'].includes(trigger.type)) return null;
+  const number = Number(trigger.number);
+  if (!Number.isInteger(number) || number < 0 || number > 127) return null;
+
+  const channel = trigger.channel === null || trigger.channel === undefined || trigger.channel === ''
+    ? null
+    : Number(trigger.channel);
+  if (channel !== null && !(Number.isInteger(channel) && channel >= 0 && channel <= 15)) return null;
+
+  const { action } = trigger;
+  let target = trigger.target;
+  if (action === 'mode') {
+    if (!TRIGGER_MODES.includes(target)) return null;
+  } else if (action === 'transport') {
+    if (!TRIGGER_TRANSPORT.includes(target)) return null;
+  } else if (action === 'preset') {
+    target = String(target ?? '').trim();
+    if (!target) return null;
+  } else {
+    return null;
+  }
+  return { type: trigger.type, channel, number, action, target };
+}
+
+/**
+ * Editable, persisted list of MIDI triggers.
+ * @class
+ * @memberof InputInterface
+ */
+export class MIDITriggerTable {
+  constructor() {
+    const stored = lscache.get(TRIGGERS_STORAGE_KEY);
+    /** @type {MIDITrigger[]} */
+    this.triggers = (Array.isArray(stored) ? stored : DEFAULT_TRIGGERS).map(normalizeTrigger).filter(Boolean);
+    /** @type {boolean} Whether incoming messages fire the triggers; off by default. */
+    this.enabled = lscache.get(TRIGGERS_ENABLED_STORAGE_KEY) === true;
+  }
+
+  /**
+   * Enables or disables every trigger and persists the choice.
+   * @param {boolean} enabled - Whether incoming messages fire the triggers.
+   * @returns {void}
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    lscache.set(TRIGGERS_ENABLED_STORAGE_KEY, this.enabled);
+  }
+
+  /**
+   * Finds the triggers fired by a control event. Notes fire on press only.
+   * @param {MIDIControlEvent} controlEvent - The parsed event.
+   * @returns {MIDITrigger[]} None while the triggers are disabled.
+   */
+  match(controlEvent) {
+    const { type, channel, number, value } = controlEvent;
+    if (!this.enabled) return [];
+    if (type !== 'program' && !(type === 'note' && value > 0)) return [];
+    return this.triggers.filter(trigger =>
+      trigger.type === type &&
+      trigger.number === number &&
+      (trigger.channel === null || trigger.channel === channel)
+    );
+  }
+
+  /**
+   * Whether a control event belongs to a trigger, including the release of a trigger note.
+   * @param {MIDIControlEvent} controlEvent - The parsed event.
+   * @returns {boolean} False while the triggers are disabled.
+   */
+  isTriggerSource(controlEvent) {
+    return this.enabled && this.triggers.some(trigger =>
+      trigger.type === controlEvent.type &&
+      trigger.number === controlEvent.number &&
+      (trigger.channel === null || trigger.channel === controlEvent.channel)
+    );
+  }
+
+  /**
+   * Replaces the whole table and persists it. Invalid entries are dropped.
+   * @param {Partial<MIDITrigger>[]} triggers - The new table.
+   * @returns {MIDITrigger[]} The stored table.
+   */
+  setTriggers(triggers) {
+    this.triggers = (triggers || []).map(normalizeTrigger).filter(Boolean);
+    lscache.set(TRIGGERS_STORAGE_KEY, this.triggers);
+    return this.triggers;
+  }
+
+  /**
+   * Restores the default table.
+   * @returns {MIDITrigger[]}
+   */
+  reset() {
+    lscache.remove(TRIGGERS_STORAGE_KEY);
+    this.triggers = DEFAULT_TRIGGERS.map(normalizeTrigger);
+    return this.triggers;
+  }
+
+  /**
+   * Describes a trigger's action for display, e.g. "Mode: COSMIC_LFO".
+   * @param {MIDITrigger} trigger - The trigger.
+   * @returns {string}
+   */
+  static describe(trigger) {
+    switch (trigger.action) {
+      case 'mode':
+        return `Mode: ${trigger.target}`;
+      case 'preset':
+        return `Preset: ${trigger.target}`;
+      default:
+        return `Transport: ${trigger.target}`;
+    }
+  }
+}
@@ -60,11 +60,24 @@ import { Constants, DEFAULT_TRACK_ID } from './Constants.js';
 import lscache from 'lscache';
 
 // Interaction and UI setup
-import { setupInteractions, updateKnobsFromTrackData, applyColorsFromTrackData } from './Interaction.js';
+import { setupInteractions, updateKnobsFromTrackData, applyColorsFromTrackData, createPatchParameterControls } from './Interaction.js';
 
 // Audio player module
 import { Orbiter } from './Orbiter.js';
 
+// Loads the RNBO library matching the patcher
+import { loadRNBOLibrary } from './RNBOLoader.js';
+
+// Mixer of orbiter layers (?layers=) and the output recorder
+import { OrbiterMixerInstance } from './OrbiterMixer.js';
+import { OutputRecorderInstance } from './OutputRecorder.js';
+
+// Switches tracks in place, crossfading the audio and the 3D model
+import { TrackSwitcherInstance } from './TrackSwitcher.js';
+
+// Playlist of tracks played one after the other (?playlist= or ?playlistURL=; ?playlistOrigins= for embedders)
+import { PlaylistInstance, parseTrackIds, parseOrigins } from './Playlist.js';
+
 // Button group module
 import { ButtonGroup } from './ButtonGroup.js';
 
@@ -75,8 +88,8 @@ import { ButtonSingle } from "./ButtonSingle.js";
 // Parameter manager for managing adjustable parameters
 import { ParameterManager } from './ParameterManager.js';
 
-// Mathematical transformations
-import { logarithmic } from './Transformations.js';
+// Declarative parameter schema built from the RNBO patcher
+import { buildParameterSchema, registerParameterSchema } from './ParameterSchema.js';
 
 // Notifications handler
 import notifications from './AppNotifications.js';
@@ -84,15 +97,22 @@ import notifications from './AppNotifications.js';
 
 import { CosmicLFO } from './CosmicLFO.js';
 
+// MIDI controller, which syncs the Cosmic LFOs to an external clock
+import { MIDIControllerInstance } from './MIDIController.js';
+
 // -----------------------------
 // Initialization of Core Components
 // -----------------------------
 
+// Instantiate the ParameterManager for managing adjustable parameters for user 1.
+// Every dependent receives it explicitly; other players or remote users get their own manager.
+const user1Manager = new ParameterManager({ id: 'user1' });
+
 // Retrieve the canvas element for 3D rendering
 const canvas3D = document.getElementById('canvas3D');
 
 // Initialize the 3D scene, camera, and controls
-const { scene, camera, controls, startAnimation } = initScene(canvas3D);
+const { scene, camera, controls, startAnimation } = initScene(canvas3D, user1Manager);
 
 // Initialize the renderer for the scene
 const renderer = initRenderer(canvas3D);
@@ -112,9 +132,6 @@ const dataManager = new DataManager();
 let user1Orbiter;
 let orbiterWarningShown = false;
 
-// Instantiate the ParameterManager for managing adjustable parameters for user 1
-const user1Manager = new ParameterManager();
-
 // Flag to control the animation loop
 let animationRunning = false;
 
@@ -135,8 +152,12 @@ async function initializeApp() {
     try {
       //console.log('[APP] Starting application...');
       const urlParams = new URLSearchParams(window.location.search);
-      const trackId = urlParams.get('trackId') || DEFAULT_TRACK_ID;
+      // A playlist starts with its first track unless a track is given.
+      const trackId = urlParams.get('trackId') || parseTrackIds(urlParams.get('playlist'))[0] || DEFAULT_TRACK_ID;
       Constants.TRACK_ID = trackId;
+      // Other tracks layered over this one, e.g. ?layers=stemA,stemB
+      const layerIds = parseLayerIds(urlParams.get('layers'), trackId);
+      const mixer = layerIds.length ? OrbiterMixerInstance : null;
   
       // Fetch configuration data and update cache, then fetch RNBO library
       await dataManager.fetchAndUpdateConfig(trackId);
@@ -147,11 +168,11 @@ async function initializeApp() {
       }
 
       // Load RNBO library based on patcher version
-      const rnbo = await loadRNBOLibrary(cachedData.orbiter.orbiterJSONURL);
+      const { rnbo, patcher } = await loadRNBOLibrary(cachedData.orbiter.orbiterJSONURL);
       console.log(cachedData.interplanetaryPlayer.moonAmount);
 
 
-        harvestMoons(scene, cachedData.interplanetaryPlayer.moonAmount);
+        const moons = harvestMoons(scene, cachedData.interplanetaryPlayer.moonAmount);
     
 
       // Destructure the cached data
@@ -178,19 +199,31 @@ async function initializeApp() {
 
   
       // Initialize root parameters, apply colors, update knobs, etc.
-      initializeRootParams(user1Manager, cachedData);
+      const parameterSchema = initializeRootParams(user1Manager, cachedData, patcher);
       applyColorsFromTrackData(cachedData);
       updateKnobsFromTrackData(cachedData);
+      createPatchParameterControls(parameterSchema);
   
       // Create the Orbiter instance with the loaded RNBO library
       const ksteps = 255;
-      user1Orbiter = new Orbiter(orbiterData, trackData, user1Manager, ksteps, rnbo);
+      user1Orbiter = new Orbiter(orbiterData, trackData, user1Manager, ksteps, rnbo, {
+        patcher,
+        schema: parameterSchema,
+        context: mixer ? mixer.getContext() : null,
+      });
+      if (mixer) {
+        mixer.addLayer(trackId, { orbiter: user1Orbiter, parameterManager: user1Manager, label: trackData.trackName || trackId });
+        mixer.followTransport(user1Orbiter);
+        OutputRecorderInstance.setSource(mixer.master);
+      }
   
       
 
     // Attach the clean-up listener once the Orbiter is created
     window.addEventListener('beforeunload', () => {
-        if (user1Orbiter) {
+        if (mixer) {
+            mixer.dispose();
+        } else if (user1Orbiter) {
             user1Orbiter.cleanUp();
         }
         });
@@ -206,11 +239,36 @@ async function initializeApp() {
         dataManager.setParameterManager(user1Manager);
 
       // Load and display the 3D model (your other initialization logic)
-      await loadAndDisplayModel(scene, cachedData);
+      const model = await loadAndDisplayModel(scene, cachedData);
       //console.log('[APP] Model loaded successfully.');
 
+      // Later tracks load in place, see TrackSwitcher.loadTrack
+      TrackSwitcherInstance.attach({
+        scene,
+        model,
+        moons,
+        orbiter: user1Orbiter,
+        parameterManager: user1Manager,
+        dataManager,
+        patcher,
+        cosmicLFOManager,
+        mixer,
+        layerId: mixer ? trackId : null,
+      });
+      PlaylistInstance.attach({
+        orbiter: user1Orbiter,
+        switcher: TrackSwitcherInstance,
+        allowedOrigins: parseOrigins(urlParams.get('playlistOrigins')),
+      });
+      await PlaylistInstance.loadFromURLParams(urlParams);
+
         // ✅ Mark UI as ready
         Constants.setLoadingState("uiReady", true);
+
+      // Layers load after the UI so the main track is playable meanwhile.
+      if (mixer) {
+        await loadLayers(layerIds, { rnbo, patcher, ksteps, mixer });
+      }
      
      
         const closeBtn = document.querySelector('.close-grid-btn');
@@ -227,36 +285,60 @@ async function initializeApp() {
   }
   
 /**
- * Dynamically loads the RNBO library based on the patcher version.
- * @param {string} patchExportURL - URL to fetch the RNBO patcher.
- * @returns {Promise<object>} Resolves with the RNBO object after loading the script.
+ * Parses the `layers` URL parameter.
+ * @param {string|null} value - Comma-separated track IDs.
+ * @param {string} trackId - The main track, never loaded twice.
+ * @returns {string[]} Unique layer track IDs.
  */
-async function loadRNBOLibrary(patchExportURL) {
-    //console.log(`[RNBO] Fetching patch metadata from: ${patchExportURL}`);
-    const response = await fetch(patchExportURL);
-    if (!response.ok) {
-        throw new Error(`[RNBO] Failed to fetch patcher: ${response.statusText}`);
-    }
-    const patcher = await response.json();
-    const rnboversion = patcher.desc?.meta?.rnboversion;
-
-    if (!rnboversion) {
-        throw new Error("[RNBO] Version not found in patch metadata.");
-    }
-
-    const scriptUrl = `https://cdn.cycling74.com/rnbo/${rnboversion}/rnbo.min.js`;
-    //console.log(`[RNBO] Loading script from: ${scriptUrl}`);
+function parseLayerIds(value, trackId) {
+    const ids = (value || '').split(',').map(id => id.trim()).filter(id => id && id !== trackId);
+    return [...new Set(ids)];
+}
 
-    await new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = scriptUrl;
-        script.onload = resolve;
-        script.onerror = () => reject(new Error(`[RNBO] Failed to load: ${scriptUrl}`));
-        document.head.appendChild(script);
-    });
+/**
+ * Loads tracks as layers of the mixer, next to the main orbiter.
+ * Each layer gets its own ParameterManager, registered as `layer:<trackId>`, and plays its own
+ * patcher in the shared context. Layers must use the RNBO version of the main patcher, since only
+ * one RNBO library is loaded per page; other layers are skipped.
+ * @async
+ * @param {string[]} layerIds - Track IDs to load.
+ * @param {{ rnbo: Object, patcher: Object, ksteps: number, mixer: OrbiterMixer }} options
+ * @returns {Promise<void>}
+ */
+async function loadLayers(layerIds, { rnbo, patcher: mainPatcher, ksteps, mixer }) {
+    const rnboversion = mainPatcher.desc?.meta?.rnboversion;
+    for (const layerId of layerIds) {
+        try {
+            const layerData = await dataManager.fetchTrackData(layerId, { makeCurrent: false });
+            const response = await fetch(layerData.orbiter.orbiterJSONURL);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch patcher: ${response.statusText}`);
+            }
+            const patcher = await response.json();
+            if (patcher.desc?.meta?.rnboversion !== rnboversion) {
+                // Only one RNBO library runs per page; the layer's device would not load with it.
+                throw new Error(`The layer was exported with RNBO ${patcher.desc?.meta?.rnboversion}; the page runs ${rnboversion}.`);
+            }
 
-    //console.log("[RNBO] RNBO script loaded successfully.");
-    return window.RNBO;
+            const parameterManager = new ParameterManager({ id: `layer:${layerId}` });
+            const schema = initializeRootParams(parameterManager, layerData, patcher);
+            const orbiter = new Orbiter(layerData.orbiter, layerData.track, parameterManager, ksteps, rnbo, {
+                patcher,
+                schema,
+                context: mixer.getContext(),
+                primary: false,
+            });
+            mixer.addLayer(layerId, { orbiter, parameterManager, label: layerData.track?.trackName || layerId });
+            await orbiter.init();
+            if (!orbiter.initialized) {
+                throw new Error('The orbiter failed to initialize.');
+            }
+        } catch (error) {
+            console.error(`[APP] Error loading layer '${layerId}':`, error);
+            mixer.removeLayer(layerId);
+            notifications.showToast(`Layer '${layerId}' could not be loaded.`, 'error');
+        }
+    }
 }
 
 // -----------------------------
@@ -265,84 +347,21 @@ async function loadRNBOLibrary(patchExportURL) {
 
 /**
  * Initializes root parameters for the ParameterManager.
- * Dynamically maps parameters to the manager based on track data.
+ * Builds the parameter schema from the core parameters, the RNBO patcher's exposed
+ * parameters and the track's orbiter parameters, and registers every entry.
  * @memberof CoreModule 
  * @function initializeRootParams
  * @param {ParameterManager} parameterManager - Instance of the ParameterManager to configure.
  * @param {Object} trackData - Data for the current track.
  * @param {Object} trackData.orbiter - Orbiter data for the track.
  * @param {Object} trackData.orbiter.orbiterParams - Parameters for the orbiter.
+ * @param {Object|null} patcher - The RNBO patcher export.
+ * @returns {ParameterDefinition[]} The registered schema.
  */
-function initializeRootParams(parameterManager, trackData) {
-    const rootParams = ['x', 'y', 'z', 'body-level', 'body-envelope', 'cosmic-radio-xyz'];
-
-    // Destructure x, y, z parameters from trackData
-    const { x, y, z } = trackData.orbiter.orbiterParams;
-
-    // Configuration object for parameters
-    const paramConfigs = {
-        x: { ...x }, // Example: { initValue: 1, min: -100, max: 100 }
-        y: { ...y },
-        z: { ...z },
-        'body-level': { 
-            initValue: 0.5, 
-            min: -60, 
-            max: 6, 
-            scale: "logarithmic", // Scale type for transformations
-            inputTransform: logarithmic.inverwse, // Transformation for input
-            outputTransform: logarithmic.forward  // Transformation for output
-        }, 
-        'body-envelope': { 
-            initValue: 0, 
-            min: -1, 
-            max: 1,
-        },
-        'cosmic-radio-xyz': { 
-            initValue: 0, // Default starting value
-            min: 0, 
-            max: 2,
-        },
-    };
-
-    // Iterate through each root parameter and configure it
-    rootParams.forEach((paramName) => {
-        const config = paramConfigs[paramName];
-        if (config) {
-            const { initValue, min, max, scale, inputTransform, outputTransform } = config;
-
-            // Validate the configuration parameters
-            if (typeof initValue === 'number' && typeof min === 'number' && typeof max === 'number') {
-                // Conditionally include transformation functions if they exist
-                if (inputTransform && outputTransform) {
-                    parameterManager.addParameter(
-                        paramName,
-                        initValue,
-                        min,
-                        max,
-                        true, // Bidirectional parameter
-                        scale,
-                        inputTransform, // Input transformation function
-                        outputTransform // Output transformation function
-                    );
-                    //console.debug(`[initializeRootParams] Added parameter '${paramName}' with transformations.`, config);
-                } else {
-                    // Add parameter without transformation functions, defaulting to linear scale
-                    parameterManager.addParameter(
-                        paramName,
-                        initValue,
-                        min,
-                        max,
-                        true // Bidirectional parameter
-                    );
-                    //console.debug(`[initializeRootParams] Added parameter '${paramName}' without transformations.`, config);
-                }
-            } else {
-                console.error(`[initializeRootParams] Invalid config for parameter: ${paramName}`, config);
-            }
-        } else {
-            console.warn(`[initializeRootParams] Parameter '${paramName}' not found in configs.`);
-        }
-    });
+function initializeRootParams(parameterManager, trackData, patcher) {
+    const schema = buildParameterSchema(patcher, trackData.orbiter.orbiterParams);
+    registerParameterSchema(parameterManager, schema);
+    return schema;
 }
 // -----------------------------
 // Window Resize Event Listener
@@ -495,9 +514,9 @@ function sendPlayerSize() {
  */
 function initializeCosmicLFOs() {
     // Instantiate the LFOs for each axis
-    const cosmicLFO_X = new CosmicLFO('x');
-    const cosmicLFO_Y = new CosmicLFO('y');
-    const cosmicLFO_Z = new CosmicLFO('z');
+    const cosmicLFO_X = new CosmicLFO('x', user1Manager);
+    const cosmicLFO_Y = new CosmicLFO('y', user1Manager);
+    const cosmicLFO_Z = new CosmicLFO('z', user1Manager);
   
     // Attach the switch controls to each LFO instance
     cosmicLFO_X.attachSwitch('xCosmicLFO');
@@ -522,6 +541,7 @@ function initializeCosmicLFOs() {
   }
   
   export const cosmicLFOManager = initializeCosmicLFOs();
+  MIDIControllerInstance?.setCosmicLFOs(cosmicLFOManager);
 
 
 /**
@@ -0,0 +1,114 @@
+// src/MixerPanel.js
+
+/**
+ * @file MixerPanel.js
+ * @description Modal panel with gain, mute and solo of every orbiter layer.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import notifications from './AppNotifications.js';
+import { MAX_CHANNEL_GAIN } from './OrbiterMixer.js';
+import { escapeHTML } from './DOMUtils.js';
+
+/**
+ * Formats a linear gain in dB.
+ * @private
+ * @param {number} gain - Linear gain.
+ * @returns {string}
+ */
+function formatGain(gain) {
+  return gain > 0 ? `${(20 * Math.log10(gain)).toFixed(1)} dB` : '-∞ dB';
+}
+
+/**
+ * Mixer channel strips shown in the universal modal.
+ * @class
+ * @memberof CoreModule
+ */
+export class MixerPanel {
+  /**
+   * @param {OrbiterMixer} mixer - The mixer whose layers are shown.
+   */
+  constructor(mixer) {
+    this.mixer = mixer;
+    /** @type {HTMLElement|null} Root element while the panel is open. */
+    this.element = null;
+  }
+
+  /**
+   * Shows the panel.
+   * @returns {Promise<void>} Resolves when the panel is closed.
+   *
+   * @example
+   * new MixerPanel(OrbiterMixerInstance).open();
+   */
+  async open() {
+    this.element = document.createElement('div');
+    this.element.className = 'mixer-panel';
+    this.element.innerHTML = '<ul class="mixer-panel-layers"></ul><p class="mixer-panel-note"></p>';
+
+    this.element.addEventListener('input', (event) => {
+      if (event.target.name !== 'gain') return;
+      this.mixer.setGain(event.target.closest('li').dataset.id, Number(event.target.value));
+    });
+    this.element.addEventListener('click', (event) => {
+      const action = event.target.dataset.action;
+      const layer = this.mixer.getLayer(event.target.closest('li')?.dataset.id);
+      if (!layer) return;
+      if (action === 'mute') this.mixer.setMuted(layer.id, !layer.muted);
+      else if (action === 'solo') this.mixer.setSolo(layer.id, !layer.soloed);
+    });
+
+    const unsubscribe = this.mixer.subscribe(() => this.update());
+    this.render();
+
+    await notifications.showUniversalModal('Mixer', this.element, 'Close');
+    unsubscribe();
+    this.element = null;
+  }
+
+  /**
+   * Renders a strip per layer.
+   * @private
+   * @returns {void}
+   */
+  render() {
+    const layers = this.mixer.listLayers();
+    this.element.querySelector('.mixer-panel-layers').innerHTML = layers.map(layer => `
+      <li data-id="${escapeHTML(layer.id)}">
+        <span class="mixer-panel-label">${escapeHTML(layer.label)}</span>
+        <input name="gain" type="range" min="0" max="${MAX_CHANNEL_GAIN}" step="0.01" value="${layer.gain}" aria-label="Gain of ${escapeHTML(layer.label)}">
+        <span class="mixer-panel-gain"></span>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="mute">M</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="solo">S</button>
+      </li>`).join('');
+    this.element.querySelector('.mixer-panel-note').textContent = layers.length > 1
+      ? ''
+      : 'Only one orbiter is loaded. Add ?layers=<trackId>,<trackId> to the page URL to layer other tracks.';
+    this.update();
+  }
+
+  /**
+   * Updates gain readouts and mute/solo states without rebuilding the strips, so dragging a
+   * fader is not interrupted.
+   * @private
+   * @returns {void}
+   */
+  update() {
+    if (!this.element) return;
+    const strips = this.element.querySelectorAll('.mixer-panel-layers li');
+    if (strips.length !== this.mixer.layers.size) {
+      this.render();
+      return;
+    }
+    strips.forEach(strip => {
+      const layer = this.mixer.getLayer(strip.dataset.id);
+      if (!layer) return;
+      strip.classList.toggle('inaudible', !this.mixer.isAudible(layer));
+      strip.querySelector('.mixer-panel-gain').textContent = formatGain(layer.gain);
+      strip.querySelector('[data-action="mute"]').classList.toggle('active', layer.muted);
+      strip.querySelector('[data-action="solo"]').classList.toggle('active', layer.soloed);
+    });
+  }
+}
@@ -6,12 +6,17 @@ import { MIDIControllerInstance } from './MIDIController.js'; // Ensure MIDICont
 import { INTERNAL_SENSORS_USABLE, EXTERNAL_SENSORS_USABLE, SENSORS_USABLE, setExternalSensorsUsable } from './Constants.js';
 import { WebRTCManager } from './WebRTCManager.js';
 import { cosmicLFOManager } from './Main.js';  // Import the manager
+import { HistoryManagerInstance } from './HistoryManager.js';
+
+/** Tool modes entered briefly on top of another mode; switching to or from them is not an undo step. */
+const TRANSIENT_MODES = ['MIDI_LEARN'];
 
 export class ModeManager {
     constructor() {
         this.currentMode = 'JAMMING'; // default mode
         this.subscribers = [];
         this.modes = {};
+        this.settledMode = this.currentMode; // last non-transient mode, recorded in the history
     }
 
     registerMode(name, { onEnter, onExit }) {
@@ -49,6 +54,19 @@ export class ModeManager {
             console.warn(`[ModeManager] No onEnter function defined for mode: ${newMode}`);
         }
     
+        // Undo skips transient modes and returns to the mode that was active before them.
+        if (!TRANSIENT_MODES.includes(newMode)) {
+            const previousMode = this.settledMode;
+            this.settledMode = newMode;
+            if (previousMode !== newMode) {
+                HistoryManagerInstance.record({
+                    label: `Mode: ${newMode}`,
+                    undo: () => this.activateMode(previousMode),
+                    redo: () => this.activateMode(newMode),
+                });
+            }
+        }
+
         // Notify subscribers
         this.subscribers.forEach(cb => cb(newMode));
     }
@@ -0,0 +1,44 @@
+// src/Observable.js
+
+/**
+ * @file Observable.js
+ * @description Base class for services whose panels and menu items follow their state.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/**
+ * Keeps the listeners of a service and calls them with the service whenever it changes.
+ * @class
+ * @memberof CoreModule
+ *
+ * @example
+ * class Counter extends Observable {
+ *   increment() { this.count++; this.notify(); }
+ * }
+ */
+export class Observable {
+  constructor() {
+    /** @type {Set<function(Observable): void>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * Registers a listener called with this instance whenever it changes.
+   * @param {function(Observable): void} listener - The listener.
+   * @returns {function(): void} Call to remove the listener.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Calls every listener with this instance.
+   * @protected
+   * @returns {void}
+   */
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
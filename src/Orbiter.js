@@ -8,9 +8,51 @@
 
 import { Constants, setPlaybackState } from "./Constants.js";
 import { ModeManagerInstance } from "./ModeManager.js"; // Import ModeManager
+import { ParameterSmoother } from "./ParameterSmoother.js";
+import { buildParameterSchema, getEngineBindings } from "./ParameterSchema.js";
+
+// Longest time the playhead is extrapolated past the last playHead message (ms)
+const PLAYHEAD_MAX_EXTRAPOLATION_MS = 250;
+
+// Distance from the end of the track at which the playhead counts as having reached it (ms)
+const TRACK_END_MARGIN_MS = 100;
+
+// A playhead jumping back from this close to the end to this close to the start wrapped around (ms)
+const TRACK_WRAP_WINDOW_MS = 1000;
+
+// Points of the crossfade curves used by switchTrack
+const CROSSFADE_CURVE_POINTS = 64;
+
+/**
+ * Builds an equal-power fade curve, so the level stays even while two tracks crossfade.
+ * @param {boolean} fadeIn - True for the incoming track, false for the outgoing one.
+ * @returns {Float32Array}
+ */
+function equalPowerCurve(fadeIn) {
+  const curve = new Float32Array(CROSSFADE_CURVE_POINTS);
+  for (let i = 0; i < CROSSFADE_CURVE_POINTS; i++) {
+    const angle = (i / (CROSSFADE_CURVE_POINTS - 1)) * Math.PI / 2;
+    curve[i] = fadeIn ? Math.sin(angle) : Math.cos(angle);
+  }
+  return curve;
+}
 
 export class Orbiter {
-  constructor(orbiterData, trackData, userManager, ksteps, rnbo) {
+  /**
+   * @param {Object} orbiterData - Orbiter data of the track.
+   * @param {Object} trackData - Track data.
+   * @param {ParameterManager} userManager - The parameter manager driving the engine.
+   * @param {number} ksteps - Parameter resolution.
+   * @param {Object} rnbo - The loaded RNBO library.
+   * @param {Object} [options={}]
+   * @param {Object} [options.patcher] - The already fetched patcher export; fetched in init() if omitted.
+   * @param {ParameterDefinition[]} [options.schema] - Parameter schema; defaults to the core parameters.
+   * @param {AudioContext} [options.context] - Context shared with other orbiters (see OrbiterMixer);
+   *   by default the Orbiter creates its own and closes it in cleanUp().
+   * @param {boolean} [options.primary=true] - Whether this is the player's main orbiter, which reports
+   *   the loading state. Layers added next to it are not.
+   */
+  constructor(orbiterData, trackData, userManager, ksteps, rnbo, { patcher = null, schema = null, context = null, primary = true } = {}) {
     if (!orbiterData || !trackData || !userManager || !ksteps || !rnbo) {
       console.error("Orbiter Error: Missing required data.");
       return;
@@ -19,6 +61,9 @@ export class Orbiter {
     this.playbackController = null; // Add a reference to PlaybackController
     this._isUpdatingFromUI = false;
     this.currentCursorMs = 0; 
+    this.cursorUpdatedAt = 0; // performance.now() of the last playHead message
+    this.transportListeners = new Set(); // Called with the play state on play, pause and stop
+    this.endListeners = new Map(); // Called near the end of the track: listener -> { leadMs, reported }
 
     this.orbiterData = orbiterData;
     this.trackData = trackData;
@@ -26,22 +71,40 @@ export class Orbiter {
     this.ksteps = ksteps;
     this.rnbo = rnbo;
     this.playState = "stopped"; // could be "playing", "paused", or "stopped"
+    this.playStartTime = null; // Context time (s) the last play() was scheduled at; null if at once
     setPlaybackState("stopped"); // Initialize global state
 
-    this.context = null;
+    this.context = context;
+    this.ownsContext = !context; // Shared contexts are closed by their owner
+    this.output = null; // Node the bus feeds; the context destination when null
+    this.bus = null; // Stable output node; the current device feeds it through `fade`
+    this.fade = null;
+    this.fadingOut = null; // Previous device while a track switch crossfades
+    this.messageSubscription = null;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.primary = primary;
     this.device = null;
     this.inputX = null;
     this.inputY = null;
     this.inputZ = null;
     this.inputGain = null;
+    this.smoother = null; // Smooths and ramps the RNBO parameters with timestamped events
     this.amplitude = 0;
+    this.audioBuffer = null; // Decoded track audio
     this.initialized = false;
+    this.patcher = patcher;
+    this.schema = schema || buildParameterSchema(null, orbiterData.orbiterParams);
+    // RNBO parameters driven by user parameters
+    this.engineBindings = getEngineBindings(this.schema);
+    this.acceptsMidi = false; // True when the patcher declares MIDI input ports
 
     ModeManagerInstance.subscribe((newMode) => {
       this.currentMode = newMode;
       //console.log(`[Orbiter] Mode updated to: ${this.currentMode}`);
     });
-    Constants.setLoadingState("orbiterLoaded", false);
+    if (this.primary) {
+      Constants.setLoadingState("orbiterLoaded", false);
+    }
 
   }
 
@@ -59,79 +122,30 @@ export class Orbiter {
       const patchExportURL = this.orbiterData.orbiterJSONURL;
       //console.log("[Orbiter] Fetching RNBO patch from:", patchExportURL);
 
-      const WAContext = window.AudioContext || window.webkitAudioContext;
-      this.context = new WAContext();
-
-      const rawPatcher = await fetch(patchExportURL);
-      const patcher = await rawPatcher.json();
-
-      this.device = await this.rnbo.createDevice({
-        context: this.context,
-        patcher,
-      });
-      this.device.node.connect(this.context.destination);
-
-      await this.loadAudioBuffer();
-
-      // Retrieve RNBO parameter objects.
-      this.inputX = this.device.parametersById.get("inputX");
-      this.inputY = this.device.parametersById.get("inputY");
-      this.inputZ = this.device.parametersById.get("inputZ");
-      this.inputGain = this.device.parametersById.get("inputGain");
-      this.playMin = this.device.parametersById.get("sampler/playMin");
-      this.playMax = this.device.parametersById.get("sampler/playMax");
-
-      if (this.playMin && this.playMax && this.totalDuration) {
-        this.playMin.value = 0;
-        this.playMax.value = this.totalDuration * 1000;
-        //console.log(`[Orbiter] Set playMin to ${this.playMin.value}, playMax to ${this.playMax.value} ms`);
+      if (!this.context) {
+        const WAContext = window.AudioContext || window.webkitAudioContext;
+        this.context = new WAContext();
       }
 
-      // Subscribe to RNBO message events.
-      this.device.messageEvent.subscribe((ev) => {
-        if (ev.tag === "amp") {
-          if (typeof ev.payload === "number") {
-            this.amplitude = ev.payload;
-          } else {
-            console.error("Unexpected payload format from 'amp' message:", ev.payload);
-          }
-        }
-
-        // Capture cursor position from RNBO (playhead position)
-        // Capture cursor position from RNBO (playhead position)
-        if (this.currentMode === "PLAYBACK") {  // Check if we're in playback mode
-
-          if (ev.tag === "playHead") {
-            if (typeof ev.payload === "number") {
-                this.currentCursorMs = ev.payload;
-        
-                // **Check if we are currently in a manual seek operation**
-                if (!this._isUpdatingFromUI) {
-                    if (this.playbackController) {
-                        this.playbackController.setPlayHead(this.currentCursorMs);
-                    } else {
-                        console.warn("[Orbiter] PlaybackController is not available.");
-                    }
-                } else {
-                    //console.log("[Orbiter] Ignoring playHead update due to manual user seek.");
-                }
-            } else {
-                console.error(`Unexpected payload format from '${ev.tag}' message:`, ev.payload);
-            }
-        }
+      if (!this.patcher) {
+        const rawPatcher = await fetch(patchExportURL);
+        this.patcher = await rawPatcher.json();
       }
-      });
+      const patcher = this.patcher;
+
+      // Stable output of the Orbiter. Devices feed it through their own fade, so the track can
+      // change (see switchTrack) without rerouting listeners, recorders or the mixer.
+      this.bus = this.context.createGain();
+      this.bus.connect(this.output || this.context.destination);
 
-      // Subscribe to user parameters.
-      this.userManager.subscribe(this, "body-level", 1);
-      this.userManager.subscribe(this, "x", 1);
-      this.userManager.subscribe(this, "y", 1);
-      this.userManager.subscribe(this, "z", 1);
+      this.useDevice(await this.prepareDevice(patcher, this.trackData));
 
       this.initialized = true;
       //console.log("[Orbiter] Initialized successfully.");
           // Track initialization completion
-    Constants.setLoadingState("orbiterLoaded", true);
+    if (this.primary) {
+      Constants.setLoadingState("orbiterLoaded", true);
+    }
 
 
     } catch (error) {
@@ -139,9 +153,229 @@ export class Orbiter {
     }
   }
 
-  async loadAudioBuffer() {
+  /**
+   * Creates a device for a patcher in this Orbiter's context, connected to the bus through its
+   * own fade gain, and loads the track audio into it.
+   * @param {Object} patcher - The RNBO patcher export.
+   * @param {Object} trackData - Track data with the audio file URLs.
+   * @returns {Promise<{ device: Object, fade: GainNode, audioBuffer: AudioBuffer|null }>}
+   */
+  async prepareDevice(patcher, trackData) {
+    const device = await this.rnbo.createDevice({
+      context: this.context,
+      patcher,
+    });
+    const fade = this.context.createGain();
+    device.node.connect(fade);
+    fade.connect(this.bus);
+    const audioBuffer = await this.loadAudioBuffer(device, trackData);
+    return { device, fade, audioBuffer };
+  }
+
+  /**
+   * Makes a prepared device the Orbiter's engine: binds its parameters, messages and smoother,
+   * and subscribes to the user parameters of the current schema.
+   * @param {{ device: Object, fade: GainNode, audioBuffer: AudioBuffer|null }} prepared - See prepareDevice.
+   */
+  useDevice({ device, fade, audioBuffer }) {
+    this.messageSubscription?.unsubscribe();
+    this.device = device;
+    this.fade = fade;
+    // Kept for offline renders, which load it into their own device.
+    this.audioBuffer = audioBuffer;
+    // Set the total duration (in seconds) for later calculations.
+    this.totalDuration = audioBuffer?.duration;
+
+    // Patchers exported with MIDI inputs can be played from a MIDI controller.
+    const numMidiInputPorts = device.numMidiInputPorts ?? this.patcher.desc?.numMidiInputPorts ?? 0;
+    this.acceptsMidi = numMidiInputPorts > 0;
+
+    // Retrieve RNBO parameter objects.
+    this.inputX = device.parametersById.get("inputX");
+    this.inputY = device.parametersById.get("inputY");
+    this.inputZ = device.parametersById.get("inputZ");
+    this.inputGain = device.parametersById.get("inputGain");
+    this.playMin = device.parametersById.get("sampler/playMin");
+    this.playMax = device.parametersById.get("sampler/playMax");
+
+    if (this.playMin && this.playMax && this.totalDuration) {
+      this.playMin.value = 0;
+      this.playMax.value = this.totalDuration * 1000;
+      //console.log(`[Orbiter] Set playMin to ${this.playMin.value}, playMax to ${this.playMax.value} ms`);
+    }
+
+    // Subscribe to RNBO message events.
+    this.messageSubscription = device.messageEvent.subscribe(this.handleMessage);
+
+    this.setupSmoother();
+
+    // Subscribe to user parameters bound to the engine.
+    this.engineBindings.forEach(({ name }) => {
+      if (this.smoother.hasChannel(name)) {
+        this.userManager.subscribe(this, name, 1);
+      }
+    });
+  }
+
+  /**
+   * Handles RNBO messages of the current device: amplitude and playhead position.
+   */
+  handleMessage(ev) {
+    if (ev.tag === "amp") {
+      if (typeof ev.payload === "number") {
+        this.amplitude = ev.payload;
+      } else {
+        console.error("Unexpected payload format from 'amp' message:", ev.payload);
+      }
+    }
+
+    if (ev.tag !== "playHead") return;
+    if (typeof ev.payload !== "number") {
+      console.error(`Unexpected payload format from '${ev.tag}' message:`, ev.payload);
+      return;
+    }
+    // Capture cursor position from RNBO (playhead position)
+    // The cursor is tracked in every mode (automation follows it); the waveform only in playback mode.
+    const previousCursorMs = this.currentCursorMs;
+    this.currentCursorMs = ev.payload;
+    this.cursorUpdatedAt = performance.now();
+    this.detectTrackEnd(previousCursorMs, this.currentCursorMs);
+
+    // **Check if we are currently in a manual seek operation**
+    if (this.currentMode !== "PLAYBACK" || this._isUpdatingFromUI) return;
+    if (this.playbackController) {
+      this.playbackController.setPlayHead(this.currentCursorMs);
+    } else if (this.primary) {
+      // Layers have no waveform of their own.
+      console.warn("[Orbiter] PlaybackController is not available.");
+    }
+  }
+
+  /**
+   * Reports the end of the track to each end listener, once per pass: when the playhead gets
+   * within the listener's lead time of the end, or wraps from the end back to the start.
+   * Playback of a loop region or a seek never ends.
+   * @param {number} previousMs - Previous playhead position.
+   * @param {number} currentMs - New playhead position.
+   */
+  detectTrackEnd(previousMs, currentMs) {
+    const durationMs = (this.totalDuration || 0) * 1000;
+    if (!durationMs || this.playState !== "playing" || this._isUpdatingFromUI) return;
+    if (this.playMin?.value > 0 || this.playMax?.value < durationMs - TRACK_END_MARGIN_MS) return;
+
+    const wrapped = currentMs < previousMs
+      && previousMs >= durationMs - TRACK_WRAP_WINDOW_MS
+      && currentMs < TRACK_WRAP_WINDOW_MS;
+    this.endListeners.forEach((entry, listener) => {
+      // Lead times longer than half the track fire halfway, so they still fire once per pass.
+      const leadMs = Math.min(Math.max(TRACK_END_MARGIN_MS, entry.leadMs), durationMs / 2);
+      if (!wrapped && currentMs < durationMs - leadMs) {
+        if (currentMs < durationMs / 2) entry.reported = false;
+        return;
+      }
+      if (entry.reported) return;
+      entry.reported = true;
+      try {
+        listener(this.trackData);
+      } catch (error) {
+        console.error("[Orbiter] End listener failed:", error);
+      }
+    });
+  }
+
+  /**
+   * Switches to another track without stopping: the new patcher and audio are loaded next to the
+   * current ones, then the two devices crossfade (equal power) and the old one is released.
+   * Playback continues from the start of the new track. The caller registers the new schema in
+   * the parameter manager first, so the new device starts from the current parameter values.
+   * @param {{ orbiterData: Object, trackData: Object, patcher: Object, schema: ParameterDefinition[] }} track - The new track.
+   * @param {Object} [options={}]
+   * @param {number} [options.crossfadeMs=0] - Crossfade time (ms); 0 switches at once.
+   * @param {Object} [options.prepared] - The new device, if already loaded with prepareDevice().
+   * @returns {Promise<void>} Resolves when the crossfade ends.
+   */
+  async switchTrack({ orbiterData, trackData, patcher, schema }, { crossfadeMs = 0, prepared = null } = {}) {
+    const previousBindings = this.engineBindings;
+    // Nothing plays before init(), which then loads the new track. Otherwise the current track
+    // keeps playing, and the Orbiter keeps its state, until the new device is ready.
+    if (!prepared && this.initialized) {
+      prepared = await this.prepareDevice(patcher, trackData);
+    }
+    this.orbiterData = orbiterData;
+    this.trackData = trackData;
+    this.patcher = patcher;
+    this.schema = schema;
+    this.engineBindings = getEngineBindings(schema);
+    if (!prepared) return;
+
+    prepared.fade.gain.value = 0;
+    this.releaseFadingDevice();
+    const previous = { device: this.device, fade: this.fade, smoother: this.smoother };
+    previousBindings
+      .filter(({ name }) => this.smoother.hasChannel(name))
+      .forEach(({ name }) => this.userManager.unsubscribe(this, name));
+
+    this.useDevice(prepared);
+    this.engineBindings.forEach(({ name }) => {
+      if (this.smoother.hasChannel(name)) this.onParameterChanged(name);
+    });
+    this.currentCursorMs = 0;
+    this.cursorUpdatedAt = performance.now();
+    this.endListeners.forEach((entry) => { entry.reported = false; });
+    const isAudible = this.isPlaying() && this.context.state === "running";
+    if (this.isPlaying()) {
+      this._sendPlayEvent();
+    }
+    this.playbackController?.reloadWaveform();
+
+    const seconds = Math.max(0, crossfadeMs) / 1000;
+    if (!isAudible || seconds === 0) {
+      prepared.fade.gain.value = 1;
+      this.releaseDevice(previous);
+      return;
+    }
+    const now = this.context.currentTime;
+    prepared.fade.gain.setValueCurveAtTime(equalPowerCurve(true), now, seconds);
+    previous.fade.gain.cancelScheduledValues(now);
+    previous.fade.gain.setValueCurveAtTime(equalPowerCurve(false), now, seconds);
+
+    this.fadingOut = previous;
+    await new Promise((resolve) => {
+      previous.finish = resolve;
+      previous.timer = setTimeout(() => this.releaseFadingDevice(), crossfadeMs);
+    });
+  }
+
+  /**
+   * Ends a crossfade at once, releasing the device fading out.
+   */
+  releaseFadingDevice() {
+    const fading = this.fadingOut;
+    if (!fading) return;
+    this.fadingOut = null;
+    clearTimeout(fading.timer);
+    this.releaseDevice(fading);
+    fading.finish?.();
+  }
+
+  /**
+   * Disconnects a device that is no longer used and frees its buffers and smoother.
+   * @param {{ device: Object, fade: GainNode, smoother: ParameterSmoother }} engine - The device to release.
+   */
+  releaseDevice({ device, fade, smoother }) {
+    try {
+      smoother?.dispose();
+      device.dataBufferDescriptions.forEach((desc) => device.releaseDataBuffer(desc.id));
+      device.node.disconnect();
+      fade.disconnect();
+    } catch (error) {
+      console.error("[Orbiter] Error releasing a device:", error);
+    }
+  }
+
+  async loadAudioBuffer(device, trackData) {
     try {
-      const audioURL = this.trackData.audioFileMP3URL || this.trackData.audioFileWAVURL;
+      const audioURL = trackData.audioFileMP3URL || trackData.audioFileWAVURL;
       if (!audioURL) {
         throw new Error("[Orbiter] No audio file URL provided.");
       }
@@ -152,11 +386,11 @@ export class Orbiter {
       }
       const arrayBuffer = await response.arrayBuffer();
       const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
-      // Set the total duration (in seconds) for later calculations.
-      this.totalDuration = audioBuffer.duration;
-      await this.device.setDataBuffer("world1", audioBuffer);
+      await device.setDataBuffer("world1", audioBuffer);
+      return audioBuffer;
     } catch (error) {
       console.error("[Orbiter] Error loading audio buffer:", error);
+      return null;
     }
   }
 
@@ -169,7 +403,8 @@ export class Orbiter {
       if (!this.initialized) {
         await this.init();
       }
-      if (this.context.state !== "suspended") {
+      // A shared context keeps running for the other orbiters.
+      if (this.ownsContext && this.context.state !== "suspended") {
         await this.context.suspend();
         //console.log("[Orbiter] Audio context suspended.");
       } else {
@@ -198,15 +433,19 @@ setCursorPosition(newTimeMs) {
       this.device.scheduleEvent(new this.rnbo.MessageEvent(this.rnbo.TimeNow, "sampler/playMin", [newTimeMs]));
     }
     this.currentCursorMs = newTimeMs;
+    this.cursorUpdatedAt = performance.now();
   }
 }
 
 
 
 
-  _sendPlayEvent() {
+  /**
+   * @param {number} [time] - Event time (ms on the context clock). Defaults to now.
+   */
+  _sendPlayEvent(time = this.rnbo.TimeNow) {
     try {
-      const messageEvent = new RNBO.MessageEvent(RNBO.TimeNow, "play", [1]);
+      const messageEvent = new this.rnbo.MessageEvent(time, "play", [1]);
       this.device.scheduleEvent(messageEvent);
       //console.log("Orbiter: Play command sent.");
     } catch (err) {
@@ -214,6 +453,36 @@ setCursorPosition(newTimeMs) {
     }
   }
 
+  /**
+   * Forwards a raw MIDI message (note, CC, pitch bend, aftertouch) into the RNBO device.
+   * Ignored if the patcher has no MIDI input ports.
+   * @param {Uint8Array|number[]} bytes - The MIDI message bytes.
+   * @param {number} [port=0] - The device's MIDI input port.
+   */
+  sendMidi(bytes, port = 0) {
+    if (!this.device || !this.acceptsMidi) return;
+    try {
+      const midiEvent = new this.rnbo.MIDIEvent(this.rnbo.TimeNow, port, Array.from(bytes));
+      this.device.scheduleEvent(midiEvent);
+    } catch (err) {
+      console.error("[Orbiter] Failed to schedule MIDI event:", err);
+    }
+  }
+
+  /**
+   * Routes the device output to a node of the same context, e.g. a mixer channel.
+   * Passing null routes it to the context destination again.
+   * @param {AudioNode|null} node - The node to feed.
+   */
+  setOutput(node) {
+    if (this.bus) {
+      // Only the previous route is removed; recorder taps on the bus stay connected.
+      this.bus.disconnect(this.output || this.context.destination);
+      this.bus.connect(node || this.context.destination);
+    }
+    this.output = node;
+  }
+
   /**
    * Returns true if the engine is currently playing.
    */
@@ -221,7 +490,56 @@ setCursorPosition(newTimeMs) {
     return this.playState === "playing";
   }
 
-  async play() {
+  /**
+   * Returns the playhead position (ms). While playing, the position is extrapolated from the
+   * last playHead message so callers polling every frame see a steadily advancing time.
+   */
+  getPlayheadMs() {
+    if (this.playState !== "playing" || !this.cursorUpdatedAt) {
+      return this.currentCursorMs;
+    }
+    const elapsed = Math.min(PLAYHEAD_MAX_EXTRAPOLATION_MS, performance.now() - this.cursorUpdatedAt);
+    return this.currentCursorMs + elapsed;
+  }
+
+  /**
+   * Registers a listener called with the play state ("playing", "paused" or "stopped")
+   * whenever play(), pause() or stop() is called.
+   * @returns {Function} Call to remove the listener.
+   */
+  addTransportListener(listener) {
+    this.transportListeners.add(listener);
+    return () => this.transportListeners.delete(listener);
+  }
+
+  /**
+   * Registers a listener called with the track data when playback reaches the end of the track,
+   * e.g. to advance a playlist. Loop regions never end.
+   * @param {Function} listener - The listener.
+   * @param {number} [leadMs=0] - How long before the end (ms) to call it, e.g. to start a crossfade that ends with the track.
+   * @returns {Function} Call to remove the listener.
+   */
+  addEndListener(listener, leadMs = 0) {
+    this.endListeners.set(listener, { leadMs: Math.max(0, Number(leadMs) || 0), reported: false });
+    return () => this.endListeners.delete(listener);
+  }
+
+  emitTransport() {
+    this.transportListeners.forEach((listener) => {
+      try {
+        listener(this.playState);
+      } catch (error) {
+        console.error("[Orbiter] Transport listener failed:", error);
+      }
+    });
+  }
+
+  /**
+   * Starts playback.
+   * @param {{ atTime?: number }} [options={}] - `atTime`: context time (s) to start at, e.g. the
+   *   first frame of a recording; starts at once if omitted.
+   */
+  async play({ atTime } = {}) {
     try {
       if (!this.initialized) {
         await this.init();
@@ -230,9 +548,12 @@ setCursorPosition(newTimeMs) {
         await this.context.resume();
         //console.log("[Orbiter] Audio context resumed.");
       }
-      this._sendPlayEvent();
+      this.playStartTime = Number.isFinite(atTime) ? atTime : null;
+      this._sendPlayEvent(this.playStartTime === null ? this.rnbo.TimeNow : this.playStartTime * 1000);
       this.playState = "playing"; // <--- Update state
       setPlaybackState("playing"); // Update global state
+      this.cursorUpdatedAt = performance.now();
+      this.emitTransport();
 
     } catch (error) {
       console.error("[Orbiter] Error during play:", error);
@@ -240,11 +561,13 @@ setCursorPosition(newTimeMs) {
   }
 
   pause() {
+    this.releaseFadingDevice();
     try {
-      const messageEvent = new RNBO.MessageEvent(RNBO.TimeNow, "play", [0]);
+      const messageEvent = new this.rnbo.MessageEvent(this.rnbo.TimeNow, "play", [0]);
       this.device.scheduleEvent(messageEvent);
       this.playState = "paused"; // <--- Update state
       setPlaybackState("paused"); // Update global state
+      this.emitTransport();
 
       //console.log("[Orbiter] Pause command sent.");
     } catch (err) {
@@ -253,8 +576,9 @@ setCursorPosition(newTimeMs) {
   }
 
   stop() {
+    this.releaseFadingDevice();
     // 1) Send RNBO "stop" event
-    const messageEvent = new RNBO.MessageEvent(RNBO.TimeNow, "stop", [1]);
+    const messageEvent = new this.rnbo.MessageEvent(this.rnbo.TimeNow, "stop", [1]);
     this.device.scheduleEvent(messageEvent);
   
     // 2) Force our local sampler range to 0 → end
@@ -262,8 +586,8 @@ setCursorPosition(newTimeMs) {
       this.playMin.value = 0;
       this.playMax.value = Math.round(this.totalDuration * 1000);
       // Force RNBO to accept it right now
-      this.device.scheduleEvent(new RNBO.MessageEvent(RNBO.TimeNow, "sampler/playMin", [0]));
-      this.device.scheduleEvent(new RNBO.MessageEvent(RNBO.TimeNow, "sampler/playMax", [this.playMax.value]));
+      this.device.scheduleEvent(new this.rnbo.MessageEvent(this.rnbo.TimeNow, "sampler/playMin", [0]));
+      this.device.scheduleEvent(new this.rnbo.MessageEvent(this.rnbo.TimeNow, "sampler/playMax", [this.playMax.value]));
   
       // Also keep track of local cursor
       this.currentCursorMs = 0;
@@ -272,6 +596,7 @@ setCursorPosition(newTimeMs) {
     // 3) Mark engine state
     this.playState = "stopped";
     setPlaybackState("stopped"); // Update global state
+    this.emitTransport();
 
     //console.log("[Orbiter] Stop command processed, sampler reset to 0.");
   }
@@ -294,7 +619,7 @@ setCursorPosition(newTimeMs) {
   _forcePlayState(value) {
     // value=1 or 0
     try {
-      const msg = new RNBO.MessageEvent(RNBO.TimeNow, "play", [value]);
+      const msg = new this.rnbo.MessageEvent(this.rnbo.TimeNow, "play", [value]);
       this.device.scheduleEvent(msg);
       //console.log(`[Orbiter] Nudging RNBO with play=${value} (no local state change)`);
     } catch (err) {
@@ -339,7 +664,7 @@ setPlayRange(min = null, max = null, isFromUI = false) {
 }
   _sendLoopEvent(loopState) {
     try {
-      const messageEvent = new RNBO.MessageEvent(RNBO.TimeNow, "loop", [loopState]);
+      const messageEvent = new this.rnbo.MessageEvent(this.rnbo.TimeNow, "loop", [loopState]);
       this.device.scheduleEvent(messageEvent);
       //console.log(`[Orbiter] Loop set to ${loopState}`);
     } catch (err) {
@@ -375,60 +700,70 @@ setPlayRange(min = null, max = null, isFromUI = false) {
     //console.log("[Orbiter] Looping disabled.");
   }
 
-  onParameterChanged(parameterName, value) {
-    switch (parameterName) {
-      case "body-level": {
-        const normValue = this.userManager.getNormalizedValue("body-level");
-        if (this.inputGain !== null) {
-          this.inputGain.value = normValue;
-        } else {
-          console.warn("Orbiter: inputGain is not defined.");
-        }
-        break;
-      }
-      case "x": {
-        const rawValue = this.userManager.getRawValue("x");
-        if (this.inputX !== null) {
-          this.inputX.value = rawValue;
-        } else {
-          console.warn("Orbiter: inputX is not defined.");
-        }
-        break;
+  /**
+   * Creates one smoother channel per RNBO parameter bound in the schema.
+   * `normalized` bindings take the normalized value; the others take the raw value.
+   * Smoothing and ramp points are sent as MessageEvents stamped with their audio time.
+   */
+  setupSmoother() {
+    const { device } = this;
+    this.smoother = new ParameterSmoother(this.context);
+    this.engineBindings.forEach(({ name, rnboId, normalized }) => {
+      const rnboParam = device.parametersById.get(rnboId);
+      if (!rnboParam) {
+        console.warn(`Orbiter: ${rnboId} is not defined.`);
+        return;
       }
-      case "y": {
-        const rawValue = this.userManager.getRawValue("y");
-        if (this.inputY !== null) {
-          this.inputY.value = rawValue;
-        } else {
-          console.warn("Orbiter: inputY is not defined.");
+      this.smoother.addChannel(name, (normValue, time) => {
+        let value = normValue;
+        if (!normalized) {
+          const { min, max } = this.userManager.getParameter(name);
+          value = min + normValue * (max - min);
         }
-        break;
-      }
-      case "z": {
-        const rawValue = this.userManager.getRawValue("z");
-        if (this.inputZ !== null) {
-          this.inputZ.value = rawValue;
-        } else {
-          console.warn("Orbiter: inputZ is not defined.");
+        if (time === undefined) {
+          rnboParam.value = value;
+          return;
         }
-        break;
-      }
-      default:
-        console.warn("Orbiter: Unknown parameter", parameterName);
+        device.scheduleEvent(new this.rnbo.MessageEvent(time * 1000, rnboId, [value]));
+      });
+    });
+  }
+
+  onParameterChanged(parameterName, value) {
+    if (!this.smoother?.hasChannel(parameterName)) {
+      console.warn("Orbiter: Unknown parameter", parameterName);
+      return;
     }
+    // Effective (modulated) value, smoothed with the parameter's settings.
+    this.smoother.setTarget(
+      parameterName,
+      this.userManager.getNormalizedValue(parameterName),
+      this.userManager.getSmoothing(parameterName)
+    );
+  }
+
+  /**
+   * Receives ramps started with ParameterManager.rampTo and runs them on the audio clock.
+   * @param {string} parameterName - The ramped parameter.
+   * @param {{ from: number, to: number, durationMs: number, curve: string }} ramp - Normalized ramp.
+   */
+  onParameterRamp(parameterName, { from, to, durationMs, curve }) {
+    this.smoother?.rampTo(parameterName, from, to, durationMs, curve);
   }
 
   cleanUp() {
     try {
       //console.log("[Orbiter] Cleaning up resources...");
-      const bufferDescriptions = this.device.dataBufferDescriptions;
-      bufferDescriptions.forEach(async (desc) => {
-        await this.device.releaseDataBuffer(desc.id);
-        //console.log(`[Orbiter] Released buffer with id ${desc.id}`);
-      });
-      this.device.messageEvent.unsubscribe();
+      this.releaseFadingDevice();
+      this.messageSubscription?.unsubscribe();
+      this.messageSubscription = null;
+      this.engineBindings
+        .filter(({ name }) => this.smoother?.hasChannel(name))
+        .forEach(({ name }) => this.userManager.unsubscribe(this, name));
+      this.releaseDevice({ device: this.device, fade: this.fade, smoother: this.smoother });
       //console.log("[Orbiter] Unsubscribed from RNBO events.");
-      if (this.context && this.context.state !== "closed") {
+      this.bus?.disconnect();
+      if (this.ownsContext && this.context && this.context.state !== "closed") {
         this.context.close();
         //console.log("[Orbiter] Audio context closed.");
       }
@@ -0,0 +1,290 @@
+// src/OrbiterMixer.js
+
+/**
+ * @file OrbiterMixer.js
+ * @description Layers several orbiters in one player, e.g. the stems of a multi-stem piece.
+ * Every layer is an Orbiter with its own ParameterManager (its parameter namespace), playing into a
+ * shared AudioContext through a mixer channel with gain, mute and solo. Layers follow the transport
+ * of the main orbiter.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import lscache from 'lscache';
+import { Constants } from './Constants.js';
+import { Observable } from './Observable.js';
+
+/** Largest channel gain (+6 dB). */
+export const MAX_CHANNEL_GAIN = 2;
+
+/** Time constant of channel gain changes (s), short enough to feel immediate without clicks. */
+const GAIN_TIME_CONSTANT = 0.01;
+
+/**
+ * @typedef {Object} MixerLayer
+ * @property {string} id - Layer ID, usually the track ID.
+ * @property {string} label - Display name.
+ * @property {Orbiter} orbiter - The layer's orbiter.
+ * @property {ParameterManager} parameterManager - The layer's parameters.
+ * @property {GainNode} input - Channel node fed by the orbiter.
+ * @property {number} gain - Channel gain [0, MAX_CHANNEL_GAIN].
+ * @property {boolean} muted - Whether the channel is muted.
+ * @property {boolean} soloed - Whether the channel is soloed. While any channel is soloed, only soloed channels are heard.
+ */
+
+/**
+ * Shared AudioContext and mixer of the orbiter layers.
+ * Subscribers are called when layers are added or removed, or the mix changes.
+ * @class
+ * @memberof AudioEngine
+ */
+export class OrbiterMixer extends Observable {
+  constructor() {
+    super();
+    /** @type {AudioContext|null} Context shared by every layer; created on first use. */
+    this.context = null;
+    /** @type {GainNode|null} Sum of the channels, feeding the destination. */
+    this.master = null;
+    /** @type {Map<string, MixerLayer>} Layers in the order they were added. */
+    this.layers = new Map();
+    /** @type {Function|null} Removes the transport listener of the main orbiter. */
+    this.removeTransportListener = null;
+  }
+
+  /**
+   * Returns the shared context, creating it and the master bus if needed.
+   * @returns {AudioContext}
+   */
+  getContext() {
+    if (!this.context) {
+      const WAContext = window.AudioContext || window.webkitAudioContext;
+      this.context = new WAContext();
+      this.master = this.context.createGain();
+      this.master.connect(this.context.destination);
+    }
+    return this.context;
+  }
+
+  /**
+   * Adds an orbiter as a layer. The orbiter must use the shared context (see getContext) and is
+   * routed to a new channel, restored with the gain, mute and solo stored for this track.
+   * @param {string} id - Layer ID.
+   * @param {{ orbiter: Orbiter, parameterManager: ParameterManager, label?: string }} layer
+   * @returns {MixerLayer}
+   * @throws {Error} If the ID is taken or the orbiter uses another context.
+   *
+   * @example
+   * const orbiter = new Orbiter(data.orbiter, data.track, manager, 255, rnbo, { context: mixer.getContext(), primary: false });
+   * mixer.addLayer('bass-stem', { orbiter, parameterManager: manager, label: 'Bass' });
+   */
+  addLayer(id, { orbiter, parameterManager, label = id }) {
+    if (this.layers.has(id)) {
+      throw new Error(`[OrbiterMixer] Layer '${id}' already exists.`);
+    }
+    const context = this.getContext();
+    if (orbiter.context && orbiter.context !== context) {
+      throw new Error(`[OrbiterMixer] The orbiter of layer '${id}' does not use the shared context.`);
+    }
+
+    const stored = lscache.get(this.getStorageKey())?.[id] || {};
+    const input = context.createGain();
+    input.connect(this.master);
+    const layer = {
+      id,
+      label,
+      orbiter,
+      parameterManager,
+      input,
+      gain: Number.isFinite(stored.gain) ? Math.max(0, Math.min(MAX_CHANNEL_GAIN, stored.gain)) : 1,
+      muted: Boolean(stored.muted),
+      soloed: Boolean(stored.soloed),
+    };
+    this.layers.set(id, layer);
+    orbiter.setOutput(input);
+    this.updateGains();
+    this.notify();
+    return layer;
+  }
+
+  /**
+   * Removes a layer and releases its orbiter and parameters.
+   * @param {string} id - Layer ID.
+   * @returns {void}
+   */
+  removeLayer(id) {
+    const layer = this.layers.get(id);
+    if (!layer) return;
+    this.layers.delete(id);
+    if (layer.orbiter.initialized) layer.orbiter.cleanUp();
+    layer.parameterManager.dispose();
+    layer.input.disconnect();
+    this.updateGains();
+    this.notify();
+  }
+
+  /**
+   * @param {string} id - Layer ID.
+   * @returns {MixerLayer|null}
+   */
+  getLayer(id) {
+    return this.layers.get(id) || null;
+  }
+
+  /**
+   * @returns {MixerLayer[]} The layers in the order they were added.
+   */
+  listLayers() {
+    return Array.from(this.layers.values());
+  }
+
+  /**
+   * Renames a channel, e.g. when its orbiter switched tracks.
+   * @param {string} id - Layer ID.
+   * @param {string} label - Display name.
+   * @returns {void}
+   */
+  setLabel(id, label) {
+    this.updateLayer(id, layer => {
+      layer.label = String(label);
+    });
+  }
+
+  /**
+   * Sets the gain of a channel.
+   * @param {string} id - Layer ID.
+   * @param {number} gain - Linear gain [0, MAX_CHANNEL_GAIN].
+   * @returns {void}
+   */
+  setGain(id, gain) {
+    this.updateLayer(id, layer => {
+      layer.gain = Math.max(0, Math.min(MAX_CHANNEL_GAIN, Number(gain) || 0));
+    });
+  }
+
+  /**
+   * Mutes or unmutes a channel.
+   * @param {string} id - Layer ID.
+   * @param {boolean} muted - Whether to mute it.
+   * @returns {void}
+   */
+  setMuted(id, muted) {
+    this.updateLayer(id, layer => {
+      layer.muted = Boolean(muted);
+    });
+  }
+
+  /**
+   * Solos or unsolos a channel.
+   * @param {string} id - Layer ID.
+   * @param {boolean} soloed - Whether to solo it.
+   * @returns {void}
+   */
+  setSolo(id, soloed) {
+    this.updateLayer(id, layer => {
+      layer.soloed = Boolean(soloed);
+    });
+  }
+
+  /**
+   * Whether a channel is heard, given mute and solo.
+   * @param {MixerLayer} layer - The layer.
+   * @returns {boolean}
+   */
+  isAudible(layer) {
+    const anySolo = this.listLayers().some(other => other.soloed);
+    return !layer.muted && (!anySolo || layer.soloed);
+  }
+
+  /**
+   * Makes every layer follow play, pause and stop of the main orbiter.
+   * @param {Orbiter} leader - The main orbiter, driven by the transport controls.
+   * @returns {void}
+   */
+  followTransport(leader) {
+    this.removeTransportListener?.();
+    this.removeTransportListener = leader.addTransportListener(state => {
+      this.layers.forEach(({ orbiter }) => {
+        if (orbiter === leader || !orbiter.initialized) return;
+        if (state === 'playing') orbiter.play({ atTime: leader.playStartTime });
+        else if (state === 'paused') orbiter.pause();
+        else orbiter.stop();
+      });
+    });
+  }
+
+  /**
+   * Removes every layer and closes the shared context.
+   * @returns {void}
+   */
+  dispose() {
+    this.removeTransportListener?.();
+    this.removeTransportListener = null;
+    Array.from(this.layers.keys()).forEach(id => this.removeLayer(id));
+    if (this.context && this.context.state !== 'closed') {
+      this.context.close();
+    }
+    this.context = null;
+    this.master = null;
+  }
+
+  /**
+   * Changes a layer, then applies and stores the mix.
+   * @private
+   * @param {string} id - Layer ID.
+   * @param {function(MixerLayer): void} change - The change.
+   * @returns {void}
+   */
+  updateLayer(id, change) {
+    const layer = this.layers.get(id);
+    if (!layer) {
+      console.warn(`[OrbiterMixer] Unknown layer: ${id}`);
+      return;
+    }
+    change(layer);
+    this.updateGains();
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Applies gain, mute and solo to every channel.
+   * @private
+   * @returns {void}
+   */
+  updateGains() {
+    if (!this.context) return;
+    const now = this.context.currentTime;
+    this.layers.forEach(layer => {
+      layer.input.gain.setTargetAtTime(this.isAudible(layer) ? layer.gain : 0, now, GAIN_TIME_CONSTANT);
+    });
+  }
+
+  /**
+   * Builds the lscache key of the current track's mix.
+   * @private
+   * @returns {string}
+   */
+  getStorageKey() {
+    return `mixer:${Constants.TRACK_ID || 'default'}`;
+  }
+
+  /**
+   * Persists gain, mute and solo of every layer.
+   * @private
+   * @returns {void}
+   */
+  save() {
+    const mix = {};
+    this.layers.forEach(({ id, gain, muted, soloed }) => {
+      mix[id] = { gain, muted, soloed };
+    });
+    lscache.set(this.getStorageKey(), mix);
+  }
+}
+
+/**
+ * Shared mixer, used when the player loads layers (`?layers=` URL parameter).
+ * @memberof AudioEngine
+ * @type {OrbiterMixer}
+ */
+export const OrbiterMixerInstance = new OrbiterMixer();
@@ -0,0 +1,707 @@
+// src/OutputRecorder.js
+
+/**
+ * @file OutputRecorder.js
+ * @description Records the Orbiter output as takes, started from the Rec
+ * transport item. Takes are encoded as 24-bit WAV through an AudioWorklet tap, or as WebM/Opus
+ * through a MediaRecorder. A take can cover the loop region only and start after a count-in;
+ * automation is recorded along with it unless disabled. Bounces render the track or its loop
+ * region offline with the stored automation and are kept as takes too. With audio recording
+ * disabled, Rec records automation only.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import lscache from 'lscache';
+import recorderProcessorUrl from './worklets/recorder-processor.js?url';
+import { Constants } from './Constants.js';
+import { AutomationRecorderInstance } from './AutomationRecorder.js';
+import { encodeWav } from './WavEncoder.js';
+import { renderOffline, renderToWav } from './OfflineRenderer.js';
+import notifications from './AppNotifications.js';
+import { Observable } from './Observable.js';
+
+/** lscache key of the recording settings (shared by every track). */
+const SETTINGS_KEY = 'output-recording-settings';
+
+/** Available take formats. */
+export const RECORDING_FORMATS = ['wav', 'webm'];
+
+/** Largest count-in, in beats. */
+export const MAX_COUNT_IN_BEATS = 8;
+
+/**
+ * @typedef {Object} RecordingSettings
+ * @property {boolean} audio - Record the output; when false, Rec records automation only.
+ * @property {string} format - One of {@link RECORDING_FORMATS}.
+ * @property {boolean} loopOnly - Record one pass of the loop region, from its start.
+ * @property {number} countInBeats - Clicks played before the take starts; 0 for none.
+ * @property {boolean} automation - Record parameter automation during the take.
+ * @property {boolean} autoDownload - Download every take as soon as it is finished.
+ */
+
+/** @type {RecordingSettings} */
+const DEFAULT_SETTINGS = { audio: true, format: 'wav', loopOnly: false, countInBeats: 0, automation: true, autoDownload: false };
+
+/** Bit depth of WAV takes. */
+const WAV_BIT_DEPTH = 24;
+
+/** Channels of WAV takes; mono output is duplicated. */
+const WAV_CHANNELS = 2;
+
+/** MediaRecorder types tried in order for compressed takes. */
+const COMPRESSED_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+
+/** Takes kept in memory; older ones are released. */
+const MAX_TAKES = 10;
+
+/** Tempo of the count-in when none is available (BPM). */
+const DEFAULT_TEMPO = 120;
+
+/** Length of a count-in click (s). */
+const CLICK_SECONDS = 0.05;
+
+/** Delay before the first count-in click, so it is not cut by scheduling latency (s). */
+const COUNT_IN_LEAD_SECONDS = 0.05;
+
+/** Delay before a take starts, so playback and capture can be scheduled on the same frame (s). */
+const START_LEAD_SECONDS = 0.05;
+
+/**
+ * Returns the first compressed type the browser can record, if any.
+ * @returns {string|null}
+ */
+export function getCompressedMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return COMPRESSED_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Whether the browser can record a format.
+ * @param {string} format - One of {@link RECORDING_FORMATS}.
+ * @returns {boolean}
+ */
+export function isFormatSupported(format) {
+  if (format === 'wav') return typeof AudioWorkletNode !== 'undefined';
+  if (format === 'webm') return getCompressedMimeType() !== null;
+  return false;
+}
+
+/**
+ * Captures a source node to a WAV file through the "orbiter-recorder" AudioWorklet.
+ * @private
+ */
+class WavCapture {
+  /** @type {WeakSet<BaseAudioContext>} Contexts where the worklet module is loaded. */
+  static loadedContexts = new WeakSet();
+
+  /**
+   * @param {AudioContext} context - The Orbiter's context.
+   * @param {AudioNode} source - The node to record.
+   */
+  constructor(context, source) {
+    this.context = context;
+    this.source = source;
+    this.extension = 'wav';
+    /** @type {Array<Float32Array[]>} Chunks received from the worklet. */
+    this.chunks = [];
+    this.node = null;
+    this.sink = null;
+    this.finished = null;
+    /** @type {Function|null} Called when a limited capture reaches its length. */
+    this.onended = null;
+  }
+
+  async prepare() {
+    if (!WavCapture.loadedContexts.has(this.context)) {
+      await this.context.audioWorklet.addModule(recorderProcessorUrl);
+      WavCapture.loadedContexts.add(this.context);
+    }
+    this.node = new AudioWorkletNode(this.context, 'orbiter-recorder', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [WAV_CHANNELS],
+      processorOptions: { channelCount: WAV_CHANNELS },
+    });
+    // The worklet only runs while connected to the destination; the muted sink keeps it silent.
+    this.sink = this.context.createGain();
+    this.sink.gain.value = 0;
+    this.source.connect(this.node);
+    this.node.connect(this.sink);
+    this.sink.connect(this.context.destination);
+
+    this.finished = new Promise(resolve => {
+      this.node.port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+          this.chunks.push(data.channels);
+        } else if (data.type === 'done') {
+          resolve();
+          this.onended?.();
+        }
+      };
+    });
+  }
+
+  /**
+   * @param {number} [durationSeconds=0] - Length of the capture; 0 records until stop().
+   * @param {number} [startTime=0] - Context time (s) of the first captured frame; 0 starts at once.
+   */
+  start(durationSeconds = 0, startTime = 0) {
+    const { sampleRate } = this.context;
+    const maxFrames = durationSeconds > 0 ? Math.round(durationSeconds * sampleRate) : 0;
+    this.node.port.postMessage({ command: 'start', maxFrames, startFrame: Math.round(startTime * sampleRate) });
+  }
+
+  /**
+   * @returns {Promise<Blob>} The WAV file.
+   */
+  async stop() {
+    this.node.port.postMessage({ command: 'stop' });
+    await this.finished;
+    this.dispose();
+
+    const frames = this.chunks.reduce((total, chunk) => total + chunk[0].length, 0);
+    const channels = Array.from({ length: WAV_CHANNELS }, () => new Float32Array(frames));
+    let offset = 0;
+    this.chunks.forEach(chunk => {
+      chunk.forEach((samples, channel) => channels[channel].set(samples, offset));
+      offset += chunk[0].length;
+    });
+    this.chunks = [];
+    return encodeWav(channels, this.context.sampleRate, WAV_BIT_DEPTH);
+  }
+
+  dispose() {
+    if (!this.node) return;
+    this.node.port.onmessage = null;
+    this.source.disconnect(this.node);
+    this.node.disconnect();
+    this.sink.disconnect();
+    this.node = null;
+    this.sink = null;
+  }
+}
+
+/**
+ * Captures a source node to a compressed file through a MediaRecorder.
+ * @private
+ */
+class CompressedCapture {
+  /**
+   * @param {AudioContext} context - The Orbiter's context.
+   * @param {AudioNode} source - The node to record.
+   */
+  constructor(context, source) {
+    this.context = context;
+    this.source = source;
+    this.mimeType = getCompressedMimeType();
+    this.extension = this.mimeType?.startsWith('audio/ogg') ? 'ogg' : 'webm';
+    /** @type {Blob[]} */
+    this.chunks = [];
+    this.destination = null;
+    this.mediaRecorder = null;
+    this.timer = null;
+    /** @type {Function|null} Called when a limited capture reaches its length. */
+    this.onended = null;
+  }
+
+  async prepare() {
+    this.destination = this.context.createMediaStreamDestination();
+    this.source.connect(this.destination);
+    this.mediaRecorder = new MediaRecorder(this.destination.stream, { mimeType: this.mimeType });
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size) this.chunks.push(event.data);
+    };
+  }
+
+  /**
+   * MediaRecorder cannot start on a given frame; the start is timed on the main thread.
+   * @param {number} [durationSeconds=0] - Length of the capture; 0 records until stop().
+   * @param {number} [startTime=0] - Context time (s) to start at; 0 starts at once.
+   */
+  start(durationSeconds = 0, startTime = 0) {
+    const delay = Math.max(0, startTime - this.context.currentTime) * 1000;
+    this.timer = setTimeout(() => {
+      this.mediaRecorder.start(1000);
+      if (durationSeconds > 0) {
+        this.timer = setTimeout(() => this.onended?.(), durationSeconds * 1000);
+      }
+    }, delay);
+  }
+
+  /**
+   * @returns {Promise<Blob>} The compressed file.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    return new Promise(resolve => {
+      const finish = () => {
+        this.dispose();
+        resolve(new Blob(this.chunks, { type: this.mimeType }));
+      };
+      if (this.mediaRecorder.state === 'inactive') {
+        finish();
+        return;
+      }
+      this.mediaRecorder.onstop = finish;
+      this.mediaRecorder.stop();
+    });
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    if (!this.destination) return;
+    this.source.disconnect(this.destination);
+    this.destination = null;
+  }
+}
+
+/**
+ * @typedef {Object} Take
+ * @property {string} name - File name.
+ * @property {Blob} blob - The recording.
+ * @property {string} url - Object URL of the blob.
+ * @property {string} format - One of {@link RECORDING_FORMATS}.
+ * @property {number} duration - Length (s).
+ * @property {number} createdAt - Time the take ended (ms since epoch).
+ */
+
+/**
+ * Records takes of the Orbiter output.
+ * A take runs from start() until stop(), the Rec item, or until playback pauses or stops;
+ * loop-region takes end by themselves after one pass of the loop.
+ * Subscribers are called when a take or bounce starts, progresses or ends, or the settings or takes change.
+ * @class
+ * @memberof CoreModule
+ */
+export class OutputRecorder extends Observable {
+  constructor() {
+    super();
+    /** @type {Orbiter|null} */
+    this.orbiter = null;
+    /** @type {PlaybackController|null} */
+    this.playbackController = null;
+    /** @type {AudioNode|null} Node recorded instead of the Orbiter output, e.g. the mixer master. */
+    this.source = null;
+    /** @type {function(): number} Returns the count-in tempo (BPM). */
+    this.getTempo = () => DEFAULT_TEMPO;
+    /** @type {RecordingSettings} */
+    this.settings = { ...DEFAULT_SETTINGS, ...lscache.get(SETTINGS_KEY) };
+    /** @type {'idle'|'preparing'|'recording'|'finishing'} */
+    this.state = 'idle';
+    /** @type {WavCapture|CompressedCapture|null} */
+    this.capture = null;
+    /** @type {boolean} Set when stop() is called before the take starts. */
+    this.isCancelled = false;
+    /** @type {boolean} Whether this take started the automation recording. */
+    this.recordsAutomation = false;
+    /** @type {number} performance.now() when the take started. */
+    this.startedAt = 0;
+    /** @type {number} Takes recorded in this session, for naming. */
+    this.takeCount = 0;
+    /** @type {boolean} Whether an offline bounce is rendering. */
+    this.isBouncing = false;
+    /** @type {number} Rendered fraction of the current bounce [0, 1]. */
+    this.bounceProgress = 0;
+    /** @type {Take[]} Takes of this session, newest first. */
+    this.takes = [];
+    /** @type {OscillatorNode[]} Scheduled count-in clicks. */
+    this.clicks = [];
+    /** @type {number|null} */
+    this.countInTimer = null;
+    /** @type {Function|null} Ends the count-in early. */
+    this.endCountIn = null;
+    /** @type {Function|null} Removes the Orbiter transport listener. */
+    this.removeTransportListener = null;
+  }
+
+  /**
+   * Whether a take is being prepared, recorded or encoded.
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * Connects the recorder to the player.
+   * @param {{ orbiter: Orbiter, playbackController?: PlaybackController, getTempo?: function(): number }} deps
+   * @returns {void}
+   */
+  attach({ orbiter, playbackController = null, getTempo }) {
+    this.detach();
+    this.orbiter = orbiter;
+    this.playbackController = playbackController;
+    if (getTempo) this.getTempo = getTempo;
+    this.removeTransportListener = orbiter.addTransportListener(state => {
+      if (state !== 'playing' && this.state === 'recording') this.stop();
+    });
+  }
+
+  /**
+   * Disconnects the recorder, ending any take.
+   * @returns {void}
+   */
+  detach() {
+    if (this.isRecording) this.stop();
+    this.removeTransportListener?.();
+    this.removeTransportListener = null;
+    this.orbiter = null;
+    this.playbackController = null;
+  }
+
+  /**
+   * Records another node of the Orbiter's context, e.g. the mix of every layer.
+   * @param {AudioNode|null} node - The node, or null to record the Orbiter output again.
+   * @returns {void}
+   */
+  setSource(node) {
+    this.source = node;
+  }
+
+  /**
+   * Changes recording settings and stores them.
+   * @param {Partial<RecordingSettings>} changes - Settings to change; invalid values are ignored.
+   * @returns {RecordingSettings} The settings.
+   *
+   * @example
+   * OutputRecorderInstance.setSettings({ format: 'webm', countInBeats: 4 });
+   */
+  setSettings(changes) {
+    const next = { ...this.settings };
+    if (RECORDING_FORMATS.includes(changes.format)) next.format = changes.format;
+    if (Number.isInteger(changes.countInBeats)) {
+      next.countInBeats = Math.max(0, Math.min(MAX_COUNT_IN_BEATS, changes.countInBeats));
+    }
+    ['audio', 'loopOnly', 'automation', 'autoDownload'].forEach(key => {
+      if (typeof changes[key] === 'boolean') next[key] = changes[key];
+    });
+    this.settings = next;
+    lscache.set(SETTINGS_KEY, next);
+    this.notify();
+    return next;
+  }
+
+  /**
+   * Starts a take, or ends the current one. With audio recording disabled, starts or ends an
+   * automation recording instead.
+   * @returns {Promise<void>}
+   */
+  async toggle() {
+    if (this.isRecording) {
+      await this.stop();
+    } else if (!this.settings.audio || AutomationRecorderInstance.isRecording) {
+      await AutomationRecorderInstance.toggleRecording();
+    } else {
+      await this.start();
+    }
+  }
+
+  /**
+   * Starts a take with the current settings, starting playback.
+   * The count-in is played only when playback is not running, or for loop-region takes.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.orbiter) {
+      console.warn('[OutputRecorder] Not attached; cannot record.');
+      return;
+    }
+    if (this.isRecording) return;
+
+    const { format, loopOnly, countInBeats, automation } = this.settings;
+    if (!isFormatSupported(format)) {
+      notifications.showToast(`This browser cannot record ${format.toUpperCase()}. Pick another format in More > Recording.`, 'error');
+      return;
+    }
+    let duration = 0;
+    let loopStartMs = 0;
+    if (loopOnly) {
+      const region = this.getLoopRegion();
+      if (!region) return;
+      duration = region.end - region.start;
+      loopStartMs = region.start * 1000;
+    }
+
+    this.state = 'preparing';
+    this.isCancelled = false;
+    this.notify();
+
+    try {
+      if (!this.orbiter.initialized) await this.orbiter.init();
+      const { context, bus } = this.orbiter;
+      if (context.state === 'suspended') await context.resume();
+
+      if (loopOnly) {
+        if (this.orbiter.isPlaying()) this.orbiter.pause();
+        this.orbiter.setCursorPosition(loopStartMs);
+      }
+
+      const source = this.source || bus;
+      const capture = format === 'wav' ? new WavCapture(context, source) : new CompressedCapture(context, source);
+      await capture.prepare();
+      this.capture = capture;
+
+      let startTime = context.currentTime + START_LEAD_SECONDS;
+      if (countInBeats > 0 && !this.orbiter.isPlaying()) {
+        startTime = Math.max(startTime, await this.playCountIn(countInBeats));
+      }
+      if (this.isCancelled) {
+        capture.dispose();
+        this.capture = null;
+        this.state = 'idle';
+        this.notify();
+        return;
+      }
+
+      // A limited take pauses playback at its end, which ends the take through the transport listener.
+      capture.onended = () => {
+        if (this.state === 'recording') this.orbiter.pause();
+      };
+      // Playback and capture start on the same frame, so the take neither starts with silence
+      // nor loses its end.
+      capture.start(duration, startTime);
+      this.startedAt = performance.now() + (startTime - context.currentTime) * 1000;
+      this.state = 'recording';
+      this.notify();
+
+      if (!this.orbiter.isPlaying()) {
+        await this.orbiter.play({ atTime: startTime });
+      }
+      this.recordsAutomation = automation && Boolean(AutomationRecorderInstance.orbiter);
+      if (this.recordsAutomation) {
+        await AutomationRecorderInstance.startRecording();
+      }
+    } catch (error) {
+      console.error('[OutputRecorder] Could not start recording:', error);
+      notifications.showToast('Recording could not be started.', 'error');
+      this.capture?.dispose();
+      this.capture = null;
+      this.state = 'idle';
+      this.notify();
+    }
+  }
+
+  /**
+   * Ends the take, or cancels it during the count-in.
+   * @returns {Promise<Take|null>} The finished take, if any.
+   */
+  async stop() {
+    if (this.state === 'preparing') {
+      this.isCancelled = true;
+      this.cancelCountIn();
+      return null;
+    }
+    if (this.state !== 'recording') return null;
+
+    this.state = 'finishing';
+    this.notify();
+    const capture = this.capture;
+    this.capture = null;
+    if (this.recordsAutomation && AutomationRecorderInstance.isRecording) {
+      AutomationRecorderInstance.stopRecording();
+    }
+    this.recordsAutomation = false;
+
+    let take = null;
+    try {
+      const blob = await capture.stop();
+      take = this.addTake(blob, capture.extension, (performance.now() - this.startedAt) / 1000);
+      notifications.showToast(`Take saved: ${take.name}`, 'success');
+    } catch (error) {
+      console.error('[OutputRecorder] Could not finish recording:', error);
+      notifications.showToast('The take could not be saved.', 'error');
+    }
+    this.state = 'idle';
+    this.notify();
+    return take;
+  }
+
+  /**
+   * Renders the track, or its loop region, offline with the current parameter values and the stored
+   * automation, and keeps the result as a WAV take. Runs faster than real time, next to playback.
+   * @param {{ loopOnly?: boolean }} [options] - Render the loop region only; defaults to the setting.
+   * @returns {Promise<Take|null>} The bounce, or null if it failed.
+   *
+   * @example
+   * await OutputRecorderInstance.bounce({ loopOnly: false });
+   */
+  async bounce({ loopOnly = this.settings.loopOnly } = {}) {
+    if (this.isBouncing) return null;
+    if (!this.orbiter?.initialized || !this.orbiter.audioBuffer) {
+      notifications.showToast('The Orbiter is still loading; try again in a moment.', 'warning');
+      return null;
+    }
+    const region = loopOnly ? this.getLoopRegion() : null;
+    if (loopOnly && !region) return null;
+
+    const { rnbo, patcher, schema, audioBuffer, userManager } = this.orbiter;
+    const initialValues = {};
+    userManager.listParameters().forEach(({ name, rawValue, outputTransform }) => {
+      // Macros would move their targets away from the values they have now.
+      if (!userManager.isMacro(name)) initialValues[name] = outputTransform(rawValue);
+    });
+
+    this.isBouncing = true;
+    this.bounceProgress = 0;
+    this.notify();
+    let take = null;
+    try {
+      const rendered = await renderOffline({
+        rnbo,
+        patcher,
+        schema,
+        audioBuffer,
+        automation: AutomationRecorderInstance.playbackEnabled ? AutomationRecorderInstance.lanes : {},
+        initialValues,
+        region,
+        sampleRate: this.orbiter.context.sampleRate,
+        onProgress: (fraction) => {
+          // Listeners re-render on every notification; report whole percents only.
+          if (Math.floor(fraction * 100) === Math.floor(this.bounceProgress * 100)) return;
+          this.bounceProgress = fraction;
+          this.notify();
+        },
+      });
+      take = this.addTake(renderToWav(rendered, WAV_BIT_DEPTH), 'wav', rendered.duration, 'bounce');
+      notifications.showToast(`Bounce saved: ${take.name}`, 'success');
+    } catch (error) {
+      console.error('[OutputRecorder] Offline render failed:', error);
+      notifications.showToast('The offline render failed.', 'error');
+    }
+    this.isBouncing = false;
+    this.notify();
+    return take;
+  }
+
+  /**
+   * Returns the loop region, warning the user when there is none.
+   * @private
+   * @returns {{ start: number, end: number }|null} Region in seconds.
+   */
+  getLoopRegion() {
+    const region = this.playbackController?.getLoopRegion();
+    if (!region || region.end <= region.start) {
+      notifications.showToast('Select a loop region first, or turn off "Loop region only" in More > Recording.', 'warning');
+      return null;
+    }
+    return region;
+  }
+
+  /**
+   * Schedules count-in clicks on the Orbiter's context; the first beat of each bar is accented.
+   * @private
+   * @param {number} beats - Number of clicks.
+   * @returns {Promise<number>} Resolves shortly before the count-in ends, or when it is cancelled,
+   *   with the context time (s) of its end.
+   */
+  playCountIn(beats) {
+    const { context } = this.orbiter;
+    const tempo = Number(this.getTempo()) || DEFAULT_TEMPO;
+    const beatSeconds = 60 / Math.max(20, Math.min(300, tempo));
+    const startAt = context.currentTime + COUNT_IN_LEAD_SECONDS;
+    const endAt = startAt + beats * beatSeconds;
+
+    for (let beat = 0; beat < beats; beat++) {
+      const time = startAt + beat * beatSeconds;
+      const click = context.createOscillator();
+      const envelope = context.createGain();
+      click.frequency.value = beat % 4 === 0 ? 1000 : 800;
+      envelope.gain.setValueAtTime(0.5, time);
+      envelope.gain.exponentialRampToValueAtTime(0.001, time + CLICK_SECONDS);
+      click.connect(envelope).connect(context.destination);
+      click.start(time);
+      click.stop(time + CLICK_SECONDS);
+      this.clicks.push(click);
+    }
+
+    return new Promise(resolve => {
+      this.endCountIn = () => {
+        clearTimeout(this.countInTimer);
+        this.countInTimer = null;
+        this.endCountIn = null;
+        this.clicks = [];
+        resolve(endAt);
+      };
+      // Resolved early enough for the take to be scheduled on the next beat.
+      const delay = endAt - context.currentTime - START_LEAD_SECONDS;
+      this.countInTimer = setTimeout(this.endCountIn, Math.max(0, delay) * 1000);
+    });
+  }
+
+  /**
+   * Silences the count-in and ends it.
+   * @private
+   * @returns {void}
+   */
+  cancelCountIn() {
+    this.clicks.forEach(click => {
+      try {
+        click.stop();
+      } catch (error) {
+        // Already stopped.
+      }
+    });
+    this.endCountIn?.();
+  }
+
+  /**
+   * Keeps a finished take and downloads it if enabled.
+   * @private
+   * @param {Blob} blob - The recording.
+   * @param {string} extension - File extension.
+   * @param {number} duration - Length (s).
+   * @param {string} [label='take'] - Kind of take, used in the file name.
+   * @returns {Take}
+   */
+  addTake(blob, extension, duration, label = 'take') {
+    this.takeCount += 1;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const take = {
+      name: `${Constants.TRACK_ID || 'orbiter'}-${label}-${this.takeCount}-${stamp}.${extension}`,
+      blob,
+      url: URL.createObjectURL(blob),
+      format: extension === 'wav' ? 'wav' : 'webm',
+      duration,
+      createdAt: Date.now(),
+    };
+    this.takes.unshift(take);
+    this.takes.splice(MAX_TAKES).forEach(old => URL.revokeObjectURL(old.url));
+    if (this.settings.autoDownload) this.download(take);
+    return take;
+  }
+
+  /**
+   * Downloads a take.
+   * @param {Take} take - The take.
+   * @returns {void}
+   */
+  download(take) {
+    const link = document.createElement('a');
+    link.href = take.url;
+    link.download = take.name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+
+  /**
+   * Releases a take.
+   * @param {Take} take - The take.
+   * @returns {void}
+   */
+  removeTake(take) {
+    const index = this.takes.indexOf(take);
+    if (index === -1) return;
+    this.takes.splice(index, 1);
+    URL.revokeObjectURL(take.url);
+    this.notify();
+  }
+}
+
+/**
+ * Shared recorder, attached to the player in setupInteractions.
+ * @memberof CoreModule
+ * @type {OutputRecorder}
+ */
+export const OutputRecorderInstance = new OutputRecorder();
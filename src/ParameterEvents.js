@@ -0,0 +1,195 @@
+// src/ParameterEvents.js
+
+/**
+ * @file ParameterEvents.js
+ * @description Typed event bus of the ParameterManager. External code, embeds and tests can react
+ * to parameter changes with filtered subscriptions or async iteration, without implementing the
+ * controller callbacks (`onParameterChanged`, `onRangeChanged`, `onScaleChanged`).
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/**
+ * Event types emitted by the ParameterManager.
+ * - `value`: the effective value changed (payload: `value`, `rawValue`, `normalizedValue`, `cause`).
+ * - `range`: min/max changed (payload: `min`, `max`).
+ * - `scale`: the scale changed (payload: `scale`).
+ * - `source`: another controller took over the parameter (payload: `previousController`, `priority`).
+ * - `gesture-start` / `gesture-end`: a controller started or ended a continuous gesture, e.g. a knob drag.
+ * - `arbitration`: an update was accepted or rejected, see ParameterManager.addArbitrationListener.
+ * - `remove`: the parameter was removed, see ParameterManager.removeParameter.
+ */
+export const PARAMETER_EVENT_TYPES = ['value', 'range', 'scale', 'source', 'gesture-start', 'gesture-end', 'arbitration', 'remove'];
+
+/** Events buffered per async iterator before the oldest are dropped. */
+const ITERATOR_BUFFER_SIZE = 256;
+
+/**
+ * @typedef {Object} ParameterEvent
+ * @property {string} type - One of {@link PARAMETER_EVENT_TYPES}.
+ * @property {string} name - The parameter.
+ * @property {object|null} sourceController - The controller behind the event, if any.
+ * @property {number} time - `performance.now()` when the event was emitted.
+ */
+
+/**
+ * @typedef {Object} ParameterEventFilter
+ * @property {string|string[]} [types] - Event types to receive. Defaults to every type.
+ * @property {string|string[]|RegExp|function(string): boolean} [names] - Parameters to receive. Defaults to every parameter.
+ * @property {object} [source] - Only events caused by this controller.
+ * @property {function(ParameterEvent): boolean} [where] - Any further condition.
+ */
+
+/**
+ * Builds a predicate from a filter.
+ * @private
+ * @param {ParameterEventFilter} filter - The filter.
+ * @returns {function(ParameterEvent): boolean}
+ */
+function compileFilter({ types, names, source, where } = {}) {
+  const typeSet = types ? new Set([].concat(types)) : null;
+  let matchName = null;
+  if (typeof names === 'function') matchName = names;
+  else if (names instanceof RegExp) matchName = name => names.test(name);
+  else if (names !== undefined) {
+    const nameSet = new Set([].concat(names));
+    matchName = name => nameSet.has(name);
+  }
+
+  return event => (!typeSet || typeSet.has(event.type))
+    && (!matchName || matchName(event.name))
+    && (source === undefined || event.sourceController === source)
+    && (!where || where(event));
+}
+
+/**
+ * Publish/subscribe bus of parameter events.
+ * @class
+ * @memberof CoreModule
+ */
+export class ParameterEventBus {
+  constructor() {
+    /** @type {Set<{ matches: function(ParameterEvent): boolean, listener: function(ParameterEvent): void }>} */
+    this.subscriptions = new Set();
+    /** @type {Set<function(): Promise<IteratorResult<ParameterEvent>>>} Ends each open async iterator. */
+    this.iterators = new Set();
+  }
+
+  /**
+   * Whether anyone is listening; lets emitters skip building events.
+   * @returns {boolean}
+   */
+  get hasSubscribers() {
+    return this.subscriptions.size > 0;
+  }
+
+  /**
+   * Receives the events matching a filter.
+   * @param {ParameterEventFilter} filter - Which events to receive.
+   * @param {function(ParameterEvent): void} listener - The listener.
+   * @returns {function(): void} Call to unsubscribe.
+   *
+   * @example
+   * const stop = bus.subscribe({ types: 'value', names: /^cosmic-/ }, (event) => console.log(event.name, event.value));
+   */
+  subscribe(filter, listener) {
+    const subscription = { matches: compileFilter(filter), listener };
+    this.subscriptions.add(subscription);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  /**
+   * Receives one event type.
+   * @param {string} type - One of {@link PARAMETER_EVENT_TYPES}.
+   * @param {function(ParameterEvent): void} listener - The listener.
+   * @param {Omit<ParameterEventFilter, 'types'>} [filter={}] - Further filtering.
+   * @returns {function(): void} Call to unsubscribe.
+   *
+   * @example
+   * bus.on('gesture-start', ({ name }) => console.log(`Touching ${name}`));
+   */
+  on(type, listener, filter = {}) {
+    return this.subscribe({ ...filter, types: type }, listener);
+  }
+
+  /**
+   * Iterates over the events matching a filter. Breaking out of a `for await` loop unsubscribes.
+   * Events arriving faster than they are consumed are buffered, up to a limit.
+   * @param {ParameterEventFilter} [filter={}] - Which events to receive.
+   * @returns {AsyncIterableIterator<ParameterEvent>}
+   *
+   * @example
+   * for await (const event of bus.iterate({ types: 'value', names: 'x' })) {
+   *   if (event.value > 0.9) break;
+   * }
+   */
+  iterate(filter = {}) {
+    const buffer = [];
+    let pending = null;
+    let done = false;
+
+    const unsubscribe = this.subscribe(filter, event => {
+      if (pending) {
+        pending({ value: event, done: false });
+        pending = null;
+        return;
+      }
+      buffer.push(event);
+      if (buffer.length > ITERATOR_BUFFER_SIZE) buffer.shift();
+    });
+
+    const finish = () => {
+      done = true;
+      unsubscribe();
+      this.iterators.delete(finish);
+      buffer.length = 0;
+      if (pending) {
+        pending({ value: undefined, done: true });
+        pending = null;
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    };
+    this.iterators.add(finish);
+
+    return {
+      next: () => {
+        if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => { pending = resolve; });
+      },
+      return: finish,
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Removes every subscription and ends the open async iterators, so pending `for await` loops exit.
+   * @returns {void}
+   */
+  close() {
+    Array.from(this.iterators).forEach(finish => finish());
+    this.subscriptions.clear();
+  }
+
+  /**
+   * Delivers an event to the matching subscriptions. A failing listener does not stop the others.
+   * @param {string} type - One of {@link PARAMETER_EVENT_TYPES}.
+   * @param {string} name - The parameter.
+   * @param {Object} [payload={}] - Event fields, including `sourceController`.
+   * @returns {void}
+   */
+  emit(type, name, payload = {}) {
+    if (!this.hasSubscribers) return;
+    const event = { sourceController: null, ...payload, type, name, time: performance.now() };
+    this.subscriptions.forEach(({ matches, listener }) => {
+      if (!matches(event)) return;
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`[ParameterEvents] Listener failed on '${type}' of '${name}':`, error);
+      }
+    });
+  }
+}
@@ -1,6 +1,11 @@
 /**
  * @file ParameterManager.js
  * @description Manages application parameters, including adding, updating, subscribing, and emitting parameter changes.
+ * Parameters can be modulated: a base value set by controllers plus any number of modulation routes.
+ * Each parameter carries smoothing settings for audio sinks and can be ramped over time.
+ * Macro parameters fan out to several target parameters as modulation routes, each with its own range and curve.
+ * Concurrent controller updates are arbitrated by a selectable policy per parameter (see ArbitrationPolicies.js).
+ * Besides controller callbacks, every change is published as a typed event on `events` (see ParameterEvents.js).
  * @version 2.0.0
  * @autor 𝐵𝓇𝓊𝓃𝒶 𝒢𝓊𝒶𝓇𝓃𝒾𝑒𝓇𝒾
  * @license MIT
@@ -8,16 +13,49 @@
  */
 
 import { linear, logarithmic } from './Transformations';
+import { shapeRamp } from './ParameterSmoother.js';
+import { applyCurve, MAPPING_CURVES } from './MIDIMapping.js';
+import {
+  ARBITRATION_POLICIES,
+  DEFAULT_ARBITRATION_POLICY,
+  arbitrate,
+  resolveArbitrationOptions,
+} from './ArbitrationPolicies.js';
+import { ParameterEventBus } from './ParameterEvents.js';
 
 /**
  * @class ParameterManager
  * @memberof CoreModule 
- * @description Singleton class responsible for managing application parameters, including their values, ranges, transformations, and subscriber notifications.
+ * @description Manages a parameter space, including values, ranges, transformations, and subscriber notifications.
+ * Each player or user holds its own instance (e.g. `user1Manager` in Main.js) and passes it to its dependents;
+ * instances are also registered by ID so declarative controls can find theirs (see {@link ParameterManager.getManager}).
  */
 export class ParameterManager {
-  constructor() {
-    if (ParameterManager.instance) {
-      return ParameterManager.instance;
+  /**
+   * @type {Map<string, ParameterManager>}
+   * @description Live instances keyed by ID.
+   */
+  static registry = new Map();
+
+  /** @type {number} Counter for generated IDs. */
+  static nextId = 1;
+
+  /** @type {boolean} Whether the getInstance() deprecation warning was shown. */
+  static warnedGetInstance = false;
+
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.id] - Unique ID of the parameter space, e.g. "user1" or "remote-peer".
+   *   Generated if omitted. Controls select a manager with their `param-manager` attribute.
+   */
+  constructor({ id } = {}) {
+    /**
+     * @type {string}
+     * @description ID of this parameter space.
+     */
+    this.id = id || `parameters-${ParameterManager.nextId++}`;
+    if (ParameterManager.registry.has(this.id)) {
+      console.warn(`[ParameterManager] A manager with ID '${this.id}' already exists; the new one replaces it in the registry.`);
     }
 
     /**
@@ -26,22 +64,109 @@ export class ParameterManager {
      */
     this.parameters = new Map(); // Map of parameterName -> parameter object
 
-    ParameterManager.instance = this;
+    /**
+     * @type {Set<function(ParameterChange): void>}
+     * @description Listeners notified when a controller changes a parameter's base value.
+     */
+    this.changeListeners = new Set();
+
+    /**
+     * @type {Map<string, number>}
+     * @description Animation frames of ramps in progress, keyed by parameter name.
+     */
+    this.ramps = new Map();
+
+    /**
+     * @type {Map<string, Macro>}
+     * @description Macro definitions keyed by macro parameter name.
+     */
+    this.macros = new Map();
+
+    /**
+     * @type {Set<string>}
+     * @description Macros currently updating their targets; guards against macro cycles.
+     */
+    this.activeMacros = new Set();
+
+    /**
+     * @type {{ policy: string, options: Object }}
+     * @description Arbitration policy of parameters without their own (see setArbitrationPolicy).
+     */
+    this.defaultArbitration = {
+      policy: DEFAULT_ARBITRATION_POLICY,
+      options: resolveArbitrationOptions(DEFAULT_ARBITRATION_POLICY),
+    };
+
+    /**
+     * @type {Set<function(ArbitrationEvent): void>}
+     * @description Listeners notified of every arbitration decision.
+     */
+    this.arbitrationListeners = new Set();
+
+    /**
+     * @type {ParameterEventBus}
+     * @description Typed parameter events (value, range, scale, source, gestures, arbitration).
+     */
+    this.events = new ParameterEventBus();
+
+    /**
+     * @type {Map<string, Set<object>>}
+     * @description Controllers in the middle of a gesture, keyed by parameter name.
+     */
+    this.gestures = new Map();
+
+    ParameterManager.registry.set(this.id, this);
   }
 
   /**
-   * Provides access to the Singleton instance of ParameterManager.
+   * Finds a live manager by ID.
    * @static
-   * @returns {ParameterManager} - The Singleton instance.
+   * @param {string} id - The manager ID.
+   * @returns {ParameterManager|null} - The manager, or null if none is registered under this ID.
    *
    * @example
-   * const paramManager = ParameterManager.getInstance();
+   * const remoteManager = ParameterManager.getManager('remote-peer');
+   */
+  static getManager(id) {
+    return ParameterManager.registry.get(id) || null;
+  }
+
+  /**
+   * Returns the first created manager, creating one if there is none.
+   * @static
+   * @deprecated ParameterManager is no longer a singleton. Pass the manager to its dependents
+   *   instead, or look it up with {@link ParameterManager.getManager}.
+   * @returns {ParameterManager} - The first live manager.
    */
   static getInstance() {
-    if (!ParameterManager.instance) {
-      ParameterManager.instance = new ParameterManager();
+    if (!ParameterManager.warnedGetInstance) {
+      ParameterManager.warnedGetInstance = true;
+      console.warn('[ParameterManager] getInstance() is deprecated; pass the ParameterManager to its dependents instead.');
+    }
+    const [first] = ParameterManager.registry.values();
+    return first || new ParameterManager();
+  }
+
+  /**
+   * Releases the parameter space: stops ramps, drops subscribers and listeners, ends open
+   * {@link changes} iterators and removes the manager from the registry. The manager must not be used afterwards.
+   * @public
+   *
+   * @returns {void}
+   *
+   * @example
+   * remoteManager.dispose();
+   */
+  dispose() {
+    Array.from(this.ramps.keys()).forEach(name => this.cancelRamp(name));
+    this.parameters.forEach(param => param.subscribers.clear());
+    this.changeListeners.clear();
+    this.arbitrationListeners.clear();
+    this.events.close();
+    this.gestures.clear();
+    if (ParameterManager.registry.get(this.id) === this) {
+      ParameterManager.registry.delete(this.id);
     }
-    return ParameterManager.instance;
   }
 
   /**
@@ -60,7 +185,7 @@ export class ParameterManager {
    * @returns {void}
    *
    * @example
-   * const paramManager = ParameterManager.getInstance();
+   * const paramManager = new ParameterManager();
    * paramManager.addParameter('volume', 0.5, 0, 100, true, 'linear');
    */
   addParameter(
@@ -96,6 +221,7 @@ export class ParameterManager {
 
       param.rawValue = clampedRawValue;
       param.normalizedValue = updatedNormalizedValue;
+      param.baseNormalizedValue = updatedNormalizedValue;
       param.isBidirectional = isBidirectional;
       param.inputTransform = inputTransform;
       param.outputTransform = outputTransform;
@@ -110,6 +236,11 @@ export class ParameterManager {
         this.emitScaleUpdate(name, scale);
       }
 
+      if (param.modulations.size > 0) {
+        this.applyModulations(name);
+        return;
+      }
+
       // Notify subscribers of value change
       this.emitValueUpdate(name, param.outputTransform(param.rawValue));
 
@@ -125,6 +256,10 @@ export class ParameterManager {
       name,
       rawValue: clampedRawValue,
       normalizedValue: normalized,
+      baseNormalizedValue: normalized,
+      modulations: new Map(),
+      smoothing: { timeConstant: 0, slewRate: 0 },
+      meta: {},
       min,
       max,
       subscribers: new Set(),
@@ -132,6 +267,8 @@ export class ParameterManager {
       lastPriority: Infinity,
       lastUpdateTimestamp: 0,
       lastController: null,
+      arbitration: null,
+      arbitrationState: {},
       scale,
       inputTransform,
       outputTransform,
@@ -143,6 +280,37 @@ export class ParameterManager {
     this.emitScaleUpdate(name, scale);
   }
 
+  /**
+   * Removes a parameter, e.g. one of a patcher that is no longer loaded. Its ramp, gestures,
+   * modulation routes and macro definition go with it, as do the routes it drives in other
+   * parameters and the macro targets pointing at it. Its subscribers are dropped and a `remove`
+   * event is emitted.
+   * @public
+   * @param {string} parameterName - The parameter to remove.
+   *
+   * @returns {boolean} - True if the parameter existed.
+   *
+   * @example
+   * paramManager.removeParameter('filterDelay/time');
+   */
+  removeParameter(parameterName) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      return false;
+    }
+    this.cancelRamp(parameterName);
+    this.removeMacro(parameterName);
+    this.gestures.delete(parameterName);
+    param.subscribers.clear();
+    this.parameters.delete(parameterName);
+    this.parameters.forEach((other, name) => this.removeModulationRoute(name, parameterName));
+    this.macros.forEach(macro => {
+      macro.targets = macro.targets.filter(({ target }) => target !== parameterName);
+    });
+    this.events.emit('remove', parameterName);
+    return true;
+  }
+
   /**
    * Emits a range update event for a parameter.
    * Notifies all subscribed controllers about the new range.
@@ -163,6 +331,7 @@ export class ParameterManager {
         controller.onRangeChanged(name, min, max);
       }
     });
+    this.events.emit('range', name, { min, max });
     //console.debug(`[ParameterManager] Emitted range update for '${name}' with min=${min}, max=${max}`);
   }
 
@@ -185,6 +354,7 @@ export class ParameterManager {
         controller.onParameterChanged(name, value);
       }
     });
+    this.emitValueEvent(name, null, 'update');
     //console.debug(`[ParameterManager] Emitted value update for '${name}' with value=${value}`);
   }
 
@@ -207,6 +377,7 @@ export class ParameterManager {
         controller.onScaleChanged(name, scale);
       }
     });
+    this.events.emit('scale', name, { scale });
     //console.debug(`[ParameterManager] Emitted scale update for '${name}' with scale=${scale}`);
   }
 
@@ -228,7 +399,7 @@ export class ParameterManager {
    *   onRangeChanged: (name, min, max) => {  },
    *   onScaleChanged: (name, scale) => {  },
    * };
-   * const paramManager = ParameterManager.getInstance();
+   * const paramManager = new ParameterManager();
    * paramManager.subscribe(controller, 'volume', 1);
    */
   subscribe(controller, parameterName, priority = Infinity) {
@@ -302,59 +473,15 @@ export class ParameterManager {
    * paramManager.setRawValue('volume', 75, controller, 1);
    */
   setRawValue(parameterName, rawValue, sourceController = null, priority = Infinity) {
-    if (this.parameters.has(parameterName)) {
-      const param = this.parameters.get(parameterName);
-
-      const now = Date.now();
-      const simultaneousThreshold = 50; // 50 ms for "simultaneous" updates
-
-      // Determine if this update is "simultaneous"
-      const isSimultaneous = now - (param.lastUpdateTimestamp || 0) < simultaneousThreshold;
-
-      // Check if the source controller is the same
-      const isSameController = sourceController === param.lastController;
-
-      if (
-        (!isSimultaneous || priority < param.lastPriority) ||
-        (isSimultaneous && isSameController)
-      ) {
-        // Apply inputTransform to the incoming rawValue
-        const transformedRawValue = param.inputTransform(rawValue);
-
-        const clampedRawValue = Math.min(param.max, Math.max(param.min, transformedRawValue)); // Clamp rawValue to the range
-        const normalizedValue = this.normalize(clampedRawValue, param.min, param.max);
-
-        if (param.rawValue !== clampedRawValue) {
-          param.rawValue = clampedRawValue;
-          param.normalizedValue = normalizedValue;
-          param.lastPriority = priority;
-          param.lastUpdateTimestamp = now;
-          param.lastController = sourceController;
-
-          //console.debug(`[setRawValue] Updated '${parameterName}' to rawValue=${param.rawValue}, normalizedValue=${param.normalizedValue}`);
-
-          // Notify subscribers
-          param.subscribers.forEach(({ controller }) => {
-            if (controller !== sourceController || param.isBidirectional) {
-              if (typeof controller.onParameterChanged === 'function') {
-                // Apply the output transformation before notifying
-                const transformedValue = param.outputTransform(param.rawValue);
-                //console.debug(`[setRawValue] Notifying controller of '${parameterName}' with value=${transformedValue}`);
-                controller.onParameterChanged(parameterName, transformedValue);
-              } else {
-                console.warn(`[setRawValue] Controller does not implement 'onParameterChanged':`, controller);
-              }
-            }
-          });
-        } else {
-          //console.debug(`[setRawValue] No change in rawValue for '${parameterName}'. Update skipped.`);
-        }
-      } else {
-        //console.debug(`[setRawValue] Update for '${parameterName}' ignored due to priority or simultaneous threshold.`);
-      }
-    } else {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
       console.warn(`[setRawValue] Parameter '${parameterName}' not found.`);
+      return;
     }
+    // Apply inputTransform to the incoming rawValue
+    const transformedRawValue = param.inputTransform(rawValue);
+    const clampedRawValue = Math.min(param.max, Math.max(param.min, transformedRawValue)); // Clamp rawValue to the range
+    this.commitValue(parameterName, clampedRawValue, sourceController, priority);
   }
 
   /**
@@ -398,61 +525,814 @@ export class ParameterManager {
    * paramManager.setNormalizedValue('frequency', 0.75, controller, 1);
    */
   setNormalizedValue(parameterName, normalizedValue, sourceController = null, priority = Infinity) {
-    if (this.parameters.has(parameterName)) {
-      const param = this.parameters.get(parameterName);
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      return;
+    }
+    // Denormalize the normalized value to rawValue, then apply inputTransform to it
+    const transformedRawValue = param.inputTransform(this.denormalize(normalizedValue, param.min, param.max));
+    const clampedRawValue = Math.min(param.max, Math.max(param.min, transformedRawValue)); // Clamp rawValue to the range
+    this.commitValue(parameterName, clampedRawValue, sourceController, priority);
+  }
 
-      const now = Date.now();
-      const simultaneousThreshold = 50; // 50 ms for "simultaneous" updates
-
-      // Determine if this update is "simultaneous"
-      const isSimultaneous = now - (param.lastUpdateTimestamp || 0) < simultaneousThreshold;
-
-      // Check if the source controller is the same
-      const isSameController = sourceController === param.lastController;
-
-      if (
-        (!isSimultaneous || priority < param.lastPriority) ||
-        (isSimultaneous && isSameController)
-      ) {
-        // Denormalize the normalized value to rawValue
-        const denormalizedValue = this.denormalize(normalizedValue, param.min, param.max);
-
-        // Apply inputTransform to the denormalized value
-        const transformedRawValue = param.inputTransform(denormalizedValue);
-
-        const clampedRawValue = Math.min(param.max, Math.max(param.min, transformedRawValue)); // Clamp rawValue to the range
-        const updatedNormalizedValue = this.normalize(clampedRawValue, param.min, param.max);
-
-
-        if (param.rawValue !== clampedRawValue || param.normalizedValue !== normalizedValue) {
-          param.rawValue = clampedRawValue;
-          param.normalizedValue = updatedNormalizedValue;
-          param.lastPriority = priority;
-          param.lastUpdateTimestamp = now;
-          param.lastController = sourceController;
-
-
-          // Notify subscribers
-          param.subscribers.forEach(({ controller }) => {
-            //console.debug(`[Notification Check] Controller: ${controller.constructor.name}, Source: ${sourceController?.constructor.name}`);
-            if (controller !== sourceController || param.isBidirectional) {
-                //console.debug(`[Notify Subscriber] Notifying '${controller.constructor.name}' for '${parameterName}' with value=${param.rawValue}`);
-                if (typeof controller.onParameterChanged === 'function') {
-                    const transformedValue = param.outputTransform(param.rawValue);
-                    controller.onParameterChanged(parameterName, transformedValue);
-                } else {
-                    console.warn(`[Notification Warning] Controller does not implement 'onParameterChanged':`, controller);
-                }
-            } else {
-                //console.debug(`[Notification Skipped] SourceController matches and parameter is not bidirectional.`);
-            }
-        });
-        } else {
-          //console.debug(`[setNormalizedValue] No change in normalizedValue for '${parameterName}'. Update skipped.`);
+  /**
+   * Applies a controller update that passed the parameter's arbitration policy and notifies subscribers.
+   * Shared by {@link setRawValue} and {@link setNormalizedValue}.
+   * @private
+   * @param {string} parameterName - The parameter.
+   * @param {number} clampedRawValue - The requested raw value, already transformed and clamped.
+   * @param {object|null} sourceController - The controller making the change.
+   * @param {number} priority - The priority of the update (1 is highest).
+   *
+   * @returns {boolean} - Whether the policy accepted the update.
+   *
+   * @example
+   * this.commitValue('x', 0.5, controller, 2);
+   */
+  commitValue(parameterName, clampedRawValue, sourceController, priority) {
+    const param = this.parameters.get(parameterName);
+    const now = Date.now();
+    const requestedValue = this.normalize(clampedRawValue, param.min, param.max);
+    const { policy, options } = this.getArbitrationPolicy(parameterName);
+    const decision = arbitrate(policy, param, param.arbitrationState, {
+      sourceController, priority, normalizedValue: requestedValue, now,
+    }, options);
+
+    let normalizedValue = requestedValue;
+    let rawValue = clampedRawValue;
+    if (decision.accepted && decision.normalizedValue !== undefined && decision.normalizedValue !== requestedValue) {
+      normalizedValue = decision.normalizedValue;
+      rawValue = this.denormalize(normalizedValue, param.min, param.max);
+    }
+    this.emitArbitration({
+      name: parameterName, policy, ...decision, sourceController, priority, requestedValue, normalizedValue,
+    });
+    if (!decision.accepted) {
+      //console.debug(`[ParameterManager] Update for '${parameterName}' rejected: ${decision.reason}`);
+      return false;
+    }
+
+    const previousValue = this.getBaseValue(param);
+    const previousController = param.lastController;
+    this.cancelRamp(parameterName);
+
+    // Modulated parameters: the update moves the base value the routes modulate around.
+    if (param.modulations.size > 0) {
+      param.baseNormalizedValue = normalizedValue;
+      param.lastPriority = priority;
+      param.lastUpdateTimestamp = now;
+      param.lastController = sourceController;
+      this.emitSourceEvent(parameterName, previousController, sourceController, priority);
+      this.applyModulations(parameterName, sourceController);
+      this.emitChange(parameterName, previousValue, sourceController);
+      return true;
+    }
+
+    if (param.rawValue !== rawValue) {
+      param.baseNormalizedValue = normalizedValue;
+      param.rawValue = rawValue;
+      param.normalizedValue = normalizedValue;
+      param.lastPriority = priority;
+      param.lastUpdateTimestamp = now;
+      param.lastController = sourceController;
+
+      // Notify subscribers
+      param.subscribers.forEach(({ controller }) => {
+        if (controller !== sourceController || param.isBidirectional) {
+          if (typeof controller.onParameterChanged === 'function') {
+            // Apply the output transformation before notifying
+            controller.onParameterChanged(parameterName, param.outputTransform(param.rawValue));
+          } else {
+            console.warn(`[ParameterManager] Controller does not implement 'onParameterChanged':`, controller);
+          }
         }
+      });
+      this.emitSourceEvent(parameterName, previousController, sourceController, priority);
+      this.emitValueEvent(parameterName, sourceController, 'controller');
+      this.emitChange(parameterName, previousValue, sourceController);
+      this.fanOutMacro(parameterName);
+    }
+    return true;
+  }
+
+  /**
+   * Selects the arbitration policy of a parameter, deciding which controller wins when several
+   * write it. Takes effect immediately and resets the policy state.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {string} policy - One of ARBITRATION_POLICIES: "priority" (highest priority wins during a
+   *   hold time), "last-touch", "latch" (the touching controller blocks others until released) or
+   *   "blend" (average of the active controllers).
+   * @param {Object} [options={}] - `holdMs` (priority), `releaseMs` (latch) or `windowMs` (blend).
+   *
+   * @returns {boolean} - False if the parameter or policy does not exist.
+   *
+   * @example
+   * paramManager.setArbitrationPolicy('x', 'latch', { releaseMs: 500 });
+   */
+  setArbitrationPolicy(parameterName, policy, options = {}) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      console.warn(`[ParameterManager] setArbitrationPolicy: Parameter '${parameterName}' not found.`);
+      return false;
+    }
+    if (!ARBITRATION_POLICIES.includes(policy)) {
+      console.warn(`[ParameterManager] Unknown arbitration policy '${policy}'. Available: ${ARBITRATION_POLICIES.join(', ')}`);
+      return false;
+    }
+    param.arbitration = { policy, options: resolveArbitrationOptions(policy, options) };
+    param.arbitrationState = {};
+    return true;
+  }
+
+  /**
+   * Selects the policy of every parameter that has none of its own, including parameters added later.
+   * @public
+   * @param {string} policy - One of ARBITRATION_POLICIES.
+   * @param {Object} [options={}] - Policy options, see {@link setArbitrationPolicy}.
+   *
+   * @returns {boolean} - False if the policy does not exist.
+   *
+   * @example
+   * paramManager.setDefaultArbitrationPolicy('priority', { holdMs: 120 });
+   */
+  setDefaultArbitrationPolicy(policy, options = {}) {
+    if (!ARBITRATION_POLICIES.includes(policy)) {
+      console.warn(`[ParameterManager] Unknown arbitration policy '${policy}'. Available: ${ARBITRATION_POLICIES.join(', ')}`);
+      return false;
+    }
+    this.defaultArbitration = { policy, options: resolveArbitrationOptions(policy, options) };
+    this.parameters.forEach(param => {
+      if (!param.arbitration) param.arbitrationState = {};
+    });
+    return true;
+  }
+
+  /**
+   * Returns the arbitration policy in effect for a parameter.
+   * @public
+   * @param {string} parameterName - The parameter.
+   *
+   * @returns {{ policy: string, options: Object }} - The policy and its resolved options.
+   */
+  getArbitrationPolicy(parameterName) {
+    return this.parameters.get(parameterName)?.arbitration || this.defaultArbitration;
+  }
+
+  /**
+   * Tells the parameter a controller let go of it (e.g. a knob drag ended), so a latch policy
+   * frees the parameter for other controllers without waiting for its release time.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {object} controller - The controller letting go.
+   *
+   * @returns {void}
+   *
+   * @example
+   * user1Manager.releaseControl('x', knob);
+   */
+  releaseControl(parameterName, controller) {
+    const state = this.parameters.get(parameterName)?.arbitrationState;
+    if (state && state.owner === controller) {
+      state.owner = null;
+    }
+    state?.contributions?.delete(controller);
+  }
+
+  /**
+   * Registers a listener notified of every arbitration decision, accepted or not.
+   * @public
+   * @param {function(ArbitrationEvent): void} listener - The listener.
+   *
+   * @returns {function(): void} - Call to remove the listener.
+   *
+   * @example
+   * paramManager.addArbitrationListener(({ name, accepted, reason }) => console.log(name, accepted, reason));
+   */
+  addArbitrationListener(listener) {
+    this.arbitrationListeners.add(listener);
+    return () => this.arbitrationListeners.delete(listener);
+  }
+
+  /**
+   * Notifies arbitration listeners of a decision.
+   * @private
+   * @param {ArbitrationEvent} event - The decision.
+   *
+   * @returns {void}
+   */
+  emitArbitration(event) {
+    this.arbitrationListeners.forEach(listener => listener(event));
+    this.events.emit('arbitration', event.name, event);
+  }
+
+  /**
+   * Marks the start of a continuous gesture on a parameter, e.g. a knob drag.
+   * Emits a `gesture-start` event.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {object} controller - The controller starting the gesture.
+   *
+   * @returns {void}
+   *
+   * @example
+   * user1Manager.beginGesture('x', knob);
+   */
+  beginGesture(parameterName, controller) {
+    if (!this.parameters.has(parameterName)) {
+      return;
+    }
+    if (!this.gestures.has(parameterName)) {
+      this.gestures.set(parameterName, new Set());
+    }
+    this.gestures.get(parameterName).add(controller);
+    this.events.emit('gesture-start', parameterName, { sourceController: controller });
+  }
+
+  /**
+   * Marks the end of a gesture started with {@link beginGesture}, releasing the parameter
+   * (see {@link releaseControl}). Emits a `gesture-end` event.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {object} controller - The controller ending the gesture.
+   *
+   * @returns {void}
+   *
+   * @example
+   * user1Manager.endGesture('x', knob);
+   */
+  endGesture(parameterName, controller) {
+    this.releaseControl(parameterName, controller);
+    const active = this.gestures.get(parameterName);
+    if (!active?.delete(controller)) {
+      return;
+    }
+    if (active.size === 0) {
+      this.gestures.delete(parameterName);
+    }
+    this.events.emit('gesture-end', parameterName, { sourceController: controller });
+  }
+
+  /**
+   * Whether a controller is in the middle of a gesture on a parameter.
+   * @public
+   * @param {string} parameterName - The parameter.
+   *
+   * @returns {boolean}
+   */
+  isGestureActive(parameterName) {
+    return this.gestures.has(parameterName);
+  }
+
+  /**
+   * Calls a listener with the value of a parameter now and on every change, without registering
+   * a controller. Use {@link changes} to consume the changes as an async iterator instead.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {function(ParameterEvent): void} listener - Receives `value` events (see ParameterEvents.js).
+   * @param {Object} [options={}]
+   * @param {string|string[]} [options.types="value"] - Event types to receive.
+   * @param {boolean} [options.immediate=true] - Call the listener with the current value first.
+   *
+   * @returns {function(): void} - Call to stop observing.
+   *
+   * @example
+   * const stop = paramManager.observe('x', ({ value }) => console.log('x =', value));
+   */
+  observe(parameterName, listener, { types = 'value', immediate = true } = {}) {
+    const unsubscribe = this.events.subscribe({ types, names: parameterName }, listener);
+    const param = this.parameters.get(parameterName);
+    if (immediate && param && [].concat(types).includes('value')) {
+      listener(this.buildValueEvent(parameterName, param, null, 'current'));
+    }
+    return unsubscribe;
+  }
+
+  /**
+   * Iterates over the changes of a parameter. Breaking out of the loop stops observing.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {Object} [options={}]
+   * @param {string|string[]} [options.types="value"] - Event types to receive.
+   *
+   * @returns {AsyncIterableIterator<ParameterEvent>}
+   *
+   * @example
+   * for await (const { value } of paramManager.changes('body-level')) {
+   *   meter.textContent = value.toFixed(1);
+   * }
+   */
+  changes(parameterName, { types = 'value' } = {}) {
+    return this.events.iterate({ types, names: parameterName });
+  }
+
+  /**
+   * Builds a `value` event from the current state of a parameter.
+   * @private
+   * @param {string} parameterName - The parameter.
+   * @param {Parameter} param - The parameter record.
+   * @param {object|null} sourceController - The controller behind the change, if any.
+   * @param {string} cause - "controller", "modulation", "ramp", "reset", "update" or "current".
+   *
+   * @returns {Object} - The event payload.
+   */
+  buildValueEvent(parameterName, param, sourceController, cause) {
+    return {
+      type: 'value',
+      name: parameterName,
+      sourceController,
+      cause,
+      value: param.outputTransform(param.rawValue),
+      rawValue: param.rawValue,
+      normalizedValue: param.normalizedValue,
+      baseValue: this.getBaseValue(param),
+      time: performance.now(),
+    };
+  }
+
+  /**
+   * Publishes the current value of a parameter as a `value` event.
+   * @private
+   * @param {string} parameterName - The parameter.
+   * @param {object|null} sourceController - The controller behind the change, if any.
+   * @param {string} cause - See {@link buildValueEvent}.
+   *
+   * @returns {void}
+   */
+  emitValueEvent(parameterName, sourceController, cause) {
+    if (!this.events.hasSubscribers) {
+      return;
+    }
+    const { type, name, time, ...payload } = this.buildValueEvent(parameterName, this.parameters.get(parameterName), sourceController, cause);
+    this.events.emit(type, name, payload);
+  }
+
+  /**
+   * Publishes a `source` event when another controller takes over a parameter.
+   * @private
+   * @param {string} parameterName - The parameter.
+   * @param {object|null} previousController - The controller that made the previous update.
+   * @param {object|null} sourceController - The controller that made this update.
+   * @param {number} priority - Its priority.
+   *
+   * @returns {void}
+   */
+  emitSourceEvent(parameterName, previousController, sourceController, priority) {
+    if (previousController !== sourceController) {
+      this.events.emit('source', parameterName, { sourceController, previousController, priority });
+    }
+  }
+
+  /**
+   * Adds a modulation route to a parameter, or updates the settings of an existing one.
+   * While a parameter has routes, controller updates set its base value and the effective
+   * value is computed from the base and every route (see {@link computeModulatedValue}).
+   * Routes to parameters that do not exist are ignored with a warning.
+   * @public
+   * @param {string} parameterName - The modulated parameter.
+   * @param {string} sourceId - Unique identifier of the modulation source (e.g. 'cosmic-lfo-x').
+   * @param {Object} [options={}] - Route settings.
+   * @param {number} [options.depth=1] - Modulation depth [-1, 1]. Negative depths invert the source.
+   * @param {string} [options.polarity="bipolar"] - "bipolar" treats source values around 0.5 as zero;
+   *   "unipolar" treats 0 as zero.
+   * @param {string} [options.mode="sum"] - "sum" adds to the base value; "multiply" scales the summed value.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.addModulationRoute('x', 'sensor-x', { depth: 0.25, polarity: 'bipolar', mode: 'sum' });
+   */
+  addModulationRoute(parameterName, sourceId, { depth = 1, polarity = 'bipolar', mode = 'sum' } = {}) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      console.warn(`[addModulationRoute] Parameter '${parameterName}' does not exist.`);
+      return;
+    }
+    const existing = param.modulations.get(sourceId);
+    const route = {
+      depth: Math.min(1, Math.max(-1, Number(depth) || 0)),
+      polarity: polarity === 'unipolar' ? 'unipolar' : 'bipolar',
+      mode: mode === 'multiply' ? 'multiply' : 'sum',
+    };
+
+    // A new route starts at its neutral value so adding it does not move the parameter.
+    let neutralValue = 0.5;
+    if (route.polarity === 'unipolar') {
+      neutralValue = route.mode === 'multiply' ? 1 : 0;
+    }
+    route.value = existing ? existing.value : neutralValue;
+    param.modulations.set(sourceId, route);
+    this.applyModulations(parameterName);
+  }
+
+  /**
+   * Removes a modulation route. The parameter returns to its base value once no routes remain.
+   * @public
+   * @param {string} parameterName - The modulated parameter.
+   * @param {string} sourceId - The modulation source.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.removeModulationRoute('x', 'sensor-x');
+   */
+  removeModulationRoute(parameterName, sourceId) {
+    const param = this.parameters.get(parameterName);
+    if (!param || !param.modulations.delete(sourceId)) {
+      return;
+    }
+    this.applyModulations(parameterName);
+  }
+
+  /**
+   * Updates the current output of a modulation source and recomputes the parameter.
+   * Modulation updates are not subject to the priority rules, so sources never take turns.
+   * @public
+   * @param {string} parameterName - The modulated parameter.
+   * @param {string} sourceId - The modulation source.
+   * @param {number} value - Source output, normalized [0, 1].
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.setModulationValue('x', 'cosmic-lfo-x', 0.8);
+   */
+  setModulationValue(parameterName, sourceId, value) {
+    const route = this.parameters.get(parameterName)?.modulations.get(sourceId);
+    if (!route) {
+      return;
+    }
+    route.value = Math.min(1, Math.max(0, value));
+    this.applyModulations(parameterName);
+  }
+
+  /**
+   * Lists the modulation routes of a parameter.
+   * @public
+   * @param {string} parameterName - The parameter.
+   *
+   * @returns {Array<ModulationRoute>} - The routes, with their source IDs.
+   *
+   * @example
+   * const routes = paramManager.getModulationRoutes('x');
+   */
+  getModulationRoutes(parameterName) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      return [];
+    }
+    return Array.from(param.modulations.entries()).map(([sourceId, route]) => ({ sourceId, ...route }));
+  }
+
+  /**
+   * Computes the effective normalized value of a parameter: the base value plus every
+   * "sum" route, then scaled by every "multiply" route, clamped to [0, 1].
+   * The result only depends on the current base and source values, not on update order.
+   * @private
+   * @param {Parameter} param - The parameter.
+   *
+   * @returns {number} - The effective normalized value.
+   *
+   * @example
+   * const effective = this.computeModulatedValue(param);
+   */
+  computeModulatedValue(param) {
+    let sum = param.baseNormalizedValue;
+    let factor = 1;
+    param.modulations.forEach(({ depth, polarity, mode, value }) => {
+      if (mode === 'multiply') {
+        // Unipolar: 1 at full source, 1 - depth at zero. Bipolar: 1 +/- depth around the centre.
+        factor *= polarity === 'unipolar' ? 1 - depth * (1 - value) : 1 + depth * (2 * value - 1);
       } else {
-        //console.debug(`[setNormalizedValue] Update for '${parameterName}' ignored due to priority or simultaneous threshold.`);
+        sum += depth * (polarity === 'unipolar' ? value : 2 * value - 1);
       }
+    });
+    return Math.min(1, Math.max(0, sum * Math.max(0, factor)));
+  }
+
+  /**
+   * Recomputes a parameter's effective value from its base and modulation routes and notifies subscribers.
+   * Subscribers implementing `onModulationChanged` receive both values, so controls can keep showing
+   * the base value they set and display the modulation separately; others receive the effective value.
+   * @private
+   * @param {string} parameterName - The parameter.
+   * @param {object|null} [sourceController=null] - The controller that changed the base value, if any.
+   *
+   * @returns {void}
+   *
+   * @example
+   * this.applyModulations('x');
+   */
+  applyModulations(parameterName, sourceController = null) {
+    const param = this.parameters.get(parameterName);
+    const normalizedValue = this.computeModulatedValue(param);
+    const rawValue = this.denormalize(normalizedValue, param.min, param.max);
+    // A controller moving the base value is always echoed, even if the clamped effective value holds.
+    if (param.rawValue === rawValue && !sourceController) {
+      return;
+    }
+
+    param.rawValue = rawValue;
+    param.normalizedValue = normalizedValue;
+    const value = param.outputTransform(param.rawValue);
+    const baseValue = param.outputTransform(this.denormalize(param.baseNormalizedValue, param.min, param.max));
+    param.subscribers.forEach(({ controller }) => {
+      if (controller === sourceController && !param.isBidirectional) {
+        return;
+      }
+      if (typeof controller.onModulationChanged === 'function') {
+        controller.onModulationChanged(parameterName, value, baseValue);
+      } else if (typeof controller.onParameterChanged === 'function') {
+        controller.onParameterChanged(parameterName, value);
+      }
+    });
+    this.emitValueEvent(parameterName, sourceController, sourceController ? 'controller' : 'modulation');
+    // Modulated macros (e.g. assigned to a sensor) move their targets with the modulation.
+    this.fanOutMacro(parameterName);
+  }
+
+  /**
+   * Defines a macro: a parameter [0, 1] whose value is mapped onto several target parameters.
+   * The macro modulates each target through a bipolar modulation route keyed by the macro name:
+   * the target moves to min + (max - min) × curve(value), measured from its base value, which sits
+   * at 0.5. A range { min: 0.5, max: 1 } therefore raises the target by up to half its range, and a
+   * range with min > max moves the target down as the macro goes up. Controllers keep setting the
+   * targets' base values, so the macro and the user never take turns. The macro is a regular parameter, so it can be MIDI-learned,
+   * modulated, ramped and stored in snapshots.
+   * Redefining an existing macro replaces its targets.
+   * @public
+   * @param {string} macroName - The macro parameter name.
+   * @param {Array<MacroTarget>} targets - The parameters the macro controls.
+   * @param {Object} [options={}]
+   * @param {number} [options.initValue=0] - Initial macro value [0, 1] if the macro parameter is new.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.addMacro('gravity', [
+   *   { target: 'x', min: 0.5, max: 0 },
+   *   { target: 'z', min: 0.5, max: 1, curve: 'exp' },
+   * ]);
+   */
+  addMacro(macroName, targets, { initValue = 0 } = {}) {
+    if (!this.parameters.has(macroName)) {
+      this.addParameter(macroName, initValue, 0, 1, true);
+    }
+    this.removeMacro(macroName);
+    const clamp01 = (v, fallback) => (Number.isFinite(Number(v)) ? Math.min(1, Math.max(0, Number(v))) : fallback);
+    this.macros.set(macroName, {
+      name: macroName,
+      targets: (targets || [])
+        .filter(target => target && target.target && target.target !== macroName)
+        .map(({ target, min, max, curve }) => ({
+          target,
+          min: clamp01(min, 0.5),
+          max: clamp01(max, 1),
+          curve: MAPPING_CURVES.includes(curve) ? curve : 'linear',
+        })),
+    });
+    this.fanOutMacro(macroName);
+  }
+
+  /**
+   * Removes a macro definition and its modulation routes. The macro parameter itself is kept but
+   * no longer moves any target.
+   * @public
+   * @param {string} macroName - The macro parameter name.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.removeMacro('gravity');
+   */
+  removeMacro(macroName) {
+    const macro = this.macros.get(macroName);
+    if (!macro) {
+      return;
+    }
+    this.macros.delete(macroName);
+    macro.targets.forEach(({ target }) => this.removeModulationRoute(target, macroName));
+  }
+
+  /**
+   * Lists the macro definitions.
+   * @public
+   *
+   * @returns {Array<{ name: string, targets: Array<MacroTarget> }>} - Copies of the definitions.
+   *
+   * @example
+   * const macros = paramManager.listMacros();
+   */
+  listMacros() {
+    return Array.from(this.macros.values()).map(({ name, targets }) => ({
+      name,
+      targets: targets.map(target => ({ ...target })),
+    }));
+  }
+
+  /**
+   * Whether a parameter is a macro.
+   * @public
+   * @param {string} parameterName - The parameter.
+   *
+   * @returns {boolean}
+   */
+  isMacro(parameterName) {
+    return this.macros.has(parameterName);
+  }
+
+  /**
+   * Updates a macro's modulation routes to its current (modulated) value. Targets added after the
+   * macro get their route here.
+   * @private
+   * @param {string} macroName - The macro parameter name.
+   *
+   * @returns {void}
+   *
+   * @example
+   * this.fanOutMacro('gravity');
+   */
+  fanOutMacro(macroName) {
+    const macro = this.macros.get(macroName);
+    if (!macro || this.activeMacros.has(macroName)) {
+      return;
+    }
+    const value = this.parameters.get(macroName).normalizedValue;
+    this.activeMacros.add(macroName);
+    try {
+      macro.targets.forEach(({ target, min, max, curve }) => {
+        const param = this.parameters.get(target);
+        if (!param) {
+          return;
+        }
+        if (!param.modulations.has(macroName)) {
+          // Depth 0.5 maps the route value 0.5 to the base value and 0 / 1 to half a range below / above.
+          this.addModulationRoute(target, macroName, { depth: 0.5, polarity: 'bipolar', mode: 'sum' });
+        }
+        this.setModulationValue(target, macroName, min + (max - min) * applyCurve(value, curve));
+      });
+    } finally {
+      this.activeMacros.delete(macroName);
+    }
+  }
+
+  /**
+   * Sets how audio sinks smooth a parameter's value changes (see ParameterSmoother).
+   * Controllers and the interface still see every value immediately.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {Object} smoothing - Smoothing settings; omitted keys keep their value.
+   * @param {number} [smoothing.timeConstant] - One-pole time constant (ms). 0 disables it.
+   * @param {number} [smoothing.slewRate] - Maximum change per second (normalized units). 0 disables it.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.setSmoothing('x', { timeConstant: 40 });
+   */
+  setSmoothing(parameterName, { timeConstant, slewRate } = {}) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      console.warn(`[setSmoothing] Parameter '${parameterName}' does not exist.`);
+      return;
+    }
+    if (timeConstant !== undefined) {
+      param.smoothing.timeConstant = Math.max(0, Number(timeConstant) || 0);
+    }
+    if (slewRate !== undefined) {
+      param.smoothing.slewRate = Math.max(0, Number(slewRate) || 0);
+    }
+  }
+
+  /**
+   * Retrieves a parameter's smoothing settings.
+   * @public
+   * @param {string} parameterName - The parameter.
+   *
+   * @returns {{ timeConstant: number, slewRate: number }|null} - A copy of the settings, or null if the parameter doesn't exist.
+   *
+   * @example
+   * const { timeConstant } = paramManager.getSmoothing('x');
+   */
+  getSmoothing(parameterName) {
+    const param = this.parameters.get(parameterName);
+    return param ? { ...param.smoothing } : null;
+  }
+
+  /**
+   * Attaches descriptive metadata to a parameter, e.g. from the parameter schema.
+   * Metadata does not change how values are handled.
+   * @public
+   * @param {string} parameterName - The parameter.
+   * @param {ParameterMeta} meta - Fields to set; other fields keep their value.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.setParameterMeta('cutoff', { displayName: 'Cutoff', unit: 'Hz' });
+   */
+  setParameterMeta(parameterName, meta) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      console.warn(`[setParameterMeta] Parameter '${parameterName}' does not exist.`);
+      return;
+    }
+    param.meta = { ...param.meta, ...meta };
+  }
+
+  /**
+   * Moves a parameter's base value to a target over time.
+   * Subscribers implementing `onParameterRamp` receive the whole ramp once, so audio sinks can
+   * run it on their own clock; every other subscriber is notified frame by frame.
+   * Any later setRawValue or setNormalizedValue on the parameter cancels the ramp.
+   * @public
+   * @param {string} parameterName - The parameter to ramp.
+   * @param {number} value - Target value, in the same space as {@link setRawValue}.
+   * @param {number} durationMs - Ramp time (ms). 0 sets the value immediately.
+   * @param {string} [curve="linear"] - One of RAMP_CURVES ("linear", "ease", "exponential").
+   * @param {object|null} [sourceController=null] - The controller making the change (optional).
+   * @param {number} [priority=Infinity] - The priority of the update (1 is highest).
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.rampTo('body-level', -12, 3000, 'exponential');
+   */
+  rampTo(parameterName, value, durationMs, curve = 'linear', sourceController = null, priority = Infinity) {
+    const param = this.parameters.get(parameterName);
+    if (!param) {
+      console.warn(`[rampTo] Parameter '${parameterName}' not found.`);
+      return;
+    }
+    if (!(durationMs > 0)) {
+      this.setRawValue(parameterName, value, sourceController, priority);
+      return;
+    }
+    this.cancelRamp(parameterName);
+
+    const clampedRawValue = Math.min(param.max, Math.max(param.min, param.inputTransform(value)));
+    const from = param.baseNormalizedValue;
+    const to = this.normalize(clampedRawValue, param.min, param.max);
+    const previousValue = this.getBaseValue(param);
+
+    // Modulated parameters change every frame anyway, so their sinks follow frame by frame.
+    const rampSinks = new Set();
+    if (param.modulations.size === 0) {
+      param.subscribers.forEach(({ controller }) => {
+        if ((controller !== sourceController || param.isBidirectional) && typeof controller.onParameterRamp === 'function') {
+          controller.onParameterRamp(parameterName, { from: param.normalizedValue, to, durationMs, curve });
+          rampSinks.add(controller);
+        }
+      });
+    }
+
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / durationMs);
+      param.baseNormalizedValue = from + (to - from) * shapeRamp(t, curve);
+      param.lastPriority = priority;
+      param.lastUpdateTimestamp = Date.now();
+      param.lastController = sourceController;
+
+      if (param.modulations.size > 0) {
+        this.applyModulations(parameterName, sourceController);
+      } else {
+        param.normalizedValue = param.baseNormalizedValue;
+        param.rawValue = this.denormalize(param.normalizedValue, param.min, param.max);
+        param.subscribers.forEach(({ controller }) => {
+          if ((controller !== sourceController || param.isBidirectional) && !rampSinks.has(controller)
+            && typeof controller.onParameterChanged === 'function') {
+            controller.onParameterChanged(parameterName, param.outputTransform(param.rawValue));
+          }
+        });
+        this.emitValueEvent(parameterName, sourceController, 'ramp');
+        this.fanOutMacro(parameterName);
+      }
+
+      if (t < 1) {
+        this.ramps.set(parameterName, requestAnimationFrame(step));
+      } else {
+        this.ramps.delete(parameterName);
+        this.emitChange(parameterName, previousValue, sourceController);
+      }
+    };
+    this.ramps.set(parameterName, requestAnimationFrame(step));
+  }
+
+  /**
+   * Stops a ramp in progress, leaving the parameter at its current value.
+   * @public
+   * @param {string} parameterName - The parameter.
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.cancelRamp('body-level');
+   */
+  cancelRamp(parameterName) {
+    if (this.ramps.has(parameterName)) {
+      cancelAnimationFrame(this.ramps.get(parameterName));
+      this.ramps.delete(parameterName);
     }
   }
 
@@ -478,6 +1358,7 @@ export class ParameterManager {
     const rawMid = (param.min + param.max) / 2;
     param.rawValue = rawMid;
     param.normalizedValue = 0.5;
+    param.baseNormalizedValue = 0.5;
 
     // Directly notify all subscribers (no checks)
     param.subscribers.forEach(({ controller }) => {
@@ -486,6 +1367,7 @@ export class ParameterManager {
         controller.onParameterChanged(parameterName, transformedValue);
       }
     });
+    this.emitValueEvent(parameterName, null, 'reset');
   }
 
   /**
@@ -564,6 +1446,11 @@ export class ParameterManager {
       name,
       rawValue: param.rawValue,
       normalizedValue: param.normalizedValue,
+      baseNormalizedValue: param.baseNormalizedValue,
+      modulations: this.getModulationRoutes(name),
+      smoothing: this.getSmoothing(name),
+      meta: { ...param.meta },
+      arbitration: this.getArbitrationPolicy(name),
       min: param.min,
       max: param.max,
       isBidirectional: param.isBidirectional,
@@ -575,6 +1462,105 @@ export class ParameterManager {
     }));
   }
 
+  /**
+   * Registers a listener notified whenever a controller changes a parameter's base value
+   * through {@link setRawValue} or {@link setNormalizedValue}. Modulation updates are not reported.
+   * @public
+   * @param {function(ParameterChange): void} listener - The listener.
+   *
+   * @returns {function(): void} - Call to remove the listener.
+   *
+   * @example
+   * const stop = paramManager.addChangeListener(({ name, value }) => console.log(name, value));
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Returns a parameter's base value (before modulation) in the space controllers pass to {@link setRawValue}.
+   * @private
+   * @param {Parameter} param - The parameter.
+   *
+   * @returns {number} - The base value.
+   *
+   * @example
+   * const base = this.getBaseValue(param);
+   */
+  getBaseValue(param) {
+    return param.outputTransform(this.denormalize(param.baseNormalizedValue, param.min, param.max));
+  }
+
+  /**
+   * Notifies change listeners of a base value change.
+   * @private
+   * @param {string} parameterName - The parameter.
+   * @param {number} previousValue - The base value before the change.
+   * @param {object|null} sourceController - The controller that made the change.
+   *
+   * @returns {void}
+   *
+   * @example
+   * this.emitChange('x', 0.2, controller);
+   */
+  emitChange(parameterName, previousValue, sourceController) {
+    if (this.changeListeners.size === 0) {
+      return;
+    }
+    const value = this.getBaseValue(this.parameters.get(parameterName));
+    if (value === previousValue) {
+      return;
+    }
+    const change = { name: parameterName, previousValue, value, sourceController };
+    this.changeListeners.forEach(listener => listener(change));
+  }
+
+  /**
+   * Captures the current base value of parameters (before modulation), in the same space
+   * controllers pass to {@link setRawValue}.
+   * @public
+   * @param {string[]} [names] - Parameters to capture. Defaults to all parameters.
+   *
+   * @returns {Object<string, number>} - Values keyed by parameter name.
+   *
+   * @example
+   * const scene = paramManager.captureSnapshot();
+   */
+  captureSnapshot(names = Array.from(this.parameters.keys())) {
+    const snapshot = {};
+    names.forEach(name => {
+      const param = this.parameters.get(name);
+      if (param) {
+        snapshot[name] = this.getBaseValue(param);
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+   * Restores values captured with {@link captureSnapshot}. Unknown parameters are skipped.
+   * @public
+   * @param {Object<string, number>} snapshot - Values keyed by parameter name.
+   * @param {object|null} [sourceController=null] - The controller making the change (optional).
+   * @param {number} [priority=Infinity] - The priority of the update (1 is highest).
+   *
+   * @returns {void}
+   *
+   * @example
+   * paramManager.applySnapshot(scene, controller, 1);
+   */
+  applySnapshot(snapshot, sourceController = null, priority = Infinity) {
+    // Macros first, so the stored target values win over the values the macros map to.
+    const entries = Object.entries(snapshot || {})
+      .sort(([a], [b]) => Number(this.macros.has(b)) - Number(this.macros.has(a)));
+    entries.forEach(([name, value]) => {
+      if (this.parameters.has(name) && Number.isFinite(value)) {
+        this.setRawValue(name, value, sourceController, priority);
+      }
+    });
+  }
+
   /**
    * Gets the details of a specific parameter by name.
    * Useful for accessing and debugging individual parameters.
@@ -594,6 +1580,11 @@ export class ParameterManager {
         name: paramName,
         rawValue: param.rawValue,
         normalizedValue: param.normalizedValue,
+        baseNormalizedValue: param.baseNormalizedValue,
+        modulations: this.getModulationRoutes(paramName),
+        smoothing: this.getSmoothing(paramName),
+        meta: { ...param.meta },
+        arbitration: this.getArbitrationPolicy(paramName),
         min: param.min,
         max: param.max,
         isBidirectional: param.isBidirectional,
@@ -613,6 +1604,10 @@ export class ParameterManager {
  * @property {string} name - The name of the parameter.
  * @property {number} rawValue - The current raw value of the parameter.
  * @property {number} normalizedValue - The current normalized value [0,1].
+ * @property {number} baseNormalizedValue - The normalized value set by controllers, before modulation.
+ * @property {Map<string, ModulationRoute>} modulations - Modulation routes keyed by source ID.
+ * @property {{ timeConstant: number, slewRate: number }} smoothing - How audio sinks smooth value changes.
+ * @property {ParameterMeta} meta - Descriptive metadata.
  * @property {number} min - The minimum raw value.
  * @property {number} max - The maximum raw value.
  * @property {Set<Subscriber>} subscribers - Set of subscribers with their controllers and priorities.
@@ -620,11 +1615,65 @@ export class ParameterManager {
  * @property {number} lastPriority - The priority of the last update.
  * @property {number} lastUpdateTimestamp - Timestamp of the last update.
  * @property {object|null} lastController - The controller that made the last update.
+ * @property {{ policy: string, options: Object }|null} arbitration - Own arbitration policy, or null for the default.
+ * @property {Object} arbitrationState - State of the arbitration policy.
  * @property {string} scale - The scale type ("linear" or "logarithmic").
  * @property {function} inputTransform - Function to transform input values.
  * @property {function} outputTransform - Function to transform output values.
  */
 
+/**
+ * @typedef {Object} MacroTarget
+ * @property {string} target - The controlled parameter.
+ * @property {number} [min=0.5] - Target position at macro value 0; 0.5 is the target's base value.
+ * @property {number} [max=1] - Target position at macro value 1; 0.5 is the target's base value.
+ * @property {string} [curve="linear"] - One of MAPPING_CURVES ("linear", "log", "exp", "s").
+ */
+
+/**
+ * @typedef {Object} Macro
+ * @property {string} name - The macro parameter name.
+ * @property {Array<MacroTarget>} targets - The controlled parameters.
+ */
+
+/**
+ * @typedef {Object} ParameterMeta
+ * @property {string} [displayName] - Display name.
+ * @property {string} [unit] - Display unit.
+ * @property {number} [steps] - Number of discrete steps; 0 for continuous parameters.
+ * @property {string[]|null} [enumValues] - Labels of an enumerated parameter.
+ * @property {string|null} [rnboId] - RNBO parameter driven by this parameter.
+ */
+
+/**
+ * @typedef {Object} ParameterChange
+ * @property {string} name - The parameter.
+ * @property {number} previousValue - Base value before the change (controller space).
+ * @property {number} value - Base value after the change (controller space).
+ * @property {object|null} sourceController - The controller that made the change.
+ */
+
+/**
+ * @typedef {Object} ArbitrationEvent
+ * @property {string} name - The parameter.
+ * @property {string} policy - The policy that decided.
+ * @property {boolean} accepted - Whether the update was applied.
+ * @property {string} reason - Why, e.g. "higher-priority", "held-by-higher-priority", "latched-by-other" or "blended".
+ * @property {object|null} sourceController - The controller that made the update.
+ * @property {number} priority - Its priority.
+ * @property {number} requestedValue - The requested normalized value.
+ * @property {number} normalizedValue - The normalized value applied (differs from the request when blended).
+ */
+
+/**
+ * @typedef {Object} ModulationRoute
+ * @property {string} [sourceId] - The modulation source (included when listing routes).
+ * @property {number} depth - Modulation depth [-1, 1].
+ * @property {string} polarity - "bipolar" or "unipolar".
+ * @property {string} mode - "sum" or "multiply".
+ * @property {number} value - The latest source output, normalized [0, 1].
+ */
+
 /**
  * @typedef {Object} Subscriber
  * @property {Controller} controller - The controller subscribing to the parameter.
@@ -636,6 +1685,16 @@ export class ParameterManager {
  * @property {function(string, number): void} onParameterChanged - Callback invoked when a parameter's value changes.
  * @property {function(string, number, number): void} onRangeChanged - Callback invoked when a parameter's range changes.
  * @property {function(string, string): void} onScaleChanged - Callback invoked when a parameter's scale changes.
+ * @property {function(string, ParameterRamp): void} [onParameterRamp] - Optional. Receives ramps started with
+ *   rampTo as a whole instead of frame by frame.
+ */
+
+/**
+ * @typedef {Object} ParameterRamp
+ * @property {number} from - Start value, normalized [0, 1].
+ * @property {number} to - End value, normalized [0, 1].
+ * @property {number} durationMs - Ramp time (ms).
+ * @property {string} curve - One of RAMP_CURVES.
  */
 
 /**
@@ -652,7 +1711,7 @@ export class ParameterManager {
  *     console.log(`Parameter ${name} scale changed to ${scale}`);
  *   }
  * };
- * const paramManager = ParameterManager.getInstance();
+ * const paramManager = new ParameterManager({ id: 'user1' });
  * paramManager.subscribe(controller, 'volume', 1);
  */
 
@@ -0,0 +1,215 @@
+// src/ParameterSchema.js
+
+/**
+ * @file ParameterSchema.js
+ * @description Declarative parameter schema. The core player parameters are merged with every
+ * exposed parameter of the RNBO patcher (`desc.parameters`) and the track's `orbiterParams`,
+ * then registered in the ParameterManager so each one is bound to the engine, MIDI-learnable,
+ * automatable and given a generated control. Macro parameters are defined here as well.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** Default audio smoothing of continuous engine parameters (see ParameterManager.setSmoothing). */
+const ENGINE_SMOOTHING = { timeConstant: 30 };
+
+/** RNBO parameters driven by the engine itself, never exposed as user parameters. */
+const ENGINE_OWNED_IDS = new Set(['sampler/playMin', 'sampler/playMax']);
+
+/**
+ * @typedef {Object} ParameterDefinition
+ * @property {string} name - ParameterManager name, also used as `root-param` by controls.
+ * @property {string|null} rnboId - RNBO parameter driven by this parameter, if any.
+ * @property {boolean} normalized - Whether the RNBO parameter takes the normalized value instead of the raw value.
+ * @property {number} initValue - Initial value, as passed to ParameterManager.addParameter.
+ * @property {number} min - Minimum raw value.
+ * @property {number} max - Maximum raw value.
+ * @property {string} [scale] - "linear" or "logarithmic".
+ * @property {function} [inputTransform] - See ParameterManager.addParameter.
+ * @property {function} [outputTransform] - See ParameterManager.addParameter.
+ * @property {{ timeConstant?: number, slewRate?: number }} [smoothing] - Audio smoothing.
+ * @property {number} steps - Number of discrete steps; 0 for continuous parameters.
+ * @property {string[]|null} enumValues - Labels of an enumerated parameter.
+ * @property {string} unit - Display unit.
+ * @property {string} displayName - Display name.
+ * @property {boolean} generated - True for parameters without a fixed control (patcher parameters, macros),
+ *   which get a generated one.
+ * @property {Array<MacroTarget>} [macroTargets] - Set for macros: the parameters the macro controls.
+ * @property {{ policy: string, holdMs?: number, releaseMs?: number, windowMs?: number }} [arbitration] -
+ *   Arbitration policy between controllers, see ParameterManager.setArbitrationPolicy.
+ */
+
+/**
+ * Core player parameters, bound to fixed controls in index.html.
+ * `x`, `y` and `z` take their range from the track's `orbiterParams`.
+ * @private
+ */
+const CORE_PARAMETERS = {
+  x: { rnboId: 'inputX', displayName: 'x', smoothing: ENGINE_SMOOTHING },
+  y: { rnboId: 'inputY', displayName: 'y', smoothing: ENGINE_SMOOTHING },
+  z: { rnboId: 'inputZ', displayName: 'z', smoothing: ENGINE_SMOOTHING },
+  'body-level': {
+    rnboId: 'inputGain',
+    normalized: true,
+    initValue: 0.5,
+    // Linear in dB: the raw value is the level itself, so -60 dB is normalized 0 and +6 dB is 1.
+    min: -60,
+    max: 6,
+    smoothing: { timeConstant: 20 },
+    unit: 'dB',
+    displayName: 'Level',
+  },
+  'body-envelope': { initValue: 0, min: -1, max: 1 },
+  'cosmic-radio-xyz': { initValue: 0, min: 0, max: 2 },
+  // Rate of every Cosmic LFO, in octaves around its exoplanet or tempo rate.
+  'cosmic-lfo-rate': { initValue: 0, min: -2, max: 2, unit: 'oct', displayName: 'LFO rate', generated: true },
+};
+
+/**
+ * Built-in macros. A track can redefine them or add its own in `orbiterParams.macros`.
+ * Target ranges are normalized; see ParameterManager.addMacro.
+ * @private
+ */
+const DEFAULT_MACROS = {
+  // One-knob descent: the orbiter sinks (x down, z up) and the Cosmic LFOs slow down.
+  gravity: {
+    displayName: 'Gravity',
+    targets: [
+      { target: 'x', min: 0.5, max: 0 },
+      { target: 'z', min: 0.5, max: 1 },
+      { target: 'cosmic-lfo-rate', min: 0.5, max: 0, curve: 'log' },
+    ],
+  },
+};
+
+/**
+ * Fills the optional fields of a definition.
+ * @private
+ * @param {string} name - Parameter name.
+ * @param {Object} definition - Partial definition.
+ * @returns {ParameterDefinition}
+ */
+function completeDefinition(name, definition) {
+  return {
+    name,
+    rnboId: null,
+    normalized: false,
+    steps: 0,
+    enumValues: null,
+    unit: '',
+    displayName: name,
+    generated: false,
+    ...definition,
+  };
+}
+
+/**
+ * Builds the schema of a track.
+ * Track `orbiterParams` entries override the matching definition, e.g. to narrow a patcher range.
+ * @param {Object|null} patcher - The RNBO patcher export, or null to build the core parameters only.
+ * @param {Object<string, Object>} [orbiterParams={}] - The track's `orbiter.orbiterParams`.
+ * @returns {ParameterDefinition[]}
+ *
+ * @example
+ * const schema = buildParameterSchema(patcher, trackData.orbiter.orbiterParams);
+ */
+export function buildParameterSchema(patcher, orbiterParams = {}) {
+  const schema = Object.entries(CORE_PARAMETERS).map(([name, definition]) =>
+    completeDefinition(name, { ...definition, ...orbiterParams?.[name] })
+  );
+  const names = new Set(schema.map(definition => definition.name));
+  const boundIds = new Set(schema.map(definition => definition.rnboId).filter(Boolean));
+
+  (patcher?.desc?.parameters || []).forEach(rnboParam => {
+    const { paramId } = rnboParam;
+    if (!paramId || boundIds.has(paramId) || ENGINE_OWNED_IDS.has(paramId)) return;
+    if (rnboParam.visible === false || rnboParam.debug || rnboParam.type !== 'ParameterTypeNumber') return;
+
+    const name = names.has(paramId) ? `rnbo-${paramId}` : paramId;
+    const enumValues = rnboParam.isEnum && rnboParam.enumValues?.length ? rnboParam.enumValues.map(String) : null;
+    const steps = enumValues ? enumValues.length : rnboParam.steps || 0;
+
+    schema.push(completeDefinition(name, {
+      rnboId: paramId,
+      initValue: rnboParam.initialValue ?? rnboParam.minimum,
+      min: rnboParam.minimum,
+      max: rnboParam.maximum,
+      steps,
+      enumValues,
+      unit: rnboParam.unit || '',
+      displayName: rnboParam.displayName || rnboParam.name || paramId,
+      // Smoothing a stepped parameter would send values between its steps.
+      smoothing: steps > 1 ? { timeConstant: 0 } : ENGINE_SMOOTHING,
+      generated: true,
+      ...orbiterParams?.[name],
+    }));
+    names.add(name);
+    boundIds.add(paramId);
+  });
+
+  const macros = { ...DEFAULT_MACROS, ...orbiterParams?.macros };
+  Object.entries(macros).forEach(([name, macro]) => {
+    if (!macro || !Array.isArray(macro.targets) || names.has(name)) return;
+    schema.push(completeDefinition(name, {
+      initValue: macro.initValue ?? 0,
+      min: 0,
+      max: 1,
+      displayName: macro.displayName || name,
+      generated: true,
+      macroTargets: macro.targets,
+    }));
+    names.add(name);
+  });
+
+  return schema;
+}
+
+/**
+ * Registers every parameter of a schema in a ParameterManager.
+ * @param {ParameterManager} parameterManager - The manager to populate.
+ * @param {ParameterDefinition[]} schema - The schema.
+ * @returns {void}
+ *
+ * @example
+ * registerParameterSchema(user1Manager, schema);
+ */
+export function registerParameterSchema(parameterManager, schema) {
+  schema.forEach(definition => {
+    const { name, initValue, min, max, scale, inputTransform, outputTransform, smoothing } = definition;
+
+    if (typeof initValue !== 'number' || typeof min !== 'number' || typeof max !== 'number') {
+      console.error(`[ParameterSchema] Invalid definition for parameter: ${name}`, definition);
+      return;
+    }
+
+    if (definition.macroTargets) {
+      parameterManager.addMacro(name, definition.macroTargets, { initValue });
+    } else if (inputTransform && outputTransform) {
+      parameterManager.addParameter(name, initValue, min, max, true, scale, inputTransform, outputTransform);
+    } else {
+      parameterManager.addParameter(name, initValue, min, max, true);
+    }
+    if (smoothing) {
+      parameterManager.setSmoothing(name, smoothing);
+    }
+    if (definition.arbitration?.policy) {
+      parameterManager.setArbitrationPolicy(name, definition.arbitration.policy, definition.arbitration);
+    }
+    parameterManager.setParameterMeta(name, {
+      displayName: definition.displayName,
+      unit: definition.unit,
+      steps: definition.steps,
+      enumValues: definition.enumValues,
+      rnboId: definition.rnboId,
+    });
+  });
+}
+
+/**
+ * Lists the definitions bound to an RNBO parameter.
+ * @param {ParameterDefinition[]} schema - The schema.
+ * @returns {ParameterDefinition[]}
+ */
+export function getEngineBindings(schema) {
+  return schema.filter(definition => definition.rnboId);
+}
@@ -0,0 +1,270 @@
+// src/ParameterSmoother.js
+
+/**
+ * @file ParameterSmoother.js
+ * @description Smooths and ramps audio engine parameters on the AudioContext clock.
+ * Moving channels are written as points stamped with their context time (e.g. timestamped RNBO
+ * MessageEvents), scheduled a short lookahead ahead of the audio clock: ramps keep their duration and
+ * shape, and late timer ticks do not make them stutter. Only the scheduling runs on a main-thread timer.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** Interval of the scheduling timer while a channel is moving (ms). */
+const TICK_MS = 25;
+
+/** How far ahead of the audio clock points are scheduled (s). Covers late timer ticks. */
+const LOOKAHEAD_SECONDS = 0.06;
+
+/** Time between two scheduled points of a moving channel (s). */
+const POINT_INTERVAL_SECONDS = 0.01;
+
+/** Distance (normalized) below which a smoothed channel snaps to its target. */
+const SNAP_EPSILON = 1e-4;
+
+/** Curves available for ramps. */
+export const RAMP_CURVES = ['linear', 'ease', 'exponential'];
+
+/**
+ * @typedef {Object} SmoothingOptions
+ * @property {number} [timeConstant=0] - One-pole time constant (ms). The channel covers ~63% of a jump in this time. 0 disables it.
+ * @property {number} [slewRate=0] - Maximum change per second (normalized units). 0 disables it.
+ */
+
+/**
+ * Shapes ramp progress.
+ * @param {number} t - Linear progress [0, 1].
+ * @param {string} curve - One of {@link RAMP_CURVES}.
+ * @returns {number} Shaped progress [0, 1].
+ */
+export function shapeRamp(t, curve) {
+  switch (curve) {
+    case 'ease':
+      return t * t * (3 - 2 * t);
+    case 'exponential':
+      // Slow start, fast finish; close to an exponential fade in perceived level.
+      return (Math.exp(4 * t) - 1) / (Math.exp(4) - 1);
+    default:
+      return t;
+  }
+}
+
+/**
+ * Per-parameter smoothing and ramps for an audio engine.
+ * Channels work in normalized values; each channel's writer converts to the engine's units.
+ * @class
+ * @memberof AudioEngine
+ */
+export class ParameterSmoother {
+  /**
+   * @param {BaseAudioContext} context - The context whose clock drives the channels.
+   */
+  constructor(context) {
+    this.context = context;
+    /** @type {Map<string, Object>} Channel state keyed by parameter name. */
+    this.channels = new Map();
+    /** @type {number|null} Interval of the scheduling timer, null while every channel is at rest. */
+    this.timer = null;
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Registers a channel.
+   * @param {string} name - The parameter name.
+   * @param {function(number, number=): void} write - Writes a normalized value to the engine: at
+   *   once, or at the given context time (s) when there is one.
+   * @returns {void}
+   *
+   * @example
+   * smoother.addChannel('x', (n, time) => device.scheduleEvent(
+   *   new rnbo.MessageEvent(time === undefined ? rnbo.TimeNow : time * 1000, 'inputX', [n])));
+   */
+  addChannel(name, write) {
+    // `scheduledUntil`: context time (s) of the last scheduled point.
+    this.channels.set(name, { write, value: null, target: null, smoothing: {}, ramp: null, scheduledUntil: 0 });
+  }
+
+  /**
+   * Whether a channel is registered.
+   * @param {string} name - The parameter name.
+   * @returns {boolean}
+   */
+  hasChannel(name) {
+    return this.channels.has(name);
+  }
+
+  /**
+   * Moves a channel towards a value using its smoothing settings, cancelling any ramp.
+   * The first value of a channel is written immediately.
+   * @param {string} name - The parameter name.
+   * @param {number} value - Target value, normalized [0, 1].
+   * @param {SmoothingOptions} [smoothing={}] - How fast the channel follows.
+   * @returns {void}
+   */
+  setTarget(name, value, smoothing = {}) {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+    channel.ramp = null;
+    channel.target = value;
+    channel.smoothing = smoothing;
+
+    const isSmoothed = smoothing.timeConstant > 0 || smoothing.slewRate > 0;
+    if (channel.value === null || !isSmoothed || !this.isRunning()) {
+      this.writeChannel(channel, value);
+      return;
+    }
+    this.start(channel);
+  }
+
+  /**
+   * Ramps a channel from one value to another over a fixed time, measured on the audio clock.
+   * @param {string} name - The parameter name.
+   * @param {number} from - Start value, normalized [0, 1].
+   * @param {number} to - End value, normalized [0, 1].
+   * @param {number} durationMs - Ramp time (ms).
+   * @param {string} [curve="linear"] - One of {@link RAMP_CURVES}.
+   * @returns {void}
+   *
+   * @example
+   * smoother.rampTo('body-level', 0.2, 0.8, 2000, 'exponential');
+   */
+  rampTo(name, from, to, durationMs, curve = 'linear') {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+    channel.target = to;
+    if (!(durationMs > 0) || !this.isRunning()) {
+      channel.ramp = null;
+      this.writeChannel(channel, to);
+      return;
+    }
+    // Points already scheduled are not cancelled; the ramp starts after them.
+    const startTime = Math.max(this.context.currentTime, channel.scheduledUntil);
+    channel.ramp = { from, to, curve, startTime, duration: durationMs / 1000 };
+    this.writeChannel(channel, from);
+    this.start(channel);
+  }
+
+  /**
+   * Stops all movement and the scheduling timer. Points already scheduled still play.
+   * @returns {void}
+   */
+  dispose() {
+    if (this.timer !== null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.channels.clear();
+  }
+
+  /**
+   * Whether the audio clock is advancing. While it is not, values are written immediately.
+   * @private
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.context?.state === 'running';
+  }
+
+  /**
+   * Schedules the first points of a channel that started moving, and starts the scheduling timer
+   * if it is not running.
+   * @private
+   * @param {Object} channel - The channel that started moving.
+   * @returns {void}
+   */
+  start(channel) {
+    this.tick();
+    if (this.timer === null && this.isMoving(channel)) {
+      this.timer = setInterval(this.tick, TICK_MS);
+    }
+  }
+
+  /**
+   * Whether a channel still has points to schedule.
+   * @private
+   * @param {Object} channel - The channel.
+   * @returns {boolean}
+   */
+  isMoving(channel) {
+    return channel.ramp !== null || (channel.target !== null && channel.value !== channel.target);
+  }
+
+  /**
+   * Schedules the points of every moving channel up to the lookahead.
+   * @private
+   * @returns {void}
+   */
+  tick() {
+    const now = this.context.currentTime;
+    const running = this.isRunning();
+    const horizon = now + LOOKAHEAD_SECONDS;
+    let moving = false;
+
+    this.channels.forEach(channel => {
+      if (!running) {
+        // The clock stopped with the context; jump to the targets instead of waiting for it.
+        channel.ramp = null;
+        channel.scheduledUntil = 0;
+        if (channel.target !== null && channel.value !== channel.target) this.writeChannel(channel, channel.target);
+        return;
+      }
+      // Points are scheduled from the last scheduled one, or from now after a pause.
+      let time = Math.max(channel.scheduledUntil, now);
+      while (this.isMoving(channel) && time < horizon) {
+        time += POINT_INTERVAL_SECONDS;
+        this.writeChannel(channel, this.nextValue(channel, time), time);
+      }
+      channel.scheduledUntil = time;
+      if (this.isMoving(channel)) moving = true;
+    });
+
+    if (!moving && this.timer !== null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Computes the value of a moving channel at its next point, ending its ramp at the ramp's end.
+   * @private
+   * @param {Object} channel - The channel.
+   * @param {number} time - Context time (s) of the point.
+   * @returns {number} Normalized value.
+   */
+  nextValue(channel, time) {
+    if (channel.ramp) {
+      const { from, to, curve, startTime, duration } = channel.ramp;
+      const t = Math.min(1, Math.max(0, (time - startTime) / duration));
+      if (t === 1) channel.ramp = null;
+      return from + (to - from) * shapeRamp(t, curve);
+    }
+
+    const { timeConstant = 0, slewRate = 0 } = channel.smoothing;
+    let next = channel.target;
+    if (timeConstant > 0) {
+      next = channel.value + (channel.target - channel.value) * (1 - Math.exp(-POINT_INTERVAL_SECONDS * 1000 / timeConstant));
+    }
+    if (slewRate > 0) {
+      const maxStep = slewRate * POINT_INTERVAL_SECONDS;
+      next = channel.value + Math.max(-maxStep, Math.min(maxStep, next - channel.value));
+    }
+    return Math.abs(channel.target - next) < SNAP_EPSILON ? channel.target : next;
+  }
+
+  /**
+   * Writes a value through the channel's writer. Values without a time are written at once, unless
+   * points are still scheduled ahead: they would override it, so it is scheduled after them.
+   * @private
+   * @param {Object} channel - The channel.
+   * @param {number} value - Normalized value.
+   * @param {number} [time] - Context time (s) of the point.
+   * @returns {void}
+   */
+  writeChannel(channel, value, time) {
+    channel.value = value;
+    if (time === undefined && this.isRunning() && channel.scheduledUntil > this.context.currentTime) {
+      time = channel.scheduledUntil;
+    }
+    channel.write(value, time);
+  }
+}
@@ -9,6 +9,7 @@
 import { ButtonSingle } from "./ButtonSingle.js";
 import WaveSurfer from "https://cdn.jsdelivr.net/npm/wavesurfer.js@7/dist/wavesurfer.esm.js";
 import RegionsPlugin from "https://cdn.jsdelivr.net/npm/wavesurfer.js@7/dist/plugins/regions.esm.js";
+import { HistoryManagerInstance } from "./HistoryManager.js";
 
 export class PlaybackController {
   constructor(orbiter) {
@@ -50,28 +51,58 @@ export class PlaybackController {
     //console.log(`[PlaybackController] Set region element color directly to: ${newColor}`);
   }
 
+  /**
+   * Fetches the waveform JSON of the Orbiter's current track.
+   * @returns {Promise<{ peaks: number[], approximateDuration: number }|null>} Null if the track has none.
+   */
+  async fetchPeaks() {
+    const waveformJSONURL = this.orbiter?.trackData?.waveformJSONURL;
+    if (!waveformJSONURL) {
+      console.warn("[PlaybackController] No waveformJSONURL provided.");
+      return null;
+    }
+    //console.log("[PlaybackController] Fetching waveform JSON from:", waveformJSONURL);
+    const resp = await fetch(waveformJSONURL);
+    if (!resp.ok) {
+      throw new Error(`Waveform JSON fetch failed: ${resp.status}`);
+    }
+    const waveData = await resp.json();
+    if (!waveData || !waveData.data || !Array.isArray(waveData.data)) {
+      throw new Error("[PlaybackController] Invalid waveform JSON: 'data' array missing.");
+    }
+    const approximateDuration = (waveData.length * waveData.samples_per_pixel) / waveData.sample_rate;
+    return { peaks: waveData.data, approximateDuration };
+  }
+
+  /**
+   * Shows the waveform of the Orbiter's current track, e.g. after a track switch.
+   * The loop region is removed, since it belonged to the previous track.
+   */
+  async reloadWaveform() {
+    if (!this.wavesurfer) {
+      await this.initWaveSurferPeaks();
+      return;
+    }
+    try {
+      const waveform = await this.fetchPeaks();
+      this.setLoopRegion(null);
+      if (waveform) {
+        this.wavesurfer.load(null, waveform.peaks, waveform.approximateDuration);
+      }
+    } catch (err) {
+      console.error("[PlaybackController] Error in reloadWaveform():", err);
+    }
+  }
+
   /**
    * Fetch waveform JSON, create WaveSurfer, and attach events.
    */
   async initWaveSurferPeaks() {
     //console.debug("[PlaybackController] initWaveSurferPeaks() called.");
     try {
-      const waveformJSONURL = this.orbiter?.trackData?.waveformJSONURL;
-      if (!waveformJSONURL) {
-        console.warn("[PlaybackController] No waveformJSONURL provided.");
-        return;
-      }
-      //console.log("[PlaybackController] Fetching waveform JSON from:", waveformJSONURL);
-      const resp = await fetch(waveformJSONURL);
-      if (!resp.ok) {
-        throw new Error(`Waveform JSON fetch failed: ${resp.status}`);
-      }
-      const waveData = await resp.json();
-      if (!waveData || !waveData.data || !Array.isArray(waveData.data)) {
-        throw new Error("[PlaybackController] Invalid waveform JSON: 'data' array missing.");
-      }
-      const approximateDuration = (waveData.length * waveData.samples_per_pixel) / waveData.sample_rate;      
-      const peaks = waveData.data;
+      const waveform = await this.fetchPeaks();
+      if (!waveform) return;
+      const { peaks, approximateDuration } = waveform;
       const waveformContainer = document.querySelector("#waveform");
       if (!waveformContainer) {
         throw new Error("[PlaybackController] Cannot find #waveform container.");
@@ -295,6 +326,8 @@ initPlaybackSelector() {
 
   this.activeRegion = null;
   this.isLooping = false; // New flag for loop state
+  this.lastLoopRegion = null; // Last recorded region, the starting point of the next undo step
+  this.isSettingLoop = false; // Suppresses history while the region is set programmatically
 
   // Enable drag selection **without** requiring a button click
   this.disableDragSelectionFn = this.regions.enableDragSelection({ color: "rgba(215, 215, 215, 0.8)" });
@@ -316,6 +349,7 @@ initPlaybackSelector() {
     // ✅ Ensure region is visually active and looping
     this.setRegionLoopState(region, this.isLooping);
     this.updateOrbiterLoop(this.isLooping, region.start, region.end);
+    this.recordLoopChange("Loop region");
   });
 
   // ✅ Update loop when the user adjusts the region
@@ -326,6 +360,7 @@ initPlaybackSelector() {
 
     //console.log(`[PlaybackController] Loop region updated: start=${region.start}s, end=${region.end}s`);
     this.updateOrbiterLoopRange(region.start, region.end);
+    this.recordLoopChange("Loop region");
   });
 
   // ✅ Toggle loop mode when clicking on a region
@@ -339,6 +374,7 @@ initPlaybackSelector() {
     // Update region color and Orbiter loop state
     this.setRegionLoopState(region, this.isLooping);
     this.updateOrbiterLoop(this.isLooping, region.start, region.end);
+    this.recordLoopChange(this.isLooping ? "Loop on" : "Loop off");
   });
 
   
@@ -350,12 +386,76 @@ initPlaybackSelector() {
         this.orbiter.unloop();
         this.activeRegion.remove();
         this.activeRegion = null;
+        this.recordLoopChange("Remove loop");
       }
     }
   });
 
   //console.log("[PlaybackController] Default region selection enabled.");
 }
+
+/**
+ * Records a loop region edit in the undo history. Region drags coalesce into one step.
+ * @param {string} label - Description of the edit.
+ */
+recordLoopChange(label) {
+  const before = this.lastLoopRegion;
+  const after = this.getLoopRegion();
+  this.lastLoopRegion = after;
+  if (this.isSettingLoop) return;
+  HistoryManagerInstance.record({
+    label,
+    coalesceKey: "loop",
+    undo: () => this.setLoopRegion(before),
+    redo: () => this.setLoopRegion(after),
+  });
+}
+/**
+ * Returns the current loop region, used by presets.
+ * @returns {{ start: number, end: number, isLooping: boolean }|null} Region in seconds, or null if there is none.
+ */
+getLoopRegion() {
+  if (!this.activeRegion) return null;
+  return { start: this.activeRegion.start, end: this.activeRegion.end, isLooping: this.isLooping };
+}
+
+/**
+ * Replaces the loop region, e.g. when a preset is recalled. Passing null removes it.
+ * @param {{ start: number, end: number, isLooping: boolean }|null} loop - Region in seconds.
+ */
+setLoopRegion(loop) {
+  if (!this.regions) {
+    console.warn("[PlaybackController] Regions are not initialized.");
+    return;
+  }
+  if (!loop) {
+    if (this.activeRegion) {
+      this.orbiter.unloop();
+      this.activeRegion.remove();
+      this.activeRegion = null;
+    }
+    this.lastLoopRegion = null;
+    return;
+  }
+
+  // "region-created" replaces the previous region and enables looping.
+  this.isSettingLoop = true;
+  try {
+    const region = this.regions.addRegion({ start: loop.start, end: loop.end, color: "rgba(215, 215, 215, 0.8)" });
+    if (this.activeRegion !== region) {
+      // Older plugin versions do not emit "region-created" for programmatic regions.
+      if (this.activeRegion) this.activeRegion.remove();
+      this.activeRegion = region;
+    }
+    this.isLooping = loop.isLooping !== false;
+    this.setRegionLoopState(region, this.isLooping);
+    this.updateOrbiterLoop(this.isLooping, loop.start, loop.end);
+  } finally {
+    this.isSettingLoop = false;
+  }
+  this.lastLoopRegion = this.getLoopRegion();
+}
+
 /**
  * Updates the region visual state based on loop activation.
  * @param {object} region - The WaveSurfer region object.
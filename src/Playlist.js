@@ -0,0 +1,532 @@
+// src/Playlist.js
+
+/**
+ * @file Playlist.js
+ * @description Plays an ordered list of tracks, switching between them in place (see TrackSwitcher).
+ * The list comes from the URL (`?playlist=a,b,c` or `?playlistURL=playlist.json`) or from the
+ * embedding page through postMessage, accepted from allowed origins only. Supports next/previous, shuffle, repeat one/all and
+ * auto-advance at the end of each track. The next track's patcher, audio and model are preloaded,
+ * and the switch starts a crossfade before the end, so installations running unattended advance without a gap.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import { Constants } from './Constants.js';
+import notifications from './AppNotifications.js';
+import { TrackSwitcherInstance, DEFAULT_CROSSFADE_MS } from './TrackSwitcher.js';
+import { Observable } from './Observable.js';
+
+/** Repeat modes: stop after the last track, repeat the current track, or start the list again. */
+export const REPEAT_MODES = ['off', 'one', 'all'];
+
+/**
+ * Messages accepted from the embedding page:
+ * - `{ type: 'ip-playlist', tracks: string[], shuffle?, repeat?, crossfadeMs?, autoAdvance? }` sets the list.
+ * - `{ type: 'ip-playlist-command', command, value? }` runs next, previous, goTo, shuffle, repeat or autoAdvance.
+ * @private
+ */
+const MESSAGE_TYPES = { playlist: 'ip-playlist', command: 'ip-playlist-command' };
+
+/**
+ * Reads a list of origins, e.g. of the `playlistOrigins` URL parameter.
+ * @param {string|string[]|null} value - Comma-separated origins or URLs, or an array of them.
+ * @returns {string[]} The valid origins, e.g. `https://example.com`.
+ *
+ * @example
+ * parseOrigins('https://example.com/embed, not a url'); // ['https://example.com']
+ */
+export function parseOrigins(value) {
+  return parseTrackIds(value)
+    .map((entry) => {
+      try {
+        return new URL(entry).origin;
+      } catch {
+        console.warn(`[Playlist] Ignoring invalid origin: ${entry}`);
+        return null;
+      }
+    })
+    .filter(origin => origin && origin !== 'null');
+}
+
+/**
+ * @typedef {Object} PlaylistOptions
+ * @property {boolean} [shuffle] - Play the tracks in random order, reshuffled on every pass.
+ * @property {string} [repeat] - One of {@link REPEAT_MODES}.
+ * @property {number} [crossfadeMs] - Crossfade between tracks (ms).
+ * @property {boolean} [autoAdvance] - Go to the next track when the current one ends.
+ */
+
+/**
+ * Reads a list of track IDs.
+ * @param {string|string[]|null} value - Comma-separated IDs, or an array of IDs.
+ * @returns {string[]} The non-empty IDs, in order.
+ *
+ * @example
+ * parseTrackIds('first, second'); // ['first', 'second']
+ */
+export function parseTrackIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return ids.map(id => String(id ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Reads the playlist options of the URL. Options that are not set stay undefined.
+ * @private
+ * @param {URLSearchParams} urlParams - The URL parameters.
+ * @returns {PlaylistOptions}
+ */
+function parseURLOptions(urlParams) {
+  const flag = name => (urlParams.has(name) ? ['1', 'true', ''].includes(urlParams.get(name)) : undefined);
+  return {
+    shuffle: flag('shuffle'),
+    repeat: urlParams.get('repeat') ?? undefined,
+    crossfadeMs: urlParams.has('crossfade') ? Number(urlParams.get('crossfade')) : undefined,
+    autoAdvance: flag('autoAdvance'),
+  };
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @private
+ * @param {Array} items - The array.
+ * @returns {Array} The same array.
+ */
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Ordered list of tracks played one after the other.
+ * Subscribers are called when the list, the current track or an option changes.
+ * @class
+ * @memberof CoreModule
+ */
+export class Playlist extends Observable {
+  constructor() {
+    super();
+    /** @type {string[]} Track IDs, in list order. A track may appear more than once. */
+    this.trackIds = [];
+    /** @type {number[]} Indices into trackIds, in play order. */
+    this.order = [];
+    /** @type {number} Position of the current track in `order`; -1 before the first. */
+    this.position = -1;
+    /**
+     * @type {number[]|null} Play order of the next pass while shuffling, drawn ahead so its first
+     * track can be preloaded.
+     */
+    this.upcomingOrder = null;
+    this.shuffle = false;
+    /** @type {string} One of {@link REPEAT_MODES}. */
+    this.repeat = 'all';
+    this.crossfadeMs = DEFAULT_CROSSFADE_MS;
+    this.autoAdvance = true;
+    /** @type {number} Tracks that failed to load in a row; bounds skipping to one pass. */
+    this.failures = 0;
+    this.orbiter = null;
+    this.switcher = null;
+    /** @type {Function|null} Removes the end listeners of the orbiter. */
+    this.removeEndListeners = null;
+    /** @type {Set<string>} Origins whose messages are accepted, see attach(). */
+    this.allowedOrigins = new Set();
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Connects the playlist to the player.
+   * @param {Object} deps
+   * @param {Orbiter} deps.orbiter - The orbiter whose track ends advance the list.
+   * @param {TrackSwitcher} [deps.switcher=TrackSwitcherInstance] - Switches the tracks.
+   * @param {string[]} [deps.allowedOrigins=[]] - Origins of embedding pages allowed to send playlist
+   *   messages, besides the player's own origin.
+   * @returns {void}
+   */
+  attach({ orbiter, switcher = TrackSwitcherInstance, allowedOrigins = [] }) {
+    this.detach();
+    this.orbiter = orbiter;
+    this.switcher = switcher;
+    this.allowedOrigins = new Set([window.location.origin, ...parseOrigins(allowedOrigins)]);
+    this.listenForEnd();
+    window.addEventListener('message', this.handleMessage);
+  }
+
+  /**
+   * Disconnects the playlist from the player.
+   * @returns {void}
+   */
+  detach() {
+    this.removeEndListeners?.();
+    this.removeEndListeners = null;
+    window.removeEventListener('message', this.handleMessage);
+    this.orbiter = null;
+    this.switcher = null;
+  }
+
+  /**
+   * Loads the playlist of the URL, if any: `playlist` (comma-separated track IDs) or `playlistURL`
+   * (a JSON file), with the optional `shuffle`, `repeat`, `crossfade` (ms) and `autoAdvance`.
+   * @param {URLSearchParams} urlParams - The URL parameters.
+   * @returns {Promise<boolean>} True if a playlist was loaded.
+   *
+   * @example
+   * // ?playlist=first,second,third&shuffle=1&repeat=all&crossfade=5000
+   * await PlaylistInstance.loadFromURLParams(new URLSearchParams(window.location.search));
+   */
+  async loadFromURLParams(urlParams) {
+    const options = parseURLOptions(urlParams);
+    const trackIds = parseTrackIds(urlParams.get('playlist'));
+    if (trackIds.length) {
+      this.setTracks(trackIds, options);
+      return true;
+    }
+    const fileURL = urlParams.get('playlistURL');
+    return fileURL ? this.loadFile(fileURL, options) : false;
+  }
+
+  /**
+   * Loads a playlist file: an array of track IDs, or `{ tracks: string[], ...PlaylistOptions }`.
+   * @param {string} url - URL of the JSON file.
+   * @param {PlaylistOptions} [overrides={}] - Options taking precedence over the file's.
+   * @returns {Promise<boolean>} True if the playlist was loaded.
+   */
+  async loadFile(url, overrides = {}) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch playlist: ${response.statusText}`);
+      }
+      const data = await response.json();
+      const { tracks, ...fileOptions } = Array.isArray(data) ? { tracks: data } : data;
+      const trackIds = parseTrackIds(tracks);
+      if (!trackIds.length) {
+        throw new Error('The playlist has no tracks.');
+      }
+      const options = { ...fileOptions };
+      Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) options[key] = value;
+      });
+      this.setTracks(trackIds, options);
+      return true;
+    } catch (error) {
+      console.error(`[Playlist] Error loading playlist from ${url}:`, error);
+      notifications.showToast('The playlist could not be loaded.', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Replaces the list. Playback continues with the current track if it is in the list; otherwise
+   * the first track starts.
+   * @param {string|string[]} trackIds - The track IDs.
+   * @param {PlaylistOptions} [options={}] - Options to change.
+   * @returns {void}
+   */
+  setTracks(trackIds, options = {}) {
+    this.trackIds = parseTrackIds(trackIds);
+    this.applyOptions(options);
+    this.failures = 0;
+    this.upcomingOrder = null;
+
+    const currentIndex = this.trackIds.indexOf(Constants.TRACK_ID);
+    this.order = this.buildOrder(currentIndex);
+    this.position = this.order.indexOf(currentIndex);
+    this.notify();
+
+    if (!this.trackIds.length) return;
+    if (this.position === -1) {
+      this.playAt(0);
+    } else {
+      this.preloadNext();
+    }
+  }
+
+  /**
+   * Sets the options that are defined.
+   * @private
+   * @param {PlaylistOptions} options - The options.
+   * @returns {void}
+   */
+  applyOptions({ shuffle, repeat, crossfadeMs, autoAdvance }) {
+    if (shuffle !== undefined) this.shuffle = Boolean(shuffle);
+    if (repeat !== undefined) {
+      if (REPEAT_MODES.includes(repeat)) this.repeat = repeat;
+      else console.warn(`[Playlist] Unknown repeat mode: ${repeat}`);
+    }
+    if (crossfadeMs !== undefined && crossfadeMs !== null && Number.isFinite(Number(crossfadeMs))
+      && Math.max(0, Number(crossfadeMs)) !== this.crossfadeMs) {
+      this.crossfadeMs = Math.max(0, Number(crossfadeMs));
+      this.listenForEnd();
+    }
+    if (autoAdvance !== undefined) this.autoAdvance = Boolean(autoAdvance);
+  }
+
+  /**
+   * Builds a play order.
+   * @private
+   * @param {number} firstIndex - Index of the track to play first, or -1.
+   * @returns {number[]}
+   */
+  buildOrder(firstIndex) {
+    const order = this.trackIds.map((id, index) => index);
+    if (!this.shuffle) return order;
+    shuffleInPlace(order);
+    if (firstIndex !== -1) {
+      order.splice(order.indexOf(firstIndex), 1);
+      order.unshift(firstIndex);
+    }
+    return order;
+  }
+
+  /**
+   * @returns {string|null} The current track, or null if the player is not on a playlist track.
+   */
+  getCurrentTrackId() {
+    return this.position === -1 ? null : this.trackIds[this.order[this.position]];
+  }
+
+  /**
+   * Finds the track after the current one.
+   * @private
+   * @returns {{ position: number, order: number[] }|null} Null at the end of the list without repeat all.
+   */
+  peekNext() {
+    if (!this.order.length) return null;
+    if (this.position + 1 < this.order.length) return { position: this.position + 1, order: this.order };
+    if (this.repeat !== 'all') return null;
+    if (!this.shuffle) return { position: 0, order: this.order };
+
+    if (!this.upcomingOrder) {
+      this.upcomingOrder = this.buildOrder(-1);
+      // Do not play the same track twice across passes.
+      if (this.upcomingOrder.length > 1 && this.upcomingOrder[0] === this.order[this.position]) {
+        this.upcomingOrder.push(this.upcomingOrder.shift());
+      }
+    }
+    return { position: 0, order: this.upcomingOrder };
+  }
+
+  /**
+   * Finds the track before the current one.
+   * @private
+   * @returns {{ position: number, order: number[] }|null} Null at the start of the list without repeat all.
+   */
+  peekPrevious() {
+    if (!this.order.length) return null;
+    if (this.position > 0) return { position: this.position - 1, order: this.order };
+    if (this.repeat !== 'all') return null;
+    return { position: this.order.length - 1, order: this.order };
+  }
+
+  /**
+   * Goes to the next track.
+   * @returns {Promise<boolean>} True if the track was switched to.
+   */
+  next() {
+    const target = this.peekNext();
+    return target ? this.playAt(target.position, target.order) : Promise.resolve(false);
+  }
+
+  /**
+   * Goes to the previous track.
+   * @returns {Promise<boolean>} True if the track was switched to.
+   */
+  previous() {
+    const target = this.peekPrevious();
+    return target ? this.playAt(target.position, target.order) : Promise.resolve(false);
+  }
+
+  /**
+   * Goes to a track of the list.
+   * @param {number} index - Index in the list (not the shuffled order).
+   * @returns {Promise<boolean>} True if the track was switched to.
+   */
+  goTo(index) {
+    const position = this.order.indexOf(Number(index));
+    if (position === -1) {
+      console.warn(`[Playlist] No track at index ${index}.`);
+      return Promise.resolve(false);
+    }
+    return this.playAt(position);
+  }
+
+  /**
+   * Turns shuffle on or off. The current track stays current.
+   * @param {boolean} enabled - Whether to shuffle.
+   * @returns {void}
+   */
+  setShuffle(enabled) {
+    this.shuffle = Boolean(enabled);
+    const currentIndex = this.position === -1 ? -1 : this.order[this.position];
+    this.order = this.buildOrder(currentIndex);
+    this.position = this.order.indexOf(currentIndex);
+    this.upcomingOrder = null;
+    this.notify();
+    this.preloadNext();
+  }
+
+  /**
+   * Sets the repeat mode.
+   * @param {string} mode - One of {@link REPEAT_MODES}.
+   * @returns {void}
+   */
+  setRepeat(mode) {
+    this.applyOptions({ repeat: mode });
+    this.notify();
+    this.preloadNext();
+  }
+
+  /**
+   * Turns auto-advance on or off.
+   * @param {boolean} enabled - Whether to go to the next track when the current one ends.
+   * @returns {void}
+   */
+  setAutoAdvance(enabled) {
+    this.applyOptions({ autoAdvance: enabled });
+    this.notify();
+  }
+
+  /**
+   * Switches to a position of a play order.
+   * Tracks that fail to load are skipped, at most once around the list.
+   * @private
+   * @param {number} position - Position in `order`.
+   * @param {number[]} [order=this.order] - The play order, e.g. the next pass while shuffling.
+   * @returns {Promise<boolean>} True if the track was switched to.
+   */
+  async playAt(position, order = this.order) {
+    if (!this.switcher) {
+      console.error('[Playlist] Not attached to the player.');
+      return false;
+    }
+    if (order === this.upcomingOrder) this.upcomingOrder = null;
+    this.order = order;
+    this.position = position;
+    this.notify();
+
+    const trackId = this.trackIds[order[position]];
+    const switched = await this.switcher.loadTrack(trackId, { crossfadeMs: this.crossfadeMs });
+    if (switched || Constants.TRACK_ID === trackId) {
+      this.failures = 0;
+      // Unless another track was requested meanwhile.
+      if (this.getCurrentTrackId() === trackId) this.preloadNext();
+      return true;
+    }
+    if (this.switcher.reloadingTrackId || this.position !== position || this.order !== order) return false;
+
+    this.failures += 1;
+    if (this.failures < this.order.length) return this.next();
+    this.failures = 0;
+    return false;
+  }
+
+  /**
+   * Preloads the track after the current one.
+   * @private
+   * @returns {void}
+   */
+  preloadNext() {
+    const target = this.peekNext();
+    if (!target || !this.switcher) return;
+    this.switcher.preload(this.trackIds[target.order[target.position]]);
+  }
+
+  /**
+   * Registers the end listeners of the orbiter: the next track starts `crossfadeMs` before the
+   * end, so the crossfade ends with the current track; repeating or stopping waits for the end.
+   * @private
+   * @returns {void}
+   */
+  listenForEnd() {
+    this.removeEndListeners?.();
+    this.removeEndListeners = null;
+    if (!this.orbiter) return;
+    const removers = [
+      this.orbiter.addEndListener(() => this.onTrackEnding(), this.crossfadeMs),
+      this.orbiter.addEndListener(() => this.onTrackEnd()),
+    ];
+    this.removeEndListeners = () => removers.forEach(remove => remove());
+  }
+
+  /**
+   * Starts the next track when the current one is a crossfade away from its end.
+   * @private
+   * @returns {void}
+   */
+  onTrackEnding() {
+    if (!this.autoAdvance || this.repeat === 'one' || this.switcher?.isSwitching || !this.peekNext()) return;
+    this.next().catch(error => console.error('[Playlist] Error advancing to the next track:', error));
+  }
+
+  /**
+   * Repeats the track or stops at its end, when there is no next track to crossfade to.
+   * @private
+   * @returns {void}
+   */
+  onTrackEnd() {
+    if (!this.autoAdvance || !this.trackIds.length || this.switcher?.isSwitching) return;
+    if (this.repeat === 'one') {
+      // Play it again from the start.
+      this.orbiter.stop();
+      this.orbiter.play();
+      return;
+    }
+    if (!this.peekNext()) {
+      this.orbiter.stop();
+    }
+  }
+
+  /**
+   * Handles playlist messages of the embedding page (see MESSAGE_TYPES).
+   * @private
+   * @param {MessageEvent} event - The message.
+   * @returns {void}
+   */
+  handleMessage(event) {
+    if (!event.source || (event.source !== window.parent && event.source !== window.opener)) return;
+    if (!this.allowedOrigins.has(event.origin)) {
+      if (Object.values(MESSAGE_TYPES).includes(event.data?.type)) {
+        console.warn(`[Playlist] Ignoring message from origin not allowed: ${event.origin}`);
+      }
+      return;
+    }
+    const { type, tracks, command, value, ...options } = event.data || {};
+    if (type === MESSAGE_TYPES.playlist) {
+      this.setTracks(tracks, options);
+      return;
+    }
+    if (type !== MESSAGE_TYPES.command) return;
+
+    switch (command) {
+      case 'next':
+        this.next().catch(error => console.error('[Playlist] Error going to the next track:', error));
+        break;
+      case 'previous':
+        this.previous().catch(error => console.error('[Playlist] Error going to the previous track:', error));
+        break;
+      case 'goTo':
+        this.goTo(value).catch(error => console.error(`[Playlist] Error going to track ${value}:`, error));
+        break;
+      case 'shuffle':
+        this.setShuffle(value);
+        break;
+      case 'repeat':
+        this.setRepeat(value);
+        break;
+      case 'autoAdvance':
+        this.setAutoAdvance(value);
+        break;
+      default:
+        console.warn(`[Playlist] Unknown command: ${command}`);
+    }
+  }
+}
+
+/**
+ * Shared playlist of the player.
+ * @memberof CoreModule
+ * @type {Playlist}
+ */
+export const PlaylistInstance = new Playlist();
@@ -0,0 +1,336 @@
+// src/PresetManager.js
+
+/**
+ * @file PresetManager.js
+ * @description Named presets per track. A preset holds a snapshot of every parameter, the Cosmic LFO
+ * settings and the playback loop region, and can be recalled instantly or morphed over time.
+ * Tracks without presets are seeded from the `presets` array of the RNBO patcher export.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import lscache from 'lscache';
+import { Constants, getPriority } from './Constants.js';
+import { HistoryManagerInstance } from './HistoryManager.js';
+import { getEngineBindings } from './ParameterSchema.js';
+
+/**
+ * Reads a parameter value from an RNBO preset. Parameters of subpatchers (`filterDelay/time`) are
+ * nested under `__sps` by subpatcher name.
+ * @private
+ * @param {Object} preset - The `preset` of an entry of the patcher's `presets` array.
+ * @param {string} rnboId - The RNBO parameter ID.
+ * @returns {number|undefined}
+ *
+ * @example
+ * getRNBOPresetValue({ __sps: { filterDelay: { time: { value: 250 } } } }, 'filterDelay/time'); // 250
+ */
+function getRNBOPresetValue(preset, rnboId) {
+  const path = rnboId.split('/');
+  const paramId = path.pop();
+  const scope = path.reduce((node, subpatcher) => node?.__sps?.[subpatcher], preset);
+  return scope?.[paramId]?.value;
+}
+
+/** Interpolation curves available for morphing. */
+export const MORPH_CURVES = ['linear', 'ease'];
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name - Unique name within the track.
+ * @property {'user'|'rnbo'} source - Whether the preset was saved by the user or seeded from the patcher.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ * @property {Object<string, number>} parameters - Parameter values, see ParameterManager.captureSnapshot.
+ * @property {Object<string, Object>} [cosmicLFOs] - Cosmic LFO states keyed by axis, see CosmicLFO.getState.
+ * @property {{ start: number, end: number, isLooping: boolean }|null} [loop] - Loop region in seconds.
+ */
+
+/**
+ * Saves, recalls and morphs presets for the current track.
+ * @class
+ * @memberof CoreModule
+ */
+export class PresetManager {
+  constructor() {
+    /** @type {ParameterManager|null} */
+    this.parameterManager = null;
+    /** @type {Object|null} Cosmic LFOs keyed by axis. */
+    this.cosmicLFOManager = null;
+    /** @type {Orbiter|null} */
+    this.orbiter = null;
+    /** @type {PlaybackController|null} */
+    this.playbackController = null;
+    /** @type {number|null} Animation frame of the running morph. */
+    this.morphFrame = null;
+    /** @type {Function|null} Resolves the promise of the running morph. */
+    this.resolveMorph = null;
+  }
+
+  /**
+   * Connects the manager to the player once it is set up.
+   * @param {{ parameterManager: ParameterManager, cosmicLFOManager: Object, orbiter: Orbiter, playbackController: PlaybackController }} deps
+   * @returns {void}
+   */
+  attach({ parameterManager, cosmicLFOManager, orbiter, playbackController }) {
+    this.parameterManager = parameterManager;
+    this.cosmicLFOManager = cosmicLFOManager;
+    this.orbiter = orbiter;
+    this.playbackController = playbackController;
+    // Recalls are recorded as one step each, not frame by frame.
+    HistoryManagerInstance.ignoreSource(this);
+  }
+
+  /**
+   * Builds the lscache key of the current track's presets.
+   * @private
+   * @returns {string}
+   */
+  getStorageKey() {
+    return `presets:${Constants.TRACK_ID || 'default'}`;
+  }
+
+  /**
+   * Lists the presets of the current track, seeding them from the patcher the first time.
+   * @returns {Preset[]}
+   */
+  getPresets() {
+    const stored = lscache.get(this.getStorageKey());
+    if (Array.isArray(stored)) return stored;
+
+    const seeded = this.seedFromPatcher();
+    if (seeded.length) {
+      lscache.set(this.getStorageKey(), seeded);
+    }
+    return seeded;
+  }
+
+  /**
+   * Persists the preset list.
+   * @private
+   * @param {Preset[]} presets - The presets to store.
+   * @returns {void}
+   */
+  storePresets(presets) {
+    lscache.set(this.getStorageKey(), presets);
+  }
+
+  /**
+   * Finds a preset by name.
+   * @param {string} name - The preset name.
+   * @returns {Preset|null}
+   */
+  getPreset(name) {
+    return this.getPresets().find(preset => preset.name === name) || null;
+  }
+
+  /**
+   * Captures the current state.
+   * @returns {Omit<Preset, 'name'|'source'|'createdAt'>}
+   */
+  capture() {
+    const cosmicLFOs = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      const lfo = this.cosmicLFOManager?.[axis];
+      if (lfo) cosmicLFOs[axis] = lfo.getState();
+    });
+    return {
+      parameters: this.parameterManager.captureSnapshot(),
+      cosmicLFOs,
+      loop: this.playbackController?.getLoopRegion() ?? null,
+    };
+  }
+
+  /**
+   * Saves the current state under a name, replacing a preset with the same name.
+   * @param {string} name - The preset name.
+   * @returns {Preset} The saved preset.
+   *
+   * @example
+   * PresetManagerInstance.save('Drift');
+   */
+  save(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('A preset needs a name.');
+    }
+    const preset = { name: trimmed, source: 'user', createdAt: Date.now(), ...this.capture() };
+    const presets = this.getPresets().filter(p => p.name !== trimmed);
+    presets.push(preset);
+    this.storePresets(presets);
+    return preset;
+  }
+
+  /**
+   * Deletes a preset.
+   * @param {string} name - The preset name.
+   * @returns {void}
+   */
+  remove(name) {
+    this.storePresets(this.getPresets().filter(p => p.name !== name));
+  }
+
+  /**
+   * Recalls a preset, instantly or by morphing.
+   * Parameters move during the morph; LFO settings and the loop region switch when it completes.
+   * @param {string} name - The preset name.
+   * @param {Object} [options={}]
+   * @param {number} [options.duration=0] - Morph time in seconds. 0 recalls instantly.
+   * @param {string} [options.curve="linear"] - One of {@link MORPH_CURVES}.
+   * @returns {Promise<boolean>} Resolves when the preset is fully applied; false if it was not found or the morph was interrupted.
+   *
+   * @example
+   * await PresetManagerInstance.recall('Drift', { duration: 8, curve: 'ease' });
+   */
+  recall(name, { duration = 0, curve = 'linear' } = {}) {
+    const preset = this.getPreset(name);
+    if (!preset) {
+      console.warn(`[PresetManager] Preset '${name}' not found.`);
+      return Promise.resolve(false);
+    }
+    this.cancelMorph();
+    const before = this.parameterManager.captureSnapshot(Object.keys(preset.parameters));
+    const label = `Preset: ${preset.name}`;
+
+    if (!(duration > 0)) {
+      this.parameterManager.applySnapshot(preset.parameters, this, getPriority('preset'));
+      this.applyDiscreteState(preset);
+      HistoryManagerInstance.recordSnapshotChange(label, before, preset.parameters);
+      return Promise.resolve(true);
+    }
+
+    return this.morph(preset, duration, curve).then(completed => {
+      if (completed) {
+        this.applyDiscreteState(preset);
+        HistoryManagerInstance.recordSnapshotChange(label, before, preset.parameters);
+      }
+      return completed;
+    });
+  }
+
+  /**
+   * Interpolates every parameter from its current value to the preset value.
+   * @private
+   * @param {Preset} preset - The target preset.
+   * @param {number} duration - Morph time in seconds.
+   * @param {string} curve - One of {@link MORPH_CURVES}.
+   * @returns {Promise<boolean>} Resolves true when the morph completes, false if it is cancelled.
+   */
+  morph(preset, duration, curve) {
+    const from = this.parameterManager.captureSnapshot(Object.keys(preset.parameters));
+    const priority = getPriority('preset');
+    const start = performance.now();
+    const ease = curve === 'ease' ? (t) => t * t * (3 - 2 * t) : (t) => t;
+
+    return new Promise(resolve => {
+      this.resolveMorph = resolve;
+      const step = (now) => {
+        const t = Math.min(1, (now - start) / (duration * 1000));
+        const k = ease(t);
+        const frame = {};
+        Object.keys(from).forEach(name => {
+          frame[name] = from[name] + (preset.parameters[name] - from[name]) * k;
+        });
+        this.parameterManager.applySnapshot(frame, this, priority);
+
+        if (t < 1) {
+          this.morphFrame = requestAnimationFrame(step);
+        } else {
+          this.morphFrame = null;
+          this.resolveMorph = null;
+          resolve(true);
+        }
+      };
+      this.morphFrame = requestAnimationFrame(step);
+    });
+  }
+
+  /**
+   * Stops a running morph, leaving parameters where they are.
+   * @returns {void}
+   */
+  cancelMorph() {
+    if (this.morphFrame !== null) {
+      cancelAnimationFrame(this.morphFrame);
+      this.morphFrame = null;
+    }
+    if (this.resolveMorph) {
+      this.resolveMorph(false);
+      this.resolveMorph = null;
+    }
+  }
+
+  /**
+   * Whether a morph is running.
+   * @returns {boolean}
+   */
+  isMorphing() {
+    return this.morphFrame !== null;
+  }
+
+  /**
+   * Applies the settings that cannot be interpolated: Cosmic LFO settings and the loop region.
+   * @private
+   * @param {Preset} preset - The preset.
+   * @returns {void}
+   */
+  applyDiscreteState(preset) {
+    Object.entries(preset.cosmicLFOs || {}).forEach(([axis, state]) => {
+      this.cosmicLFOManager?.[axis]?.setState(state);
+    });
+    if (preset.loop !== undefined && this.playbackController) {
+      this.playbackController.setLoopRegion(preset.loop);
+    }
+  }
+
+  /**
+   * Converts the `presets` array of the loaded RNBO patcher into presets.
+   * Only patcher parameters bound to a player parameter in the orbiter's schema are used;
+   * `normalized` bindings are stored normalized in the patcher (see Orbiter.setupSmoother).
+   * @returns {Preset[]}
+   */
+  seedFromPatcher() {
+    const rnboPresets = this.orbiter?.patcher?.presets;
+    if (!Array.isArray(rnboPresets) || !this.parameterManager) return [];
+    const bindings = getEngineBindings(this.orbiter.schema || []);
+
+    const used = new Set();
+    return rnboPresets.map((entry, index) => {
+      const parameters = {};
+      bindings.forEach(({ name, rnboId, normalized }) => {
+        const value = entry.preset ? getRNBOPresetValue(entry.preset, rnboId) : undefined;
+        const param = this.parameterManager.getParameter(name);
+        if (typeof value !== 'number' || !param) return;
+        // Snapshots are in controller space; raw patcher values map through the output transform.
+        const raw = normalized ? param.min + value * (param.max - param.min) : value;
+        parameters[name] = param.outputTransform(raw);
+      });
+      if (Object.keys(parameters).length === 0) return null;
+
+      // Exports often repeat names; keep them unique.
+      let presetName = entry.name || `Preset ${index + 1}`;
+      if (used.has(presetName)) presetName = `${presetName} (${index + 1})`;
+      used.add(presetName);
+
+      return { name: presetName, source: 'rnbo', createdAt: 0, parameters };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Replaces the seeded presets with a fresh copy from the patcher, keeping user presets.
+   * @returns {number} The number of seeded presets.
+   */
+  reseedFromPatcher() {
+    const seeded = this.seedFromPatcher();
+    const names = new Set(seeded.map(p => p.name));
+    const userPresets = this.getPresets().filter(p => p.source !== 'rnbo' && !names.has(p.name));
+    this.storePresets([...seeded, ...userPresets]);
+    return seeded.length;
+  }
+}
+
+/**
+ * Shared preset manager, connected to the player in setupInteractions.
+ * @memberof CoreModule
+ * @type {PresetManager}
+ */
+export const PresetManagerInstance = new PresetManager();
@@ -0,0 +1,122 @@
+// src/PresetPanel.js
+
+/**
+ * @file PresetPanel.js
+ * @description Modal panel to save, recall, morph and delete the presets of the current track.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import notifications from './AppNotifications.js';
+import { MORPH_CURVES } from './PresetManager.js';
+import { escapeHTML } from './DOMUtils.js';
+
+/**
+ * Preset list shown in the universal modal.
+ * @class
+ * @memberof CoreModule
+ */
+export class PresetPanel {
+  /**
+   * @param {PresetManager} presetManager - The manager whose presets are listed.
+   */
+  constructor(presetManager) {
+    this.presetManager = presetManager;
+    /** @type {HTMLElement|null} Root element while the panel is open. */
+    this.element = null;
+  }
+
+  /**
+   * Shows the panel.
+   * @returns {Promise<void>} Resolves when the panel is closed.
+   *
+   * @example
+   * new PresetPanel(PresetManagerInstance).open();
+   */
+  async open() {
+    this.element = document.createElement('div');
+    this.element.className = 'preset-panel';
+    this.element.innerHTML = `
+      <form class="preset-panel-save">
+        <input name="name" type="text" class="form-control form-control-sm" placeholder="Preset name" required>
+        <button type="submit" class="btn btn-sm btn-outline-secondary">Save</button>
+      </form>
+      <div class="preset-panel-morph">
+        <label>Morph (s) <input name="duration" type="number" min="0" max="120" step="0.5" value="4" class="form-control form-control-sm"></label>
+        <label>Curve <select name="curve" class="form-select form-select-sm">
+          ${MORPH_CURVES.map(curve => `<option value="${curve}">${curve}</option>`).join('')}
+        </select></label>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="reseed">Reload patch presets</button>
+      </div>
+      <ul class="preset-panel-list"></ul>
+    `;
+
+    this.element.querySelector('.preset-panel-save').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const input = event.target.elements.name;
+      try {
+        const preset = this.presetManager.save(input.value);
+        notifications.showToast(`Preset '${preset.name}' saved.`, 'success');
+        input.value = '';
+        this.renderList();
+      } catch (error) {
+        notifications.showToast(error.message, 'error');
+      }
+    });
+    this.element.addEventListener('click', (event) => this.handleClick(event));
+    this.renderList();
+
+    await notifications.showUniversalModal('Presets', this.element, 'Close');
+    this.element = null;
+  }
+
+  /**
+   * Renders the preset list.
+   * @private
+   * @returns {void}
+   */
+  renderList() {
+    const presets = this.presetManager.getPresets();
+    this.element.querySelector('.preset-panel-list').innerHTML = presets.length
+      ? presets.map(preset => `
+        <li class="preset-panel-item" data-name="${escapeHTML(preset.name)}">
+          <span class="preset-panel-name">${escapeHTML(preset.name)}${preset.source === 'rnbo' ? ' <small>(patch)</small>' : ''}</span>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="recall">Recall</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="morph">Morph</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="delete" aria-label="Delete preset">×</button>
+        </li>`).join('')
+      : '<li class="preset-panel-empty">No presets yet.</li>';
+  }
+
+  /**
+   * Handles the preset buttons.
+   * @private
+   * @param {Event} event - The click event.
+   * @returns {void}
+   */
+  handleClick(event) {
+    const action = event.target.dataset.action;
+    if (!action) return;
+
+    if (action === 'reseed') {
+      const count = this.presetManager.reseedFromPatcher();
+      notifications.showToast(`Loaded ${count} preset(s) from the patch.`, count ? 'success' : 'warning');
+      this.renderList();
+      return;
+    }
+
+    const name = event.target.closest('.preset-panel-item')?.dataset.name;
+    if (!name) return;
+
+    if (action === 'recall') {
+      this.presetManager.recall(name);
+    } else if (action === 'morph') {
+      const duration = Number(this.element.querySelector('[name="duration"]').value) || 0;
+      const curve = this.element.querySelector('[name="curve"]').value;
+      this.presetManager.recall(name, { duration, curve });
+    } else if (action === 'delete') {
+      this.presetManager.remove(name);
+      this.renderList();
+    }
+  }
+}
@@ -0,0 +1,54 @@
+// src/RNBOLoader.js
+
+/**
+ * @file RNBOLoader.js
+ * @description Loads the RNBO library matching a patcher export from the Cycling '74 CDN.
+ * Used by the player and by the headless renderer (see HeadlessRenderer.js).
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** @type {string|null} RNBO version loaded in this page; only one can run per page. */
+let loadedVersion = null;
+
+/**
+ * Dynamically loads the RNBO library based on the patcher version.
+ * @param {string} patchExportURL - URL to fetch the RNBO patcher.
+ * @returns {Promise<{ rnbo: object, patcher: object }>} Resolves with the RNBO object after loading the script,
+ * and the fetched patcher so it is not downloaded twice.
+ * @throws {Error} If the patcher cannot be fetched, or needs another RNBO version than the one loaded.
+ */
+export async function loadRNBOLibrary(patchExportURL) {
+    //console.log(`[RNBO] Fetching patch metadata from: ${patchExportURL}`);
+    const response = await fetch(patchExportURL);
+    if (!response.ok) {
+        throw new Error(`[RNBO] Failed to fetch patcher: ${response.statusText}`);
+    }
+    const patcher = await response.json();
+    const rnboversion = patcher.desc?.meta?.rnboversion;
+
+    if (!rnboversion) {
+        throw new Error("[RNBO] Version not found in patch metadata.");
+    }
+    if (loadedVersion === rnboversion) {
+        return { rnbo: window.RNBO, patcher };
+    }
+    if (loadedVersion) {
+        throw new Error(`[RNBO] The patcher needs RNBO ${rnboversion}; this page runs ${loadedVersion}.`);
+    }
+
+    const scriptUrl = `https://cdn.cycling74.com/rnbo/${rnboversion}/rnbo.min.js`;
+    //console.log(`[RNBO] Loading script from: ${scriptUrl}`);
+
+    await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = scriptUrl;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`[RNBO] Failed to load: ${scriptUrl}`));
+        document.head.appendChild(script);
+    });
+    loadedVersion = rnboversion;
+
+    //console.log("[RNBO] RNBO script loaded successfully.");
+    return { rnbo: window.RNBO, patcher };
+}
@@ -0,0 +1,153 @@
+// src/RecordingPanel.js
+
+/**
+ * @file RecordingPanel.js
+ * @description Modal panel with the output recording settings, offline renders and the takes of this session.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import notifications from './AppNotifications.js';
+import { RECORDING_FORMATS, MAX_COUNT_IN_BEATS, isFormatSupported } from './OutputRecorder.js';
+import { escapeHTML } from './DOMUtils.js';
+
+/** Labels of the take formats. */
+const FORMAT_LABELS = { wav: 'WAV (24-bit)', webm: 'WebM/Opus' };
+
+/**
+ * Formats a duration as m:ss.
+ * @private
+ * @param {number} seconds - The duration.
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Recording settings and take list shown in the universal modal.
+ * @class
+ * @memberof CoreModule
+ */
+export class RecordingPanel {
+  /**
+   * @param {OutputRecorder} recorder - The recorder whose settings and takes are shown.
+   */
+  constructor(recorder) {
+    this.recorder = recorder;
+    /** @type {HTMLElement|null} Root element while the panel is open. */
+    this.element = null;
+  }
+
+  /**
+   * Shows the panel.
+   * @returns {Promise<void>} Resolves when the panel is closed.
+   *
+   * @example
+   * new RecordingPanel(OutputRecorderInstance).open();
+   */
+  async open() {
+    const { audio, format, loopOnly, countInBeats, automation, autoDownload } = this.recorder.settings;
+    const beats = Array.from({ length: MAX_COUNT_IN_BEATS + 1 }, (_, count) => count);
+
+    this.element = document.createElement('div');
+    this.element.className = 'recording-panel';
+    this.element.innerHTML = `
+      <div class="recording-panel-settings">
+        <label class="form-check">
+          <input name="audio" type="checkbox" class="form-check-input" ${audio ? 'checked' : ''}>
+          Record audio (off: Rec records automation only)
+        </label>
+        <label>Format <select name="format" class="form-select form-select-sm">
+          ${RECORDING_FORMATS.map(value => `<option value="${value}" ${value === format ? 'selected' : ''}
+            ${isFormatSupported(value) ? '' : 'disabled'}>${FORMAT_LABELS[value]}</option>`).join('')}
+        </select></label>
+        <label>Count-in <select name="countInBeats" class="form-select form-select-sm">
+          ${beats.map(count => `<option value="${count}" ${count === countInBeats ? 'selected' : ''}>
+            ${count ? `${count} beat(s)` : 'Off'}</option>`).join('')}
+        </select></label>
+        <label class="form-check">
+          <input name="loopOnly" type="checkbox" class="form-check-input" ${loopOnly ? 'checked' : ''}>
+          Loop region only
+        </label>
+        <label class="form-check">
+          <input name="automation" type="checkbox" class="form-check-input" ${automation ? 'checked' : ''}>
+          Record automation
+        </label>
+        <label class="form-check">
+          <input name="autoDownload" type="checkbox" class="form-check-input" ${autoDownload ? 'checked' : ''}>
+          Download takes automatically
+        </label>
+      </div>
+      <div class="recording-panel-actions">
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="bounce-track">Render track</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="bounce-loop">Render loop region</button>
+      </div>
+      <p class="recording-panel-status"></p>
+      <ul class="recording-panel-takes"></ul>
+    `;
+
+    this.element.querySelector('.recording-panel-settings').addEventListener('change', (event) => {
+      const { name, type, checked, value } = event.target;
+      this.recorder.setSettings({ [name]: type === 'checkbox' ? checked : name === 'countInBeats' ? Number(value) : value });
+    });
+    this.element.addEventListener('click', (event) => this.handleClick(event));
+
+    const unsubscribe = this.recorder.subscribe(() => this.render());
+    this.render();
+
+    await notifications.showUniversalModal('Recording', this.element, 'Close');
+    unsubscribe();
+    this.element = null;
+  }
+
+  /**
+   * Renders the recording state and the takes.
+   * @private
+   * @returns {void}
+   */
+  render() {
+    if (!this.element) return;
+    const { state, takes, isBouncing, bounceProgress } = this.recorder;
+    const status = {
+      preparing: 'Counting in…',
+      recording: 'Recording. Use Rec again, pause or stop to finish the take.',
+      finishing: 'Saving the take…',
+    };
+    this.element.querySelector('.recording-panel-status').textContent = status[state]
+      || (isBouncing ? `Rendering offline… ${Math.round(bounceProgress * 100)}%` : '')
+      || (takes.length ? '' : 'No takes yet. Use Rec in the transport menu to record the Orbiter output, or render it offline.');
+    this.element.querySelectorAll('[data-action^="bounce"]').forEach(button => { button.disabled = isBouncing; });
+
+    this.element.querySelector('.recording-panel-takes').innerHTML = takes.map((take, index) => `
+      <li data-index="${index}">
+        <span class="recording-panel-take-name">${escapeHTML(take.name)} (${formatDuration(take.duration)})</span>
+        <audio controls preload="none" src="${take.url}"></audio>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="download">Download</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="remove" aria-label="Remove take">×</button>
+      </li>`).join('');
+  }
+
+  /**
+   * Handles the render and take buttons.
+   * @private
+   * @param {Event} event - The click event.
+   * @returns {void}
+   */
+  handleClick(event) {
+    const action = event.target.dataset.action;
+    if (action === 'bounce-track' || action === 'bounce-loop') {
+      this.recorder.bounce({ loopOnly: action === 'bounce-loop' });
+      return;
+    }
+    const take = this.recorder.takes[Number(event.target.closest('li')?.dataset.index)];
+    if (!action || !take) return;
+
+    if (action === 'download') {
+      this.recorder.download(take);
+    } else if (action === 'remove') {
+      this.recorder.removeTake(take);
+    }
+  }
+}
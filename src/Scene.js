@@ -12,7 +12,7 @@
  * 
  * const canvas = document.getElementById('three-canvas');
  * 
- * const { scene, camera, controls } = initScene(canvas);
+ * const { scene, camera, controls } = initScene(canvas, user1Manager);
  * const renderer = initRenderer(canvas);
  * 
  * addLights(scene);
@@ -27,7 +27,6 @@
 
 import * as THREE from 'three';
 
-import { ParameterManager } from './ParameterManager.js';
 import { getPlaybackState } from "./Constants.js";
 
 // ---------- Configurable Parameters ----------
@@ -98,7 +97,7 @@ let   orbitGeometry = null; // will hold BufferGeometry instance
 const ampHistory = [];
 
 
-export function initScene(canvas) {
+export function initScene(canvas, paramManager) {
   const scene = new THREE.Scene();
   globalScene = scene;
   // setup tilted group for ring + history
@@ -157,7 +156,6 @@ export function initScene(canvas) {
   );
   camera.position.copy(INITIAL_CAMERA_POSITION);
 
-  const paramManager = ParameterManager.getInstance();
   const spherical = new THREE.Spherical();
   spherical.setFromVector3(camera.position);
 
@@ -359,6 +357,7 @@ export { drawRing };
  * Initializes moon objects based on the given number and adds them to the scene.
  * @param {THREE.Scene} scene - The scene to which moons will be added.
  * @param {number} numMoons - The number of moons to create.
+ * @returns {THREE.Group} The group holding the moons.
  */
 // TEMP DEV OVERRIDE — set to null to disable override
 const DEV_OVERRIDE_NUM_MOONS = null;
@@ -448,4 +447,62 @@ export function harvestMoons(scene, numMoons) {
   moonGroup.rotation.x = THREE.MathUtils.degToRad(ORBIT_TILT_DEG);
   moonGroup.add(instancedMesh);
   scene.add(moonGroup);
-}
\ No newline at end of file
+  return moonGroup;
+}
+
+/**
+ * Removes an object from its parent and frees the geometries, materials and textures below it.
+ * @param {THREE.Object3D|null} object - The object to dispose.
+ * @returns {void}
+ */
+export function disposeObject(object) {
+  if (!object) return;
+  object.removeFromParent();
+  object.traverse((child) => {
+    child.geometry?.dispose();
+    [].concat(child.material || []).forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value instanceof THREE.Texture) value.dispose();
+      });
+      material.dispose();
+    });
+  });
+}
+
+/**
+ * Scales the outgoing objects down and the incoming objects up, e.g. when switching tracks.
+ * Incoming objects must already be in the scene; outgoing objects are left at scale 0.
+ * @param {Array<THREE.Object3D|null>} outgoing - Objects to hide.
+ * @param {Array<THREE.Object3D|null>} incoming - Objects to show.
+ * @param {number} [durationMs=1000] - Duration of the transition.
+ * @returns {Promise<void>} Resolves when the transition ends.
+ */
+export function transitionObjects(outgoing, incoming, durationMs = 1000) {
+  const animated = [
+    ...outgoing.filter(Boolean).map((object) => ({ object, from: object.scale.clone(), show: false })),
+    ...incoming.filter(Boolean).map((object) => ({ object, from: object.scale.clone(), show: true })),
+  ];
+  const applyProgress = (progress) => {
+    // Ease in-out, so neither object pops at the ends of the transition.
+    const eased = progress * progress * (3 - 2 * progress);
+    animated.forEach(({ object, from, show }) => {
+      object.scale.copy(from).multiplyScalar(show ? eased : 1 - eased);
+    });
+  };
+
+  if (durationMs <= 0) {
+    applyProgress(1);
+    return Promise.resolve();
+  }
+  applyProgress(0);
+  return new Promise((resolve) => {
+    const start = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / durationMs);
+      applyProgress(progress);
+      if (progress < 1) requestAnimationFrame(step);
+      else resolve();
+    };
+    requestAnimationFrame(step);
+  });
+}
@@ -6,6 +6,20 @@ import {
     EXTERNAL_SENSORS_USABLE 
 } from './Constants.js';
 import notifications from './AppNotifications.js';
+import lscache from 'lscache';
+
+/** Source ID prefix of the sensor axes in the ParameterManager modulation matrix. */
+const SENSOR_MODULATION_SOURCE = 'sensors';
+
+/**
+ * Source ID of one sensor axis, so several axes can modulate the same parameter.
+ * @param {string} axis - 'x', 'y', 'z' or 'distance'.
+ * @returns {string}
+ */
+const sensorSourceId = (axis) => `${SENSOR_MODULATION_SOURCE}-${axis}`;
+
+/** Storage key of the parameters the sensor axes are assigned to. */
+const SENSOR_TARGETS_STORAGE_KEY = 'sensor-axis-targets';
 
 /**
  * @class SensorController
@@ -29,6 +43,42 @@ export class SensorController {
         return SensorController.#instance;
     }
 
+    /**
+     * Returns the persisted axis assignments without creating the controller.
+     * @returns {{ x: string, y: string, z: string, distance: string }} Parameter name per axis.
+     */
+    static getStoredAxisTargets() {
+        return { x: 'x', y: 'y', z: 'z', distance: 'distance', ...lscache.get(SENSOR_TARGETS_STORAGE_KEY) };
+    }
+
+    /**
+     * Assigns a sensor axis to a parameter. Applied immediately if the controller exists,
+     * otherwise stored for when it is created, so sensors are not started just to assign them.
+     * @param {string} axis - 'x', 'y', 'z' or 'distance'.
+     * @param {string} [parameterName=axis] - The parameter to modulate.
+     * @returns {void}
+     */
+    static assignAxis(axis, parameterName = axis) {
+        if (SensorController.#instance) {
+            SensorController.#instance.setAxisTarget(axis, parameterName);
+            return;
+        }
+        lscache.set(SENSOR_TARGETS_STORAGE_KEY, { ...SensorController.getStoredAxisTargets(), [axis]: parameterName || axis });
+    }
+
+    /**
+     * Returns the axes assigned to removed parameters, e.g. those of a patcher that is no longer
+     * loaded, to their own parameters.
+     * @param {string[]} names - The removed parameters.
+     * @returns {void}
+     */
+    static releaseParameters(names) {
+        const targets = SensorController.#instance?.axisTargets || SensorController.getStoredAxisTargets();
+        Object.entries(targets)
+            .filter(([axis, target]) => target !== axis && names.includes(target))
+            .forEach(([axis]) => SensorController.assignAxis(axis));
+    }
+
     /**
      * Private constructor to prevent direct instantiation.
      * @param {User1Manager} user1Manager - The user manager instance.
@@ -42,6 +92,8 @@ export class SensorController {
         this.isSensorActive = false;
         this.user1Manager = user1Manager;
         this.activeAxes = { x: false, y: false, z: false, distance: false };
+        // Parameter modulated by each axis; an axis can be reassigned, e.g. to a macro.
+        this.axisTargets = SensorController.getStoredAxisTargets();
         this.throttleUpdate = this.throttle(this.updateParameters.bind(this), 66); // ~15 FPS
 
         // Current normalized values
@@ -175,6 +227,7 @@ export class SensorController {
 
         this.startListening();
         this.isSensorActive = true;
+        this.syncModulationRoutes();
         console.log('SensorController: Sensors activated.');
     }
 
@@ -201,6 +254,7 @@ export class SensorController {
             window.removeEventListener('deviceorientation', this.boundHandleDeviceOrientation, true);
             window.removeEventListener('devicemotion', this.boundHandleDeviceMotion, true);
             this.isSensorActive = false;
+            this.syncModulationRoutes();
             console.log('SensorController: Stopped listening to deviceorientation and devicemotion events.');
         }
     }
@@ -341,15 +395,15 @@ normalizeAngle(angle) {
       // 8) Optionally apply exponential smoothing for final normalized values
       if (this.activeAxes.x) {
           this.currentYaw = this.smoothValue(this.currentYaw, normalizedX, 0.8);
-          this.user1Manager.setNormalizedValue('x', this.currentYaw);
+          this.user1Manager.setModulationValue(this.axisTargets.x, sensorSourceId('x'), this.currentYaw);
       }
       if (this.activeAxes.y) {
           this.currentPitch = this.smoothValue(this.currentPitch, normalizedY, 0.8);
-          this.user1Manager.setNormalizedValue('y', this.currentPitch);
+          this.user1Manager.setModulationValue(this.axisTargets.y, sensorSourceId('y'), this.currentPitch);
       }
       if (this.activeAxes.z) {
           this.currentRoll = this.smoothValue(this.currentRoll, normalizedZ, 0.8);
-          this.user1Manager.setNormalizedValue('z', this.currentRoll);
+          this.user1Manager.setModulationValue(this.axisTargets.z, sensorSourceId('z'), this.currentRoll);
       }
   
       // 9) Throttled debug log (not every frame)
@@ -459,7 +513,7 @@ normalizeAngle(angle) {
             if (this.activeAxes.distance) {
                 // Assuming 0.5 is center for distance as well
                 const distanceNorm = this.mapRange(normalizedDistance, 0, 1, 0, 1);
-                this.user1Manager.setNormalizedValue('distance', distanceNorm);
+                this.user1Manager.setModulationValue(this.axisTargets.distance, sensorSourceId('distance'), distanceNorm);
             }
 
             // Optionally, reset position and velocity if device is stationary (to prevent drift)
@@ -516,9 +570,50 @@ normalizeAngle(angle) {
             }
         }
 
+        this.syncModulationRoutes();
         console.debug(`[Toggle Debug] ActiveAxes After:`, this.activeAxes);
     }
 
+    /**
+     * Adds a modulation route for every active axis and removes the others, so the
+     * sensors move the axes around their base value instead of overriding it.
+     * Orientation axes are bipolar (centred device = no change); distance is unipolar.
+     * @private
+     */
+    syncModulationRoutes() {
+        Object.keys(this.activeAxes).forEach(axis => {
+            // External sensors stream over WebRTC while the local listeners are off.
+            if ((this.isSensorActive || this.useExternalSensors) && this.activeAxes[axis]) {
+                const options = axis === 'distance'
+                    ? { depth: 1, polarity: 'unipolar', mode: 'sum' }
+                    : { depth: 0.5, polarity: 'bipolar', mode: 'sum' };
+                this.user1Manager.addModulationRoute(this.axisTargets[axis], sensorSourceId(axis), options);
+            } else {
+                this.user1Manager.removeModulationRoute(this.axisTargets[axis], sensorSourceId(axis));
+            }
+        });
+    }
+
+    /**
+     * Assigns a sensor axis to a parameter, e.g. a macro, and persists the assignment.
+     * @param {string} axis - 'x', 'y', 'z' or 'distance'.
+     * @param {string} [parameterName=axis] - The parameter to modulate. Defaults to the axis' own parameter.
+     * @returns {void}
+     *
+     * @example
+     * SensorController.getInstance(user1Manager).setAxisTarget('y', 'gravity');
+     */
+    setAxisTarget(axis, parameterName = axis) {
+        if (!(axis in this.activeAxes)) {
+            console.warn(`[SensorController] Unknown sensor axis '${axis}'.`);
+            return;
+        }
+        this.user1Manager.removeModulationRoute(this.axisTargets[axis], sensorSourceId(axis));
+        this.axisTargets[axis] = parameterName || axis;
+        lscache.set(SENSOR_TARGETS_STORAGE_KEY, this.axisTargets);
+        this.syncModulationRoutes();
+    }
+
     /**
      * Throttles a function call to a specified limit.
      * Prevents excessive executions of expensive operations.
@@ -653,5 +748,6 @@ normalizeAngle(angle) {
             //console.log('[SensorController] Switched to internal sensor input.');
             this.startListening(); // Start internal sensor listeners
         }
+        this.syncModulationRoutes();
     }
 }
\ No newline at end of file
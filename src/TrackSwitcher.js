@@ -0,0 +1,397 @@
+// src/TrackSwitcher.js
+
+/**
+ * @file TrackSwitcher.js
+ * @description Switches the player to another track without reloading the page. The new patcher,
+ * audio and model load in the background while the current track keeps playing; then the audio
+ * crossfades, the 3D model and moons transition, and the old ones are disposed.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+import { Constants, MIDI_SUPPORTED } from './Constants.js';
+import notifications from './AppNotifications.js';
+import { loadModel } from './Loaders.js';
+import { harvestMoons, disposeObject, transitionObjects } from './Scene.js';
+import { buildParameterSchema, registerParameterSchema } from './ParameterSchema.js';
+import { applyColorsFromTrackData, updateKnobsFromTrackData, createPatchParameterControls } from './Interaction.js';
+import { AutomationRecorderInstance } from './AutomationRecorder.js';
+import { MIDIControllerInstance } from './MIDIController.js';
+import { HistoryManagerInstance } from './HistoryManager.js';
+import { SensorController } from './SensorsController.js';
+import { Observable } from './Observable.js';
+
+/** Default crossfade between two tracks (ms). */
+export const DEFAULT_CROSSFADE_MS = 3000;
+
+/**
+ * Loads a track with a page load, the way the player starts.
+ * @private
+ * @param {string} trackId - The track to load.
+ * @returns {void}
+ */
+function navigateToTrack(trackId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('trackId', trackId);
+  window.location.assign(url.toString());
+}
+
+/**
+ * Switches the player between tracks in place.
+ * Subscribers are called when a switch starts or ends.
+ * @class
+ * @memberof CoreModule
+ */
+export class TrackSwitcher extends Observable {
+  constructor() {
+    super();
+    /** @type {Object|null} Player dependencies, see attach(). */
+    this.player = null;
+    /** @type {THREE.Object3D|null} Model of the current track. */
+    this.model = null;
+    /** @type {THREE.Group|null} Moons of the current track. */
+    this.moons = null;
+    /** @type {string|null} RNBO version of the loaded library; tracks exported with another one need a page load. */
+    this.rnboversion = null;
+    /** @type {string|null} Track being loaded. */
+    this.pendingTrackId = null;
+    /** @type {string|null} Track loaded with a page load, set once the page is leaving. */
+    this.reloadingTrackId = null;
+    /** @type {{ trackId: string, promise: Promise<Object|null> }|null} Track loaded ahead, see preload(). */
+    this.preloaded = null;
+    /** @type {Promise<void>} Serializes switches, so they never overlap. */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Connects the switcher to the player, once the first track is loaded.
+   * @param {Object} player
+   * @param {THREE.Scene} player.scene - The scene holding the model and moons.
+   * @param {THREE.Object3D|null} player.model - Model of the current track.
+   * @param {THREE.Group|null} player.moons - Moons of the current track.
+   * @param {Orbiter} player.orbiter - The main orbiter.
+   * @param {ParameterManager} player.parameterManager - Its parameters.
+   * @param {DataManager} player.dataManager - Fetches track data and fills the placeholders.
+   * @param {Object} player.patcher - Patcher of the current track, giving the loaded RNBO version.
+   * @param {Object} player.cosmicLFOManager - The Cosmic LFOs, retuned to each track's exoplanets.
+   * @param {OrbiterMixer|null} [player.mixer=null] - The mixer, when the main orbiter is one of its layers.
+   * @param {string|null} [player.layerId=null] - The main orbiter's layer ID in the mixer.
+   * @returns {void}
+   */
+  attach({ scene, model, moons, orbiter, parameterManager, dataManager, patcher, cosmicLFOManager, mixer = null, layerId = null }) {
+    this.player = { scene, orbiter, parameterManager, dataManager, cosmicLFOManager, mixer, layerId };
+    this.model = model;
+    this.moons = moons;
+    this.rnboversion = patcher?.desc?.meta?.rnboversion || null;
+  }
+
+  /**
+   * Whether a switch is in progress.
+   * @returns {boolean}
+   */
+  get isSwitching() {
+    return this.pendingTrackId !== null;
+  }
+
+  /**
+   * Switches to a track. Switches requested during another one run after it.
+   * Tracks exported with another RNBO version are loaded with a page load instead.
+   * @param {string} trackId - The track to load.
+   * @param {{ crossfadeMs?: number }} [options={}] - Crossfade time (ms) of the audio and the model.
+   * @returns {Promise<boolean>} Resolves once the transition ends: true if the track was switched in place.
+   *
+   * @example
+   * await TrackSwitcherInstance.loadTrack('another-track', { crossfadeMs: 5000 });
+   */
+  loadTrack(trackId, options = {}) {
+    const result = this.queue.then(() => this.switchTo(trackId, options));
+    this.queue = result.then(() => {}, () => {});
+    return result;
+  }
+
+  /**
+   * Loads a track in the background, so a later loadTrack() of it only has to crossfade, e.g. the
+   * next track of a playlist. Preloading another track discards the previous one.
+   * @param {string} trackId - The track to preload.
+   * @returns {Promise<boolean>} Resolves once loaded: false if it failed or needs a page load.
+   */
+  preload(trackId) {
+    if (!this.player || !trackId || trackId === Constants.TRACK_ID || this.reloadingTrackId) return Promise.resolve(false);
+    if (this.preloaded?.trackId !== trackId) {
+      this.discardPreloaded();
+      const promise = this.prepare(trackId).catch((error) => {
+        console.error(`[TrackSwitcher] Error preloading track '${trackId}':`, error);
+        return null;
+      });
+      this.preloaded = { trackId, promise };
+    }
+    return this.preloaded.promise.then(prepared => Boolean(prepared && !prepared.needsReload));
+  }
+
+  /**
+   * Frees the preloaded track, if any.
+   * @private
+   * @returns {void}
+   */
+  discardPreloaded() {
+    if (!this.preloaded) return;
+    const { promise } = this.preloaded;
+    this.preloaded = null;
+    promise.then(prepared => this.release(prepared));
+  }
+
+  /**
+   * Frees a loaded track that was not switched to.
+   * @private
+   * @param {Object|null} prepared - See prepare().
+   * @returns {void}
+   */
+  release(prepared) {
+    if (prepared?.device) this.player.orbiter.releaseDevice(prepared.device);
+    if (prepared?.model) disposeObject(prepared.model);
+  }
+
+  /**
+   * Runs one switch.
+   * @private
+   * @param {string} trackId - The track to load.
+   * @param {{ crossfadeMs?: number }} options
+   * @returns {Promise<boolean>}
+   */
+  async switchTo(trackId, { crossfadeMs = DEFAULT_CROSSFADE_MS } = {}) {
+    if (!this.player) {
+      console.error('[TrackSwitcher] Not attached to the player.');
+      return false;
+    }
+    if (!trackId || trackId === Constants.TRACK_ID || this.reloadingTrackId) return false;
+
+    this.pendingTrackId = trackId;
+    this.notify();
+    try {
+      let prepared = null;
+      if (this.preloaded?.trackId === trackId) {
+        // Taken before waiting, so a new preload cannot discard it.
+        const { promise } = this.preloaded;
+        this.preloaded = null;
+        prepared = await promise;
+      }
+      if (!prepared) {
+        // Not preloaded, or the preload failed and is retried.
+        prepared = await this.prepare(trackId).catch((error) => {
+          console.error(`[TrackSwitcher] Error loading track '${trackId}':`, error);
+          return null;
+        });
+      }
+      if (!prepared) {
+        notifications.showToast(`Track '${trackId}' could not be loaded.`, 'error');
+        return false;
+      }
+      if (prepared.needsReload) {
+        // Only one RNBO library runs per page.
+        console.warn(`[TrackSwitcher] '${trackId}' was exported with RNBO ${prepared.patcher.desc?.meta?.rnboversion}; reloading the player.`);
+        this.reloadingTrackId = trackId;
+        navigateToTrack(trackId);
+        return false;
+      }
+      return await this.commit(trackId, prepared, Math.max(0, Number(crossfadeMs) || 0));
+    } finally {
+      this.pendingTrackId = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Loads everything the new track needs while the current one keeps playing.
+   * Nothing of the current track changes, so a failure leaves it as it was.
+   * @private
+   * @param {string} trackId - The track to load.
+   * @returns {Promise<Object>} The loaded track. Tracks exported with another RNBO version than the
+   *   loaded library only have their data and patcher loaded, and `needsReload` set.
+   * @throws {Error} If the track cannot be loaded.
+   */
+  async prepare(trackId) {
+    const { orbiter, dataManager } = this.player;
+    const trackData = await dataManager.fetchTrackData(trackId, { makeCurrent: false });
+    if (!trackData?.orbiter) {
+      throw new Error(`No track data for '${trackId}'.`);
+    }
+    const response = await fetch(trackData.orbiter.orbiterJSONURL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch patcher: ${response.statusText}`);
+    }
+    const patcher = await response.json();
+    if (patcher.desc?.meta?.rnboversion !== this.rnboversion) {
+      return { trackData, patcher, needsReload: true };
+    }
+
+    const loadingDevice = orbiter.initialized ? orbiter.prepareDevice(patcher, trackData.track) : Promise.resolve(null);
+    try {
+      const [model, device] = await Promise.all([loadModel(trackData), loadingDevice]);
+      return { trackData, patcher, model, device };
+    } catch (error) {
+      loadingDevice.then(device => device && orbiter.releaseDevice(device), () => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Makes the loaded track the current one and runs the transitions. If any step fails, the
+   * previous track is restored, see rollback().
+   * @private
+   * @param {string} trackId - The new track.
+   * @param {Object} prepared - See prepare().
+   * @param {number} crossfadeMs - Transition time (ms).
+   * @returns {Promise<boolean>} Resolves when the transitions end: false if the switch was rolled back.
+   */
+  async commit(trackId, { trackData, patcher, model, device }, crossfadeMs) {
+    const { scene, orbiter } = this.player;
+    const previous = {
+      trackId: Constants.TRACK_ID,
+      trackData: Constants.TRACK_DATA,
+      audio: { orbiterData: orbiter.orbiterData, trackData: orbiter.trackData, patcher: orbiter.patcher, schema: orbiter.schema || [] },
+      model: this.model,
+      moons: this.moons,
+      scales: [this.model, this.moons].map(object => object?.scale.clone()),
+    };
+    const incoming = { schema: null, model, moons: null, transition: null };
+
+    try {
+      Constants.TRACK_ID = trackId;
+      Constants.setTrackData(trackId, trackData);
+      incoming.schema = buildParameterSchema(patcher, trackData.orbiter.orbiterParams);
+      this.applyParameters(trackData, incoming.schema);
+
+      const audioSwitch = orbiter.switchTrack(
+        { orbiterData: trackData.orbiter, trackData: trackData.track, patcher, schema: incoming.schema },
+        { crossfadeMs, prepared: device }
+      );
+
+      incoming.moons = harvestMoons(scene, trackData.interplanetaryPlayer?.moonAmount ?? 0);
+      scene.add(model);
+      this.model = model;
+      this.moons = incoming.moons;
+      incoming.transition = transitionObjects([previous.model, previous.moons], [model, incoming.moons], crossfadeMs);
+
+      this.loadTrackState(trackId, trackData);
+      await Promise.all([audioSwitch, incoming.transition]);
+    } catch (error) {
+      console.error(`[TrackSwitcher] Error switching to '${trackId}'; restoring the previous track:`, error);
+      notifications.showToast(`Track '${trackId}' could not be played.`, 'error');
+      await this.rollback(previous, incoming, device);
+      return false;
+    }
+
+    [previous.model, previous.moons].forEach(disposeObject);
+    // The orbiter no longer listens to the parameters the new patcher lacks; drop them.
+    const names = new Set(incoming.schema.map(entry => entry.name));
+    this.removeParameters(previous.audio.schema.filter(entry => !names.has(entry.name)).map(entry => entry.name));
+    return true;
+  }
+
+  /**
+   * Restores the track that was playing before a failed switch: its data, parameters, audio and
+   * model. If that fails too, the player reloads the previous track.
+   * @private
+   * @param {Object} previous - State of the previous track, captured by commit().
+   * @param {Object} incoming - What commit() set up for the new track so far.
+   * @param {Object|null} device - The new track's device, see prepare().
+   * @returns {Promise<void>}
+   */
+  async rollback(previous, incoming, device) {
+    const { orbiter } = this.player;
+    try {
+      Constants.TRACK_ID = previous.trackId;
+      Constants.setTrackData(previous.trackId, previous.trackData);
+      if (incoming.schema) {
+        const names = new Set(previous.audio.schema.map(entry => entry.name));
+        this.removeParameters(incoming.schema.filter(entry => !names.has(entry.name)).map(entry => entry.name));
+      }
+      this.applyParameters(previous.trackData, previous.audio.schema);
+
+      if (orbiter.patcher !== previous.audio.patcher) {
+        // The orbiter already uses the new device; load the previous one again.
+        await orbiter.switchTrack(previous.audio);
+      } else if (device) {
+        orbiter.releaseDevice(device);
+      }
+
+      // Let a running transition end, so it does not resize the restored objects.
+      await incoming.transition;
+      [incoming.model, incoming.moons].forEach(disposeObject);
+      [previous.model, previous.moons].forEach((object, index) => object?.scale.copy(previous.scales[index]));
+      this.model = previous.model;
+      this.moons = previous.moons;
+
+      this.loadTrackState(previous.trackId, previous.trackData);
+    } catch (error) {
+      console.error('[TrackSwitcher] Could not restore the previous track; reloading the player.', error);
+      navigateToTrack(previous.trackId);
+    }
+  }
+
+  /**
+   * Registers a track's parameters and sets up its controls and colors, as initializeApp does.
+   * @private
+   * @param {Object} trackData - The track data.
+   * @param {Array<Object>} schema - The track's parameter schema, see buildParameterSchema().
+   * @returns {void}
+   */
+  applyParameters(trackData, schema) {
+    const { parameterManager, cosmicLFOManager } = this.player;
+    registerParameterSchema(parameterManager, schema);
+    applyColorsFromTrackData(trackData);
+    updateKnobsFromTrackData(trackData);
+    createPatchParameterControls(schema);
+    const exoData = trackData.interplanetaryPlayer?.exoplanetData;
+    if (exoData) {
+      [cosmicLFOManager.x, cosmicLFOManager.y, cosmicLFOManager.z].forEach(lfo => lfo.setExoFrequencies(exoData));
+    }
+  }
+
+  /**
+   * Loads the per-track state stored by the recorders and MIDI mappings, and shows the track.
+   * @private
+   * @param {string} trackId - The current track.
+   * @param {Object} trackData - Its data.
+   * @returns {void}
+   */
+  loadTrackState(trackId, trackData) {
+    const { dataManager, mixer, layerId } = this.player;
+    AutomationRecorderInstance.load();
+    if (MIDI_SUPPORTED && MIDIControllerInstance) {
+      // Mappings are stored per orbiter; the previous track's mappings do not apply to this one.
+      MIDIControllerInstance.unloadMappings();
+      MIDIControllerInstance.restorePersistedMappings();
+    }
+    dataManager.updatePlaceholderConfig(trackId);
+    dataManager.populatePlaceholders('monitorInfo');
+    if (mixer && layerId) {
+      mixer.setLabel(layerId, trackData.track?.trackName || trackId);
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('trackId', trackId);
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  /**
+   * Removes parameters that no loaded patcher uses, along with the sensor assignments and undo
+   * steps that refer to them.
+   * @private
+   * @param {string[]} names - The parameters.
+   * @returns {void}
+   */
+  removeParameters(names) {
+    if (!names.length) return;
+    names.forEach(name => this.player.parameterManager.removeParameter(name));
+    SensorController.releaseParameters(names);
+    HistoryManagerInstance.forgetParameters(names);
+  }
+}
+
+/**
+ * Shared track switcher of the player.
+ * @memberof CoreModule
+ * @type {TrackSwitcher}
+ */
+export const TrackSwitcherInstance = new TrackSwitcher();
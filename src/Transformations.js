@@ -12,7 +12,7 @@
  * import { logarithmic } from './Transformations.js';
  * import { ParameterManager } from './ParameterManager.js';
  * 
- * const paramManager = ParameterManager.getInstance();
+ * const paramManager = new ParameterManager();
  * 
  * paramManager.addParameter(
  *   'volume',
@@ -0,0 +1,78 @@
+// src/WavEncoder.js
+
+/**
+ * @file WavEncoder.js
+ * @description Encodes captured audio as a PCM WAV file.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** Size of the RIFF/WAVE header (bytes). */
+const HEADER_BYTES = 44;
+
+/**
+ * Writes an ASCII string into a DataView.
+ * @private
+ * @param {DataView} view - The target view.
+ * @param {number} offset - Byte offset.
+ * @param {string} text - The string.
+ * @returns {void}
+ */
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+/**
+ * Encodes planar float samples as an interleaved PCM WAV file.
+ * Samples outside [-1, 1] are clipped.
+ * @param {Float32Array[]} channels - One array of samples per channel, all the same length.
+ * @param {number} sampleRate - Sample rate (Hz).
+ * @param {number} [bitDepth=24] - 16 or 24.
+ * @returns {Blob} The file, of type "audio/wav".
+ *
+ * @example
+ * const blob = encodeWav([left, right], context.sampleRate);
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 24) {
+  if (bitDepth !== 16 && bitDepth !== 24) {
+    throw new RangeError(`[WavEncoder] Unsupported bit depth: ${bitDepth}`);
+  }
+  const channelCount = channels.length;
+  const frames = channels[0]?.length || 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataBytes = frames * blockAlign;
+
+  const buffer = new ArrayBuffer(HEADER_BYTES + dataBytes);
+  const view = new DataView(buffer);
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  const scale = 2 ** (bitDepth - 1) - 1;
+  let offset = HEADER_BYTES;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.round(Math.max(-1, Math.min(1, channels[channel][frame])) * scale);
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample, true);
+      } else {
+        view.setUint8(offset, sample & 0xff);
+        view.setUint8(offset + 1, (sample >> 8) & 0xff);
+        view.setUint8(offset + 2, (sample >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([buffer], { type: 'audio/wav' });
+}
@@ -29,6 +29,7 @@
  import { MIDIControllerInstance } from './../MIDIController.js';
  import { getPriority, MIDI_SUPPORTED } from './../Constants.js';
  import { user1Manager } from './../Main.js';
+ import { ParameterManager } from './../ParameterManager.js';
 
  
  if(window.customElements){
@@ -185,6 +186,15 @@ this.onFocus = () => {
   }
 };
     }
+    /**
+     * The ParameterManager this widget's `root-param` belongs to: the manager registered under the
+     * `param-manager` attribute, or the local user's manager.
+     * @returns {ParameterManager}
+     */
+    get parameterManager(){
+      const managerId = this.getAttribute("param-manager");
+      return (managerId && ParameterManager.getManager(managerId)) || user1Manager;
+    }
     sendEvent(ev){
       let event;
       event=document.createEvent("HTMLEvents");
@@ -521,7 +531,7 @@ try {
               const priority = getPriority("webaudio-knob");
 
               // Subscribe to ParameterManager updates for this parameter with the retrieved priority
-              user1Manager.subscribe(this, this.rootParam, priority);
+              this.parameterManager.subscribe(this, this.rootParam, priority);
             }
 
       // Controller name based on the knob's ID or a unique identifier
@@ -536,6 +546,7 @@ try {
         for (let n = this.step; n < 1; n *= 10)
           ++this.digits;
       }
+      this.modulatedValue = null; // Effective value while modulation routes move the parameter
 
 
       // Bind focus, blur, and pointerdown events after this.elem is assigned
@@ -577,7 +588,7 @@ try {
 
       // Unsubscribe from ParameterManager
       if (this.rootParam) {
-        user1Manager.unsubscribe(this, this.rootParam);
+        this.parameterManager.unsubscribe(this, this.rootParam);
       }
       // Remove any global event listeners if necessary
       window.removeEventListener('pointermove', this.onPointerMove);
@@ -787,6 +798,16 @@ try {
       ctx.strokeStyle = this.coltab[0];  // same color as fill (non-transparent)
       ctx.lineWidth = 1;                // or whatever size you want
       ctx.stroke();
+
+      // 4) While modulation routes move the parameter, mark the modulated value on the rim.
+      if (this.modulatedValue !== null && this.modulatedValue !== undefined) {
+        const modulatedRatio = Math.min(1, Math.max(0, (this.modulatedValue - this.min) / (this.max - this.min)));
+        const angleModulated = 2 * Math.PI * modulatedRatio;
+        ctx.beginPath();
+        ctx.arc(centerX + radius * Math.cos(angleModulated), centerY + radius * Math.sin(angleModulated), 2.5, 0, 2 * Math.PI);
+        ctx.fillStyle = this.coltab[0];
+        ctx.fill();
+      }
     }
     
 
@@ -816,7 +837,7 @@ try {
           const priority = getPriority("webaudio-knob");
           if (this.rootParam) {
             // Update ParameterManager with the new value
-            user1Manager.setRawValue(
+            this.parameterManager.setRawValue(
               this.rootParam,
               this._value,
               this, // Source controller
@@ -844,6 +865,22 @@ try {
         }
       }
     }
+    /**
+     * Handles updates of a modulated parameter from ParameterManager.
+     * The knob keeps showing the base value; the modulated value is marked on its rim.
+     * @param {string} parameterName - The name of the parameter that changed.
+     * @param {number} modulatedValue - The effective value, after modulation.
+     * @param {number} baseValue - The value set by controllers, before modulation.
+     */
+    onModulationChanged(parameterName, modulatedValue, baseValue) {
+      if (this.rootParam === parameterName) {
+        this.modulatedValue = modulatedValue === baseValue ? null : modulatedValue;
+        if (this.isBidirectional) {
+          this._setValue(baseValue); // Avoid triggering another update to ParameterManager
+        }
+        this.redraw();
+      }
+    }
     keydown(e) {
       let delta = this.step;
       if (delta === 0)
@@ -905,6 +942,9 @@ try {
         this.elem.setPointerCapture(e.pointerId);
       }
       this.drag = true;
+      if (this.rootParam) {
+        this.parameterManager.beginGesture(this.rootParam, this);
+      }
       this.startVal = this.value;
       this.startPosX = e.clientX;
       this.startPosY = e.clientY;
@@ -947,6 +987,9 @@ try {
 
       this.drag = false;
       this.isBidirectional = true; // Resume bidirectional updates
+      if (this.rootParam) {
+        this.parameterManager.endGesture(this.rootParam, this); // Also frees a latched parameter
+      }
 
       this.elem.releasePointerCapture(ev.pointerId);
       this.elem.removeEventListener('pointermove', this.onPointerMove);
@@ -1153,14 +1196,14 @@ try {
         // Subscribe to ParameterManager updates for this parameter with the retrieved priority
         const priority = getPriority("webaudio-slider");
 
-        user1Manager.subscribe(this, this.rootParam, priority);
+        this.parameterManager.subscribe(this, this.rootParam, priority);
 
         // **Initialization Step**
-        const initialRaw = user1Manager.getRawValue(this.rootParam);
+        const initialRaw = this.parameterManager.getRawValue(this.rootParam);
         if (initialRaw !== null) {
           this._setValue(initialRaw, false);
         } else {
-          user1Manager.setRawValue(this.rootParam, this._value, this, priority);
+          this.parameterManager.setRawValue(this.rootParam, this._value, this, priority);
         }
       }
 
@@ -1199,7 +1242,7 @@ try {
       }
       // Unsubscribe from ParameterManager
       if (this.rootParam) {
-        user1Manager.unsubscribe(this, this.rootParam);
+        this.parameterManager.unsubscribe(this, this.rootParam);
       }
       // Remove from widget manager
       if (window.webAudioControlsWidgetManager)
@@ -1550,7 +1593,7 @@ try {
           const priority = getPriority("webaudio-slider");
           if (this.rootParam) {
             // Send the slider's value directly; the ParameterManager will handle transformations
-            user1Manager.setRawValue(
+            this.parameterManager.setRawValue(
               this.rootParam,
               this._value,
               this, // Source controller
@@ -1650,6 +1693,9 @@ try {
 
       this.elem.focus();
       this.dragging = true;
+      if (this.rootParam) {
+        this.parameterManager.beginGesture(this.rootParam, this);
+      }
 
       if (this.tracking === "rel") {
         // Store initial pointer position and value for REL mode
@@ -1697,6 +1743,9 @@ try {
     pointerup(ev) {
       if (!this.dragging) return;
       this.dragging = false;
+      if (this.rootParam) {
+        this.parameterManager.endGesture(this.rootParam, this); // Also frees a latched parameter
+      }
 
       // Remove event listeners
       window.removeEventListener('mousemove', this.pointermove);
@@ -2349,7 +2398,7 @@ try {
         // Subscribe to ParameterManager updates for this parameter with the retrieved priority
         const priority = getPriority("webaudio-switch");
 
-        user1Manager.subscribe(this, this.rootParam, priority);
+        this.parameterManager.subscribe(this, this.rootParam, priority);
         //console.log(`Switch ID: ${this.id} subscribed to root parameter '${this.rootParam}'`);
       }
 
@@ -2404,7 +2453,7 @@ try {
 
       // Unsubscribe from ParameterManager
       if (this.rootParam) {
-        user1Manager.unsubscribe(this, this.rootParam);
+        this.parameterManager.unsubscribe(this, this.rootParam);
         //console.log(`Switch ID: ${this.id} unsubscribed from root parameter '${this.rootParam}'`);
       }
 
@@ -2737,7 +2786,7 @@ try {
 
     updateParameter(normalizedValue, mode) {
       const priority = getPriority(`webaudio-${mode}`);
-      user1Manager.setNormalizedValue(
+      this.parameterManager.setNormalizedValue(
         this.rootParam,
         normalizedValue,
         this, // Source controller
@@ -2858,7 +2907,7 @@ try {
     triggerKick() {
       console.log(`triggerKick called for Switch ID: ${this.id}`);
       // Existing behavior - do not change parameter logic
-      //user1Manager.setToMiddle(this.rootParam); // sets param to 0.5 or whatever is needed
+      //this.parameterManager.setToMiddle(this.rootParam); // sets param to 0.5 or whatever is needed
 
       // Now add the visual effect
       this.kickVisualActive = true;
@@ -3100,10 +3149,10 @@ try {
               const priority = getPriority(controllerType);
           
               // Subscribe to ParameterManager updates for this parameter with the retrieved priority
-              user1Manager.subscribe(this, this.rootParam, priority);
+              this.parameterManager.subscribe(this, this.rootParam, priority);
           
               // Retrieve parameter details
-              const paramDetails = user1Manager.getParameter(this.rootParam);
+              const paramDetails = this.parameterManager.getParameter(this.rootParam);
               if (paramDetails) {
                 // Set min and max
                 this.min = paramDetails.min;
@@ -3122,7 +3171,7 @@ try {
 
        // Unsubscribe from ParameterManager
        if (this.rootParam) {
-        user1Manager.unsubscribe(this, this.rootParam);
+        this.parameterManager.unsubscribe(this, this.rootParam);
     }
 
       }
@@ -3186,7 +3235,7 @@ try {
       
         if (this.isLogarithmic) {
           // Use the normalized value (if available) to decide whether to show -∞.
-          const norm = user1Manager.getNormalizedValue(this.rootParam);
+          const norm = this.parameterManager.getNormalizedValue(this.rootParam);
           if (norm <= 0.0001) {
             displayValue = '-∞';
           } else {
@@ -3207,7 +3256,7 @@ try {
       
           // Fetch the latest min and max values from ParameterManager
           if (this.rootParam) {
-            const paramDetails = user1Manager.getParameter(this.rootParam);
+            const paramDetails = this.parameterManager.getParameter(this.rootParam);
             if (paramDetails) {
               this.min = paramDetails.min;
               this.max = paramDetails.max;
@@ -3285,7 +3334,7 @@ onParameterChanged(parameterName, newValue) {
       this.updatingFromParameter = true;
 
       // 1) Retrieve the real dB from paramManager:
-      const rawDb = user1Manager.getRawValue(parameterName); 
+      const rawDb = this.parameterManager.getRawValue(parameterName); 
       // e.g. -20 or -7.2, etc.
 
       // 2) Store that dB in this.value, without re-firing paramManager:
@@ -3365,7 +3414,7 @@ onParameterChanged(parameterName, newValue) {
             this.redraw();
             if (fire && this.rootParam) {
               // Update ParameterManager
-              user1Manager.setRawValue(this.rootParam, this.value, this, getPriority("webaudio-param"));
+              this.parameterManager.setRawValue(this.rootParam, this.value, this, getPriority("webaudio-param"));
             }
             this.oldvalue = this.value;
           }
@@ -0,0 +1,87 @@
+// src/worklets/recorder-processor.js
+
+/**
+ * @file recorder-processor.js
+ * @description AudioWorklet processor that captures its input for OutputRecorder.
+ * Samples are sent to the main thread in chunks; the recording ends on "stop" or after a fixed
+ * number of frames, and can start on a given frame (e.g. the frame playback starts on), which
+ * keeps loop-region takes sample-accurate.
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/** Frames per chunk posted to the main thread. */
+const CHUNK_FRAMES = 16384;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {AudioWorkletNodeOptions} options - `processorOptions.channelCount` sets the recorded channels.
+   */
+  constructor(options) {
+    super();
+    this.channelCount = options.processorOptions?.channelCount || 2;
+    this.isRecording = false;
+    this.remaining = Infinity;
+    this.startFrame = 0;
+    this.resetChunk();
+
+    // Messages: { command: 'start', maxFrames?, startFrame? } and { command: 'stop' }.
+    this.port.onmessage = ({ data }) => {
+      if (data.command === 'start') {
+        this.resetChunk();
+        this.remaining = data.maxFrames > 0 ? data.maxFrames : Infinity;
+        this.startFrame = data.startFrame > 0 ? data.startFrame : 0;
+        this.isRecording = true;
+      } else if (data.command === 'stop' && this.isRecording) {
+        this.finish();
+      }
+    };
+  }
+
+  resetChunk() {
+    this.chunk = Array.from({ length: this.channelCount }, () => new Float32Array(CHUNK_FRAMES));
+    this.filled = 0;
+  }
+
+  flush() {
+    if (!this.filled) return;
+    const channels = this.chunk.map(channel => channel.slice(0, this.filled));
+    this.port.postMessage({ type: 'chunk', channels }, channels.map(channel => channel.buffer));
+    this.resetChunk();
+  }
+
+  finish() {
+    this.flush();
+    this.isRecording = false;
+    this.port.postMessage({ type: 'done' });
+  }
+
+  process(inputs) {
+    if (!this.isRecording) return true;
+    const input = inputs[0] || [];
+    const blockFrames = input[0]?.length || 128;
+    // Frames of this block before the start frame are skipped.
+    const skipped = Math.min(blockFrames, Math.max(0, this.startFrame - currentFrame));
+    if (skipped === blockFrames) return true;
+    const frames = Math.min(blockFrames - skipped, this.remaining);
+
+    let offset = 0;
+    while (offset < frames) {
+      const count = Math.min(frames - offset, CHUNK_FRAMES - this.filled);
+      for (let channel = 0; channel < this.channelCount; channel++) {
+        // Mono sources are copied to every channel; silence stays zero.
+        const source = input[channel] || input[0];
+        if (source) this.chunk[channel].set(source.subarray(skipped + offset, skipped + offset + count), this.filled);
+      }
+      this.filled += count;
+      offset += count;
+      if (this.filled === CHUNK_FRAMES) this.flush();
+    }
+
+    this.remaining -= frames;
+    if (this.remaining <= 0) this.finish();
+    return true;
+  }
+}
+
+registerProcessor('orbiter-recorder', RecorderProcessor);
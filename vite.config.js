@@ -20,6 +20,13 @@ export default defineConfig({
         outDir: 'dist',
         emptyOutDir: true,
         sourcemap: true,
+        rollupOptions: {
+            // The player, and the headless offline renderer (see src/HeadlessRenderer.js)
+            input: {
+                main: 'index.html',
+                render: 'render.html',
+            },
+        },
     },
     plugins: [
         restart({